@@ -19,5 +19,70 @@ module.exports = {
       out_file: "./logs/update-trending-out.log",
       merge_logs: true,
     },
+    {
+      name: "lift-expired-bans",
+      script: "./scripts/lift-expired-bans.js",
+      interpreter: "node",
+      // every 15 minutes
+      cron_restart: "*/15 * * * *",
+      autorestart: false,
+      env: {
+        NODE_ENV: "production",
+        MONGO_URI:
+          process.env.MONGO_URI || "mongodb://localhost:27017/readers-app",
+      },
+      error_file: "./logs/lift-expired-bans-err.log",
+      out_file: "./logs/lift-expired-bans-out.log",
+      merge_logs: true,
+    },
+    {
+      name: "purge-deleted-accounts",
+      script: "./scripts/purge-deleted-accounts.js",
+      interpreter: "node",
+      // hourly, at minute 20
+      cron_restart: "20 * * * *",
+      autorestart: false,
+      env: {
+        NODE_ENV: "production",
+        MONGO_URI:
+          process.env.MONGO_URI || "mongodb://localhost:27017/readers-app",
+      },
+      error_file: "./logs/purge-deleted-accounts-err.log",
+      out_file: "./logs/purge-deleted-accounts-out.log",
+      merge_logs: true,
+    },
+    {
+      name: "refresh-book-metadata",
+      script: "./scripts/refresh-book-metadata.js",
+      interpreter: "node",
+      // every 30 minutes, at :10 and :40
+      cron_restart: "10,40 * * * *",
+      autorestart: false,
+      env: {
+        NODE_ENV: "production",
+        MONGO_URI:
+          process.env.MONGO_URI || "mongodb://localhost:27017/readers-app",
+      },
+      error_file: "./logs/refresh-book-metadata-err.log",
+      out_file: "./logs/refresh-book-metadata-out.log",
+      merge_logs: true,
+    },
+    {
+      name: "embed-books",
+      script: "./scripts/embed-books.js",
+      args: "--missing",
+      interpreter: "node",
+      // hourly, at minute 50
+      cron_restart: "50 * * * *",
+      autorestart: false,
+      env: {
+        NODE_ENV: "production",
+        MONGO_URI:
+          process.env.MONGO_URI || "mongodb://localhost:27017/readers-app",
+      },
+      error_file: "./logs/embed-books-err.log",
+      out_file: "./logs/embed-books-out.log",
+      merge_logs: true,
+    },
   ],
 };
@@ -0,0 +1,84 @@
+// backend/scripts/embed-books.js
+// (Re)computes book embeddings for semantic search
+// (services/semanticSearch.service.js) with the configured provider.
+// Usage: node ./scripts/embed-books.js [--missing] [--dry-run]
+//   --missing: only books never embedded, embedded with another model,
+//              or whose metadata changed since
+// Config via env: MONGO_URI, EMBEDDINGS_* (see src/utils/embeddings.js)
+// Stops when the provider is unavailable instead of storing fallback vectors.
+
+import mongoose from "mongoose";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const semanticUrl = pathToFileURL(
+  join(__dirname, "..", "src", "services", "semanticSearch.service.js")
+).href;
+const embeddingsUrl = pathToFileURL(
+  join(__dirname, "..", "src", "utils", "embeddings.js")
+).href;
+const bookUrl = pathToFileURL(
+  join(__dirname, "..", "src", "models", "Book.js")
+).href;
+
+const MONGO = process.env.MONGO_URI || "mongodb://localhost:27017/readers-app";
+const DRY_RUN = process.argv.includes("--dry-run");
+const MISSING_ONLY = process.argv.includes("--missing");
+
+async function main() {
+  console.log(`[embed-books] connecting to mongo -> ${MONGO}`);
+  await mongoose.connect(MONGO, {});
+
+  const { default: Book } = await import(bookUrl);
+  const { embedText, embeddingProvider, HASH_MODEL } = await import(
+    embeddingsUrl
+  );
+  const { embedBook, staleEmbeddingsFilter } = await import(semanticUrl);
+
+  try {
+    // the model this run embeds with
+    const provider = embeddingProvider();
+    const { model } = await embedText("book", { provider });
+    if (model === HASH_MODEL && provider !== "hash") {
+      throw new Error(`embedding provider "${provider}" unavailable`);
+    }
+    console.log(`[embed-books] model ${model}`);
+
+    const filter = MISSING_ONLY ? staleEmbeddingsFilter(model) : {};
+    if (DRY_RUN) {
+      const n = await Book.countDocuments(filter);
+      console.log(`[embed-books] would embed ${n} books`);
+      return;
+    }
+
+    const cursor = Book.find(filter).select("_id externalId").lean().cursor();
+
+    const counts = { embedded: 0, failed: 0 };
+    for await (const book of cursor) {
+      try {
+        await embedBook(book._id);
+        counts.embedded++;
+      } catch (err) {
+        counts.failed++;
+        console.error(`  failed ${book.externalId}:`, err?.message ?? err);
+      }
+    }
+
+    console.log("[embed-books] done", counts);
+    process.exitCode = counts.failed ? 1 : 0;
+  } catch (err) {
+    console.error("[embed-books] error:", err && err.stack ? err.stack : err);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      /* ignore */
+    }
+  }
+}
+
+main();
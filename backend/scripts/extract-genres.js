@@ -0,0 +1,82 @@
+// backend/scripts/extract-genres.js
+// One-off backfill: derives Book.genres / Book.subjects from the provider
+// subjects kept in the raw record (see services/genre.service.js). Also
+// worth re-running after the taxonomy in config/genres.js changes.
+// Usage: node ./scripts/extract-genres.js [--dry-run]
+// Config via env: MONGO_URI
+// Safe to re-run; books without raw subjects are left as they are.
+
+import mongoose from "mongoose";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const genreUrl = pathToFileURL(
+  join(__dirname, "..", "src", "services", "genre.service.js")
+).href;
+const bookUrl = pathToFileURL(
+  join(__dirname, "..", "src", "models", "Book.js")
+).href;
+
+const MONGO = process.env.MONGO_URI || "mongodb://localhost:27017/readers-app";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function main() {
+  console.log(`[extract-genres] connecting to mongo -> ${MONGO}`);
+  await mongoose.connect(MONGO, {});
+
+  const { default: Book } = await import(bookUrl);
+  const { genresFromSubjects } = await import(genreUrl);
+
+  try {
+    const cursor = Book.find({
+      $or: [
+        { "raw.subjects.0": { $exists: true } },
+        { "raw.openlibrary.subjects.0": { $exists: true } },
+      ],
+    })
+      .select("_id externalId raw.subjects raw.openlibrary.subjects")
+      .lean()
+      .cursor();
+
+    const counts = { updated: 0, failed: 0 };
+    for await (const book of cursor) {
+      // books saved before the provider layer keep OpenLibrary's record only
+      const subjects = book.raw.subjects || book.raw.openlibrary.subjects;
+      const { genres, subjects: normalized } = genresFromSubjects(subjects);
+      if (DRY_RUN) {
+        console.log(`  ${book.externalId}: ${genres.join(", ") || "(none)"}`);
+        continue;
+      }
+      try {
+        await Book.updateOne(
+          { _id: book._id },
+          { $set: { genres, subjects: normalized } }
+        );
+        counts.updated++;
+      } catch (err) {
+        counts.failed++;
+        console.error(`  failed ${book.externalId}:`, err?.message ?? err);
+      }
+    }
+
+    if (!DRY_RUN) console.log("[extract-genres] done", counts);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error(
+      "[extract-genres] error:",
+      err && err.stack ? err.stack : err
+    );
+    process.exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      /* ignore */
+    }
+  }
+}
+
+main();
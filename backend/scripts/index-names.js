@@ -0,0 +1,75 @@
+// backend/scripts/index-names.js
+// One-off backfill: fills nameTokens (utils/names.js) on existing authors,
+// series, book clubs and users, which search suggestions look names up by
+// (services/searchSuggest.service.js). New and renamed documents get them
+// when they are written.
+// Usage: node ./scripts/index-names.js [--dry-run]
+// Config via env: MONGO_URI
+// Safe to re-run; documents whose tokens are current are left as they are.
+
+import mongoose from "mongoose";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const srcUrl = (...parts) =>
+  pathToFileURL(join(__dirname, "..", "src", ...parts)).href;
+
+const MONGO = process.env.MONGO_URI || "mongodb://localhost:27017/readers-app";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// model file -> the fields its names come from, and which documents
+const MODELS = {
+  "Author.js": { fields: ["name", "aliases"] },
+  "Series.js": { fields: ["name"] },
+  "BookClub.js": { fields: ["name"] },
+  // deleted accounts keep no tokens (services/accountDeletion.service.js)
+  "User.js": { fields: ["username", "name"], filter: { deletedAt: null } },
+};
+
+async function main() {
+  console.log(`[index-names] connecting to mongo -> ${MONGO}`);
+  await mongoose.connect(MONGO, {});
+
+  const { nameTokens } = await import(srcUrl("utils", "names.js"));
+
+  try {
+    const counts = {};
+    for (const [file, { fields, filter = {} }] of Object.entries(MODELS)) {
+      const { default: Model } = await import(srcUrl("models", file));
+      let updated = 0;
+      const cursor = Model.find(filter)
+        .select(`${fields.join(" ")} +nameTokens`)
+        .lean()
+        .cursor();
+      for await (const doc of cursor) {
+        const tokens = nameTokens(...fields.map((f) => doc[f] || []));
+        if (tokens.join("|") === (doc.nameTokens || []).join("|")) continue;
+        updated++;
+        if (!DRY_RUN) {
+          await Model.updateOne({ _id: doc._id }, { nameTokens: tokens });
+        }
+      }
+      counts[Model.modelName] = updated;
+    }
+
+    console.log(
+      `[index-names] ${DRY_RUN ? "would update" : "updated"}`,
+      counts
+    );
+    process.exitCode = 0;
+  } catch (err) {
+    console.error("[index-names] error:", err && err.stack ? err.stack : err);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      /* ignore */
+    }
+  }
+}
+
+main();
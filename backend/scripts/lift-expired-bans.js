@@ -0,0 +1,50 @@
+// backend/scripts/lift-expired-bans.js
+// Lifts temporary bans whose bannedUntil has passed and restores the
+// users' suspended reviews / comments / notes.
+// Usage: node ./scripts/lift-expired-bans.js
+// Config via env: MONGO_URI
+
+import mongoose from "mongoose";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const moderationPath = join(
+  __dirname,
+  "..",
+  "src",
+  "services",
+  "moderation.service.js"
+);
+const moderationUrl = pathToFileURL(moderationPath).href;
+
+const MONGO = process.env.MONGO_URI || "mongodb://localhost:27017/readers-app";
+
+async function main() {
+  console.log(`[lift-expired-bans] connecting to mongo -> ${MONGO}`);
+  await mongoose.connect(MONGO, {});
+
+  const { liftExpiredBans } = await import(moderationUrl);
+
+  try {
+    const lifted = await liftExpiredBans();
+    console.log(`[lift-expired-bans] lifted ${lifted} ban(s)`);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error(
+      "[lift-expired-bans] error:",
+      err && err.stack ? err.stack : err
+    );
+    process.exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      /* ignore */
+    }
+  }
+}
+
+main();
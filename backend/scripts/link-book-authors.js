@@ -0,0 +1,98 @@
+// backend/scripts/link-book-authors.js
+// One-off backfill: creates Author documents for the names in Book.authors
+// and links existing books to them (see services/author.service.js).
+// Followers are not notified; these books are not new. Author.nameKeys are
+// recomputed first, so authors keyed before name matching kept non-Latin
+// letters are still found.
+// Usage: node ./scripts/link-book-authors.js [--dry-run]
+// Config via env: MONGO_URI
+// Safe to re-run; books that are already linked are left as they are.
+
+import mongoose from "mongoose";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const authorUrl = pathToFileURL(
+  join(__dirname, "..", "src", "services", "author.service.js")
+).href;
+const bookUrl = pathToFileURL(
+  join(__dirname, "..", "src", "models", "Book.js")
+).href;
+const authorModelUrl = pathToFileURL(
+  join(__dirname, "..", "src", "models", "Author.js")
+).href;
+
+const MONGO = process.env.MONGO_URI || "mongodb://localhost:27017/readers-app";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function main() {
+  console.log(`[link-book-authors] connecting to mongo -> ${MONGO}`);
+  await mongoose.connect(MONGO, {});
+
+  const { default: Book } = await import(bookUrl);
+  const { default: Author } = await import(authorModelUrl);
+  const { linkBookAuthors, nameKeysFor } = await import(authorUrl);
+
+  try {
+    let rekeyed = 0;
+    const authors = Author.find({}).select("name aliases nameKeys").lean();
+    for await (const author of authors.cursor()) {
+      const nameKeys = nameKeysFor(author.name, author.aliases);
+      if (nameKeys.join("|") === (author.nameKeys || []).join("|")) continue;
+      rekeyed++;
+      if (!DRY_RUN) await Author.updateOne({ _id: author._id }, { nameKeys });
+    }
+    console.log(
+      `[link-book-authors] ${DRY_RUN ? "would rekey" : "rekeyed"} ${rekeyed} authors`
+    );
+
+    const cursor = Book.find({
+      "authors.0": { $exists: true },
+      $or: [{ authorIds: { $exists: false } }, { authorIds: { $size: 0 } }],
+    })
+      .select("_id externalId title authors authorIds raw")
+      .cursor();
+
+    const counts = { linked: 0, failed: 0 };
+    for await (const book of cursor) {
+      if (DRY_RUN) {
+        console.log(`  would link ${book.externalId}: ${book.authors.join(", ")}`);
+        continue;
+      }
+      try {
+        // OpenLibrary works keep the author keys in the raw record; they
+        // line up with the names only when every name was resolved
+        const keys = (book.raw?.openlibrary?.authors || []).map(
+          (a) => (a.author ? a.author.key : a.key) || null
+        );
+        await linkBookAuthors(book, {
+          authorKeys: keys.length === book.authors.length ? keys : [],
+        });
+        counts.linked++;
+      } catch (err) {
+        counts.failed++;
+        console.error(`  failed ${book.externalId}:`, err?.message ?? err);
+      }
+    }
+
+    if (!DRY_RUN) console.log("[link-book-authors] done", counts);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error(
+      "[link-book-authors] error:",
+      err && err.stack ? err.stack : err
+    );
+    process.exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      /* ignore */
+    }
+  }
+}
+
+main();
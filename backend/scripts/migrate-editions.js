@@ -0,0 +1,69 @@
+// backend/scripts/migrate-editions.js
+// One-off migration to the work/edition model: Books keyed by an
+// OpenLibrary edition id ("/books/…M") become Editions of their work
+// (see foldEditionBook in services/bookMerge.service.js).
+// Usage: node ./scripts/migrate-editions.js [--dry-run]
+// Config via env: MONGO_URI
+// Safe to re-run; books whose work cannot be looked up are left as they are.
+
+import mongoose from "mongoose";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const mergeUrl = pathToFileURL(
+  join(__dirname, "..", "src", "services", "bookMerge.service.js")
+).href;
+const bookUrl = pathToFileURL(
+  join(__dirname, "..", "src", "models", "Book.js")
+).href;
+
+const MONGO = process.env.MONGO_URI || "mongodb://localhost:27017/readers-app";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function main() {
+  console.log(`[migrate-editions] connecting to mongo -> ${MONGO}`);
+  await mongoose.connect(MONGO, {});
+
+  const { default: Book } = await import(bookUrl);
+  const { foldEditionBook } = await import(mergeUrl);
+
+  try {
+    const legacy = await Book.find({ externalId: /^\/books\// })
+      .select("_id externalId title")
+      .lean();
+    console.log(`[migrate-editions] ${legacy.length} edition-keyed book(s)`);
+
+    const counts = { merged: 0, converted: 0, skipped: 0 };
+    for (const book of legacy) {
+      if (DRY_RUN) {
+        console.log(`  would migrate ${book.externalId} (${book.title})`);
+        continue;
+      }
+      try {
+        const outcome = await foldEditionBook(book);
+        counts[outcome]++;
+        console.log(`  ${outcome} ${book.externalId}`);
+      } catch (err) {
+        counts.skipped++;
+        console.error(`  failed ${book.externalId}:`, err?.message ?? err);
+      }
+    }
+
+    if (!DRY_RUN) console.log("[migrate-editions] done", counts);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error("[migrate-editions] error:", err && err.stack ? err.stack : err);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      /* ignore */
+    }
+  }
+}
+
+main();
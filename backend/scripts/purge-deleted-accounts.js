@@ -0,0 +1,50 @@
+// backend/scripts/purge-deleted-accounts.js
+// Purges accounts whose deletion grace period has ended
+// (see services/accountDeletion.service.js).
+// Usage: node ./scripts/purge-deleted-accounts.js
+// Config via env: MONGO_URI
+
+import mongoose from "mongoose";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const deletionPath = join(
+  __dirname,
+  "..",
+  "src",
+  "services",
+  "accountDeletion.service.js"
+);
+const deletionUrl = pathToFileURL(deletionPath).href;
+
+const MONGO = process.env.MONGO_URI || "mongodb://localhost:27017/readers-app";
+
+async function main() {
+  console.log(`[purge-deleted-accounts] connecting to mongo -> ${MONGO}`);
+  await mongoose.connect(MONGO, {});
+
+  const { purgeDueAccounts } = await import(deletionUrl);
+
+  try {
+    const purged = await purgeDueAccounts();
+    console.log(`[purge-deleted-accounts] purged ${purged} account(s)`);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error(
+      "[purge-deleted-accounts] error:",
+      err && err.stack ? err.stack : err
+    );
+    process.exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      /* ignore */
+    }
+  }
+}
+
+main();
@@ -0,0 +1,46 @@
+// backend/scripts/refresh-book-metadata.js
+// Re-fetches provider metadata for stale or incomplete books
+// (see services/bookMetadata.service.js). Admin-edited fields are kept.
+// Usage: node ./scripts/refresh-book-metadata.js [limit]
+// Config via env: MONGO_URI, METADATA_* (provider chain, staleness)
+
+import mongoose from "mongoose";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const metadataUrl = pathToFileURL(
+  join(__dirname, "..", "src", "services", "bookMetadata.service.js")
+).href;
+
+const MONGO = process.env.MONGO_URI || "mongodb://localhost:27017/readers-app";
+const LIMIT = Math.max(1, parseInt(process.argv[2] || "200", 10) || 200);
+
+async function main() {
+  console.log(`[refresh-book-metadata] connecting to mongo -> ${MONGO}`);
+  await mongoose.connect(MONGO, {});
+
+  const { refreshStaleBooks } = await import(metadataUrl);
+
+  try {
+    const counts = await refreshStaleBooks({ limit: LIMIT });
+    console.log("[refresh-book-metadata] done", counts);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error(
+      "[refresh-book-metadata] error:",
+      err && err.stack ? err.stack : err
+    );
+    process.exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      /* ignore */
+    }
+  }
+}
+
+main();
@@ -0,0 +1,70 @@
+// backend/scripts/refresh-book-stats.js
+// One-off backfill of the rating / reading stats denormalized onto Book
+// (see services/bookStats.service.js). Also repairs drifted counters.
+// Usage: node ./scripts/refresh-book-stats.js [--dry-run]
+// Config via env: MONGO_URI
+// Safe to re-run; stats are recomputed from reviews and readings.
+
+import mongoose from "mongoose";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const statsUrl = pathToFileURL(
+  join(__dirname, "..", "src", "services", "bookStats.service.js")
+).href;
+const bookUrl = pathToFileURL(
+  join(__dirname, "..", "src", "models", "Book.js")
+).href;
+
+const MONGO = process.env.MONGO_URI || "mongodb://localhost:27017/readers-app";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function main() {
+  console.log(`[refresh-book-stats] connecting to mongo -> ${MONGO}`);
+  await mongoose.connect(MONGO, {});
+
+  const { default: Book } = await import(bookUrl);
+  const { computeBookStats, refreshBookStats } = await import(statsUrl);
+
+  try {
+    const cursor = Book.find({}).select("_id externalId").lean().cursor();
+
+    const counts = { updated: 0, failed: 0 };
+    for await (const book of cursor) {
+      try {
+        if (DRY_RUN) {
+          const stats = await computeBookStats(book._id);
+          console.log(
+            `  ${book.externalId}: ${stats.avgRating} (${stats.ratingsCount} ratings)`
+          );
+          continue;
+        }
+        await refreshBookStats(book._id);
+        counts.updated++;
+      } catch (err) {
+        counts.failed++;
+        console.error(`  failed ${book.externalId}:`, err?.message ?? err);
+      }
+    }
+
+    if (!DRY_RUN) console.log("[refresh-book-stats] done", counts);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error(
+      "[refresh-book-stats] error:",
+      err && err.stack ? err.stack : err
+    );
+    process.exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      /* ignore */
+    }
+  }
+}
+
+main();
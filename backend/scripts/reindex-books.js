@@ -0,0 +1,71 @@
+// backend/scripts/reindex-books.js
+// Builds the local search index (services/searchIndex.service.js) and
+// the search filter fields (year, languages, page count) for existing
+// books, then recounts the per-term book counts.
+// Usage: node ./scripts/reindex-books.js [--missing] [--dry-run]
+//   --missing: only books never indexed
+// Config via env: MONGO_URI
+// Safe to re-run; each book's terms are recomputed from its metadata.
+
+import mongoose from "mongoose";
+import { fileURLToPath, pathToFileURL } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const indexUrl = pathToFileURL(
+  join(__dirname, "..", "src", "services", "searchIndex.service.js")
+).href;
+const bookUrl = pathToFileURL(
+  join(__dirname, "..", "src", "models", "Book.js")
+).href;
+
+const MONGO = process.env.MONGO_URI || "mongodb://localhost:27017/readers-app";
+const DRY_RUN = process.argv.includes("--dry-run");
+const MISSING_ONLY = process.argv.includes("--missing");
+
+async function main() {
+  console.log(`[reindex-books] connecting to mongo -> ${MONGO}`);
+  await mongoose.connect(MONGO, {});
+
+  const { default: Book } = await import(bookUrl);
+  const { indexBook, rebuildTermCounts } = await import(indexUrl);
+
+  try {
+    const filter = MISSING_ONLY ? { searchIndexedAt: null } : {};
+    if (DRY_RUN) {
+      const n = await Book.countDocuments(filter);
+      console.log(`[reindex-books] would index ${n} books`);
+      return;
+    }
+
+    const cursor = Book.find(filter).select("_id externalId").lean().cursor();
+
+    const counts = { indexed: 0, failed: 0, terms: 0 };
+    for await (const book of cursor) {
+      try {
+        await indexBook(book._id);
+        counts.indexed++;
+      } catch (err) {
+        counts.failed++;
+        console.error(`  failed ${book.externalId}:`, err?.message ?? err);
+      }
+    }
+    counts.terms = await rebuildTermCounts();
+
+    console.log("[reindex-books] done", counts);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error("[reindex-books] error:", err && err.stack ? err.stack : err);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      /* ignore */
+    }
+  }
+}
+
+main();
@@ -0,0 +1,353 @@
+// backend/src/config/genres.js
+// Genre taxonomy and mood list (services/genre.service.js).
+// Each genre: slug, display name, parent slug (null for top level) and
+// synonyms — subject strings from the metadata providers that mean it.
+// Subjects are matched after normalization (utils/names.js normalizeText),
+// so case and punctuation in synonyms do not matter.
+
+export const GENRES = [
+  /* ---------- fiction ---------- */
+  {
+    slug: "fiction",
+    name: "Fiction",
+    parent: null,
+    synonyms: ["novels", "literary fiction", "general fiction"],
+  },
+
+  {
+    slug: "fantasy",
+    name: "Fantasy",
+    parent: "fiction",
+    synonyms: ["fantasy fiction", "fantastic fiction"],
+  },
+  {
+    slug: "epic-fantasy",
+    name: "Epic Fantasy",
+    parent: "fantasy",
+    synonyms: ["high fantasy", "epic fantasy fiction"],
+  },
+  {
+    slug: "urban-fantasy",
+    name: "Urban Fantasy",
+    parent: "fantasy",
+    synonyms: ["contemporary fantasy"],
+  },
+  {
+    slug: "dark-fantasy",
+    name: "Dark Fantasy",
+    parent: "fantasy",
+    synonyms: ["grimdark"],
+  },
+  {
+    slug: "fairy-tales",
+    name: "Fairy Tales & Folklore",
+    parent: "fantasy",
+    synonyms: ["fairy tales", "folklore", "legends", "mythology"],
+  },
+
+  {
+    slug: "science-fiction",
+    name: "Science Fiction",
+    parent: "fiction",
+    synonyms: ["sci-fi", "scifi", "sf"],
+  },
+  {
+    slug: "space-opera",
+    name: "Space Opera",
+    parent: "science-fiction",
+    synonyms: ["interplanetary voyages", "space warfare"],
+  },
+  {
+    slug: "dystopian",
+    name: "Dystopian",
+    parent: "science-fiction",
+    synonyms: ["dystopias", "dystopian fiction", "dystopia"],
+  },
+  {
+    slug: "cyberpunk",
+    name: "Cyberpunk",
+    parent: "science-fiction",
+    synonyms: ["cyberpunk fiction"],
+  },
+  {
+    slug: "time-travel",
+    name: "Time Travel",
+    parent: "science-fiction",
+    synonyms: ["time travel fiction"],
+  },
+
+  {
+    slug: "mystery",
+    name: "Mystery",
+    parent: "fiction",
+    synonyms: [
+      "mystery fiction",
+      "detective and mystery stories",
+      "detective fiction",
+      "whodunit",
+    ],
+  },
+  {
+    slug: "crime",
+    name: "Crime",
+    parent: "mystery",
+    synonyms: ["crime fiction", "murder"],
+  },
+  {
+    slug: "cozy-mystery",
+    name: "Cozy Mystery",
+    parent: "mystery",
+    synonyms: ["cozy mysteries", "cosy mystery"],
+  },
+
+  {
+    slug: "thriller",
+    name: "Thriller",
+    parent: "fiction",
+    synonyms: [
+      "thrillers",
+      "suspense",
+      "suspense fiction",
+      "thrillers & suspense",
+    ],
+  },
+  {
+    slug: "horror",
+    name: "Horror",
+    parent: "fiction",
+    synonyms: ["horror fiction", "horror tales", "ghost stories"],
+  },
+
+  {
+    slug: "romance",
+    name: "Romance",
+    parent: "fiction",
+    synonyms: ["love stories", "romance fiction", "romantic fiction"],
+  },
+  {
+    slug: "historical-romance",
+    name: "Historical Romance",
+    parent: "romance",
+    synonyms: ["regency romance"],
+  },
+
+  {
+    slug: "historical-fiction",
+    name: "Historical Fiction",
+    parent: "fiction",
+    synonyms: ["historical novels", "historical"],
+  },
+  {
+    slug: "classics",
+    name: "Classics",
+    parent: "fiction",
+    synonyms: ["classic literature", "classic fiction"],
+  },
+  {
+    slug: "adventure",
+    name: "Adventure",
+    parent: "fiction",
+    synonyms: [
+      "adventure stories",
+      "adventure fiction",
+      "action and adventure",
+    ],
+  },
+  {
+    slug: "humor",
+    name: "Humor",
+    parent: "fiction",
+    synonyms: ["humorous fiction", "humorous stories", "humour", "comedy"],
+  },
+  {
+    slug: "short-stories",
+    name: "Short Stories",
+    parent: "fiction",
+    synonyms: ["short stories", "anthologies"],
+  },
+  {
+    slug: "graphic-novels",
+    name: "Graphic Novels & Comics",
+    parent: "fiction",
+    synonyms: [
+      "comic books, strips, etc.",
+      "comics",
+      "graphic novels",
+      "manga",
+    ],
+  },
+  {
+    slug: "young-adult",
+    name: "Young Adult",
+    parent: "fiction",
+    synonyms: ["young adult fiction", "ya", "teen fiction"],
+  },
+  {
+    slug: "childrens",
+    name: "Children's",
+    parent: "fiction",
+    synonyms: [
+      "juvenile fiction",
+      "children's fiction",
+      "children's stories",
+      "picture books",
+    ],
+  },
+
+  /* ---------- nonfiction ---------- */
+  {
+    slug: "nonfiction",
+    name: "Nonfiction",
+    parent: null,
+    synonyms: ["non-fiction"],
+  },
+
+  {
+    slug: "biography",
+    name: "Biography & Memoir",
+    parent: "nonfiction",
+    synonyms: [
+      "biography",
+      "autobiography",
+      "memoirs",
+      "memoir",
+      "biographies",
+    ],
+  },
+  {
+    slug: "history",
+    name: "History",
+    parent: "nonfiction",
+    synonyms: ["world history"],
+  },
+  {
+    slug: "military-history",
+    name: "Military History",
+    parent: "history",
+    synonyms: ["world war, 1939-1945", "world war, 1914-1918", "military"],
+  },
+  {
+    slug: "science",
+    name: "Science",
+    parent: "nonfiction",
+    synonyms: ["popular science", "natural history"],
+  },
+  {
+    slug: "physics",
+    name: "Physics",
+    parent: "science",
+    synonyms: ["astrophysics", "cosmology", "quantum theory"],
+  },
+  {
+    slug: "biology",
+    name: "Biology",
+    parent: "science",
+    synonyms: ["evolution", "genetics"],
+  },
+  {
+    slug: "philosophy",
+    name: "Philosophy",
+    parent: "nonfiction",
+    synonyms: ["ethics", "metaphysics"],
+  },
+  {
+    slug: "psychology",
+    name: "Psychology",
+    parent: "nonfiction",
+    synonyms: ["cognitive psychology", "behavior"],
+  },
+  {
+    slug: "self-help",
+    name: "Self-Help",
+    parent: "nonfiction",
+    synonyms: [
+      "self-help",
+      "self-actualization (psychology)",
+      "personal development",
+      "success",
+    ],
+  },
+  {
+    slug: "business",
+    name: "Business & Economics",
+    parent: "nonfiction",
+    synonyms: ["business", "economics", "management", "finance"],
+  },
+  {
+    slug: "politics",
+    name: "Politics",
+    parent: "nonfiction",
+    synonyms: ["political science", "politics and government"],
+  },
+  {
+    slug: "religion",
+    name: "Religion & Spirituality",
+    parent: "nonfiction",
+    synonyms: ["religion", "spirituality", "christianity", "buddhism"],
+  },
+  {
+    slug: "travel",
+    name: "Travel",
+    parent: "nonfiction",
+    synonyms: ["description and travel", "travel writing"],
+  },
+  {
+    slug: "true-crime",
+    name: "True Crime",
+    parent: "nonfiction",
+    synonyms: ["true crime stories"],
+  },
+  {
+    slug: "cooking",
+    name: "Cooking",
+    parent: "nonfiction",
+    synonyms: ["cookbooks", "cookery", "recipes"],
+  },
+  {
+    slug: "art",
+    name: "Art & Design",
+    parent: "nonfiction",
+    synonyms: ["art", "design", "photography"],
+  },
+  {
+    slug: "technology",
+    name: "Technology",
+    parent: "nonfiction",
+    synonyms: ["computers", "programming", "computer science", "engineering"],
+  },
+
+  /* ---------- other forms ---------- */
+  {
+    slug: "poetry",
+    name: "Poetry",
+    parent: null,
+    synonyms: ["poems", "verse"],
+  },
+  {
+    slug: "drama",
+    name: "Drama",
+    parent: null,
+    synonyms: ["plays", "theater", "theatre"],
+  },
+  { slug: "essays", name: "Essays", parent: null, synonyms: ["essay"] },
+];
+
+// community moods: users vote for any of these on a book
+export const MOODS = [
+  "adventurous",
+  "challenging",
+  "dark",
+  "emotional",
+  "funny",
+  "hopeful",
+  "informative",
+  "inspiring",
+  "lighthearted",
+  "mysterious",
+  "reflective",
+  "relaxing",
+  "sad",
+  "tense",
+];
+
+export default { GENRES, MOODS };
@@ -0,0 +1,69 @@
+// backend/src/config/permissions.js
+// Role -> permission map for site roles (User.role) and book-club roles
+// (BookClubMember.role, plus the club owner). "*" grants everything.
+
+export const SITE_ROLES = ["user", "moderator", "admin"];
+export const CLUB_ROLES = ["member", "moderator", "admin"];
+
+export const SITE_ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    "admin:access",
+    "stats:overview",
+    "reviews:read",
+    "reviews:moderate",
+    "comments:read",
+    "comments:moderate",
+    "notes:moderate",
+    "tags:moderate",
+    "books:revisions",
+    "reports:read",
+    "reports:resolve",
+    // can step in on any club discussion
+    "club:discussions:moderate",
+  ],
+  admin: ["*"],
+};
+
+// club roles only ever grant "club:*" permissions
+export const CLUB_ROLE_PERMISSIONS = {
+  member: ["club:discussions:create"],
+  moderator: ["club:discussions:create", "club:discussions:moderate"],
+  admin: [
+    "club:discussions:create",
+    "club:discussions:moderate",
+    "club:members:manage",
+  ],
+  owner: ["club:*"],
+};
+
+/**
+ * grants(permissionList, permission) -> boolean
+ * Supports "*" and "prefix:*" wildcards.
+ */
+export function grants(permissionList = [], permission) {
+  return permissionList.some(
+    (p) =>
+      p === "*" ||
+      p === permission ||
+      (p.endsWith(":*") && permission.startsWith(p.slice(0, -1)))
+  );
+}
+
+export function siteRoleHas(role, permission) {
+  return grants(SITE_ROLE_PERMISSIONS[role] || [], permission);
+}
+
+export function clubRoleHas(role, permission) {
+  return grants(CLUB_ROLE_PERMISSIONS[role] || [], permission);
+}
+
+export default {
+  SITE_ROLES,
+  CLUB_ROLES,
+  SITE_ROLE_PERMISSIONS,
+  CLUB_ROLE_PERMISSIONS,
+  grants,
+  siteRoleHas,
+  clubRoleHas,
+};
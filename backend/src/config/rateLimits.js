@@ -0,0 +1,54 @@
+// backend/src/config/rateLimits.js
+// Per-route rate limits. Override any of them with an env var of the form
+//   RATE_LIMIT_<NAME>=<limit>/<window>   e.g. RATE_LIMIT_COMMENTS=20/5m
+// window units: s, m, h (a bare number is seconds).
+
+const DEFAULTS = {
+  api: { limit: 300, window: "1m" }, // every /api request, per ip
+  login: { limit: 10, window: "1m" },
+  signup: { limit: 5, window: "1h" },
+  password_reset: { limit: 5, window: "15m" },
+  verification_email: { limit: 3, window: "15m" },
+  comments: { limit: 10, window: "1m" },
+  reviews: { limit: 5, window: "1m" },
+  follows: { limit: 30, window: "1m" },
+  likes: { limit: 60, window: "1m" },
+  reports: { limit: 20, window: "1h" },
+  tags: { limit: 30, window: "1m" },
+  book_edits: { limit: 20, window: "1h" }, // new books and edit suggestions
+  isbn_bulk: { limit: 10, window: "1h" }, // each call may hit OpenLibrary 50x
+  semantic_search: { limit: 20, window: "1m" }, // embeds the query, scans vectors
+};
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * parseWindow("5m") -> ms, or NaN
+ */
+export function parseWindow(value) {
+  const m = /^(\d+)\s*([smh]?)$/i.exec(String(value ?? "").trim());
+  if (!m) return NaN;
+  const n = Number(m[1]);
+  if (n <= 0) return NaN;
+  return n * UNIT_MS[(m[2] || "s").toLowerCase()];
+}
+
+/**
+ * getRateLimit(name) -> { limit, windowMs }
+ */
+export function getRateLimit(name) {
+  const base = DEFAULTS[name];
+  if (!base) throw new Error(`Unknown rate limit "${name}"`);
+
+  let { limit, window } = base;
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  if (override) {
+    const [l, w] = override.split("/");
+    if (Number.isInteger(Number(l)) && Number(l) > 0) limit = Number(l);
+    if (w && !Number.isNaN(parseWindow(w))) window = w;
+  }
+
+  return { limit, windowMs: parseWindow(window) };
+}
+
+export default { getRateLimit, parseWindow };
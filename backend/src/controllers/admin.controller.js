@@ -2,6 +2,38 @@ import User from "../models/User.js";
 import Review from "../models/Review.js";
 import Reading from "../models/Reading.js";
 import Book from "../models/Book.js";
+import Comment from "../models/Comment.js";
+import mongoose from "mongoose";
+import {
+  banUser as banModerationUser,
+  unbanUser,
+  parseDuration,
+  removeContent,
+  restoreContent,
+} from "../services/moderation.service.js";
+import {
+  permissionsForRole,
+  setSiteRole,
+} from "../services/permission.service.js";
+import { SITE_ROLES } from "../config/permissions.js";
+import { recordAudit, snapshot } from "../services/audit.service.js";
+import {
+  METADATA_FIELDS,
+  missingFields,
+  refreshBook,
+  adminEditBook,
+} from "../services/bookMetadata.service.js";
+import { findDuplicateGroups } from "../services/bookDuplicates.service.js";
+import { mergeBooks } from "../services/bookMerge.service.js";
+import { recordEdit } from "../services/bookRevision.service.js";
+
+const BAN_FIELDS = [
+  "isBanned",
+  "bannedAt",
+  "bannedUntil",
+  "banReason",
+  "bannedBy",
+];
 
 /* ================= USERS ================= */
 
@@ -26,25 +58,126 @@ export async function listUsers(req, res, next) {
   }
 }
 
+/**
+ * PATCH /api/admin/users/:userId/ban
+ * body: { banned, duration?, reason? }
+ * duration: hours (number) or "30m" | "12h" | "7d" | "2w"; omit for permanent
+ */
 export async function banUser(req, res, next) {
   try {
     const { userId } = req.params;
-    const { banned } = req.body;
+    const { banned, duration, reason } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+    const before = await User.findById(userId)
+      .select(BAN_FIELDS.join(" "))
+      .lean();
+    if (!before) return res.status(404).json({ message: "User not found" });
+
+    if (!Boolean(banned)) {
+      const user = await unbanUser(userId);
+      if (!user) return res.status(404).json({ message: "User not found" });
+      await recordAudit(req, {
+        action: "user.unban",
+        targetType: "user",
+        targetId: user._id,
+        before: snapshot(before, BAN_FIELDS),
+        after: snapshot(user, BAN_FIELDS),
+        reason,
+      });
+      return res.json({ user });
+    }
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { isBanned: Boolean(banned) },
-      { new: true }
-    ).select("username isBanned");
+    if (String(userId) === String(req.user.id)) {
+      return res.status(400).json({ message: "You cannot ban yourself" });
+    }
+
+    const durationMs = parseDuration(duration);
+    if (Number.isNaN(durationMs)) {
+      return res.status(400).json({
+        message: 'duration must be hours or a value like "12h", "7d"',
+      });
+    }
+
+    const user = await banModerationUser(userId, {
+      durationMs,
+      reason: typeof reason === "string" ? reason.trim().slice(0, 500) : null,
+      actorId: req.user.id,
+    });
 
     if (!user) return res.status(404).json({ message: "User not found" });
 
+    await recordAudit(req, {
+      action: "user.ban",
+      targetType: "user",
+      targetId: user._id,
+      before: snapshot(before, BAN_FIELDS),
+      after: snapshot(user, BAN_FIELDS),
+      reason,
+    });
+
     res.json({ user });
   } catch (err) {
     next(err);
   }
 }
 
+/**
+ * PATCH /api/admin/users/:userId/role
+ * body: { role: "user" | "moderator" | "admin", reason? }
+ */
+export async function setUserRole(req, res, next) {
+  try {
+    const { userId } = req.params;
+    const { role, reason } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+    if (!SITE_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ message: `role must be one of: ${SITE_ROLES.join(", ")}` });
+    }
+    // keeps an admin from locking themselves out
+    if (String(userId) === String(req.user.id)) {
+      return res.status(400).json({ message: "You cannot change your own role" });
+    }
+
+    const result = await setSiteRole(userId, role);
+    if (!result) return res.status(404).json({ message: "User not found" });
+
+    await recordAudit(req, {
+      action: "user.role_change",
+      targetType: "user",
+      targetId: result.user._id,
+      before: { role: result.previousRole },
+      after: { role: result.user.role },
+      reason,
+    });
+
+    res.json({ user: result.user, previousRole: result.previousRole });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/permissions -> the caller's role and permissions
+ */
+export async function getMyPermissions(req, res, next) {
+  try {
+    res.json({
+      role: req.user.role,
+      permissions: permissionsForRole(req.user.role),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
 /* ================= REVIEWS ================= */
 
 export async function listReviews(req, res, next) {
@@ -73,37 +206,272 @@ export async function listReviews(req, res, next) {
   }
 }
 
-export async function softDeleteReview(req, res, next) {
+/**
+ * Shared handler for moderator delete / restore of a single item.
+ * body: { reason? }
+ */
+function moderateContent(targetType, paramName, remove) {
+  const label = targetType[0].toUpperCase() + targetType.slice(1);
+
+  return async (req, res, next) => {
+    try {
+      const targetId = req.params[paramName];
+      const result = remove
+        ? await removeContent(targetType, targetId, req.user.id)
+        : await restoreContent(targetType, targetId);
+
+      if (!result) {
+        return res.status(404).json({
+          message: remove
+            ? `${label} not found`
+            : `${label} not found or not removed by a moderator`,
+        });
+      }
+
+      if (result.changed) {
+        await recordAudit(req, {
+          action: `${targetType}.${remove ? "delete" : "restore"}`,
+          targetType,
+          targetId: result.doc._id,
+          before: result.before,
+          after: result.after,
+          reason: req.body?.reason,
+        });
+      }
+
+      res.json({ [targetType]: result.doc });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/* PATCH /api/admin/reviews/:reviewId/delete */
+export const softDeleteReview = moderateContent("review", "reviewId", true);
+
+/* PATCH /api/admin/reviews/:reviewId/restore */
+export const restoreReview = moderateContent("review", "reviewId", false);
+
+/* ================= COMMENTS ================= */
+
+export async function listComments(req, res, next) {
   try {
-    const { reviewId } = req.params;
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, parseInt(req.query.limit || "20", 10));
+    const skip = (page - 1) * limit;
 
-    const review = await Review.findByIdAndUpdate(
-      reviewId,
-      { isDeleted: true },
-      { new: true }
-    );
+    const filter = {};
+    if (req.query.removed === "true") filter.removedAt = { $ne: null };
+    if (req.query.removed === "false") filter.removedAt = null;
+    if (req.query.targetType) filter.targetType = req.query.targetType;
+    if (mongoose.isValidObjectId(req.query.targetId)) {
+      filter.targetId = req.query.targetId;
+    }
+    if (mongoose.isValidObjectId(req.query.user)) filter.user = req.query.user;
 
-    if (!review) return res.status(404).json({ message: "Review not found" });
+    const [comments, total] = await Promise.all([
+      Comment.find(filter)
+        .populate("user", "username")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Comment.countDocuments(filter),
+    ]);
 
-    res.json({ review });
+    res.json({ page, limit, total, comments });
   } catch (err) {
     next(err);
   }
 }
 
-export async function restoreReview(req, res, next) {
+/* PATCH /api/admin/comments/:commentId/delete */
+export const softDeleteComment = moderateContent("comment", "commentId", true);
+
+/* PATCH /api/admin/comments/:commentId/restore */
+export const restoreComment = moderateContent("comment", "commentId", false);
+
+/* ================= BOOKS ================= */
+
+function bookMetadataView(book) {
+  return {
+    book,
+    fieldSources: Object.fromEntries(book.fieldSources || []),
+    missing: missingFields(book),
+    metadataFetchedAt: book.metadataFetchedAt,
+    metadataCheckedAt: book.metadataCheckedAt,
+  };
+}
+
+/**
+ * GET /api/admin/books/:bookId -> book with metadata provenance
+ */
+export async function getBookMetadata(req, res, next) {
   try {
-    const { reviewId } = req.params;
+    const { bookId } = req.params;
+    if (!mongoose.isValidObjectId(bookId)) {
+      return res.status(400).json({ message: "Invalid book id" });
+    }
+    const book = await Book.findById(bookId).select("-raw -embedding");
+    if (!book) return res.status(404).json({ message: "Book not found" });
 
-    const review = await Review.findByIdAndUpdate(
-      reviewId,
-      { isDeleted: false },
-      { new: true }
-    );
+    res.json(bookMetadataView(book));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/admin/books/:bookId
+ * body: { title?, authors?, cover?, description?, unlock?: [field], reason? }
+ * Edited fields are pinned and never overwritten by provider refreshes;
+ * unlock hands fields back to the providers. Edits join the book's
+ * revision history.
+ */
+export async function editBookMetadata(req, res, next) {
+  try {
+    const { bookId } = req.params;
+    if (!mongoose.isValidObjectId(bookId)) {
+      return res.status(400).json({ message: "Invalid book id" });
+    }
+
+    const changes = {};
+    for (const f of METADATA_FIELDS) {
+      if (req.body[f] !== undefined) changes[f] = req.body[f];
+    }
+    const unlock = Array.isArray(req.body.unlock) ? req.body.unlock : [];
+
+    if (
+      changes.title !== undefined &&
+      (typeof changes.title !== "string" || !changes.title.trim())
+    ) {
+      return res.status(400).json({ message: "title must be a non-empty string" });
+    }
+    if (
+      changes.authors !== undefined &&
+      (!Array.isArray(changes.authors) ||
+        !changes.authors.every((a) => typeof a === "string"))
+    ) {
+      return res.status(400).json({ message: "authors must be a list of names" });
+    }
+    for (const f of ["cover", "description"]) {
+      if (
+        changes[f] !== undefined &&
+        changes[f] !== null &&
+        typeof changes[f] !== "string"
+      ) {
+        return res.status(400).json({ message: `${f} must be a string or null` });
+      }
+    }
 
-    if (!review) return res.status(404).json({ message: "Review not found" });
+    const result = await adminEditBook(bookId, changes, { unlock });
+    if (!result) return res.status(404).json({ message: "Book not found" });
+
+    if (result.fields.length) {
+      await recordEdit(result.book._id, {
+        actorId: req.user.id,
+        changes,
+        before: result.before,
+        beforeSources: result.beforeSources,
+        note: req.body.reason,
+      });
+      await recordAudit(req, {
+        action: "book.edit",
+        targetType: "book",
+        targetId: result.book._id,
+        before: result.before,
+        after: { ...changes, unlocked: unlock },
+        reason: req.body.reason,
+      });
+    }
+
+    res.json(bookMetadataView(result.book));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/books/:bookId/refresh -> re-fetch provider metadata now
+ */
+export async function refreshBookMetadata(req, res, next) {
+  try {
+    const { bookId } = req.params;
+    if (!mongoose.isValidObjectId(bookId)) {
+      return res.status(400).json({ message: "Invalid book id" });
+    }
+
+    const result = await refreshBook(bookId);
+    if (result.status === "missing") {
+      return res.status(404).json({ message: "Book not found" });
+    }
+
+    const book = await Book.findById(bookId).select("-raw -embedding");
+    res.json({ ...result, ...bookMetadataView(book) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/books/duplicates?limit= -> { groups }
+ * groups: [{ reasons, suggestedTargetId, books }]
+ */
+export async function listDuplicateBooks(req, res, next) {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || "50", 10)));
+    const groups = await findDuplicateGroups({ limit });
+    res.json({ groups });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/books/:bookId/merge
+ * body: { targetId, reason? }
+ * Moves everything attached to :bookId onto targetId and deletes :bookId.
+ */
+export async function mergeBook(req, res, next) {
+  try {
+    const { bookId } = req.params;
+    const { targetId } = req.body;
+    if (
+      !mongoose.isValidObjectId(bookId) ||
+      !mongoose.isValidObjectId(targetId)
+    ) {
+      return res.status(400).json({ message: "Invalid book id" });
+    }
+    if (String(bookId) === String(targetId)) {
+      return res.status(400).json({ message: "Cannot merge a book into itself" });
+    }
+
+    const source = await Book.findById(bookId).select("-raw -embedding").lean();
+    if (!source) return res.status(404).json({ message: "Book not found" });
+
+    const summary = await mergeBooks(bookId, targetId);
+    if (!summary) {
+      return res.status(404).json({ message: "Target book not found" });
+    }
+
+    await recordAudit(req, {
+      action: "book.merge",
+      targetType: "book",
+      targetId,
+      before: {
+        mergedBook: snapshot(source, [
+          "_id",
+          "externalId",
+          "title",
+          "authors",
+          "cover",
+        ]),
+      },
+      after: summary,
+      reason: req.body.reason,
+    });
 
-    res.json({ review });
+    const book = await Book.findById(targetId).select("-raw -embedding");
+    res.json({ summary, ...bookMetadataView(book) });
   } catch (err) {
     next(err);
   }
@@ -1,5 +1,6 @@
 import Reading from "../models/Reading.js";
 import mongoose from "mongoose";
+import { genreInfo } from "../services/genre.service.js";
 
 /**
  * GET /api/analytics/reading/summary
@@ -201,3 +202,48 @@ export async function getReadingHeatmap(req, res, next) {
     next(err);
   }
 }
+
+/**
+ * GET /api/analytics/genres?status=finished
+ * Books per genre across the user's readings (ancestors included, so a
+ * fantasy novel also counts toward fiction).
+ */
+export async function getGenreBreakdown(req, res, next) {
+  try {
+    const userId = req.user.id;
+    const match = { user: new mongoose.Types.ObjectId(userId) };
+    if (["to-read", "reading", "finished"].includes(req.query.status)) {
+      match.status = req.query.status;
+    }
+
+    const rows = await Reading.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: "books",
+          localField: "book",
+          foreignField: "_id",
+          as: "book",
+        },
+      },
+      { $unwind: "$book" },
+      { $unwind: "$book.genres" },
+      { $group: { _id: "$book.genres", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ]);
+
+    const genres = rows
+      .map((r) => ({ info: genreInfo(r._id), count: r.count }))
+      .filter((r) => r.info)
+      .map(({ info, count }) => ({
+        slug: info.slug,
+        name: info.name,
+        parent: info.path.length > 1 ? info.path[info.path.length - 2].slug : null,
+        count,
+      }));
+
+    res.json({ status: match.status || "all", genres });
+  } catch (err) {
+    next(err);
+  }
+}
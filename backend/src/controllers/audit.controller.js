@@ -0,0 +1,109 @@
+// backend/src/controllers/audit.controller.js
+import AuditLog from "../models/AuditLog.js";
+import { buildAuditFilter } from "../services/audit.service.js";
+import { csvRow } from "../utils/csv.js";
+
+const CSV_EXPORT_LIMIT = 50000;
+
+/* ---------- GET /api/admin/audit ---------- */
+/**
+ * query: actor, action (or "prefix."), targetType, targetId, from, to,
+ *        page, limit
+ */
+export async function listAuditLog(req, res, next) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, parseInt(req.query.limit || "50", 10));
+    const skip = (page - 1) * limit;
+
+    const filter = buildAuditFilter(req.query);
+
+    const [items, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate("actor", "username name")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ page, limit, total, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- GET /api/admin/audit/export ---------- */
+/**
+ * Same filters as the list, streamed as CSV (newest first, capped).
+ */
+export async function exportAuditLogCsv(req, res, next) {
+  try {
+    const filter = buildAuditFilter(req.query);
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="audit-log-${stamp}.csv"`
+    );
+
+    res.write(
+      csvRow([
+        "createdAt",
+        "actorId",
+        "actorUsername",
+        "actorRole",
+        "action",
+        "targetType",
+        "targetId",
+        "reason",
+        "before",
+        "after",
+        "ip",
+        "userAgent",
+        "method",
+        "path",
+      ])
+    );
+
+    const cursor = AuditLog.find(filter)
+      .populate("actor", "username")
+      .sort({ createdAt: -1 })
+      .limit(CSV_EXPORT_LIMIT)
+      .lean()
+      .cursor();
+
+    for await (const e of cursor) {
+      const r = e.request || {};
+      res.write(
+        csvRow([
+          e.createdAt,
+          e.actor?._id || e.actor,
+          e.actor?.username,
+          e.actorRole,
+          e.action,
+          e.targetType,
+          e.targetId,
+          e.reason,
+          e.before,
+          e.after,
+          r.ip,
+          r.userAgent,
+          r.method,
+          r.path,
+        ])
+      );
+    }
+
+    res.end();
+  } catch (err) {
+    // headers are gone once streaming started
+    if (res.headersSent) {
+      console.error("audit CSV export failed:", err);
+      return res.end();
+    }
+    next(err);
+  }
+}
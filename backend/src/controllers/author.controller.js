@@ -0,0 +1,86 @@
+// backend/src/controllers/author.controller.js
+import mongoose from "mongoose";
+import AuthorFollow from "../models/AuthorFollow.js";
+import {
+  authorPage,
+  followAuthor as followAuthorService,
+  unfollowAuthor as unfollowAuthorService,
+} from "../services/author.service.js";
+
+/* ---------- GET /api/authors/:authorId ---------- */
+/**
+ * Author with bibliography (paged: ?page&limit), aggregate rating,
+ * readers count and "readers also read" authors.
+ */
+export async function getAuthor(req, res, next) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || "20", 10)));
+
+    const data = await authorPage(req.params.authorId, { page, limit });
+    if (!data) return res.status(404).json({ message: "Author not found" });
+
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- POST /api/authors/:authorId/follow ---------- */
+export async function followAuthor(req, res, next) {
+  try {
+    const result = await followAuthorService(req.user.id, req.params.authorId);
+    if (!result) return res.status(404).json({ message: "Author not found" });
+
+    if (!result.created) {
+      return res.status(200).json({ message: "Already following" });
+    }
+    res.status(201).json({ message: "Followed", author: result.author._id });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- DELETE /api/authors/:authorId/follow ---------- */
+export async function unfollowAuthor(req, res, next) {
+  try {
+    const removed = await unfollowAuthorService(req.user.id, req.params.authorId);
+    if (!removed) {
+      return res.status(404).json({ message: "Not following this author" });
+    }
+    res.json({ message: "Unfollowed" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- GET /api/authors/:authorId/follow ---------- */
+export async function checkAuthorFollow(req, res, next) {
+  try {
+    const { authorId } = req.params;
+    if (!mongoose.isValidObjectId(authorId)) {
+      return res.status(400).json({ message: "Invalid author id" });
+    }
+    const isFollowing = await AuthorFollow.exists({
+      user: req.user.id,
+      author: authorId,
+    });
+    res.json({ author: authorId, isFollowing: Boolean(isFollowing) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- GET /api/authors/following ---------- */
+export async function listFollowedAuthors(req, res, next) {
+  try {
+    const follows = await AuthorFollow.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .populate("author", "name photo booksCount followersCount");
+
+    const authors = follows.filter((f) => f.author).map((f) => f.author);
+    res.json({ count: authors.length, authors });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -1,180 +1,263 @@
 // backend/src/controllers/book.controller.js
-import axios from "axios";
+import mongoose from "mongoose";
 import Book from "../models/Book.js";
+import Edition from "../models/Edition.js";
+import Reading from "../models/Reading.js";
+import Shelf from "../models/Shelf.js";
+import ShelfItem from "../models/ShelfItem.js";
+import {
+  normalizeExternalId,
+  findBook,
+  resolveBook,
+  resolveIsbn,
+} from "../services/catalog.service.js";
+import { seriesForBook } from "../services/series.service.js";
+import { bookDetail, syncBookStats } from "../services/bookStats.service.js";
+import { parseIsbn, cleanIsbn } from "../utils/isbn.js";
 
+export const MAX_BULK_ISBNS = 50;
+
+/* ---------- GET /api/books/:externalId ---------- */
 /**
- * Normalize externalId formats:
- * Accepts "/works/OL82563W", "OL82563W", "/books/OLID:OL123M", "OLID:OL123M" etc.
- * For now we support /works/... and OL works id (OLxxxxxW).
+ * Returns a Book (the work) from DB. If not present, tries to fetch from
+ * OpenLibrary and store it. Edition ids also return the matching edition;
+ * series lists the series the book belongs to ("Book 3 of 7").
+ * Accepts param externalId in forms:
+ *  - /works/OL82563W
+ *  - OL82563W
+ *  - /books/OL123M
  */
-function normalizeExternalId(externalId) {
-  if (!externalId) return null;
-  externalId = externalId.trim();
-  // if already starts with /works/ or /books/ or /works or /books
-  if (externalId.startsWith("/")) return externalId;
-  // if plain OL id like OL82563W
-  if (/^OL.*W$/.test(externalId) || /^OL.*M$/.test(externalId)) {
-    // treat W-type as works path
-    if (externalId.endsWith("W")) return `/works/${externalId}`;
-    return `/books/${externalId}`;
+export async function getBook(req, res, next) {
+  try {
+    const rawId = req.params.externalId;
+    if (!rawId)
+      return res.status(400).json({ message: "externalId required in path" });
+
+    const normalized = normalizeExternalId(rawId);
+
+    // try DB first (edition ids resolve to their work)
+    const found = await findBook(normalized);
+    if (found) {
+      return res.json({
+        book: found.book,
+        edition: found.edition,
+        series: await seriesForBook(found.book._id),
+      });
+    }
+
+    // try fetching from OpenLibrary and store it
+    const fetched = await resolveBook(
+      { externalId: normalized },
+      { requireRemote: true }
+    );
+    if (!fetched) {
+      return res.status(404).json({
+        message: "Requested book does not exist",
+        code: "BOOK_NOT_FOUND",
+      });
+    }
+
+    return res.status(201).json({
+      book: fetched.book,
+      edition: fetched.edition,
+      series: await seriesForBook(fetched.book._id),
+      fetched: true,
+    });
+  } catch (err) {
+    next(err);
   }
-  // fallback: return as-is
-  return externalId;
 }
 
+/* ---------- GET /api/books/:externalId/detail ---------- */
 /**
- * Fetch book metadata from OpenLibrary for a given externalId
- * externalId should be like "/works/OL82563W" or "/works/OL82563W.json"
+ * Everything a book page needs in one call: the book (fetched like
+ * getBook when missing), its series, rating / reading stats, top reviews
+ * and, for a signed-in caller, their own reading status, review, shelves
+ * and notes (`me`, null otherwise).
  */
-async function fetchFromOpenLibrary(externalId) {
+export async function getBookDetail(req, res, next) {
   try {
-    if (!externalId) return null;
-    const id = externalId.replace(/^\/+/, ""); // remove leading slash
-    // prefer works endpoint if it contains "works"
-    let url;
-    if (id.startsWith("works/")) {
-      url = `https://openlibrary.org/${id}.json`;
-      const r = await axios.get(url);
-      const data = r.data;
-
-      // Try to get a cover (works often reference covers or editions)
-      let cover = null;
-      if (data.covers && data.covers.length) {
-        cover = `https://covers.openlibrary.org/b/id/${data.covers[0]}-L.jpg`;
-      }
+    const normalized = normalizeExternalId(req.params.externalId);
+    const found =
+      (await findBook(normalized)) ||
+      (await resolveBook({ externalId: normalized }, { requireRemote: true }));
+    if (!found) {
+      return res.status(404).json({
+        message: "Requested book does not exist",
+        code: "BOOK_NOT_FOUND",
+      });
+    }
 
-      const title = data.title || null;
-      const authors = (data.authors || [])
-        .map((a) => a.name || null)
-        .filter(Boolean);
-
-      // If authors are references, try fetching names (best-effort)
-      if (data.authors && data.authors.length && authors.length === 0) {
-        // fetch author names if author keys are present
-        const authorFetches = data.authors.map((a) => {
-          const key = a.author ? a.author.key : a.key;
-          if (!key) return null;
-          return axios
-            .get(`https://openlibrary.org${key}.json`)
-            .then((r) => r.data.name)
-            .catch(() => null);
-        });
-        const authorNames = await Promise.all(authorFetches);
-        // filter nulls
-        for (const n of authorNames) if (n) authors.push(n);
-      }
+    const book = found.book.toObject ? found.book.toObject() : found.book;
+    const [series, detail] = await Promise.all([
+      seriesForBook(book._id),
+      bookDetail(book, req.user?.id),
+    ]);
 
-      const description =
-        (typeof data.description === "string" && data.description) ||
-        (data.description && data.description.value) ||
-        null;
-
-      const subjects = data.subjects || [];
-
-      return {
-        externalId: `/${id}`,
-        title,
-        authors,
-        cover,
-        source: "openlibrary",
-        raw: { openlibrary: data, subjects },
-        description,
-      };
-    } else if (id.startsWith("books/") || id.startsWith("OL")) {
-      // try books (editions) endpoint
-      url = `https://openlibrary.org/${id}.json`;
-      const r = await axios.get(url);
-      const data = r.data;
-
-      const title = data.title || data.full_title || null;
-      const authors =
-        (data.authors || [])
-          .map((a) => (a.name ? a.name : a.author?.key || null))
-          .filter(Boolean) || [];
-
-      let cover = null;
-      if (data.covers && data.covers.length)
-        cover = `https://covers.openlibrary.org/b/id/${data.covers[0]}-L.jpg`;
-
-      const description =
-        (typeof data.description === "string" && data.description) ||
-        (data.description && data.description.value) ||
-        null;
-
-      return {
-        externalId: `/${id}`,
-        title,
-        authors,
-        cover,
-        source: "openlibrary",
-        raw: { openlibrary: data },
-        description,
-      };
-    } else {
-      return null;
-    }
+    res.json({ book, edition: found.edition, series, ...detail });
   } catch (err) {
-    // don't throw — caller will handle null
-    return null;
+    next(err);
   }
 }
 
+/* ---------- GET /api/books/isbn/:isbn ---------- */
 /**
- * Helper: find a Book by externalId in DB or create it using payload
+ * Accepts ISBN-10 or ISBN-13, with or without hyphens. Local editions are
+ * checked first, then OpenLibrary (the result is stored).
  */
-async function findOrCreateBook(payload) {
-  const { externalId, title, authors, cover, source, raw, description } =
-    payload;
-  const normalized = normalizeExternalId(externalId);
-  let book = await Book.findOne({ externalId: normalized });
-  if (!book) {
-    book = await Book.create({
-      externalId: normalized,
-      title,
-      authors,
-      cover,
-      source,
-      raw,
-      description,
+export async function getBookByIsbn(req, res, next) {
+  try {
+    const result = await resolveIsbn(req.params.isbn);
+    if (!result.book) {
+      return res.status(404).json({
+        message: "No book found for this ISBN",
+        code: "BOOK_NOT_FOUND",
+        isbn: result.isbn,
+      });
+    }
+
+    res.json({
+      isbn: result.isbn,
+      book: result.book,
+      edition: result.edition,
+      source: result.source,
+    });
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res
+        .status(err.status)
+        .json({ message: err.message, code: err.code });
+    }
+    next(err);
+  }
+}
+
+// one entry per work; an existing entry is left as it is
+async function addIsbnToReading(userId, { book, edition }, status) {
+  const existing = await Reading.findOne({ user: userId, book: book._id });
+  if (existing) return { status: "exists", readingId: existing._id };
+
+  try {
+    const reading = await Reading.create({
+      user: userId,
+      book: book._id,
+      edition: edition ? edition._id : null,
+      status,
+      progress: status === "finished" ? 100 : 0,
+      finishedAt: status === "finished" ? new Date() : undefined,
     });
+    await syncBookStats(book._id);
+    return { status: "added", readingId: reading._id };
+  } catch (err) {
+    if (err && err.code === 11000) return { status: "exists" };
+    throw err;
   }
-  return book;
 }
 
-/* ---------- GET /api/books/:externalId ---------- */
+async function addIsbnToShelf(shelf, { book }) {
+  const existing = await ShelfItem.findOne({ shelf: shelf._id, book: book._id });
+  if (existing) return { status: "exists", itemId: existing._id };
+
+  try {
+    const item = await ShelfItem.create({
+      shelf: shelf._id,
+      book: book._id,
+      externalId: book.externalId,
+    });
+    return { status: "added", itemId: item._id };
+  } catch (err) {
+    if (err && err.code === 11000) return { status: "exists" };
+    throw err;
+  }
+}
+
+/* ---------- POST /api/books/isbn/bulk ---------- */
 /**
- * Returns a Book from DB. If not present, tries to fetch from OpenLibrary and store it.
- * Accepts param externalId in forms:
- *  - /works/OL82563W
- *  - OL82563W
- *  - /books/OL123M
+ * body: {
+ *   isbns: [string] (max 50),
+ *   addTo?: "reading" | "shelf",
+ *   shelfId?: required for "shelf",
+ *   status?: reading status for "reading" (default "to-read")
+ * }
+ * -> { results: [{ input, isbn, status, book, edition, ... }], summary }
+ * status: found | added | exists | invalid | not_found
  */
-export async function getBook(req, res, next) {
+export async function bulkIsbn(req, res, next) {
   try {
-    const rawId = req.params.externalId;
-    if (!rawId)
-      return res.status(400).json({ message: "externalId required in path" });
+    const { isbns, addTo, shelfId, status = "to-read" } = req.body;
 
-    const normalized = normalizeExternalId(rawId);
+    let shelf = null;
+    if (addTo === "shelf") {
+      shelf = mongoose.isValidObjectId(shelfId)
+        ? await Shelf.findById(shelfId)
+        : null;
+      if (!shelf) return res.status(404).json({ message: "Shelf not found" });
+      if (String(shelf.user) !== String(req.user.id))
+        return res.status(403).json({ message: "Not allowed" });
+    }
+
+    const results = [];
+    const seen = new Map(); // isbn13 -> result, for repeated scans
+
+    for (const input of isbns) {
+      const isbn = parseIsbn(input);
+      if (!isbn) {
+        results.push({ input, isbn: cleanIsbn(input), status: "invalid" });
+        continue;
+      }
+      if (seen.has(isbn.isbn13)) {
+        results.push({ ...seen.get(isbn.isbn13), input });
+        continue;
+      }
 
-    // try DB first
-    let book = await Book.findOne({ externalId: normalized });
-    if (book) {
-      return res.json({ book });
+      const found = await resolveIsbn(isbn.isbn13);
+      let result;
+      if (!found.book) {
+        result = { input, isbn, status: "not_found" };
+      } else {
+        result = {
+          input,
+          isbn,
+          status: "found",
+          book: found.book,
+          edition: found.edition,
+        };
+        if (addTo === "reading") {
+          Object.assign(result, await addIsbnToReading(req.user.id, found, status));
+        } else if (shelf) {
+          Object.assign(result, await addIsbnToShelf(shelf, found));
+        }
+      }
+
+      seen.set(isbn.isbn13, result);
+      results.push(result);
     }
 
-    // try fetching from OpenLibrary
-    const fetched = await fetchFromOpenLibrary(normalized);
-    if (!fetched) {
-      return res.status(404).json({
-        message: "Requested book does not exist",
-        code: "BOOK_NOT_FOUND",
-      });
+    const summary = {};
+    for (const r of results) summary[r.status] = (summary[r.status] || 0) + 1;
+
+    res.json({ results, summary });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- GET /api/books/:bookId/editions ---------- */
+export async function listEditions(req, res, next) {
+  try {
+    const { bookId } = req.params;
+    if (!mongoose.isValidObjectId(bookId)) {
+      return res.status(400).json({ message: "Invalid book id" });
     }
 
-    // save and return
-    book = await findOrCreateBook(fetched);
-    return res.status(201).json({ book, fetched: true });
+    const book = await Book.findById(bookId).select("_id");
+    if (!book) return res.status(404).json({ message: "Book not found" });
+
+    const editions = await Edition.find({ work: book._id })
+      .select("-raw")
+      .sort({ publishedDate: -1, createdAt: 1 });
+
+    res.json({ editions });
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,169 @@
+// backend/src/controllers/bookRevision.controller.js
+import {
+  addUserBook,
+  suggestEdit,
+  bookHistory,
+  revisionQueue,
+  approveRevision,
+  rejectRevision,
+  rollbackBook,
+} from "../services/bookRevision.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { REVISION_STATUSES } from "../models/BookRevision.js";
+
+function sendClientError(res, err) {
+  const body = { message: err.message };
+  if (err.code) body.code = err.code;
+  if (err.book) body.book = err.book;
+  if (err.conflicts) body.conflicts = err.conflicts;
+  return res.status(err.status).json(body);
+}
+
+function paging(query) {
+  const page = Math.max(1, parseInt(query.page || "1", 10));
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit || "20", 10)));
+  return { page, limit };
+}
+
+/* ---------- POST /api/books ---------- */
+/**
+ * body: { title, authors?, cover?, description?, isbn? }
+ * Adds a book no provider knows (source "user"). 409 with the existing
+ * book when it is already in the catalog.
+ */
+export async function addBook(req, res, next) {
+  try {
+    const { book, revision } = await addUserBook(req.user.id, req.body);
+    res.status(201).json({ book, revision });
+  } catch (err) {
+    if (err.status && err.status < 500) return sendClientError(res, err);
+    next(err);
+  }
+}
+
+/* ---------- POST /api/books/:bookId/revisions ---------- */
+/**
+ * body: { changes: { title?, authors?, cover?, description? }, comment? }
+ * The suggestion waits for review (GET /api/admin/revisions).
+ */
+export async function suggestBookEdit(req, res, next) {
+  try {
+    const revision = await suggestEdit(req.user.id, req.params.bookId, {
+      changes: req.body.changes,
+      comment: req.body.comment,
+    });
+    res.status(201).json({ revision });
+  } catch (err) {
+    if (err.status && err.status < 500) return sendClientError(res, err);
+    next(err);
+  }
+}
+
+/* ---------- GET /api/books/:bookId/revisions?status&page&limit ---------- */
+export async function listBookRevisions(req, res, next) {
+  try {
+    const status = REVISION_STATUSES.includes(req.query.status)
+      ? req.query.status
+      : "approved";
+    res.json(
+      await bookHistory(req.params.bookId, { ...paging(req.query), status })
+    );
+  } catch (err) {
+    if (err.status && err.status < 500) return sendClientError(res, err);
+    next(err);
+  }
+}
+
+/* ================= ADMIN ================= */
+
+/* GET /api/admin/revisions?status=pending&page&limit  (oldest first) */
+export async function listRevisionQueue(req, res, next) {
+  try {
+    const status = REVISION_STATUSES.includes(req.query.status)
+      ? req.query.status
+      : "pending";
+    res.json(await revisionQueue({ ...paging(req.query), status }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/revisions/:revisionId/approve  { reason?, force? }
+ * 409 with `conflicts` when the book changed since the suggestion was
+ * made; force applies it anyway.
+ */
+export async function approveBookRevision(req, res, next) {
+  try {
+    const { revision, book } = await approveRevision(
+      req.params.revisionId,
+      req.user.id,
+      { note: req.body?.reason || null, force: Boolean(req.body?.force) }
+    );
+
+    await recordAudit(req, {
+      action: "book.revision.approve",
+      targetType: "book",
+      targetId: book._id,
+      before: revision.before,
+      after: revision.changes,
+      reason: req.body?.reason,
+    });
+
+    res.json({ revision, book });
+  } catch (err) {
+    if (err.status && err.status < 500) return sendClientError(res, err);
+    next(err);
+  }
+}
+
+/* POST /api/admin/revisions/:revisionId/reject  { reason? } */
+export async function rejectBookRevision(req, res, next) {
+  try {
+    const revision = await rejectRevision(req.params.revisionId, req.user.id, {
+      note: req.body?.reason || null,
+    });
+
+    await recordAudit(req, {
+      action: "book.revision.reject",
+      targetType: "book",
+      targetId: revision.book,
+      after: { revision: revision._id, changes: revision.changes },
+      reason: req.body?.reason,
+    });
+
+    res.json({ revision });
+  } catch (err) {
+    if (err.status && err.status < 500) return sendClientError(res, err);
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/books/:bookId/rollback  { revisionId, reason? }
+ * Restores the metadata as it was before revisionId was applied.
+ */
+export async function rollbackBookMetadata(req, res, next) {
+  try {
+    const { revision, book } = await rollbackBook(
+      req.params.bookId,
+      req.body?.revisionId,
+      req.user.id,
+      { note: req.body?.reason || null }
+    );
+
+    await recordAudit(req, {
+      action: "book.rollback",
+      targetType: "book",
+      targetId: book._id,
+      before: revision.before,
+      after: { ...revision.changes, rollbackOf: revision.rollbackOf },
+      reason: req.body?.reason,
+    });
+
+    res.json({ revision, book });
+  } catch (err) {
+    if (err.status && err.status < 500) return sendClientError(res, err);
+    next(err);
+  }
+}
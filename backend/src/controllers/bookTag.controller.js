@@ -0,0 +1,79 @@
+// backend/src/controllers/bookTag.controller.js
+import {
+  bookTags,
+  voteTag,
+  unvoteTag,
+  removeTag,
+} from "../services/bookTag.service.js";
+import { recordAudit } from "../services/audit.service.js";
+
+/* ---------- GET /api/books/:bookId/tags ---------- */
+/**
+ * Genres, community tags and moods of a book, with the caller's votes
+ * when signed in.
+ */
+export async function getBookTags(req, res, next) {
+  try {
+    const data = await bookTags(req.params.bookId, req.user?.id);
+    if (!data) return res.status(404).json({ message: "Book not found" });
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- POST /api/books/:bookId/tags ---------- */
+/**
+ * body: { kind: "tag" | "mood", label }
+ * Adds the caller's vote (creating the tag if needed).
+ */
+export async function addBookTag(req, res, next) {
+  try {
+    const { kind = "tag", label } = req.body;
+    const { tag, created } = await voteTag(req.user.id, req.params.bookId, {
+      kind,
+      label,
+    });
+    res.status(created ? 201 : 200).json({ tag, created });
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    next(err);
+  }
+}
+
+/* ---------- DELETE /api/books/:bookId/tags/:kind/:slug ---------- */
+export async function removeBookTagVote(req, res, next) {
+  try {
+    const { bookId, kind, slug } = req.params;
+    const removed = await unvoteTag(req.user.id, bookId, kind, slug);
+    if (!removed) return res.status(404).json({ message: "Vote not found" });
+    res.json({ message: "Vote removed" });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ================= ADMIN ================= */
+
+/* DELETE /api/admin/books/:bookId/tags/:kind/:slug  { reason? } */
+export async function deleteBookTag(req, res, next) {
+  try {
+    const { bookId, kind, slug } = req.params;
+    const tag = await removeTag(bookId, kind, slug);
+    if (!tag) return res.status(404).json({ message: "Tag not found" });
+
+    await recordAudit(req, {
+      action: "book.tag.remove",
+      targetType: "book",
+      targetId: tag.book,
+      before: { kind: tag.kind, slug: tag.slug, votes: tag.votesCount },
+      reason: req.body?.reason,
+    });
+
+    res.json({ message: "Tag removed" });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -1,6 +1,10 @@
 import mongoose from "mongoose";
-import BookClub from "../models/BookClub.js";
+import BookClub, { PUBLIC_CLUB_FILTER } from "../models/BookClub.js";
 import BookClubMember from "../models/BookClubMember.js";
+import { can } from "../services/permission.service.js";
+import { CLUB_ROLES } from "../config/permissions.js";
+import { recordAudit } from "../services/audit.service.js";
+import { nameTokens } from "../utils/names.js";
 
 /* =========================
    CREATE CLUB
@@ -17,6 +21,7 @@ export async function createClub(req, res, next) {
 
     const club = await BookClub.create({
       name: name.trim(),
+      nameTokens: nameTokens(name),
       description: description || "",
       isPublic,
       book: book || null,
@@ -49,7 +54,7 @@ export async function listPublicClubs(req, res, next) {
     const limit = Math.min(50, parseInt(req.query.limit || "20", 10));
     const skip = (page - 1) * limit;
 
-    const filter = { isPublic: true };
+    const filter = PUBLIC_CLUB_FILTER;
 
     const [clubs, total] = await Promise.all([
       BookClub.find(filter)
@@ -263,3 +268,110 @@ export async function leaveBookClub(req, res, next) {
     next(err);
   }
 }
+
+/* =========================
+   SET MEMBER ROLE
+   PATCH /api/bookclubs/:clubId/members/:userId/role
+   body: { role: "member" | "moderator" | "admin" }
+   ========================= */
+export async function setClubMemberRole(req, res, next) {
+  try {
+    const { clubId, userId } = req.params;
+    const { role } = req.body;
+
+    if (!CLUB_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ message: `role must be one of: ${CLUB_ROLES.join(", ")}` });
+    }
+
+    const club = await BookClub.findById(clubId).select("owner").lean();
+    if (!club) return res.status(404).json({ message: "Club not found" });
+    if (String(club.owner) === String(userId)) {
+      return res.status(400).json({ message: "The owner's role cannot change" });
+    }
+
+    const membership = await BookClubMember.findOne({ club: clubId, user: userId });
+    if (!membership) {
+      return res.status(404).json({ message: "Not a member of this club" });
+    }
+
+    // granting or revoking club admin is reserved for the owner (and site admins)
+    if (role === "admin" || membership.role === "admin") {
+      const { allowed } = await can(req.user.id, "club:admins:manage", {
+        clubId,
+      });
+      if (!allowed) {
+        return res
+          .status(403)
+          .json({ message: "Only the club owner can manage club admins" });
+      }
+    }
+
+    const previousRole = membership.role;
+    membership.role = role;
+    await membership.save();
+
+    await recordAudit(req, {
+      action: "club.member_role_change",
+      targetType: "bookclub_member",
+      targetId: membership._id,
+      before: { club: clubId, user: userId, role: previousRole },
+      after: { club: clubId, user: userId, role },
+      reason: req.body.reason,
+    });
+
+    res.json({ member: membership });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* =========================
+   REMOVE MEMBER
+   DELETE /api/bookclubs/:clubId/members/:userId
+   ========================= */
+export async function removeClubMember(req, res, next) {
+  try {
+    const { clubId, userId } = req.params;
+
+    const club = await BookClub.findById(clubId).select("owner").lean();
+    if (!club) return res.status(404).json({ message: "Club not found" });
+    if (String(club.owner) === String(userId)) {
+      return res.status(400).json({ message: "The owner cannot be removed" });
+    }
+
+    const membership = await BookClubMember.findOne({ club: clubId, user: userId });
+    if (!membership) {
+      return res.status(404).json({ message: "Not a member of this club" });
+    }
+
+    if (membership.role === "admin") {
+      const { allowed } = await can(req.user.id, "club:admins:manage", {
+        clubId,
+      });
+      if (!allowed) {
+        return res
+          .status(403)
+          .json({ message: "Only the club owner can remove club admins" });
+      }
+    }
+
+    await membership.deleteOne();
+    await recordAudit(req, {
+      action: "club.member_remove",
+      targetType: "bookclub_member",
+      targetId: membership._id,
+      before: { club: clubId, user: userId, role: membership.role },
+      after: null,
+      reason: req.body?.reason,
+    });
+
+    const membersCount = await BookClubMember.countDocuments({ club: clubId });
+    await BookClub.updateOne({ _id: clubId }, { membersCount });
+
+    res.json({ message: "Member removed" });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -2,6 +2,8 @@ import mongoose from "mongoose";
 import BookClub from "../models/BookClub.js";
 import BookClubMember from "../models/BookClubMember.js";
 import BookClubDiscussion from "../models/BookClubDiscussion.js";
+import { can } from "../services/permission.service.js";
+import { recordAudit } from "../services/audit.service.js";
 
 /* ===============================
    Helpers
@@ -35,8 +37,11 @@ export async function createDiscussion(req, res, next) {
       return res.status(404).json({ message: "Book club not found" });
     }
 
-    const isMember = await ensureMember(userId, clubId);
-    if (!isMember) {
+    // any club role may post, and so may site admins
+    const { allowed } = await can(userId, "club:discussions:create", {
+      clubId,
+    });
+    if (!allowed) {
       return res
         .status(403)
         .json({ message: "Join the club to post discussions" });
@@ -125,3 +130,57 @@ export async function getDiscussion(req, res, next) {
     next(err);
   }
 }
+
+/* ===============================
+   DELETE DISCUSSION (soft)
+   DELETE /api/discussions/:id
+   Author, club moderators/admins/owner and site moderators
+================================ */
+
+export async function deleteDiscussion(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid discussion id" });
+    }
+
+    const discussion = await BookClubDiscussion.findById(id);
+    if (!discussion || discussion.isDeleted) {
+      return res.status(404).json({ message: "Discussion not found" });
+    }
+
+    const byAuthor = String(discussion.author) === String(req.user.id);
+    if (!byAuthor) {
+      const { allowed, siteRole, clubRole } = await can(
+        req.user.id,
+        "club:discussions:moderate",
+        { clubId: discussion.club }
+      );
+      if (!allowed) {
+        return res.status(403).json({ message: "Not allowed" });
+      }
+      req.user.role = siteRole;
+      if (clubRole) req.user.clubRole = clubRole;
+    }
+
+    discussion.isDeleted = true;
+    await discussion.save();
+
+    // moderator removals are audited; authors deleting their own are not
+    if (!byAuthor) {
+      await recordAudit(req, {
+        action: "discussion.delete",
+        targetType: "discussion",
+        targetId: discussion._id,
+        before: { club: discussion.club, isDeleted: false },
+        after: { club: discussion.club, isDeleted: true },
+        reason: req.body?.reason,
+      });
+    }
+
+    res.json({ message: "Discussion deleted" });
+  } catch (err) {
+    next(err);
+  }
+}
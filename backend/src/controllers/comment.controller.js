@@ -3,6 +3,7 @@ import mongoose from "mongoose";
 import Comment from "../models/Comment.js";
 import User from "../models/User.js";
 import Book from "../models/Book.js";
+import { findBook } from "../services/catalog.service.js";
 import Review from "../models/Review.js";
 import Note from "../models/Note.js";
 import { logActivity } from "../utils/activityLogger.js";
@@ -15,7 +16,7 @@ async function targetExists(targetType, targetId) {
     if (mongoose.isValidObjectId(targetId)) {
       return Boolean(await Book.exists({ _id: targetId }));
     } else {
-      return Boolean(await Book.exists({ externalId: targetId }));
+      return Boolean(await findBook(targetId));
     }
   }
   if (targetType === "review") {
@@ -46,10 +47,10 @@ export async function addComment(req, res, next) {
 
     // Resolve book externalId -> _id if necessary
     if (targetType === "book" && !mongoose.isValidObjectId(targetId)) {
-      const b =
-        (await Book.findOne({ externalId: targetId })) ||
-        (externalId ? await Book.findOne({ externalId }) : null);
-      if (b) targetId = b._id;
+      const found =
+        (await findBook(targetId)) ||
+        (externalId ? await findBook(externalId) : null);
+      if (found) targetId = found.book._id;
     }
 
     // validate target exists
@@ -150,13 +151,19 @@ export async function getCommentsByTarget(req, res, next) {
 
     // Normalize book targetId if it's an externalId (e.g. "/works/OL82563W")
     if (targetType === "book" && !mongoose.isValidObjectId(targetId)) {
-      const b = await Book.findOne({ externalId: targetId });
-      if (b) targetId = b._id;
+      const found = await findBook(targetId);
+      if (found) targetId = found.book._id;
       else return res.json({ page, limit, total: 0, comments: [] });
     }
 
     const [comments, total] = await Promise.all([
-      Comment.find({ targetType, targetId, parent: null, deleted: false })
+      Comment.find({
+        targetType,
+        targetId,
+        parent: null,
+        deleted: false,
+        suspended: { $ne: true },
+      })
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
@@ -166,13 +173,18 @@ export async function getCommentsByTarget(req, res, next) {
         targetId,
         parent: null,
         deleted: false,
+        suspended: { $ne: true },
       }),
     ]);
 
     // fetch replies for these comments
     const ids = comments.map((c) => c._id);
     const replies = ids.length
-      ? await Comment.find({ parent: { $in: ids }, deleted: false })
+      ? await Comment.find({
+          parent: { $in: ids },
+          deleted: false,
+          suspended: { $ne: true },
+        })
           .sort({ createdAt: 1 })
           .populate("user", "name username avatarUrl")
       : [];
@@ -1,43 +1,9 @@
 // backend/src/controllers/favorite.controller.js
 import Favorite from "../models/Favorite.js";
-import Book from "../models/Book.js";
-
-/* normalize externalId */
-function normalizeExternalId(externalId) {
-  if (!externalId) return null;
-  externalId = String(externalId).trim();
-  if (externalId.startsWith("/")) return externalId;
-  if (/^OL.*W$/.test(externalId)) return `/works/${externalId}`;
-  if (/^OL.*M$/.test(externalId)) return `/books/${externalId}`;
-  if (externalId.startsWith("works/") || externalId.startsWith("books/"))
-    return `/${externalId}`;
-  return externalId;
-}
-
-/* create minimal Book if missing */
-async function findOrCreateBook({
-  externalId,
-  title,
-  authors = [],
-  cover = null,
-  source = "openlibrary",
-  raw = {},
-}) {
-  const normalized = normalizeExternalId(externalId);
-  if (!normalized) throw new Error("externalId required");
-  let book = await Book.findOne({ externalId: normalized });
-  if (!book) {
-    book = await Book.create({
-      externalId: normalized,
-      title: title || "Untitled",
-      authors,
-      cover,
-      source,
-      raw,
-    });
-  }
-  return book;
-}
+import {
+  findBook,
+  resolveBook,
+} from "../services/catalog.service.js";
 
 /* POST /api/favorites/add */
 export async function addFavorite(req, res, next) {
@@ -47,7 +13,10 @@ export async function addFavorite(req, res, next) {
     if (!externalId)
       return res.status(400).json({ message: "externalId required" });
 
-    const book = await findOrCreateBook({ externalId, title, authors, cover });
+    const resolved = await resolveBook({ externalId, title, authors, cover });
+    if (!resolved)
+      return res.status(400).json({ message: "externalId required" });
+    const { book } = resolved;
 
     // check existing
     const existing = await Favorite.findOne({ user: userId, book: book._id });
@@ -65,10 +34,13 @@ export async function addFavorite(req, res, next) {
   } catch (err) {
     // handle duplicate key race
     if (err && err.code === 11000) {
-      const existing = await Favorite.findOne({
-        user: req.user.id,
-        externalId: normalizeExternalId(req.body.externalId),
-      }).populate("book");
+      const found = await findBook(req.body.externalId);
+      const existing = found
+        ? await Favorite.findOne({
+            user: req.user.id,
+            book: found.book._id,
+          }).populate("book")
+        : null;
       return res.status(200).json({ favorite: existing });
     }
     next(err);
@@ -121,13 +93,12 @@ export async function checkFavorite(req, res, next) {
     if (!externalId)
       return res.status(400).json({ message: "externalId required" });
 
-    const normalized = normalizeExternalId(externalId);
-    const book = await Book.findOne({ externalId: normalized });
-    if (!book) return res.json({ inFavorites: false });
+    const found = await findBook(externalId);
+    if (!found) return res.json({ inFavorites: false });
 
     const fav = await Favorite.findOne({
       user: userId,
-      book: book._id,
+      book: found.book._id,
     }).populate("book");
     return res.json({ inFavorites: Boolean(fav), favorite: fav });
   } catch (err) {
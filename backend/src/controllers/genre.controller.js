@@ -0,0 +1,51 @@
+// backend/src/controllers/genre.controller.js
+import Book from "../models/Book.js";
+import { MOODS } from "../config/genres.js";
+import {
+  genreTree,
+  genreInfo,
+  resolveGenre,
+} from "../services/genre.service.js";
+
+/* ---------- GET /api/genres ---------- */
+/**
+ * The genre taxonomy as a tree, plus the moods users can vote for.
+ */
+export async function listGenres(req, res, next) {
+  try {
+    res.json({ genres: genreTree(), moods: MOODS });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- GET /api/genres/:genre ---------- */
+/**
+ * Genre (slug, name or synonym) with its path, sub-genres and books.
+ * Query params: page (default 1), limit (default 20)
+ */
+export async function getGenre(req, res, next) {
+  try {
+    const slug = resolveGenre(req.params.genre);
+    const genre = slug && genreInfo(slug);
+    if (!genre) return res.status(404).json({ message: "Genre not found" });
+
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, parseInt(req.query.limit || "20", 10));
+    const skip = (page - 1) * limit;
+
+    const [items, total] = await Promise.all([
+      Book.find({ genres: slug })
+        .select("externalId title authors cover genres")
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Book.countDocuments({ genres: slug }),
+    ]);
+
+    res.json({ genre, books: { page, limit, total, items } });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -4,6 +4,7 @@ import ShelfItem from "../models/ShelfItem.js";
 import Note from "../models/Note.js";
 import Review from "../models/Review.js";
 import mongoose from "mongoose";
+import { syncBookStats } from "../services/bookStats.service.js";
 
 export async function importAll(req, res, next) {
   try {
@@ -59,6 +60,9 @@ export async function importAll(req, res, next) {
       }
     }
 
+    // books whose rating / reading stats change
+    const touched = [];
+
     /* ---------- Reading ---------- */
     for (const r of reading) {
       const exists = await Reading.findOne({
@@ -71,6 +75,7 @@ export async function importAll(req, res, next) {
           ...r,
           user: userId,
         });
+        touched.push(r.book);
       }
     }
 
@@ -102,9 +107,12 @@ export async function importAll(req, res, next) {
           ...r,
           user: userId,
         });
+        touched.push(r.book);
       }
     }
 
+    await syncBookStats(touched);
+
     res.json({ success: true });
   } catch (err) {
     next(err);
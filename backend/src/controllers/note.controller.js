@@ -1,44 +1,10 @@
 // backend/src/controllers/note.controller.js
 import Note from "../models/Note.js";
-import Book from "../models/Book.js";
-
-/* Normalize externalId */
-function normalizeExternalId(externalId) {
-  if (!externalId) return null;
-  externalId = externalId.trim();
-
-  if (externalId.startsWith("/")) return externalId;
-  if (/^OL.*W$/.test(externalId)) return `/works/${externalId}`;
-  if (/^OL.*M$/.test(externalId)) return `/books/${externalId}`;
-
-  if (externalId.startsWith("works/") || externalId.startsWith("books/"))
-    return `/${externalId}`;
-
-  return externalId;
-}
-
-/* Ensure Book exists */
-async function findOrCreateBook({
-  externalId,
-  title,
-  authors = [],
-  cover = null,
-}) {
-  const normalized = normalizeExternalId(externalId);
-
-  let book = await Book.findOne({ externalId: normalized });
-  if (!book) {
-    book = await Book.create({
-      externalId: normalized,
-      title: title || "",
-      authors,
-      cover,
-      source: "openlibrary",
-    });
-  }
-
-  return book;
-}
+import {
+  findBook,
+  resolveBook,
+  editionForBook,
+} from "../services/catalog.service.js";
 
 /* ============================= ADD NOTE ============================= */
 
@@ -53,6 +19,7 @@ export async function addNote(req, res, next) {
       pageNumber,
       authors,
       cover,
+      editionId,
     } = req.body;
 
     if (!externalId || !content)
@@ -60,11 +27,27 @@ export async function addNote(req, res, next) {
         .status(400)
         .json({ message: "externalId and content are required" });
 
-    const book = await findOrCreateBook({ externalId, title, authors, cover });
+    const resolved = await resolveBook({ externalId, title, authors, cover });
+    if (!resolved)
+      return res
+        .status(400)
+        .json({ message: "externalId and content are required" });
+    const { book } = resolved;
+
+    // an explicit editionId wins over the edition the externalId names
+    let edition = resolved.edition;
+    if (editionId) {
+      edition = await editionForBook(book._id, editionId);
+      if (!edition)
+        return res
+          .status(400)
+          .json({ message: "editionId is not an edition of this book" });
+    }
 
     const note = await Note.create({
       user: userId,
       book: book._id,
+      edition: edition ? edition._id : null,
       externalId: book.externalId,
       title: title || "",
       content,
@@ -72,7 +55,7 @@ export async function addNote(req, res, next) {
       pageNumber: pageNumber ?? null,
     });
 
-    await note.populate("book");
+    await note.populate("book edition");
 
     res.status(201).json({ note });
   } catch (err) {
@@ -89,14 +72,14 @@ export async function getNotesForBook(req, res, next) {
 
     if (!rawId) return res.status(400).json({ message: "externalId required" });
 
-    const normalized = normalizeExternalId(rawId);
-    const book = await Book.findOne({ externalId: normalized });
-
-    if (!book) return res.json({ notes: [] });
+    // notes for every edition of the work
+    const found = await findBook(rawId);
+    if (!found) return res.json({ notes: [] });
 
-    const notes = await Note.find({ user: userId, book: book._id })
+    const notes = await Note.find({ user: userId, book: found.book._id })
       .sort({ createdAt: -1 })
-      .populate("book");
+      .populate("book")
+      .populate("edition", "-raw");
 
     res.json({ notes });
   } catch (err) {
@@ -126,7 +109,7 @@ export async function updateNote(req, res, next) {
   try {
     const userId = req.user.id;
     const noteId = req.params.noteId;
-    const { title, content, highlight, pageNumber } = req.body;
+    const { title, content, highlight, pageNumber, editionId } = req.body;
 
     const note = await Note.findById(noteId);
     if (!note) return res.status(404).json({ message: "Note not found" });
@@ -134,13 +117,24 @@ export async function updateNote(req, res, next) {
     if (String(note.user) !== String(userId))
       return res.status(403).json({ message: "Not allowed" });
 
+    if (editionId !== undefined) {
+      const edition = editionId
+        ? await editionForBook(note.book, editionId)
+        : null;
+      if (editionId && !edition)
+        return res
+          .status(400)
+          .json({ message: "editionId is not an edition of this book" });
+      note.edition = edition ? edition._id : null;
+    }
+
     if (title !== undefined) note.title = title;
     if (content !== undefined) note.content = content;
     if (highlight !== undefined) note.highlight = highlight;
     if (pageNumber !== undefined) note.pageNumber = pageNumber;
 
     await note.save();
-    await note.populate("book");
+    await note.populate("book edition");
 
     res.json({ note });
   } catch (err) {
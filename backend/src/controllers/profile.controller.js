@@ -7,6 +7,8 @@ import Shelf from "../models/Shelf.js";
 import ShelfItem from "../models/ShelfItem.js";
 import Follow from "../models/Follow.js";
 import Activity from "../models/Activity.js";
+import { nameTokens } from "../utils/names.js";
+import { VISIBLE_REVIEW_FILTER } from "../services/bookStats.service.js";
 
 /* ========== Update Profile ========== */
 export async function updateProfile(req, res, next) {
@@ -19,6 +21,15 @@ export async function updateProfile(req, res, next) {
     if (username) updateData.username = username;
     if (bio !== undefined) updateData.bio = bio;
     if (req.avatarUrl) updateData.avatarUrl = req.avatarUrl;
+    if (name || username) {
+      const current = await User.findById(userId).select("name username");
+      if (current) {
+        updateData.nameTokens = nameTokens(
+          username || current.username,
+          name || current.name
+        );
+      }
+    }
 
     const updatedUser = await User.findByIdAndUpdate(userId, updateData, {
       new: true,
@@ -60,9 +71,13 @@ function isObjectId(id) {
 async function resolveUserByIdentifier(identifier) {
   if (!identifier) return null;
   if (isObjectId(identifier)) {
-    return User.findById(identifier).select("-passwordHash").lean();
+    return User.findOne({ _id: identifier, deletedAt: null })
+      .select("-passwordHash")
+      .lean();
   }
-  return User.findOne({ username: identifier }).select("-passwordHash").lean();
+  return User.findOne({ username: identifier, deletedAt: null })
+    .select("-passwordHash")
+    .lean();
 }
 
 /* ========== Public Profile ========== */
@@ -81,7 +96,7 @@ export async function getPublicProfile(req, res, next) {
       booksReading,
       booksToRead,
     ] = await Promise.all([
-      Review.countDocuments({ user: user._id }),
+      Review.countDocuments({ user: user._id, ...VISIBLE_REVIEW_FILTER }),
       Follow.countDocuments({ following: user._id }),
       Follow.countDocuments({ follower: user._id }),
       Shelf.countDocuments({ user: user._id }),
@@ -127,7 +142,7 @@ export async function getPublicProfileStats(req, res, next) {
     if (!user) return res.status(404).json({ message: "User not found" });
 
     const stats = await Promise.all([
-      Review.countDocuments({ user: user._id }),
+      Review.countDocuments({ user: user._id, ...VISIBLE_REVIEW_FILTER }),
       Follow.countDocuments({ following: user._id }),
       Follow.countDocuments({ follower: user._id }),
       Shelf.countDocuments({ user: user._id }),
@@ -160,14 +175,14 @@ export async function getPublicProfileReviews(req, res, next) {
     if (!user) return res.status(404).json({ message: "User not found" });
 
     const [reviews, total] = await Promise.all([
-      Review.find({ user: user._id })
+      Review.find({ user: user._id, ...VISIBLE_REVIEW_FILTER })
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .populate("book", "title authors cover externalId")
         .populate("user", "name username avatarUrl")
         .lean(),
-      Review.countDocuments({ user: user._id }),
+      Review.countDocuments({ user: user._id, ...VISIBLE_REVIEW_FILTER }),
     ]);
 
     res.json({ page, limit, total, reviews });
@@ -1,23 +1,11 @@
 // backend/src/controllers/reading.controller.js
-import Book from "../models/Book.js";
 import Reading from "../models/Reading.js";
-
-/* ---------- helper ---------- */
-async function findOrCreateBook(payload) {
-  const { externalId, title, authors, cover, source, raw } = payload;
-  let book = await Book.findOne({ externalId });
-  if (!book) {
-    book = await Book.create({
-      externalId,
-      title,
-      authors,
-      cover,
-      source,
-      raw,
-    });
-  }
-  return book;
-}
+import {
+  findBook,
+  resolveBook,
+  editionForBook,
+} from "../services/catalog.service.js";
+import { syncBookStats } from "../services/bookStats.service.js";
 
 /* ---------- add to reading list ---------- */
 export async function addToReading(req, res, next) {
@@ -27,7 +15,8 @@ export async function addToReading(req, res, next) {
     if (!externalId || !title)
       return res.status(400).json({ message: "externalId and title required" });
 
-    const book = await findOrCreateBook({
+    // edition ids resolve to their work; the edition is kept on the entry
+    const resolved = await resolveBook({
       externalId,
       title,
       authors,
@@ -35,18 +24,23 @@ export async function addToReading(req, res, next) {
       source,
       raw: req.body.raw || {},
     });
+    if (!resolved)
+      return res.status(400).json({ message: "externalId and title required" });
+    const { book, edition } = resolved;
 
-    // prevent duplicates
+    // prevent duplicates (one entry per work, whichever edition)
     const existing = await Reading.findOne({ user: userId, book: book._id });
     if (existing) return res.status(200).json({ reading: existing });
 
     const reading = await Reading.create({
       user: userId,
       book: book._id,
+      edition: edition ? edition._id : null,
       status: "to-read",
       progress: 0,
     });
-    await reading.populate("book");
+    await syncBookStats(book._id);
+    await reading.populate("book edition");
     res.status(201).json({ reading });
   } catch (err) {
     next(err);
@@ -59,6 +53,7 @@ export async function getReadingList(req, res, next) {
     const userId = req.user.id;
     const list = await Reading.find({ user: userId })
       .populate("book")
+      .populate("edition", "-raw")
       .sort({ updatedAt: -1 });
     res.json({ list });
   } catch (err) {
@@ -71,10 +66,26 @@ export async function updateReading(req, res, next) {
   try {
     const userId = req.user.id;
     const { id } = req.params;
-    const { progress, status, notes } = req.body;
+    const { progress, status, notes, editionId } = req.body;
 
     const reading = await Reading.findOne({ _id: id, user: userId });
     if (!reading) return res.status(404).json({ message: "Not found" });
+    const previousStatus = reading.status;
+
+    // editionId: an edition of the same work, or null to clear it
+    if (editionId !== undefined) {
+      if (editionId === null) {
+        reading.edition = null;
+      } else {
+        const edition = await editionForBook(reading.book, editionId);
+        if (!edition) {
+          return res
+            .status(400)
+            .json({ message: "editionId is not an edition of this book" });
+        }
+        reading.edition = edition._id;
+      }
+    }
 
     if (progress !== undefined) {
       reading.progress = Math.max(0, Math.min(100, progress));
@@ -86,7 +97,8 @@ export async function updateReading(req, res, next) {
       reading.finishedAt = reading.finishedAt || new Date();
     }
     await reading.save();
-    await reading.populate("book");
+    if (reading.status !== previousStatus) await syncBookStats(reading.book);
+    await reading.populate("book edition");
     res.json({ reading });
   } catch (err) {
     next(err);
@@ -100,6 +112,7 @@ export async function removeReading(req, res, next) {
     const { id } = req.params;
     const reading = await Reading.findOneAndDelete({ _id: id, user: userId });
     if (!reading) return res.status(404).json({ message: "Not found" });
+    await syncBookStats(reading.book);
     res.json({ message: "removed" });
   } catch (err) {
     next(err);
@@ -114,10 +127,10 @@ export async function checkBookInList(req, res, next) {
     if (!externalId)
       return res.status(400).json({ message: "externalId required" });
 
-    const book = await Book.findOne({ externalId });
-    if (!book) return res.json({ inList: false });
+    const found = await findBook(externalId);
+    if (!found) return res.json({ inList: false });
 
-    const reading = await Reading.findOne({ user: userId, book: book._id });
+    const reading = await Reading.findOne({ user: userId, book: found.book._id });
     return res.json({ inList: Boolean(reading), reading });
   } catch (err) {
     next(err);
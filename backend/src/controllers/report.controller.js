@@ -0,0 +1,295 @@
+// backend/src/controllers/report.controller.js
+import mongoose from "mongoose";
+import Report from "../models/Report.js";
+import User from "../models/User.js";
+import {
+  fileReport,
+  loadReportTarget,
+  reportQueue,
+  closeReports,
+  notifyReporters,
+} from "../services/report.service.js";
+import {
+  removeContent,
+  banUser,
+  parseDuration,
+} from "../services/moderation.service.js";
+import { recordAudit, snapshot } from "../services/audit.service.js";
+import { siteRoleHas } from "../config/permissions.js";
+
+/* ---------- POST /api/reports ---------- */
+/**
+ * body: { targetType, targetId, reason, details? }
+ * Reporting the same target again while the first report is open returns
+ * the existing report.
+ */
+export async function createReport(req, res, next) {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    const { report, duplicate } = await fileReport(req.user.id, {
+      targetType,
+      targetId,
+      reason,
+      details,
+    });
+
+    res.status(duplicate ? 200 : 201).json({ report, duplicate });
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    next(err);
+  }
+}
+
+/* ---------- GET /api/reports/mine ---------- */
+export async function listMyReports(req, res, next) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, parseInt(req.query.limit || "20", 10));
+    const skip = (page - 1) * limit;
+
+    const filter = { reporter: req.user.id };
+    const [items, total] = await Promise.all([
+      Report.find(filter)
+        .select("-resolvedBy")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Report.countDocuments(filter),
+    ]);
+
+    res.json({ page, limit, total, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ================= ADMIN / MODERATOR ================= */
+
+/* ---------- GET /api/admin/reports ---------- */
+/**
+ * query: status (open | resolved | dismissed), targetType, page, limit
+ * Grouped per target with report counts and reasons.
+ */
+export async function getReportQueue(req, res, next) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, parseInt(req.query.limit || "20", 10));
+    const status = ["open", "resolved", "dismissed"].includes(req.query.status)
+      ? req.query.status
+      : "open";
+
+    const { total, items } = await reportQueue({
+      status,
+      targetType: req.query.targetType || null,
+      page,
+      limit,
+    });
+
+    res.json({ page, limit, total, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- GET /api/admin/reports/:targetType/:targetId ---------- */
+export async function getTargetReports(req, res, next) {
+  try {
+    const { targetType, targetId } = req.params;
+    if (!mongoose.isValidObjectId(targetId)) {
+      return res.status(400).json({ message: "Invalid target id" });
+    }
+
+    const [target, reports] = await Promise.all([
+      loadReportTarget(targetType, targetId),
+      Report.find({ targetType, targetId })
+        .populate("reporter", "username name")
+        .sort({ createdAt: -1 })
+        .lean(),
+    ]);
+
+    res.json({ target, reports });
+  } catch (err) {
+    next(err);
+  }
+}
+
+const BAN_FIELDS = [
+  "isBanned",
+  "bannedAt",
+  "bannedUntil",
+  "banReason",
+  "bannedBy",
+];
+
+// site permission needed to remove each kind of content
+const REMOVE_PERMISSION = {
+  review: "reviews:moderate",
+  comment: "comments:moderate",
+  note: "notes:moderate",
+  discussion: "club:discussions:moderate",
+};
+
+/* ---------- POST /api/admin/reports/:targetType/:targetId/resolve ---------- */
+/**
+ * body: { action: "remove" | "ban" | "none", reason?, duration? }
+ * - remove: soft-deletes the content (not for user reports)
+ * - ban: bans the reported user / content author (duration as for bans)
+ * Closes every open report on the target and notifies the reporters.
+ */
+export async function resolveReports(req, res, next) {
+  try {
+    const { targetType, targetId } = req.params;
+    const { action = "none", reason, duration } = req.body;
+
+    if (!["remove", "ban", "none"].includes(action)) {
+      return res
+        .status(400)
+        .json({ message: 'action must be "remove", "ban" or "none"' });
+    }
+
+    const target = await loadReportTarget(targetType, targetId);
+    if (!target) return res.status(404).json({ message: "Reported item not found" });
+
+    const openCount = await Report.countDocuments({
+      targetType,
+      targetId,
+      status: "open",
+    });
+    if (!openCount) {
+      return res.status(404).json({ message: "No open reports for this item" });
+    }
+
+    let resolution = "no_action";
+
+    if (action === "remove") {
+      const permission = REMOVE_PERMISSION[targetType];
+      if (!permission) {
+        return res
+          .status(400)
+          .json({ message: "Profiles cannot be removed, ban the user instead" });
+      }
+      if (!siteRoleHas(req.user.role, permission)) {
+        return res.status(403).json({
+          message: "You do not have permission to do that",
+          code: "FORBIDDEN",
+          permission,
+        });
+      }
+
+      const result = await removeContent(targetType, targetId, req.user.id);
+      if (!result) {
+        return res.status(409).json({ message: "Item can no longer be removed" });
+      }
+      if (result.changed) {
+        await recordAudit(req, {
+          action: `${targetType}.delete`,
+          targetType,
+          targetId: result.doc._id,
+          before: result.before,
+          after: result.after,
+          reason,
+        });
+      }
+      resolution = "removed";
+    }
+
+    if (action === "ban") {
+      if (!siteRoleHas(req.user.role, "users:ban")) {
+        return res.status(403).json({
+          message: "You do not have permission to do that",
+          code: "FORBIDDEN",
+          permission: "users:ban",
+        });
+      }
+      if (String(target.owner) === String(req.user.id)) {
+        return res.status(400).json({ message: "You cannot ban yourself" });
+      }
+
+      const durationMs = parseDuration(duration);
+      if (Number.isNaN(durationMs)) {
+        return res.status(400).json({
+          message: 'duration must be hours or a value like "12h", "7d"',
+        });
+      }
+
+      const before = await User.findById(target.owner)
+        .select(BAN_FIELDS.join(" "))
+        .lean();
+      const user = await banUser(target.owner, {
+        durationMs,
+        reason: typeof reason === "string" ? reason.trim().slice(0, 500) : null,
+        actorId: req.user.id,
+      });
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      await recordAudit(req, {
+        action: "user.ban",
+        targetType: "user",
+        targetId: user._id,
+        before: snapshot(before, BAN_FIELDS),
+        after: snapshot(user, BAN_FIELDS),
+        reason,
+      });
+      resolution = "banned";
+    }
+
+    const closed = await closeReports(targetType, targetId, {
+      status: "resolved",
+      resolution,
+      actorId: req.user.id,
+    });
+    await recordAudit(req, {
+      action: "report.resolve",
+      targetType,
+      targetId,
+      before: { status: "open", reports: closed.length },
+      after: { status: "resolved", resolution },
+      reason,
+    });
+    await notifyReporters(closed, { status: "resolved", targetType, targetId });
+
+    res.json({ resolved: closed.length, resolution });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- POST /api/admin/reports/:targetType/:targetId/dismiss ---------- */
+/**
+ * body: { reason? }
+ */
+export async function dismissReports(req, res, next) {
+  try {
+    const { targetType, targetId } = req.params;
+    if (!mongoose.isValidObjectId(targetId)) {
+      return res.status(400).json({ message: "Invalid target id" });
+    }
+
+    const closed = await closeReports(targetType, targetId, {
+      status: "dismissed",
+      resolution: "no_action",
+      actorId: req.user.id,
+    });
+    if (!closed.length) {
+      return res.status(404).json({ message: "No open reports for this item" });
+    }
+
+    await recordAudit(req, {
+      action: "report.dismiss",
+      targetType,
+      targetId,
+      before: { status: "open", reports: closed.length },
+      after: { status: "dismissed" },
+      reason: req.body?.reason,
+    });
+    await notifyReporters(closed, { status: "dismissed", targetType, targetId });
+
+    res.json({ dismissed: closed.length });
+  } catch (err) {
+    next(err);
+  }
+}
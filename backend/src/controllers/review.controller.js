@@ -1,52 +1,10 @@
 // backend/src/controllers/review.controller.js
 import Review from "../models/Review.js";
-import Book from "../models/Book.js";
-
-/**
- * Helper: normalize externalId like "/works/OL82563W" or "OL82563W" -> "/works/OL82563W"
- */
-function normalizeExternalId(externalId) {
-  if (!externalId) return null;
-  externalId = String(externalId).trim();
-  if (externalId.startsWith("/")) return externalId;
-  if (/^OL.*W$/.test(externalId)) return `/works/${externalId}`;
-  if (/^OL.*M$/.test(externalId)) return `/books/${externalId}`;
-  // if it looks like "works/OL82563W" (no leading slash)
-  if (externalId.startsWith("works/") || externalId.startsWith("books/")) {
-    return `/${externalId}`;
-  }
-  // fallback: return as-is
-  return externalId;
-}
-
-/**
- * Helper: find or create minimal Book document for given payload.
- * If book exists by externalId returns it. Otherwise create with minimum fields.
- */
-async function findOrCreateBookByPayload({
-  externalId,
-  title,
-  authors = [],
-  cover = null,
-  source = "openlibrary",
-  raw = {},
-}) {
-  const normalized = normalizeExternalId(externalId);
-  if (!normalized) throw new Error("externalId required");
-
-  let book = await Book.findOne({ externalId: normalized });
-  if (!book) {
-    book = await Book.create({
-      externalId: normalized,
-      title: title || "Untitled",
-      authors,
-      cover,
-      source,
-      raw,
-    });
-  }
-  return book;
-}
+import { findBook, resolveBook } from "../services/catalog.service.js";
+import {
+  syncBookStats,
+  VISIBLE_REVIEW_FILTER,
+} from "../services/bookStats.service.js";
 
 /* ---------- POST /api/reviews/add ---------- */
 export async function addReview(req, res, next) {
@@ -59,14 +17,11 @@ export async function addReview(req, res, next) {
     if (rating === undefined)
       return res.status(400).json({ message: "rating is required" });
 
-    const normalized = normalizeExternalId(externalId);
-    // ensure book exists in DB (create minimal if needed)
-    const book = await findOrCreateBookByPayload({
-      externalId: normalized,
-      title,
-      authors,
-      cover,
-    });
+    // reviews belong to the work, whichever edition id was sent
+    const resolved = await resolveBook({ externalId, title, authors, cover });
+    if (!resolved)
+      return res.status(400).json({ message: "externalId is required" });
+    const { book } = resolved;
 
     // prevent duplicate review (unique index exists, but check to give nicer error)
     const existing = await Review.findOne({ user: userId, book: book._id });
@@ -80,10 +35,11 @@ export async function addReview(req, res, next) {
     const review = await Review.create({
       user: userId,
       book: book._id,
-      externalId: normalized,
+      externalId: book.externalId,
       rating: Math.max(1, Math.min(5, Number(rating))),
       text: text || "",
     });
+    await syncBookStats(book._id);
 
     await review.populate("user", "-passwordHash");
     await review.populate("book");
@@ -107,10 +63,9 @@ export async function getReviewsByBook(req, res, next) {
     if (!rawId)
       return res.status(400).json({ message: "externalId required in path" });
 
-    const normalized = normalizeExternalId(rawId);
-
-    // find book in DB
-    const book = await Book.findOne({ externalId: normalized });
+    // find book (work) in DB; edition ids list the work's reviews
+    const found = await findBook(rawId);
+    const book = found && found.book;
     if (!book) {
       // no book => return empty list
       return res.json({ reviews: [], total: 0 });
@@ -121,12 +76,12 @@ export async function getReviewsByBook(req, res, next) {
     const skip = (page - 1) * limit;
 
     const [reviews, total] = await Promise.all([
-      Review.find({ book: book._id })
+      Review.find({ book: book._id, ...VISIBLE_REVIEW_FILTER })
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .populate("user", "name username avatarUrl"),
-      Review.countDocuments({ book: book._id }),
+      Review.countDocuments({ book: book._id, ...VISIBLE_REVIEW_FILTER }),
     ]);
 
     res.json({ reviews, total, page, limit });
@@ -147,12 +102,12 @@ export async function getReviewsByUser(req, res, next) {
     const skip = (page - 1) * limit;
 
     const [reviews, total] = await Promise.all([
-      Review.find({ user: userId })
+      Review.find({ user: userId, ...VISIBLE_REVIEW_FILTER })
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .populate("book"),
-      Review.countDocuments({ user: userId }),
+      Review.countDocuments({ user: userId, ...VISIBLE_REVIEW_FILTER }),
     ]);
 
     res.json({ reviews, total, page, limit });
@@ -189,6 +144,7 @@ export async function updateReview(req, res, next) {
     if (changed) {
       review.editedAt = new Date();
       await review.save();
+      await syncBookStats(review.book);
     }
     await review.populate("user", "name username");
     await review.populate("book");
@@ -214,6 +170,7 @@ export async function deleteReview(req, res, next) {
     }
 
     await Review.findByIdAndDelete(id);
+    await syncBookStats(review.book);
     res.json({ message: "deleted" });
   } catch (err) {
     next(err);
@@ -1,64 +1,232 @@
 // backend/src/controllers/search.controller.js
-import axios from "axios";
+import mongoose from "mongoose";
 import User from "../models/User.js";
-import Book from "../models/Book.js";
+import {
+  searchCatalog,
+  notInLibrary,
+  allOf,
+} from "../services/bookSearch.service.js";
+import { resolveGenre } from "../services/genre.service.js";
+import { tagSlug } from "../services/bookTag.service.js";
+import { suggest } from "../services/searchSuggest.service.js";
+import { semanticSearch as semanticSearchService } from "../services/semanticSearch.service.js";
+import {
+  searchAll,
+  queryWords,
+  textMatch,
+  SEARCH_TYPES,
+  PRIVATE_TYPES,
+} from "../services/unifiedSearch.service.js";
+import {
+  recordSearch,
+  clearSearchHistory,
+} from "../services/searchHistory.service.js";
+import { normalizeText } from "../utils/names.js";
 
+// repeated query params (?genre=a&genre=b) -> list
+const listParam = (value) =>
+  []
+    .concat(value ?? [])
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+const anyOf = (values) => (values.length === 1 ? values[0] : { $in: values });
+
+function rangeOf(min, max) {
+  const range = {};
+  if (min !== undefined && min !== "") range.$gte = Number(min);
+  if (max !== undefined && max !== "") range.$lte = Number(max);
+  return Object.keys(range).length ? range : null;
+}
+
+/**
+ * searchFilters(query) -> filter name -> Book condition
+ * Names match bookSearch FACETS where there is one.
+ */
+function searchFilters(query) {
+  const filters = {};
+
+  const authors = listParam(query.author);
+  if (authors.length) {
+    const ids = authors.filter((a) => mongoose.isValidObjectId(a));
+    const names = authors.filter((a) => !mongoose.isValidObjectId(a));
+    const or = [];
+    if (ids.length) or.push({ authorIds: { $in: ids } });
+    if (names.length) or.push({ authors: anyOf(names) });
+    filters.author = or.length === 1 ? or[0] : { $or: or };
+  }
+
+  const genres = listParam(query.genre).map((g) => resolveGenre(g) || g);
+  if (genres.length) filters.genre = { genres: anyOf(genres) };
+
+  const subjects = listParam(query.subject).map(normalizeText);
+  if (subjects.length) filters.subject = { subjects: anyOf(subjects) };
+
+  const languages = listParam(query.language).map((l) => l.toLowerCase());
+  if (languages.length) filters.language = { languages: anyOf(languages) };
+
+  const years = rangeOf(query.yearFrom, query.yearTo);
+  if (years) filters.year = { firstPublishYear: years };
+
+  const pages = rangeOf(query.pagesMin, query.pagesMax);
+  if (pages) filters.pages = { pageCount: pages };
+
+  if (query.minRating !== undefined && query.minRating !== "") {
+    filters.rating = { avgRating: { $gte: Number(query.minRating) } };
+  }
+  if (query.tag) filters.tag = { "communityTags.slug": tagSlug(query.tag) };
+  if (query.mood) filters.mood = { "moods.slug": tagSlug(query.mood) };
+  return filters;
+}
+
+/**
+ * GET /api/search?q&page&limit&sort&facets
+ * Ranked over the local index, merged with provider results (see
+ * bookSearch.service.js). Filters (local catalog only): author (name or
+ * id), genre (slug, name or synonym), subject, language, yearFrom / yearTo
+ * (first published), pagesMin / pagesMax, minRating, tag, mood, and
+ * notInLibrary=true (signed in only). Searches of signed-in callers feed
+ * their recent-query suggestions. author, genre, subject and language
+ * may be repeated. sort: relevance (default) | rating | popularity |
+ * newest. Facet counts for the filter sidebar come back unless
+ * facets=false. q may be left out when a filter is given; matching books
+ * are then listed most-rated first.
+ */
 export async function searchBooks(req, res, next) {
   try {
     const q = req.query.q;
+    const filters = searchFilters(req.query);
+    let filter = {};
+    if (req.query.notInLibrary === "true") {
+      if (!req.user) {
+        return res
+          .status(401)
+          .json({ message: "Sign in to leave out books in your library" });
+      }
+      filter = await notInLibrary(req.user.id);
+    }
+
+    if (!q && !Object.keys(filters).length && !Object.keys(filter).length) {
+      return res.status(400).json({ message: "q query param required" });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+    const limit = Math.min(
+      50,
+      Math.max(1, parseInt(req.query.limit || "20", 10) || 20)
+    );
+
+    const result = await searchCatalog(q, {
+      filter,
+      filters,
+      sort: req.query.sort,
+      page,
+      limit,
+      facets: req.query.facets !== "false",
+    });
+    if (q && req.user && page === 1) await recordSearch(req.user.id, q);
+
+    res.json({
+      docs: result.items,
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      hasMore: result.hasMore,
+      sort: result.sort,
+      ...(result.facets ? { facets: result.facets } : {}),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/search/semantic?q&page&limit&blend
+ * Natural-language search over book embeddings ("cozy mystery set in a
+ * small village"). blend (0..1) mixes in keyword relevance; the filters
+ * of GET /api/search apply (local catalog only).
+ */
+export async function semanticSearch(req, res, next) {
+  try {
+    const q = String(req.query.q || "").trim();
     if (!q) return res.status(400).json({ message: "q query param required" });
 
-    const page = parseInt(req.query.page || "1", 10);
-    const limit = 20;
-    const skip = (page - 1) * limit;
+    const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+    const limit = Math.min(
+      50,
+      Math.max(1, parseInt(req.query.limit || "20", 10) || 20)
+    );
+    const filter = allOf(Object.values(searchFilters(req.query)));
 
-    const regex = new RegExp(q, "i");
+    const result = await semanticSearchService(q, {
+      filter,
+      page,
+      limit,
+      blend: req.query.blend,
+    });
 
-    // 1️⃣ Search local DB first
-    const localBooks = await Book.find({
-      $or: [{ title: regex }, { authors: regex }],
-    })
-      .select("externalId title authors cover source")
-      .skip(skip)
-      .limit(limit)
-      .lean();
+    res.json({
+      docs: result.items,
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      hasMore: result.hasMore,
+      model: result.model,
+      blend: result.blend,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
 
-    let results = localBooks.map((b) => ({
-      externalId: b.externalId,
-      title: b.title,
-      authors: b.authors,
-      cover: b.cover,
-      source: "local",
-    }));
-
-    // 2️⃣ Fallback to OpenLibrary if needed
-    if (results.length < limit) {
-      const offset = (page - 1) * limit;
-      const r = await axios.get("https://openlibrary.org/search.json", {
-        params: { q, limit, offset },
-      });
-
-      const docs = r.data?.docs || [];
-      const existing = new Set(results.map((r) => r.externalId));
-
-      for (const d of docs) {
-        if (results.length >= limit) break;
-        if (existing.has(d.key)) continue;
-
-        results.push({
-          externalId: d.key,
-          title: d.title,
-          authors: d.author_name || [],
-          year: d.first_publish_year,
-          cover: d.cover_i
-            ? `https://covers.openlibrary.org/b/id/${d.cover_i}-L.jpg`
-            : null,
-          source: "openlibrary",
-        });
-      }
+/**
+ * GET /api/search/suggest?q
+ * Suggestions while typing: { q, queries, books, authors, series, clubs,
+ * users }. queries: the caller's recent searches, then popular ones.
+ */
+export async function suggestSearch(req, res, next) {
+  try {
+    res.json(await suggest(req.query.q, { userId: req.user?.id || null }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/search/all?q&types&page&limit
+ * Books, users, clubs, club discussions, reviews and the caller's notes in
+ * one response: { q, groups: { books: { items, total, page, limit,
+ * hasMore }, ... } }. types (comma-separated or repeated) narrows the
+ * groups; page and limit apply per group.
+ */
+export async function searchEverything(req, res, next) {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.status(400).json({ message: "q query param required" });
+
+    const requested = listParam(req.query.types).flatMap((t) => t.split(","));
+    const types = requested.length ? requested : SEARCH_TYPES;
+    const userId = req.user?.id || null;
+    if (!userId && types.every((t) => PRIVATE_TYPES.includes(t))) {
+      return res.status(401).json({ message: "Sign in to search your notes" });
     }
 
-    res.json({ docs: results });
+    const page = Math.max(1, parseInt(req.query.page || "1", 10) || 1);
+    const limit = Math.min(
+      20,
+      Math.max(1, parseInt(req.query.limit || "5", 10) || 5)
+    );
+
+    res.json(await searchAll(q, { userId, types, page, limit }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* DELETE /api/search/recent — forget the caller's searches */
+export async function clearRecentSearches(req, res, next) {
+  try {
+    const removed = await clearSearchHistory(req.user.id);
+    res.json({ removed });
   } catch (err) {
     next(err);
   }
@@ -72,10 +240,12 @@ export async function searchUsers(req, res, next) {
     const q = req.query.q;
     if (!q) return res.status(400).json({ message: "q query param required" });
 
-    const regex = new RegExp(q, "i");
+    const words = queryWords(q);
+    if (!words.length) return res.json({ users: [] });
 
     const users = await User.find({
-      $or: [{ username: regex }, { name: regex }],
+      ...textMatch(["username", "name"], words),
+      deletedAt: null,
     })
       .select("username name avatarUrl")
       .limit(20)
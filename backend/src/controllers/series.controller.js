@@ -0,0 +1,146 @@
+// backend/src/controllers/series.controller.js
+import mongoose from "mongoose";
+import Series from "../models/Series.js";
+import {
+  createSeries as createSeriesService,
+  updateSeries as updateSeriesService,
+  seriesDetail,
+  seriesProgress,
+  startedSeries,
+} from "../services/series.service.js";
+import { recordAudit, snapshot } from "../services/audit.service.js";
+import { syncSearchIndex } from "../services/searchIndex.service.js";
+
+const AUDIT_FIELDS = [
+  "name",
+  "description",
+  "author",
+  "externalIds",
+  "entries",
+];
+
+function seriesInput(body) {
+  const out = {};
+  for (const f of ["name", "description", "entries", "externalIds"]) {
+    if (body[f] !== undefined) out[f] = body[f];
+  }
+  if (body.authorId !== undefined) out.author = body.authorId || null;
+  return out;
+}
+
+/* ---------- GET /api/series/progress ---------- */
+/**
+ * Every series the current user has started, with the next entry to read.
+ */
+export async function listSeriesProgress(req, res, next) {
+  try {
+    const items = await startedSeries(req.user.id);
+    res.json({ total: items.length, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- GET /api/series/:seriesId ---------- */
+export async function getSeries(req, res, next) {
+  try {
+    const series = await seriesDetail(req.params.seriesId);
+    if (!series) return res.status(404).json({ message: "Series not found" });
+    res.json(series);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- GET /api/series/:seriesId/progress ---------- */
+export async function getSeriesProgress(req, res, next) {
+  try {
+    const progress = await seriesProgress(req.user.id, req.params.seriesId);
+    if (!progress) return res.status(404).json({ message: "Series not found" });
+    res.json(progress);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ================= ADMIN ================= */
+
+/**
+ * POST /api/admin/series
+ * body: { name, description?, authorId?, externalIds?, entries: [{ bookId, position }] }
+ */
+export async function createSeries(req, res, next) {
+  try {
+    const series = await createSeriesService(seriesInput(req.body));
+
+    await recordAudit(req, {
+      action: "series.create",
+      targetType: "series",
+      targetId: series._id,
+      after: snapshot(series, AUDIT_FIELDS),
+      reason: req.body.reason,
+    });
+
+    res.status(201).json(series);
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/admin/series/:seriesId
+ * body: any of the create fields; entries replace the whole reading order
+ */
+export async function updateSeries(req, res, next) {
+  try {
+    const result = await updateSeriesService(
+      req.params.seriesId,
+      seriesInput(req.body)
+    );
+    if (!result) return res.status(404).json({ message: "Series not found" });
+
+    await recordAudit(req, {
+      action: "series.update",
+      targetType: "series",
+      targetId: result.series._id,
+      before: snapshot(result.before, AUDIT_FIELDS),
+      after: snapshot(result.series, AUDIT_FIELDS),
+      reason: req.body.reason,
+    });
+
+    res.json(result.series);
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    next(err);
+  }
+}
+
+/* DELETE /api/admin/series/:seriesId */
+export async function deleteSeries(req, res, next) {
+  try {
+    const { seriesId } = req.params;
+    if (!mongoose.isValidObjectId(seriesId)) {
+      return res.status(400).json({ message: "Invalid series id" });
+    }
+    const series = await Series.findByIdAndDelete(seriesId);
+    if (!series) return res.status(404).json({ message: "Series not found" });
+    await syncSearchIndex(series.entries.map((e) => e.book));
+
+    await recordAudit(req, {
+      action: "series.delete",
+      targetType: "series",
+      targetId: series._id,
+      before: snapshot(series, AUDIT_FIELDS),
+      reason: req.body?.reason,
+    });
+
+    res.json({ message: "Series deleted" });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -1,43 +1,7 @@
 // backend/src/controllers/shelf.controller.js
 import Shelf from "../models/Shelf.js";
 import ShelfItem from "../models/ShelfItem.js";
-import Book from "../models/Book.js";
-
-/* Normalize externalId */
-function normalizeExternalId(externalId) {
-  if (!externalId) return null;
-  externalId = externalId.trim();
-
-  if (externalId.startsWith("/")) return externalId;
-  if (/^OL.*W$/.test(externalId)) return `/works/${externalId}`;
-  if (/^OL.*M$/.test(externalId)) return `/books/${externalId}`;
-
-  if (externalId.startsWith("works/") || externalId.startsWith("books/"))
-    return `/${externalId}`;
-
-  return externalId;
-}
-
-/* Ensure Book exists or create minimal */
-async function findOrCreateBook({
-  externalId,
-  title,
-  authors = [],
-  cover = null,
-}) {
-  const normalized = normalizeExternalId(externalId);
-  let book = await Book.findOne({ externalId: normalized });
-  if (!book) {
-    book = await Book.create({
-      externalId: normalized,
-      title: title || "",
-      authors: authors || [],
-      cover: cover || null,
-      source: "openlibrary",
-    });
-  }
-  return book;
-}
+import { resolveBook } from "../services/catalog.service.js";
 
 /* ============================= SHELF CRUD ============================= */
 
@@ -149,7 +113,10 @@ export async function addBookToShelf(req, res, next) {
     if (String(shelf.user) !== String(req.user.id))
       return res.status(403).json({ message: "Not allowed" });
 
-    const book = await findOrCreateBook({ externalId, title, authors, cover });
+    const resolved = await resolveBook({ externalId, title, authors, cover });
+    if (!resolved)
+      return res.status(400).json({ message: "externalId required" });
+    const { book } = resolved;
 
     const existing = await ShelfItem.findOne({
       shelf: shelfId,
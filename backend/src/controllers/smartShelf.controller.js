@@ -3,6 +3,7 @@ import Reading from "../models/Reading.js";
 import Favorite from "../models/Favorite.js";
 import Review from "../models/Review.js";
 import Book from "../models/Book.js";
+import { startedSeries } from "../services/series.service.js";
 
 /**
  * Returns items for smart shelves computed from existing collections.
@@ -14,6 +15,7 @@ import Book from "../models/Book.js";
  * - favorites
  * - recent (recently added to reading list or favorites or shelves)
  * - top-rated (books user rated highest via reviews)
+ * - next-in-series (next unread entry of every series the user has started)
  *
  * Each "item" includes populated book and the source (reading/favorite/review).
  */
@@ -32,14 +34,21 @@ export async function getAvailableShelves(req, res, next) {
     const userId = req.user.id;
 
     // count finished/reading/to-read in Reading
-    const [finishedCount, readingCount, toReadCount, favCount, reviewCount] =
-      await Promise.all([
-        Reading.countDocuments({ user: userId, status: "finished" }),
-        Reading.countDocuments({ user: userId, status: "reading" }),
-        Reading.countDocuments({ user: userId, status: "to-read" }),
-        Favorite.countDocuments({ user: userId }),
-        Review.countDocuments({ user: userId }),
-      ]);
+    const [
+      finishedCount,
+      readingCount,
+      toReadCount,
+      favCount,
+      reviewCount,
+      series,
+    ] = await Promise.all([
+      Reading.countDocuments({ user: userId, status: "finished" }),
+      Reading.countDocuments({ user: userId, status: "reading" }),
+      Reading.countDocuments({ user: userId, status: "to-read" }),
+      Favorite.countDocuments({ user: userId }),
+      Review.countDocuments({ user: userId }),
+      startedSeries(userId),
+    ]);
 
     // recently added: use reading and favorites most recent
     const recentReading = await Reading.find({ user: userId })
@@ -59,6 +68,11 @@ export async function getAvailableShelves(req, res, next) {
       { key: "to-read", title: "To Read", count: toReadCount },
       { key: "favorites", title: "Favorites", count: favCount },
       { key: "top-rated", title: "Top Rated", count: reviewCount },
+      {
+        key: "next-in-series",
+        title: "Next in Series",
+        count: series.filter((s) => s.next && s.next.book).length,
+      },
       {
         key: "recent",
         title: "Recently Added",
@@ -74,6 +88,7 @@ export async function getAvailableShelves(req, res, next) {
 
 /* GET /api/smart-shelves/:type
    types: finished | reading | to-read | favorites | recent | top-rated
+          | next-in-series
    pagination: page, limit
 */
 export async function getSmartShelfItems(req, res, next) {
@@ -90,6 +105,7 @@ export async function getSmartShelfItems(req, res, next) {
         "favorites",
         "recent",
         "top-rated",
+        "next-in-series",
       ].includes(type)
     ) {
       return res.status(400).json({ message: "Invalid shelf type" });
@@ -201,6 +217,25 @@ export async function getSmartShelfItems(req, res, next) {
       return res.json({ page, limit, total, items });
     }
 
+    if (type === "next-in-series") {
+      // most recently read series first
+      const series = (await startedSeries(userId)).filter(
+        (s) => s.next && s.next.book
+      );
+
+      const items = series.slice(skip, skip + limit).map((s) => ({
+        source: "series",
+        series: s.series,
+        position: s.next.position,
+        label: s.next.label,
+        finished: s.finished,
+        lastReadAt: s.lastReadAt,
+        book: s.next.book,
+      }));
+
+      return res.json({ page, limit, total: series.length, items });
+    }
+
     // fallback (shouldn't happen)
     res.json({ page, limit, total: 0, items: [] });
   } catch (err) {
@@ -0,0 +1,122 @@
+// backend/src/controllers/twoFactor.controller.js
+import bcrypt from "bcrypt";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import {
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  verifyCode,
+  regenerateRecoveryCodes,
+} from "../services/twoFactor.service.js";
+
+/* ---------- GET /api/auth/2fa ---------- */
+export async function getTwoFactorStatus(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id)
+      .select("twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes")
+      .lean();
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+      sessionVerified: Boolean(req.user.mfa),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- POST /api/auth/2fa/setup ---------- */
+/**
+ * Starts enrollment: returns the secret and an otpauth:// provisioning URI
+ * (render it as a QR code). Nothing is enabled until /confirm succeeds.
+ */
+export async function setupTwoFactor(req, res, next) {
+  try {
+    const result = await beginEnrollment(req.user.id);
+    if (!result) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- POST /api/auth/2fa/confirm ---------- */
+/**
+ * body: { code }
+ * Enables 2FA and returns the recovery codes (only shown this once).
+ */
+export async function confirmTwoFactor(req, res, next) {
+  try {
+    const codes = await confirmEnrollment(req.user.id, req.body.code);
+    if (!codes) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    // the current session just proved possession of the second factor
+    await Session.updateOne({ _id: req.user.sessionId }, { mfaVerified: true });
+
+    res.json({ enabled: true, recoveryCodes: codes });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- POST /api/auth/2fa/disable ---------- */
+/**
+ * body: { password, code }
+ */
+export async function disableTwoFactorHandler(req, res, next) {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.id).select(
+      "passwordHash twoFactor.enabled"
+    );
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const match = await bcrypt.compare(String(password || ""), user.passwordHash);
+    if (!match) return res.status(400).json({ message: "Password incorrect" });
+
+    const verified = await verifyCode(user._id, code);
+    if (!verified.ok) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    await disableTwoFactor(user._id);
+    res.json({ enabled: false });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/* ---------- POST /api/auth/2fa/recovery-codes ---------- */
+/**
+ * body: { code }
+ * Replaces all recovery codes with a fresh set.
+ */
+export async function regenerateRecoveryCodesHandler(req, res, next) {
+  try {
+    const verified = await verifyCode(req.user.id, req.body.code);
+    if (!verified.ok) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const codes = await regenerateRecoveryCodes(req.user.id);
+    res.json({ recoveryCodes: codes });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -1,27 +0,0 @@
-import User from "../models/User.js";
-
-export default async function adminOnly(req, res, next) {
-  try {
-    const userId = req.user?.id;
-    if (!userId) {
-      return res.status(401).json({ message: "Unauthorized" });
-    }
-
-    const user = await User.findById(userId).select("role isBanned");
-    if (!user) {
-      return res.status(401).json({ message: "User not found" });
-    }
-
-    if (user.isBanned) {
-      return res.status(403).json({ message: "Account is banned" });
-    }
-
-    if (user.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
-    next();
-  } catch (err) {
-    next(err);
-  }
-}
@@ -1,13 +1,47 @@
 // backend/src/middleware/auth.js
 import jwt from "jsonwebtoken";
+import { getActiveSession, clientIp } from "../services/session.service.js";
+import { checkBan, banInfo } from "../services/moderation.service.js";
+import {
+  isPersonalAccessToken,
+  resolveAccessToken,
+} from "../services/accessToken.service.js";
 
 /**
  * Auth middleware
  * - Expects header: Authorization: Bearer <token>
- * - On success attaches req.user = { id: "<userId>" }
+ * - Token must belong to a session that has not been revoked
+ * - Banned accounts get 403 with the ban reason / expiry
+ * - On success attaches req.user = { id, sessionId, mfa } (mfa: session passed 2FA)
  * - On failure returns 401
+ *
+ * Personal access tokens ("rpat_...") are rejected here; routes that accept
+ * them opt in with authWithScope(scope).
  */
-export default function auth(req, res, next) {
+export default async function auth(req, res, next) {
+  return authenticate(req, res, next, null);
+}
+
+/**
+ * authWithScope(...scopes) -> middleware
+ * Same as auth, but also accepts a personal access token carrying at least
+ * one of the given scopes. Attaches req.user = { id, tokenId, scopes, mfa: false }.
+ */
+export function authWithScope(...scopes) {
+  return (req, res, next) => authenticate(req, res, next, scopes);
+}
+
+/**
+ * optionalAuth: for public routes that personalize for signed-in callers.
+ * Without an Authorization header the request goes on with no req.user;
+ * a header that is sent must be valid, as with auth.
+ */
+export function optionalAuth(req, res, next) {
+  if (!req.headers.authorization && !req.headers.Authorization) return next();
+  return authenticate(req, res, next, null);
+}
+
+async function authenticate(req, res, next, scopes) {
   try {
     const header = req.headers.authorization || req.headers.Authorization;
     if (!header || typeof header !== "string") {
@@ -20,6 +54,11 @@ export default function auth(req, res, next) {
     }
 
     const token = parts[1];
+
+    if (isPersonalAccessToken(token)) {
+      return authenticateAccessToken(req, res, next, token, scopes);
+    }
+
     const secret = process.env.JWT_SECRET;
     if (!secret) {
       console.error("JWT_SECRET is not set in process.env");
@@ -33,16 +72,77 @@ export default function auth(req, res, next) {
       return res.status(401).json({ message: "Invalid or expired token" });
     }
 
-    // payload expected to contain userId
-    if (!payload || !payload.userId) {
+    // payload expected to contain userId and the session id it was issued for
+    if (!payload || !payload.userId || !payload.sid) {
       return res.status(401).json({ message: "Invalid token payload" });
     }
 
+    const session = await getActiveSession(payload.sid);
+    if (!session || String(session.user) !== String(payload.userId)) {
+      return res.status(401).json({ message: "Session expired or revoked" });
+    }
+
+    if (!(await passesBanCheck(payload.userId, res))) return;
+
     // attach simple user context for downstream handlers
-    req.user = { id: payload.userId };
+    req.user = {
+      id: payload.userId,
+      sessionId: payload.sid,
+      mfa: Boolean(session.mfaVerified),
+    };
     return next();
   } catch (err) {
     console.error("Auth middleware error:", err);
     return res.status(500).json({ message: "Server error in auth middleware" });
   }
 }
+
+async function authenticateAccessToken(req, res, next, token, scopes) {
+  if (!scopes) {
+    return res.status(403).json({
+      message: "Personal access tokens cannot be used for this endpoint",
+      code: "TOKEN_NOT_ALLOWED",
+    });
+  }
+
+  const pat = await resolveAccessToken(token, clientIp(req));
+  if (!pat) {
+    return res.status(401).json({ message: "Invalid, expired or revoked token" });
+  }
+
+  if (!scopes.some((s) => pat.scopes.includes(s))) {
+    return res.status(403).json({
+      message: "Token is missing the required scope",
+      code: "INSUFFICIENT_SCOPE",
+      requiredScopes: scopes,
+    });
+  }
+
+  if (!(await passesBanCheck(pat.user, res))) return;
+
+  req.user = {
+    id: String(pat.user),
+    tokenId: String(pat._id),
+    scopes: pat.scopes,
+    mfa: false,
+  };
+  return next();
+}
+
+// sends the 401/403 itself and returns false when the request must stop
+async function passesBanCheck(userId, res) {
+  const { user, banned } = await checkBan(userId);
+  if (!user) {
+    res.status(401).json({ message: "User not found" });
+    return false;
+  }
+  if (banned) {
+    res.status(403).json({
+      message: "Account is banned",
+      code: "ACCOUNT_BANNED",
+      ban: banInfo(user),
+    });
+    return false;
+  }
+  return true;
+}
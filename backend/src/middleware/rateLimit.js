@@ -0,0 +1,52 @@
+// backend/src/middleware/rateLimit.js
+import { hit } from "../services/rateLimit.service.js";
+import { getRateLimit } from "../config/rateLimits.js";
+
+/**
+ * rateLimit(name, { by })
+ * - Limits come from config/rateLimits.js (overridable per env)
+ * - by: "user" (default) keys on req.user.id, falling back to the ip when the
+ *   request is anonymous; "ip" always keys on the ip
+ * - Place after auth when keying by user
+ * - Over the limit: 429 with Retry-After
+ * - RATE_LIMIT_ENABLED=false turns every limiter into a no-op
+ */
+export default function rateLimit(name, { by = "user" } = {}) {
+  getRateLimit(name); // unknown names fail when the route is defined
+  // resolved on the first request: .env is loaded after the routes import
+  let config = null;
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === "false") return next();
+
+    try {
+      config ??= getRateLimit(name);
+      const { limit, windowMs } = config;
+      // req.ip honours the "trust proxy" setting, unlike raw X-Forwarded-For
+      const subject =
+        by === "user" && req.user?.id
+          ? `user:${req.user.id}`
+          : `ip:${req.ip || req.socket?.remoteAddress || "unknown"}`;
+
+      const result = await hit(`${name}:${subject}`, { limit, windowMs });
+
+      res.set("RateLimit-Limit", String(result.limit));
+      res.set("RateLimit-Remaining", String(result.remaining));
+
+      if (!result.allowed) {
+        res.set("Retry-After", String(result.retryAfterSeconds));
+        return res.status(429).json({
+          message: "Too many requests, please slow down",
+          code: "RATE_LIMITED",
+          retryAfter: result.retryAfterSeconds,
+        });
+      }
+
+      next();
+    } catch (err) {
+      // never take the API down because the limiter broke
+      console.error("rateLimit middleware error:", err);
+      next();
+    }
+  };
+}
@@ -0,0 +1,55 @@
+// backend/src/middleware/requirePermission.js
+import { can } from "../services/permission.service.js";
+import { siteRoleHas } from "../config/permissions.js";
+
+/**
+ * requirePermission(permission, { club })
+ * - Must run after auth
+ * - club: optional (req) => clubId (may be async) for club-scoped permissions,
+ *   so book-club roles are checked alongside the site role
+ * - Attaches req.user.role / req.user.clubRole for downstream handlers
+ * - 403 when neither role grants the permission
+ */
+export default function requirePermission(permission, { club = null } = {}) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user?.id) {
+        return res.status(401).json({ message: "Unauthorized" });
+      }
+
+      const clubId = club ? await club(req) : null;
+
+      // site role already resolved earlier in this request (e.g. router.use)
+      let result;
+      if (req.user.role && !clubId) {
+        result = {
+          allowed: siteRoleHas(req.user.role, permission),
+          siteRole: req.user.role,
+          clubRole: null,
+        };
+      } else {
+        result = await can(req.user.id, permission, { clubId });
+      }
+
+      const { allowed, siteRole, clubRole } = result;
+      if (!siteRole) {
+        return res.status(401).json({ message: "User not found" });
+      }
+
+      req.user.role = siteRole;
+      if (clubRole) req.user.clubRole = clubRole;
+
+      if (!allowed) {
+        return res.status(403).json({
+          message: "You do not have permission to do that",
+          code: "FORBIDDEN",
+          permission,
+        });
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
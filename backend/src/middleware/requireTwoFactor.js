@@ -0,0 +1,19 @@
+/**
+ * requireTwoFactor
+ * - Must run after auth
+ * - Only lets through sessions that completed a TOTP / recovery code login
+ */
+export default function requireTwoFactor(req, res, next) {
+  if (!req.user?.id) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+
+  if (!req.user.mfa) {
+    return res.status(403).json({
+      message: "Two-factor authentication required",
+      code: "TWO_FACTOR_REQUIRED",
+    });
+  }
+
+  next();
+}
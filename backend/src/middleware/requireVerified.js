@@ -0,0 +1,32 @@
+import User from "../models/User.js";
+
+/**
+ * requireVerified
+ * - Must run after auth
+ * - Blocks accounts that have not confirmed their email yet
+ *   (accounts created before verification existed have no flag and pass)
+ */
+export default async function requireVerified(req, res, next) {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const user = await User.findById(userId).select("emailVerified").lean();
+    if (!user) {
+      return res.status(401).json({ message: "User not found" });
+    }
+
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        message: "Please verify your email address first",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,68 @@
+// backend/src/models/AuditLog.js
+import mongoose from "mongoose";
+
+// Append-only record of admin / moderator actions. Entries are never
+// updated or deleted through the app; the hooks below enforce that.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+      immutable: true,
+    },
+    // role the actor acted with, e.g. "admin", "moderator", "club:owner"
+    actorRole: { type: String, default: null, immutable: true },
+
+    // dotted verb, e.g. "user.ban", "review.delete"
+    action: { type: String, required: true, index: true, immutable: true },
+
+    targetType: { type: String, required: true, index: true, immutable: true },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+      immutable: true,
+    },
+
+    before: { type: mongoose.Schema.Types.Mixed, default: null, immutable: true },
+    after: { type: mongoose.Schema.Types.Mixed, default: null, immutable: true },
+    reason: { type: String, default: null, maxlength: 1000, immutable: true },
+
+    // request metadata: { ip, userAgent, method, path, sessionId, tokenId }
+    request: { type: mongoose.Schema.Types.Mixed, default: {}, immutable: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+function rejectMutation() {
+  throw new Error("Audit log entries are append-only");
+}
+
+AuditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectMutation
+);
+
+AuditLogSchema.pre("deleteOne", { document: true, query: false }, rejectMutation);
+
+AuditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation();
+});
+
+const AuditLog =
+  mongoose.models.AuditLog || mongoose.model("AuditLog", AuditLogSchema);
+export default AuditLog;
@@ -0,0 +1,32 @@
+// backend/src/models/Author.js
+// A person credited on books. Book.authors keeps the display names;
+// Book.authorIds links the same books to Author documents.
+import mongoose from "mongoose";
+
+const AuthorSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    aliases: [{ type: String, trim: true }],
+    // normalized name + aliases (utils/names.js normalizeAuthor), for matching
+    nameKeys: { type: [String], default: [], index: true },
+    // words of name + aliases (utils/names.js nameTokens), for suggestions
+    nameTokens: { type: [String], default: [], index: true, select: false },
+
+    bio: { type: String, default: null },
+    photo: { type: String, default: null },
+
+    // provider ids, e.g. "/authors/OL26320A"
+    externalIds: { type: [String], default: [], index: true },
+    source: { type: String, default: null },
+
+    // denormalized counts
+    booksCount: { type: Number, default: 0 },
+    followersCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+AuthorSchema.index({ name: 1 });
+
+const Author = mongoose.models.Author || mongoose.model("Author", AuthorSchema);
+export default Author;
@@ -0,0 +1,28 @@
+// backend/src/models/AuthorFollow.js
+// A user following an author: they are notified of the author's new books.
+import mongoose from "mongoose";
+
+const AuthorFollowSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Author",
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+AuthorFollowSchema.index({ user: 1, author: 1 }, { unique: true });
+
+const AuthorFollow =
+  mongoose.models.AuthorFollow ||
+  mongoose.model("AuthorFollow", AuthorFollowSchema);
+export default AuthorFollow;
@@ -1,4 +1,6 @@
 // backend/src/models/Book.js
+// A Book is a work ("/works/OL…W"); its published editions (ISBNs, formats)
+// are Edition documents. Reviews and ratings attach to the work.
 import mongoose from "mongoose";
 
 const BookSchema = new mongoose.Schema(
@@ -6,22 +8,85 @@ const BookSchema = new mongoose.Schema(
     externalId: { type: String, required: true, unique: true }, // unique external id
     title: { type: String },
     authors: [{ type: String }],
+    // Author documents for the names in `authors` (services/author.service.js)
+    authorIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Author", index: true }],
     cover: { type: String },
     source: { type: String, default: "openlibrary" },
     raw: { type: mongoose.Schema.Types.Mixed },
     description: { type: String, default: null },
 
+    // external ids of duplicate books merged into this one (bookMerge.service)
+    mergedIds: { type: [String], default: [], index: true },
+
+    // taxonomy (services/genre.service.js): genre slugs incl. ancestors,
+    // and the provider subjects they were derived from, normalized
+    genres: { type: [String], default: [], index: true },
+    subjects: { type: [String], default: [], index: true },
+
+    // community votes (services/bookTag.service.js), top entries only
+    communityTags: {
+      type: [{ _id: false, slug: String, label: String, votes: Number }],
+      default: [],
+    },
+    moods: {
+      type: [{ _id: false, slug: String, votes: Number }],
+      default: [],
+    },
+
+    // denormalized number of Edition documents for this work
+    editionsCount: { type: Number, default: 0 },
+
+    // metadata refresh (services/bookMetadata.service.js)
+    // fieldSources: field -> "client" | provider name | "admin" (never overwritten)
+    fieldSources: { type: Map, of: String, default: {} },
+    metadataFetchedAt: { type: Date, default: null }, // last successful fetch
+    metadataCheckedAt: { type: Date, default: null, index: true }, // last attempt
+
     // denormalized comment count
     commentsCount: { type: Number, default: 0, index: true },
 
+    // denormalized rating / reading stats (services/bookStats.service.js),
+    // from visible reviews only
+    avgRating: { type: Number, default: 0, index: true },
+    ratingsCount: { type: Number, default: 0, index: true },
+    ratingHistogram: { type: [Number], default: [0, 0, 0, 0, 0] }, // [1★ … 5★]
+    reviewsCount: { type: Number, default: 0 }, // reviews with text
+    readingCounts: {
+      toRead: { type: Number, default: 0 },
+      reading: { type: Number, default: 0 },
+      finished: { type: Number, default: 0 },
+    },
+    statsUpdatedAt: { type: Date, default: null },
+
+    // local search index (services/searchIndex.service.js): every term of
+    // the book, and the terms per field for ranking
+    searchTerms: { type: [String], default: [], index: true, select: false },
+    searchFields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+      select: false,
+    },
+    searchIndexedAt: { type: Date, default: null, index: true },
+    // search filters, derived from the work and its editions on indexing
+    firstPublishYear: { type: Number, default: null, index: true },
+    languages: { type: [String], default: [], index: true }, // MARC codes
+    pageCount: { type: Number, default: null, index: true }, // median edition
+
+    // semantic search / similar books (services/semanticSearch.service.js);
+    // vectors are only comparable within one embeddingModel
     embedding: { type: [Number], default: undefined },
-    embeddingModel: { type: String, default: null },
+    embeddingModel: { type: String, default: null, index: true },
+    embeddedAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
 BookSchema.index({ title: 1 });
 BookSchema.index({ authors: 1 });
+BookSchema.index({ "communityTags.slug": 1 });
+BookSchema.index({ "moods.slug": 1 });
+// semantic search candidates, most-rated first
+BookSchema.index({ embeddingModel: 1, ratingsCount: -1 });
 
 const Book = mongoose.models.Book || mongoose.model("Book", BookSchema);
 export default Book;
@@ -3,6 +3,8 @@ import mongoose from "mongoose";
 const BookClubSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
+    // words of the name (utils/names.js nameTokens), for suggestions
+    nameTokens: { type: [String], default: [], index: true, select: false },
     description: { type: String, default: "" },
 
     owner: {
@@ -17,7 +19,8 @@ const BookClubSchema = new mongoose.Schema(
       default: null,
     },
 
-    isPrivate: { type: Boolean, default: false },
+    // private clubs: only members see their discussions
+    isPublic: { type: Boolean, default: true },
 
     membersCount: { type: Number, default: 1 },
   },
@@ -27,6 +30,9 @@ const BookClubSchema = new mongoose.Schema(
 BookClubSchema.index({ name: 1 });
 BookClubSchema.index({ owner: 1 });
 
+// clubs anyone may see; clubs from before isPublic existed count as public
+export const PUBLIC_CLUB_FILTER = { isPublic: { $ne: false } };
+
 const BookClub =
   mongoose.models.BookClub || mongoose.model("BookClub", BookClubSchema);
 
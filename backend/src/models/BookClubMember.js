@@ -15,7 +15,7 @@ const BookClubMemberSchema = new mongoose.Schema(
 
     role: {
       type: String,
-      enum: ["member", "admin"],
+      enum: ["member", "moderator", "admin"],
       default: "member",
     },
   },
@@ -0,0 +1,72 @@
+// backend/src/models/BookRevision.js
+// One change to a Book's metadata (services/bookRevision.service.js): a
+// user's suggestion waiting for review, or a change that was applied —
+// a user-added book, an approved suggestion, an admin edit, a provider
+// refresh or a rollback. Approved revisions make up the book's history.
+import mongoose from "mongoose";
+
+export const REVISION_KINDS = ["create", "edit", "refresh", "rollback"];
+export const REVISION_STATUSES = ["pending", "approved", "rejected"];
+
+const BookRevisionSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Book",
+      required: true,
+      index: true,
+    },
+    // who made or proposed it; null for provider refreshes
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    kind: { type: String, enum: REVISION_KINDS, required: true },
+    // "user", "admin" or the provider name
+    source: { type: String, required: true },
+    status: {
+      type: String,
+      enum: REVISION_STATUSES,
+      default: "pending",
+      index: true,
+    },
+
+    // field -> new value (metadata fields only)
+    changes: { type: mongoose.Schema.Types.Mixed, required: true },
+    // field -> value when a suggestion was made (to spot conflicts)
+    base: { type: mongoose.Schema.Types.Mixed, default: null },
+    // field -> value it replaced, once applied (used by rollbacks)
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    // field -> Book.fieldSources entry it replaced (null: none), once
+    // applied; older revisions don't have it
+    beforeSources: { type: mongoose.Schema.Types.Mixed, default: null },
+    comment: { type: String, default: "" },
+
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, default: null },
+
+    // rollbacks: the revision the book was rolled back to before
+    rollbackOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BookRevision",
+      default: null,
+    },
+    appliedAt: { type: Date, default: null },
+  },
+  { timestamps: true, minimize: false }
+);
+
+BookRevisionSchema.index({ book: 1, status: 1, appliedAt: -1 });
+BookRevisionSchema.index({ status: 1, createdAt: 1 });
+
+const BookRevision =
+  mongoose.models.BookRevision ||
+  mongoose.model("BookRevision", BookRevisionSchema);
+export default BookRevision;
@@ -0,0 +1,28 @@
+// backend/src/models/BookTag.js
+// A community tag or mood on a book, with its vote count. Each user's
+// vote is a BookTagVote.
+import mongoose from "mongoose";
+
+export const TAG_KINDS = ["tag", "mood"];
+
+const BookTagSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Book",
+      required: true,
+    },
+    kind: { type: String, enum: TAG_KINDS, required: true },
+    slug: { type: String, required: true },
+    label: { type: String, required: true },
+    votesCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+BookTagSchema.index({ book: 1, kind: 1, slug: 1 }, { unique: true });
+BookTagSchema.index({ kind: 1, slug: 1, votesCount: -1 });
+
+const BookTag =
+  mongoose.models.BookTag || mongoose.model("BookTag", BookTagSchema);
+export default BookTag;
@@ -0,0 +1,33 @@
+// backend/src/models/BookTagVote.js
+import mongoose from "mongoose";
+
+const BookTagVoteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Book",
+      required: true,
+    },
+    kind: { type: String, required: true },
+    slug: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+// one vote per user, book and tag
+BookTagVoteSchema.index(
+  { user: 1, book: 1, kind: 1, slug: 1 },
+  { unique: true }
+);
+BookTagVoteSchema.index({ book: 1, kind: 1, slug: 1 });
+
+const BookTagVote =
+  mongoose.models.BookTagVote ||
+  mongoose.model("BookTagVote", BookTagVoteSchema);
+export default BookTagVote;
@@ -40,6 +40,11 @@ const CommentSchema = new mongoose.Schema(
 
     editedAt: { type: Date, default: null },
     deleted: { type: Boolean, default: false },
+    // set when a moderator (not the author) removed it; text is kept for restore
+    removedAt: { type: Date, default: null },
+    removedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // hidden while the author is banned (separate from deletes)
+    suspended: { type: Boolean, default: false, index: true },
   },
   { timestamps: true }
 );
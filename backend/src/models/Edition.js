@@ -0,0 +1,58 @@
+// backend/src/models/Edition.js
+// A specific published edition of a work (the work itself is a Book).
+import mongoose from "mongoose";
+
+export const EDITION_FORMATS = [
+  "hardcover",
+  "paperback",
+  "ebook",
+  "audiobook",
+  "other",
+];
+
+const EditionSchema = new mongoose.Schema(
+  {
+    work: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Book",
+      required: true,
+      index: true,
+    },
+
+    // e.g. "/books/OL7353617M"; null for editions known only by ISBN
+    externalId: { type: String, default: null },
+
+    // digits only, see utils/isbn.js
+    isbn10: { type: String, default: null },
+    isbn13: { type: String, default: null },
+
+    title: { type: String, default: null },
+    format: { type: String, enum: [...EDITION_FORMATS, null], default: null },
+    publisher: { type: String, default: null },
+    publishedDate: { type: String, default: null }, // free-form, as published
+    pageCount: { type: Number, default: null, min: 0 },
+    language: { type: String, default: null }, // MARC code, e.g. "eng"
+    cover: { type: String, default: null },
+
+    source: { type: String, default: "openlibrary" },
+    raw: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true }
+);
+
+EditionSchema.index(
+  { externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: "string" } } }
+);
+EditionSchema.index(
+  { isbn13: 1 },
+  { unique: true, partialFilterExpression: { isbn13: { $type: "string" } } }
+);
+EditionSchema.index(
+  { isbn10: 1 },
+  { partialFilterExpression: { isbn10: { $type: "string" } } }
+);
+
+const Edition =
+  mongoose.models.Edition || mongoose.model("Edition", EditionSchema);
+export default Edition;
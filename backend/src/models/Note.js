@@ -23,6 +23,13 @@ const NoteSchema = new mongoose.Schema(
       index: true,
     },
 
+    // edition the page number refers to, when known
+    edition: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Edition",
+      default: null,
+    },
+
     title: {
       type: String,
       default: "",
@@ -46,6 +53,12 @@ const NoteSchema = new mongoose.Schema(
 
     // denormalized comment count
     commentsCount: { type: Number, default: 0, index: true },
+
+    // removed by a moderator (e.g. after a report)
+    isDeleted: { type: Boolean, default: false, index: true },
+
+    // hidden while the author is banned
+    suspended: { type: Boolean, default: false, index: true },
   },
   { timestamps: true }
 );
@@ -9,17 +9,26 @@ const NotificationSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // null for system notifications (e.g. report outcomes)
     fromUser: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
 
     type: {
       type: String,
-      enum: ["follow", "like", "reply"],
+      enum: ["follow", "like", "reply", "report", "new_book", "book_edit"],
       required: true,
     },
 
     targetType: {
       type: String,
-      enum: ["book", "review", "note", "comment", "none"],
+      enum: [
+        "book",
+        "review",
+        "note",
+        "comment",
+        "discussion",
+        "user",
+        "none",
+      ],
       default: "none",
     },
 
@@ -0,0 +1,61 @@
+// backend/src/models/PersonalAccessToken.js
+import mongoose from "mongoose";
+
+// Scopes a personal access token can be granted.
+export const PAT_SCOPES = [
+  "reading:read",
+  "reading:write",
+  "analytics:read",
+  "export",
+  "import",
+];
+
+// Raw tokens look like "rpat_<random>"; only the sha256 is stored.
+export const PAT_PREFIX = "rpat_";
+
+const PersonalAccessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+
+    tokenHash: { type: String, required: true, unique: true },
+
+    // first characters of the raw token so users can tell tokens apart
+    tokenPreview: { type: String, required: true },
+
+    scopes: {
+      type: [{ type: String, enum: PAT_SCOPES }],
+      default: [],
+    },
+
+    expiresAt: { type: Date, default: null }, // null = never
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+PersonalAccessTokenSchema.methods.toClient = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    tokenPreview: this.tokenPreview,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdAt: this.createdAt,
+  };
+};
+
+const PersonalAccessToken =
+  mongoose.models.PersonalAccessToken ||
+  mongoose.model("PersonalAccessToken", PersonalAccessTokenSchema);
+export default PersonalAccessToken;
@@ -10,6 +10,8 @@ const ReadingSchema = new mongoose.Schema(
       index: true,
     },
     book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+    // the edition being read, when known
+    edition: { type: mongoose.Schema.Types.ObjectId, ref: "Edition", default: null },
     status: {
       type: String,
       enum: ["to-read", "reading", "finished"],
@@ -0,0 +1,68 @@
+// backend/src/models/Report.js
+import mongoose from "mongoose";
+
+export const REPORT_TARGET_TYPES = [
+  "review",
+  "comment",
+  "note",
+  "discussion",
+  "user",
+];
+
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate",
+  "sexual",
+  "violence",
+  "spoilers",
+  "impersonation",
+  "other",
+];
+
+const ReportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    targetType: { type: String, enum: REPORT_TARGET_TYPES, required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+    // author of the reported content (the user itself for profile reports)
+    targetOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    details: { type: String, default: "", maxlength: 1000 },
+
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+      index: true,
+    },
+    // what the moderator did: "removed", "banned", "no_action"
+    resolution: { type: String, default: null },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    resolvedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// one open report per reporter and target
+ReportSchema.index(
+  { reporter: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+ReportSchema.index({ status: 1, targetType: 1, targetId: 1 });
+
+const Report = mongoose.models.Report || mongoose.model("Report", ReportSchema);
+export default Report;
@@ -26,6 +26,8 @@ const ReviewSchema = new mongoose.Schema(
     text: { type: String, default: "" },
     editedAt: { type: Date, default: null },
     isDeleted: { type: Boolean, default: false, index: true },
+    // hidden while the author is banned (separate from moderator deletes)
+    suspended: { type: Boolean, default: false, index: true },
   },
   { timestamps: true }
 );
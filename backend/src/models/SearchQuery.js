@@ -0,0 +1,30 @@
+// backend/src/models/SearchQuery.js
+// Book searches a signed-in user submitted, one document per distinct
+// query (services/searchHistory.service.js). Feeds the recent and popular
+// query suggestions of /api/search/suggest.
+import mongoose from "mongoose";
+
+const SearchQuerySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    query: { type: String, required: true }, // folded, the dedupe key
+    text: { type: String, required: true }, // as last typed
+    count: { type: Number, default: 1 },
+    lastSearchedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+SearchQuerySchema.index({ user: 1, query: 1 }, { unique: true });
+SearchQuerySchema.index({ user: 1, lastSearchedAt: -1 });
+// popular queries: recent searches grouped by query
+SearchQuerySchema.index({ lastSearchedAt: -1, query: 1 });
+
+const SearchQuery =
+  mongoose.models.SearchQuery ||
+  mongoose.model("SearchQuery", SearchQuerySchema);
+export default SearchQuery;
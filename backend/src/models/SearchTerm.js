@@ -0,0 +1,19 @@
+// backend/src/models/SearchTerm.js
+// Vocabulary of the local book search index (services/searchIndex.service.js):
+// every indexed term with the number of books containing it. Used for
+// relevance (rarer terms weigh more) and to expand query words to prefix
+// and typo matches.
+import mongoose from "mongoose";
+
+const SearchTermSchema = new mongoose.Schema({
+  term: { type: String, required: true, unique: true },
+  len: { type: Number, required: true },
+  df: { type: Number, default: 0 }, // books containing the term
+});
+
+// typo candidates: terms of about the same length sharing the first letter
+SearchTermSchema.index({ len: 1, term: 1 });
+
+const SearchTerm =
+  mongoose.models.SearchTerm || mongoose.model("SearchTerm", SearchTermSchema);
+export default SearchTerm;
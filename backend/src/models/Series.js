@@ -0,0 +1,37 @@
+// backend/src/models/Series.js
+// An ordered series of works. Whole numbers are the main entries; novellas
+// and other in-between works sit at fractional positions (e.g. 2.5).
+import mongoose from "mongoose";
+
+const SeriesEntrySchema = new mongoose.Schema(
+  {
+    book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", required: true },
+    position: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const SeriesSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // words of the name (utils/names.js nameTokens), for suggestions
+    nameTokens: { type: [String], default: [], index: true, select: false },
+    description: { type: String, default: null },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Author",
+      default: null,
+    },
+    externalIds: { type: [String], default: [], index: true },
+
+    // kept sorted by position (services/series.service.js)
+    entries: { type: [SeriesEntrySchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+SeriesSchema.index({ "entries.book": 1 });
+SeriesSchema.index({ name: 1 });
+
+const Series = mongoose.models.Series || mongoose.model("Series", SeriesSchema);
+export default Series;
@@ -0,0 +1,60 @@
+// backend/src/models/Session.js
+import mongoose from "mongoose";
+
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    // sha256 of the current refresh token secret (the raw token is never stored)
+    refreshTokenHash: { type: String, required: true },
+
+    // device info captured at login (best-effort)
+    userAgent: { type: String, default: "" },
+    device: { type: String, default: "Unknown device" },
+    ip: { type: String, default: null },
+
+    // true when the login completed a second factor
+    mfaVerified: { type: Boolean, default: false },
+
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+SessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+
+// let MongoDB purge sessions once the refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+SessionSchema.methods.toClient = function (currentSessionId = null) {
+  return {
+    id: this._id,
+    device: this.device,
+    mfaVerified: this.mfaVerified,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    lastSeenAt: this.lastSeenAt,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    current: currentSessionId
+      ? String(this._id) === String(currentSessionId)
+      : false,
+  };
+};
+
+const Session =
+  mongoose.models.Session || mongoose.model("Session", SessionSchema);
+export default Session;
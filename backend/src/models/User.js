@@ -5,6 +5,8 @@ const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     username: { type: String, required: true, trim: true, unique: true },
+    // words of username + name (utils/names.js nameTokens), for suggestions
+    nameTokens: { type: [String], default: [], index: true, select: false },
     email: {
       type: String,
       required: true,
@@ -17,9 +19,39 @@ const userSchema = new mongoose.Schema(
     bio: { type: String, default: "" },
     lastFeedSeen: { type: Date, default: null },
 
+    /* ✉️ EMAIL VERIFICATION */
+    // no default: accounts created before verification existed have no
+    // flag and count as verified (a default would be saved as false)
+    emailVerified: { type: Boolean },
+    emailVerifiedAt: { type: Date, default: null },
+
+    /* 🔐 TWO-FACTOR (TOTP) — secrets are encrypted and never selected by default */
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+      secret: { type: String, default: null, select: false },
+      pendingSecret: { type: String, default: null, select: false },
+      recoveryCodes: { type: [String], default: [], select: false },
+      // last accepted time step, blocks replaying the same code
+      lastUsedStep: { type: Number, default: null, select: false },
+    },
+
     /* 🔑 ADMIN FIELDS */
-    role: { type: String, enum: ["user", "admin"], default: "user" },
+    role: {
+      type: String,
+      enum: ["user", "moderator", "admin"],
+      default: "user",
+    },
     isBanned: { type: Boolean, default: false },
+    bannedAt: { type: Date, default: null },
+    bannedUntil: { type: Date, default: null }, // null = permanent
+    banReason: { type: String, default: null },
+    bannedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    /* 🗑️ ACCOUNT DELETION — purged once deletionScheduledFor passes */
+    deletionRequestedAt: { type: Date, default: null },
+    deletionScheduledFor: { type: Date, default: null, index: true },
+    deletedAt: { type: Date, default: null }, // set on the anonymized tombstone
   },
   { timestamps: true }
 );
@@ -31,6 +63,12 @@ userSchema.index({ name: 1 });
 userSchema.methods.toClient = function () {
   const u = this.toObject();
   delete u.passwordHash;
+  if (u.twoFactor) {
+    u.twoFactor = {
+      enabled: Boolean(u.twoFactor.enabled),
+      enabledAt: u.twoFactor.enabledAt || null,
+    };
+  }
   return u;
 };
 
@@ -0,0 +1,34 @@
+// backend/src/models/UserToken.js
+import mongoose from "mongoose";
+
+// Single-use, expiring tokens mailed to users (email verification, password reset)
+const UserTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    type: {
+      type: String,
+      enum: ["email_verification", "password_reset"],
+      required: true,
+    },
+
+    // sha256 of the raw token; the raw value only ever lives in the email
+    tokenHash: { type: String, required: true, unique: true },
+
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+UserTokenSchema.index({ user: 1, type: 1, usedAt: 1 });
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken =
+  mongoose.models.UserToken || mongoose.model("UserToken", UserTokenSchema);
+export default UserToken;
@@ -1,31 +1,166 @@
 import express from "express";
 import auth from "../middleware/auth.js";
-import adminOnly from "../middleware/adminOnly.js";
+import requirePermission from "../middleware/requirePermission.js";
+import requireTwoFactor from "../middleware/requireTwoFactor.js";
 import {
   listUsers,
   banUser,
+  setUserRole,
+  getMyPermissions,
   listReviews,
   softDeleteReview,
   restoreReview,
+  listComments,
+  softDeleteComment,
+  restoreComment,
+  getBookMetadata,
+  editBookMetadata,
+  refreshBookMetadata,
+  listDuplicateBooks,
+  mergeBook,
   getAdminOverview,
   getAdminGrowth,
 } from "../controllers/admin.controller.js";
+import {
+  getReportQueue,
+  getTargetReports,
+  resolveReports,
+  dismissReports,
+} from "../controllers/report.controller.js";
+import { deleteBookTag } from "../controllers/bookTag.controller.js";
+import {
+  listRevisionQueue,
+  approveBookRevision,
+  rejectBookRevision,
+  rollbackBookMetadata,
+} from "../controllers/bookRevision.controller.js";
+import {
+  createSeries,
+  updateSeries,
+  deleteSeries,
+} from "../controllers/series.controller.js";
+import {
+  listAuditLog,
+  exportAuditLogCsv,
+} from "../controllers/audit.controller.js";
 
 const router = express.Router();
 
-router.use(auth, adminOnly);
+// staff only (moderators and admins); each route checks its own permission
+router.use(auth, requirePermission("admin:access"));
+
+// ADMIN_REQUIRE_2FA=true -> admin sessions must have passed TOTP login
+// (read per request: .env is loaded after the routes are imported)
+router.use((req, res, next) =>
+  process.env.ADMIN_REQUIRE_2FA === "true"
+    ? requireTwoFactor(req, res, next)
+    : next()
+);
+
+router.get("/permissions", getMyPermissions);
 
 /* USERS */
-router.get("/users", listUsers);
-router.patch("/users/:userId/ban", banUser);
+router.get("/users", requirePermission("users:read"), listUsers);
+router.patch("/users/:userId/ban", requirePermission("users:ban"), banUser);
+router.patch("/users/:userId/role", requirePermission("users:roles"), setUserRole);
 
 /* REVIEWS */
-router.get("/reviews", listReviews);
-router.patch("/reviews/:reviewId/delete", softDeleteReview);
-router.patch("/reviews/:reviewId/restore", restoreReview);
+router.get("/reviews", requirePermission("reviews:read"), listReviews);
+router.patch(
+  "/reviews/:reviewId/delete",
+  requirePermission("reviews:moderate"),
+  softDeleteReview
+);
+router.patch(
+  "/reviews/:reviewId/restore",
+  requirePermission("reviews:moderate"),
+  restoreReview
+);
+
+/* COMMENTS */
+router.get("/comments", requirePermission("comments:read"), listComments);
+router.patch(
+  "/comments/:commentId/delete",
+  requirePermission("comments:moderate"),
+  softDeleteComment
+);
+router.patch(
+  "/comments/:commentId/restore",
+  requirePermission("comments:moderate"),
+  restoreComment
+);
+
+/* BOOKS */
+router.get(
+  "/books/duplicates",
+  requirePermission("books:merge"),
+  listDuplicateBooks
+);
+router.get("/books/:bookId", requirePermission("books:edit"), getBookMetadata);
+router.patch("/books/:bookId", requirePermission("books:edit"), editBookMetadata);
+router.post(
+  "/books/:bookId/refresh",
+  requirePermission("books:edit"),
+  refreshBookMetadata
+);
+router.post("/books/:bookId/merge", requirePermission("books:merge"), mergeBook);
+router.delete(
+  "/books/:bookId/tags/:kind/:slug",
+  requirePermission("tags:moderate"),
+  deleteBookTag
+);
+router.post(
+  "/books/:bookId/rollback",
+  requirePermission("books:edit"),
+  rollbackBookMetadata
+);
+
+/* BOOK EDIT SUGGESTIONS */
+router.get("/revisions", requirePermission("books:revisions"), listRevisionQueue);
+router.post(
+  "/revisions/:revisionId/approve",
+  requirePermission("books:revisions"),
+  approveBookRevision
+);
+router.post(
+  "/revisions/:revisionId/reject",
+  requirePermission("books:revisions"),
+  rejectBookRevision
+);
+
+/* SERIES */
+router.post("/series", requirePermission("books:edit"), createSeries);
+router.patch("/series/:seriesId", requirePermission("books:edit"), updateSeries);
+router.delete(
+  "/series/:seriesId",
+  requirePermission("books:edit"),
+  deleteSeries
+);
+
+/* REPORTS */
+router.get("/reports", requirePermission("reports:read"), getReportQueue);
+router.get(
+  "/reports/:targetType/:targetId",
+  requirePermission("reports:read"),
+  getTargetReports
+);
+router.post(
+  "/reports/:targetType/:targetId/resolve",
+  requirePermission("reports:resolve"),
+  resolveReports
+);
+router.post(
+  "/reports/:targetType/:targetId/dismiss",
+  requirePermission("reports:resolve"),
+  dismissReports
+);
+
+/* AUDIT LOG */
+router.get("/audit", requirePermission("audit:read"), listAuditLog);
+router.get("/audit/export", requirePermission("audit:read"), exportAuditLogCsv);
 
 /* DASHBOARD */
-router.get("/overview", getAdminOverview);
-router.get("/growth", getAdminGrowth);
+router.get("/overview", requirePermission("stats:overview"), getAdminOverview);
+router.get("/growth", requirePermission("stats:growth"), getAdminGrowth);
 
 export default router;
@@ -1,17 +1,20 @@
 import express from "express";
-import auth from "../middleware/auth.js";
+import { authWithScope } from "../middleware/auth.js";
 import {
   getReadingSummary,
   getMonthlyReadingStats,
   getReadingStreaks,
   getReadingHeatmap,
+  getGenreBreakdown,
 } from "../controllers/analytics.controller.js";
 
 const router = express.Router();
+const analyticsAuth = authWithScope("analytics:read");
 
-router.get("/reading/summary", auth, getReadingSummary);
-router.get("/reading/monthly", auth, getMonthlyReadingStats);
-router.get("/reading/streaks", auth, getReadingStreaks);
-router.get("/heatmap", auth, getReadingHeatmap);
+router.get("/reading/summary", analyticsAuth, getReadingSummary);
+router.get("/reading/monthly", analyticsAuth, getMonthlyReadingStats);
+router.get("/reading/streaks", analyticsAuth, getReadingStreaks);
+router.get("/heatmap", analyticsAuth, getReadingHeatmap);
+router.get("/genres", analyticsAuth, getGenreBreakdown);
 
 export default router;
@@ -1,18 +1,54 @@
 // backend/src/routes/auth.routes.js
 import express from "express";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import auth from "../middleware/auth.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} from "../services/session.service.js";
+import { issueToken, consumeToken } from "../services/userToken.service.js";
+import { sendMail } from "../services/mail.service.js";
+import { checkBan, banInfo } from "../services/moderation.service.js";
+import {
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyCode,
+} from "../services/twoFactor.service.js";
+import {
+  verificationEmail,
+  passwordResetEmail,
+} from "../utils/mailTemplates.js";
+import rateLimit from "../middleware/rateLimit.js";
+import {
+  getLoginLock,
+  registerLoginFailure,
+  clearLoginFailures,
+} from "../services/rateLimit.service.js";
 import { body, validationResult } from "express-validator";
+import { nameTokens } from "../utils/names.js";
 
 const router = express.Router();
 
+// 429 for an account that is temporarily locked after failed logins
+function sendLocked(res, seconds) {
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({
+    message: "Too many failed login attempts, try again later",
+    code: "ACCOUNT_LOCKED",
+    retryAfter: seconds,
+  });
+}
+
 /**
  * POST /api/auth/signup
  * body: { name, username, email, password }
  */
 router.post(
   "/signup",
+  rateLimit("signup", { by: "ip" }),
   [
     body("name").trim().notEmpty().withMessage("Name is required"),
     body("username")
@@ -64,22 +100,30 @@ router.post(
       const user = await User.create({
         name,
         username,
+        nameTokens: nameTokens(username, name),
         email: email.toLowerCase(),
         passwordHash,
+        emailVerified: false,
       });
 
-      // create token
-      const jwtSecret = process.env.JWT_SECRET;
-      if (!jwtSecret) {
+      // send verification email (best-effort, never blocks signup)
+      try {
+        const verifyToken = await issueToken(user._id, "email_verification");
+        await sendMail(verificationEmail(user, verifyToken));
+      } catch (mailErr) {
+        console.error("signup verification email failed:", mailErr);
+      }
+
+      // create session + tokens
+      if (!process.env.JWT_SECRET) {
         console.error("JWT_SECRET not configured");
         return res.status(500).json({ message: "Server misconfigured" });
       }
-      const token = jwt.sign({ userId: user._id }, jwtSecret, {
-        expiresIn: "7d",
-      });
+      const { accessToken, refreshToken } = await createSession(user._id, req);
 
       res.status(201).json({
-        token,
+        token: accessToken,
+        refreshToken,
         user: user.toClient
           ? user.toClient()
           : {
@@ -102,6 +146,7 @@ router.post(
  */
 router.post(
   "/login",
+  rateLimit("login", { by: "ip" }),
   [
     body("emailOrUsername")
       .trim()
@@ -131,27 +176,53 @@ router.post(
           { email: queryEmail || undefined },
           { username: emailOrUsername },
         ].filter(Boolean),
+        deletedAt: null,
       });
 
-      if (!user)
-        return res.status(400).json({ message: "Invalid credentials" });
+      // unknown identifiers are locked out too so lockouts don't reveal accounts
+      const lockKey = user
+        ? `user:${user._id}`
+        : `id:${emailOrUsername.toLowerCase()}`;
+      const lockedFor = await getLoginLock(lockKey);
+      if (lockedFor > 0) return sendLocked(res, lockedFor);
 
-      const match = await bcrypt.compare(password, user.passwordHash);
-      if (!match)
+      const match = user
+        ? await bcrypt.compare(password, user.passwordHash)
+        : false;
+      if (!match) {
+        const { lockedForSeconds } = await registerLoginFailure(lockKey);
+        if (lockedForSeconds > 0) return sendLocked(res, lockedForSeconds);
         return res.status(400).json({ message: "Invalid credentials" });
+      }
+      await clearLoginFailures(lockKey);
 
-      const jwtSecret = process.env.JWT_SECRET;
-      if (!jwtSecret) {
+      const { banned, user: banState } = await checkBan(user._id);
+      if (banned) {
+        return res.status(403).json({
+          message: "Account is banned",
+          code: "ACCOUNT_BANNED",
+          ban: banInfo(banState),
+        });
+      }
+
+      if (!process.env.JWT_SECRET) {
         console.error("JWT_SECRET not configured");
         return res.status(500).json({ message: "Server misconfigured" });
       }
 
-      const token = jwt.sign({ userId: user._id }, jwtSecret, {
-        expiresIn: "7d",
-      });
+      // two-step login: exchange the challenge token at /login/2fa
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user._id),
+        });
+      }
+
+      const { accessToken, refreshToken } = await createSession(user._id, req);
 
       res.json({
-        token,
+        token: accessToken,
+        refreshToken,
         user: user.toClient
           ? user.toClient()
           : {
@@ -168,4 +239,282 @@ router.post(
   }
 );
 
+/**
+ * POST /api/auth/login/2fa
+ * body: { challengeToken, code }
+ * code: current TOTP code or an unused recovery code
+ */
+router.post(
+  "/login/2fa",
+  rateLimit("login", { by: "ip" }),
+  [
+    body("challengeToken").notEmpty().withMessage("challengeToken required"),
+    body("code").trim().notEmpty().withMessage("code required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          errors: errors.array().map((e) => ({ field: e.param, msg: e.msg })),
+        });
+      }
+
+      const userId = verifyChallengeToken(req.body.challengeToken);
+      if (!userId) {
+        return res
+          .status(401)
+          .json({ message: "Login challenge expired, please log in again" });
+      }
+
+      const lockKey = `user:${userId}`;
+      const lockedFor = await getLoginLock(lockKey);
+      if (lockedFor > 0) return sendLocked(res, lockedFor);
+
+      const verified = await verifyCode(userId, req.body.code);
+      if (!verified.ok) {
+        const { lockedForSeconds } = await registerLoginFailure(lockKey);
+        if (lockedForSeconds > 0) return sendLocked(res, lockedForSeconds);
+        return res.status(400).json({ message: "Invalid verification code" });
+      }
+      await clearLoginFailures(lockKey);
+
+      const { banned, user: banState } = await checkBan(userId);
+      if (!banState) return res.status(400).json({ message: "Invalid credentials" });
+      if (banned) {
+        return res.status(403).json({
+          message: "Account is banned",
+          code: "ACCOUNT_BANNED",
+          ban: banInfo(banState),
+        });
+      }
+
+      const user = await User.findById(userId);
+      const { accessToken, refreshToken } = await createSession(user._id, req, {
+        mfaVerified: true,
+      });
+
+      res.json({
+        token: accessToken,
+        refreshToken,
+        user: user.toClient(),
+        recoveryCodesRemaining:
+          verified.method === "recovery"
+            ? verified.remainingRecoveryCodes
+            : undefined,
+      });
+    } catch (err) {
+      console.error("login 2fa error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/refresh
+ * body: { refreshToken }
+ * Rotates the refresh token: the old one stops working immediately.
+ */
+router.post(
+  "/refresh",
+  [body("refreshToken").notEmpty().withMessage("refreshToken required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          errors: errors.array().map((e) => ({ field: e.param, msg: e.msg })),
+        });
+      }
+
+      const { accessToken, refreshToken } = await rotateSession(
+        req.body.refreshToken,
+        req
+      );
+
+      res.json({ token: accessToken, refreshToken });
+    } catch (err) {
+      if (err.status && err.status < 500) {
+        return res.status(err.status).json({ message: err.message });
+      }
+      console.error("refresh error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/verify-email
+ * body: { token }
+ */
+router.post(
+  "/verify-email",
+  [body("token").notEmpty().withMessage("token required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          errors: errors.array().map((e) => ({ field: e.param, msg: e.msg })),
+        });
+      }
+
+      const consumed = await consumeToken(req.body.token, "email_verification");
+      if (!consumed) {
+        return res
+          .status(400)
+          .json({ message: "Verification link is invalid or has expired" });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        consumed.user,
+        { emailVerified: true, emailVerifiedAt: new Date() },
+        { new: true }
+      ).select("-passwordHash");
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      res.json({ message: "Email verified", user });
+    } catch (err) {
+      console.error("verify-email error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/resend-verification
+ * Sends a fresh verification email to the logged-in user.
+ */
+router.post(
+  "/resend-verification",
+  auth,
+  rateLimit("verification_email"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ message: "User not found" });
+      // unset (legacy accounts) counts as verified
+      if (user.emailVerified !== false) {
+        return res.status(400).json({ message: "Email already verified" });
+      }
+
+      const verifyToken = await issueToken(user._id, "email_verification");
+      await sendMail(verificationEmail(user, verifyToken));
+
+      res.json({ message: "Verification email sent" });
+    } catch (err) {
+      console.error("resend-verification error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/forgot-password
+ * body: { email }
+ * Always answers 200 so the endpoint cannot be used to probe for accounts.
+ */
+router.post(
+  "/forgot-password",
+  rateLimit("password_reset", { by: "ip" }),
+  [
+    body("email")
+      .trim()
+      .notEmpty()
+      .withMessage("Email is required")
+      .isEmail()
+      .withMessage("Email is invalid"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          errors: errors.array().map((e) => ({ field: e.param, msg: e.msg })),
+        });
+      }
+
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (user) {
+        const resetToken = await issueToken(user._id, "password_reset");
+        await sendMail(passwordResetEmail(user, resetToken));
+      }
+
+      res.json({
+        message: "If that email is registered, a reset link has been sent",
+      });
+    } catch (err) {
+      console.error("forgot-password error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/reset-password
+ * body: { token, password }
+ * Sets the new password and signs out every existing session.
+ */
+router.post(
+  "/reset-password",
+  rateLimit("password_reset", { by: "ip" }),
+  [
+    body("token").notEmpty().withMessage("token required"),
+    body("password")
+      .notEmpty()
+      .withMessage("Password is required")
+      .isLength({ min: 6 })
+      .withMessage("Password must be at least 6 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          errors: errors.array().map((e) => ({ field: e.param, msg: e.msg })),
+        });
+      }
+
+      const consumed = await consumeToken(req.body.token, "password_reset");
+      if (!consumed) {
+        return res
+          .status(400)
+          .json({ message: "Reset link is invalid or has expired" });
+      }
+
+      const user = await User.findById(consumed.user);
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      user.passwordHash = await bcrypt.hash(req.body.password, 10);
+      // the reset link proves control of the mailbox
+      if (user.emailVerified === false) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+
+      await revokeUserSessions(user._id, { reason: "password_reset" });
+
+      res.json({ message: "Password has been reset, please log in again" });
+    } catch (err) {
+      console.error("reset-password error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/logout
+ * Revokes the session the access token belongs to.
+ */
+router.post("/logout", auth, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, "logout");
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("logout error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 export default router;
@@ -0,0 +1,26 @@
+// backend/src/routes/author.routes.js
+import express from "express";
+import auth from "../middleware/auth.js";
+import rateLimit from "../middleware/rateLimit.js";
+import {
+  getAuthor,
+  followAuthor,
+  unfollowAuthor,
+  checkAuthorFollow,
+  listFollowedAuthors,
+} from "../controllers/author.controller.js";
+
+const router = express.Router();
+
+// GET /api/authors/following  (authors the current user follows)
+router.get("/following", auth, listFollowedAuthors);
+
+// GET /api/authors/:authorId?page&limit
+router.get("/:authorId", getAuthor);
+
+/* Follow / Unfollow */
+router.get("/:authorId/follow", auth, checkAuthorFollow);
+router.post("/:authorId/follow", auth, rateLimit("follows"), followAuthor);
+router.delete("/:authorId/follow", auth, unfollowAuthor);
+
+export default router;
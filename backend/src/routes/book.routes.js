@@ -1,14 +1,121 @@
 // backend/src/routes/book.routes.js
 import express from "express";
-import { getBook, listBooks } from "../controllers/book.controller.js";
+import auth, { optionalAuth } from "../middleware/auth.js";
+import rateLimit from "../middleware/rateLimit.js";
+import requireVerified from "../middleware/requireVerified.js";
+import {
+  getBook,
+  getBookDetail,
+  listBooks,
+  listEditions,
+  getBookByIsbn,
+  bulkIsbn,
+  MAX_BULK_ISBNS,
+} from "../controllers/book.controller.js";
+import {
+  getBookTags,
+  addBookTag,
+  removeBookTagVote,
+} from "../controllers/bookTag.controller.js";
+import {
+  addBook,
+  suggestBookEdit,
+  listBookRevisions,
+} from "../controllers/bookRevision.controller.js";
+import { body, validationResult } from "express-validator";
 
 const router = express.Router();
 
+function validate(rules) {
+  return async (req, res, next) => {
+    for (const r of rules) await r.run(req);
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({
+        errors: errors.array().map((e) => ({ field: e.path, msg: e.msg })),
+      });
+    next();
+  };
+}
+
 // GET /api/books? page & limit
 router.get("/", listBooks);
 
+// POST /api/books  { title, authors?, cover?, description?, isbn? }
+// a book no provider knows, added by the caller (source "user")
+router.post(
+  "/",
+  auth,
+  requireVerified,
+  rateLimit("book_edits"),
+  validate([
+    body("title").isString().withMessage("title is required"),
+    body("authors").optional().isArray(),
+    body("isbn").optional().isString(),
+  ]),
+  addBook
+);
+
+// GET /api/books/isbn/:isbn  (ISBN-10 or ISBN-13, hyphens allowed)
+router.get("/isbn/:isbn", getBookByIsbn);
+
+// POST /api/books/isbn/bulk  { isbns, addTo?, shelfId?, status? }
+router.post(
+  "/isbn/bulk",
+  auth,
+  rateLimit("isbn_bulk"),
+  validate([
+    body("isbns")
+      .isArray({ min: 1, max: MAX_BULK_ISBNS })
+      .withMessage(`isbns must be a list of 1-${MAX_BULK_ISBNS} ISBNs`),
+    body("isbns.*").isString().withMessage("each ISBN must be a string"),
+    body("addTo").optional().isIn(["reading", "shelf"]),
+    body("shelfId")
+      .if(body("addTo").equals("shelf"))
+      .isMongoId()
+      .withMessage("shelfId is required to add to a shelf"),
+    body("status").optional().isIn(["to-read", "reading", "finished"]),
+  ]),
+  bulkIsbn
+);
+
 // GET /api/books/:externalId
 // e.g. /api/books/works/OL82563W  OR /api/books/OL82563W  OR /api/books/%2Fworks%2FOL82563W
 router.get("/:externalId", getBook);
 
+// GET /api/books/:externalId/detail  book + stats, top reviews, caller's state
+router.get("/:externalId/detail", optionalAuth, getBookDetail);
+
+// GET /api/books/:bookId/editions (bookId is the Book _id)
+router.get("/:bookId/editions", listEditions);
+
+/* Revision history and edit suggestions (reviewed in /api/admin/revisions) */
+router.get("/:bookId/revisions", listBookRevisions);
+router.post(
+  "/:bookId/revisions",
+  auth,
+  requireVerified,
+  rateLimit("book_edits"),
+  validate([
+    body("changes").isObject().withMessage("changes must be an object"),
+    body("comment").optional().isString(),
+  ]),
+  suggestBookEdit
+);
+
+/* Community tags and moods */
+router.get("/:bookId/tags", optionalAuth, getBookTags);
+router.post(
+  "/:bookId/tags",
+  auth,
+  requireVerified,
+  rateLimit("tags"),
+  validate([
+    body("kind").optional().isIn(["tag", "mood"]),
+    body("label").isString().withMessage("label is required"),
+  ]),
+  addBookTag
+);
+router.delete("/:bookId/tags/:kind/:slug", auth, removeBookTagVote);
+
 export default router;
@@ -11,7 +11,10 @@ import {
 import {
   joinBookClub,
   leaveBookClub,
+  setClubMemberRole,
+  removeClubMember,
 } from "../controllers/bookclub.controller.js";
+import requirePermission from "../middleware/requirePermission.js";
 
 const router = express.Router();
 
@@ -25,4 +28,16 @@ router.get("/:id/members", listClubMembers);
 router.post("/:clubId/join", auth, joinBookClub);
 router.post("/:clubId/leave", auth, leaveBookClub);
 
+/* Member management (club owner / admins, or site admins) */
+const manageMembers = requirePermission("club:members:manage", {
+  club: (req) => req.params.clubId,
+});
+router.patch(
+  "/:clubId/members/:userId/role",
+  auth,
+  manageMembers,
+  setClubMemberRole
+);
+router.delete("/:clubId/members/:userId", auth, manageMembers, removeClubMember);
+
 export default router;
@@ -4,6 +4,7 @@ import {
   createDiscussion,
   listDiscussions,
   getDiscussion,
+  deleteDiscussion,
 } from "../controllers/bookclubDiscussion.controller.js";
 
 const router = express.Router();
@@ -14,5 +15,6 @@ router.post("/bookclubs/:clubId/discussions", auth, createDiscussion);
 
 /* Single discussion */
 router.get("/discussions/:id", getDiscussion);
+router.delete("/discussions/:id", auth, deleteDiscussion);
 
 export default router;
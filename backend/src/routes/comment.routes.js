@@ -1,6 +1,8 @@
 // backend/src/routes/comment.routes.js
 import express from "express";
 import auth from "../middleware/auth.js";
+import requireVerified from "../middleware/requireVerified.js";
+import rateLimit from "../middleware/rateLimit.js";
 import {
   addComment,
   getCommentsByTarget,
@@ -29,6 +31,8 @@ function validate(rules) {
 router.post(
   "/add",
   auth,
+  requireVerified,
+  rateLimit("comments"),
   validate([
     body("targetType").notEmpty().isIn(["book", "review", "note"]),
     body("targetId").notEmpty(),
@@ -55,6 +59,7 @@ router.get(
 router.patch(
   "/:id",
   auth,
+  requireVerified,
   validate([param("id").isMongoId(), body("text").optional().isString()]),
   updateComment
 );
@@ -1,9 +1,9 @@
 import express from "express";
-import auth from "../middleware/auth.js";
+import { authWithScope } from "../middleware/auth.js";
 import { exportAll } from "../controllers/export.controller.js";
 
 const router = express.Router();
 
-router.get("/all", auth, exportAll);
+router.get("/all", authWithScope("export"), exportAll);
 
 export default router;
@@ -1,6 +1,7 @@
 // backend/src/routes/follow.routes.js
 import express from "express";
 import auth from "../middleware/auth.js";
+import rateLimit from "../middleware/rateLimit.js";
 import {
   followUser,
   unfollowUser,
@@ -12,7 +13,7 @@ import {
 const router = express.Router();
 
 /* Follow / Unfollow */
-router.post("/:userId", auth, followUser);
+router.post("/:userId", auth, rateLimit("follows"), followUser);
 router.delete("/:userId", auth, unfollowUser);
 
 /* Check follow */
@@ -0,0 +1,13 @@
+// backend/src/routes/genre.routes.js
+import express from "express";
+import { listGenres, getGenre } from "../controllers/genre.controller.js";
+
+const router = express.Router();
+
+// GET /api/genres  (taxonomy tree + moods)
+router.get("/", listGenres);
+
+// GET /api/genres/:genre?page&limit  (slug, name or synonym)
+router.get("/:genre", getGenre);
+
+export default router;
@@ -1,9 +1,9 @@
 import express from "express";
-import auth from "../middleware/auth.js";
+import { authWithScope } from "../middleware/auth.js";
 import { importAll } from "../controllers/import.controller.js";
 
 const router = express.Router();
 
-router.post("/all", auth, importAll);
+router.post("/all", authWithScope("import"), importAll);
 
 export default router;
@@ -1,6 +1,7 @@
 // backend/src/routes/like.routes.js
 import express from "express";
 import auth from "../middleware/auth.js";
+import rateLimit from "../middleware/rateLimit.js";
 import { body, query, validationResult } from "express-validator";
 import {
   toggleLike,
@@ -29,6 +30,7 @@ function validate(rules) {
 router.post(
   "/toggle",
   auth,
+  rateLimit("likes"),
   validate([
     body("targetType")
       .notEmpty()
@@ -1,7 +1,27 @@
 // backend/src/routes/me.routes.js
 import express from "express";
 import auth from "../middleware/auth.js";
+import mongoose from "mongoose";
+import bcrypt from "bcrypt";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import {
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions,
+} from "../services/session.service.js";
+import {
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+  invalidScopes,
+} from "../services/accessToken.service.js";
+import { PAT_SCOPES } from "../models/PersonalAccessToken.js";
+import {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+} from "../services/accountDeletion.service.js";
+import { verifyCode } from "../services/twoFactor.service.js";
 
 const router = express.Router();
 
@@ -17,4 +37,191 @@ router.get("/", auth, async (req, res) => {
   }
 });
 
+/* ---------- account deletion ---------- */
+
+// DELETE /api/me  body: { password, code? }  (code required when 2FA is on)
+// Schedules deletion after the grace period and signs out every session.
+router.delete("/", auth, async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+    if (!password) return res.status(400).json({ message: "password required" });
+
+    const user = await User.findById(req.user.id).select(
+      "passwordHash twoFactor.enabled deletionScheduledFor"
+    );
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        message: "Account deletion already scheduled",
+        deletionScheduledFor: user.deletionScheduledFor,
+      });
+    }
+
+    const match = await bcrypt.compare(String(password), user.passwordHash);
+    if (!match) return res.status(400).json({ message: "Password incorrect" });
+
+    if (user.twoFactor?.enabled) {
+      const verified = await verifyCode(user._id, code);
+      if (!verified.ok) {
+        return res.status(400).json({ message: "Invalid verification code" });
+      }
+    }
+
+    const deletionScheduledFor = await scheduleAccountDeletion(user._id);
+    res.json({
+      message: "Account scheduled for deletion. Log in and cancel before then to keep it.",
+      deletionScheduledFor,
+    });
+  } catch (err) {
+    console.error("DELETE /api/me error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/me/deletion/cancel  -> keep the account during the grace period
+router.post("/deletion/cancel", auth, async (req, res) => {
+  try {
+    const cancelled = await cancelAccountDeletion(req.user.id);
+    if (!cancelled) {
+      return res.status(400).json({ message: "No account deletion is pending" });
+    }
+    res.json({ message: "Account deletion cancelled" });
+  } catch (err) {
+    console.error("POST /api/me/deletion/cancel error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ---------- sessions ---------- */
+
+// GET /api/me/sessions  -> active sessions (device, ip, last seen)
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+    res.json({
+      sessions: sessions.map((s) => s.toClient(req.user.sessionId)),
+    });
+  } catch (err) {
+    console.error("GET /api/me/sessions error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// DELETE /api/me/sessions  -> revoke every session except the current one
+router.delete("/sessions", auth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, {
+      except: req.user.sessionId,
+      reason: "revoked_by_user",
+    });
+    res.json({ revoked });
+  } catch (err) {
+    console.error("DELETE /api/me/sessions error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// DELETE /api/me/sessions/:sessionId  -> revoke a single session
+router.delete("/sessions/:sessionId", auth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(400).json({ message: "Invalid session id" });
+    }
+
+    const session = await Session.findOne({
+      _id: sessionId,
+      user: req.user.id,
+      revokedAt: null,
+    });
+    if (!session) return res.status(404).json({ message: "Session not found" });
+
+    await revokeSession(session._id, "revoked_by_user");
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    console.error("DELETE /api/me/sessions/:sessionId error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ---------- personal access tokens ---------- */
+
+// GET /api/me/tokens  -> active tokens (never the raw value)
+router.get("/tokens", auth, async (req, res) => {
+  try {
+    const tokens = await listAccessTokens(req.user.id);
+    res.json({
+      tokens: tokens.map((t) => t.toClient()),
+      availableScopes: PAT_SCOPES,
+    });
+  } catch (err) {
+    console.error("GET /api/me/tokens error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/me/tokens  body: { name, scopes: [..], expiresInDays? }
+// The raw token is only returned in this response.
+router.post("/tokens", auth, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+
+    if (typeof name !== "string" || !name.trim() || name.length > 100) {
+      return res.status(400).json({ message: "name is required (max 100 chars)" });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: "scopes must be a non-empty array" });
+    }
+    const unknown = invalidScopes(scopes);
+    if (unknown.length) {
+      return res.status(400).json({
+        message: `Unknown scopes: ${unknown.join(", ")}`,
+        availableScopes: PAT_SCOPES,
+      });
+    }
+
+    let days = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return res
+          .status(400)
+          .json({ message: "expiresInDays must be an integer between 1 and 365" });
+      }
+    }
+
+    const created = await createAccessToken(req.user.id, {
+      name: name.trim(),
+      scopes,
+      expiresInDays: days,
+    });
+    if (!created) {
+      return res.status(400).json({ message: "Too many active tokens" });
+    }
+
+    res.status(201).json({ token: created.token, ...created.doc.toClient() });
+  } catch (err) {
+    console.error("POST /api/me/tokens error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// DELETE /api/me/tokens/:tokenId  -> revoke a token
+router.delete("/tokens/:tokenId", auth, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    if (!mongoose.isValidObjectId(tokenId)) {
+      return res.status(400).json({ message: "Invalid token id" });
+    }
+
+    const revoked = await revokeAccessToken(req.user.id, tokenId);
+    if (!revoked) return res.status(404).json({ message: "Token not found" });
+
+    res.json({ message: "Token revoked" });
+  } catch (err) {
+    console.error("DELETE /api/me/tokens/:tokenId error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 export default router;
@@ -34,6 +34,7 @@ router.post(
     body("title").optional().isString(),
     body("highlight").optional().isString(),
     body("pageNumber").optional().isNumeric(),
+    body("editionId").optional().isMongoId(),
   ]),
   addNote
 );
@@ -51,6 +52,7 @@ router.patch(
     body("content").optional(),
     body("highlight").optional(),
     body("pageNumber").optional().isNumeric(),
+    body("editionId").optional({ values: "null" }).isMongoId(),
   ]),
   updateNote
 );
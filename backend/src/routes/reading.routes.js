@@ -1,6 +1,6 @@
 // backend/src/routes/reading.routes.js
 import express from "express";
-import auth from "../middleware/auth.js";
+import { authWithScope } from "../middleware/auth.js";
 import {
   addToReading,
   getReadingList,
@@ -33,7 +33,7 @@ function validate(rules) {
 /* ------------------ POST /add ------------------ */
 router.post(
   "/add",
-  auth,
+  authWithScope("reading:write"),
   validate([
     body("externalId")
       .notEmpty()
@@ -59,12 +59,12 @@ router.post(
 );
 
 /* ------------------ GET /list ------------------ */
-router.get("/list", auth, getReadingList);
+router.get("/list", authWithScope("reading:read"), getReadingList);
 
 /* ------------------ PATCH /:id ------------------ */
 router.patch(
   "/:id",
-  auth,
+  authWithScope("reading:write"),
   validate([
     param("id").isMongoId().withMessage("Invalid reading entry ID"),
 
@@ -79,6 +79,11 @@ router.patch(
       .withMessage("Invalid status value"),
 
     body("notes").optional().isString().withMessage("notes must be a string"),
+
+    body("editionId")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("editionId must be an edition id or null"),
   ]),
   updateReading
 );
@@ -86,7 +91,7 @@ router.patch(
 /* ------------------ DELETE /:id ------------------ */
 router.delete(
   "/:id",
-  auth,
+  authWithScope("reading:write"),
   validate([param("id").isMongoId().withMessage("Invalid reading entry ID")]),
   removeReading
 );
@@ -95,7 +100,7 @@ router.delete(
 // /api/reading/check?externalId=/works/OL82563W
 router.get(
   "/check",
-  auth,
+  authWithScope("reading:read"),
   validate([
     query("externalId")
       .notEmpty()
@@ -0,0 +1,52 @@
+// backend/src/routes/report.routes.js
+import express from "express";
+import auth from "../middleware/auth.js";
+import requireVerified from "../middleware/requireVerified.js";
+import rateLimit from "../middleware/rateLimit.js";
+import { createReport, listMyReports } from "../controllers/report.controller.js";
+import { REPORT_TARGET_TYPES, REPORT_REASONS } from "../models/Report.js";
+import { body, query, validationResult } from "express-validator";
+
+const router = express.Router();
+
+function validate(rules) {
+  return async (req, res, next) => {
+    for (const r of rules) await r.run(req);
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res
+        .status(400)
+        .json({
+          errors: errors.array().map((e) => ({ field: e.path, msg: e.msg })),
+        });
+    next();
+  };
+}
+
+/* File a report */
+router.post(
+  "/",
+  auth,
+  requireVerified,
+  rateLimit("reports"),
+  validate([
+    body("targetType").isIn(REPORT_TARGET_TYPES),
+    body("targetId").isMongoId(),
+    body("reason").isIn(REPORT_REASONS),
+    body("details").optional().isString().isLength({ max: 1000 }),
+  ]),
+  createReport
+);
+
+/* My reports */
+router.get(
+  "/mine",
+  auth,
+  validate([
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1 }),
+  ]),
+  listMyReports
+);
+
+export default router;
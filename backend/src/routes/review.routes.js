@@ -1,6 +1,8 @@
 // backend/src/routes/review.routes.js
 import express from "express";
 import auth from "../middleware/auth.js";
+import requireVerified from "../middleware/requireVerified.js";
+import rateLimit from "../middleware/rateLimit.js";
 import {
   addReview,
   getReviewsByBook,
@@ -32,6 +34,8 @@ function validate(rules) {
 router.post(
   "/add",
   auth,
+  requireVerified,
+  rateLimit("reviews"),
   validate([
     body("externalId").notEmpty().withMessage("externalId is required"),
     body("rating")
@@ -65,6 +69,7 @@ router.get(
 router.patch(
   "/:id",
   auth,
+  requireVerified,
   validate([
     param("id").notEmpty().withMessage("id required"),
     body("rating")
@@ -1,10 +1,85 @@
 // backend/src/routes/search.routes.js
 import express from "express";
-import { searchBooks, searchUsers } from "../controllers/search.controller.js";
+import { query, validationResult } from "express-validator";
+import auth, { optionalAuth } from "../middleware/auth.js";
+import rateLimit from "../middleware/rateLimit.js";
+import {
+  searchBooks,
+  searchUsers,
+  semanticSearch,
+  searchEverything,
+  suggestSearch,
+  clearRecentSearches,
+} from "../controllers/search.controller.js";
+import { SORTS } from "../services/bookSearch.service.js";
+import { SEARCH_TYPES } from "../services/unifiedSearch.service.js";
 
 const router = express.Router();
 
-router.get("/", searchBooks);
+function validate(rules) {
+  return async (req, res, next) => {
+    for (const r of rules) await r.run(req);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        errors: errors.array().map((e) => ({ field: e.path, msg: e.msg })),
+      });
+    }
+    next();
+  };
+}
+
+router.get(
+  "/",
+  validate([
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 50 }),
+    query("sort").optional().isIn(SORTS),
+    query(["yearFrom", "yearTo"]).optional().isInt({ min: 0, max: 3000 }),
+    query(["pagesMin", "pagesMax"]).optional().isInt({ min: 0 }),
+    query("minRating").optional().isFloat({ min: 0, max: 5 }),
+    query(["notInLibrary", "facets"]).optional().isBoolean(),
+  ]),
+  optionalAuth,
+  searchBooks
+);
+router.get(
+  "/semantic",
+  validate([
+    query("q").isString().trim().notEmpty().isLength({ max: 500 }),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 50 }),
+    query("blend").optional().isFloat({ min: 0, max: 1 }),
+    query(["yearFrom", "yearTo"]).optional().isInt({ min: 0, max: 3000 }),
+    query(["pagesMin", "pagesMax"]).optional().isInt({ min: 0 }),
+    query("minRating").optional().isFloat({ min: 0, max: 5 }),
+  ]),
+  optionalAuth,
+  rateLimit("semantic_search"),
+  semanticSearch
+);
+router.get(
+  "/all",
+  validate([
+    query("q").isString().trim().notEmpty().isLength({ max: 200 }),
+    query("types")
+      .optional()
+      .customSanitizer((v) => [].concat(v).join(","))
+      .custom((v) => v.split(",").every((t) => SEARCH_TYPES.includes(t)))
+      .withMessage(`types: ${SEARCH_TYPES.join(", ")}`),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 20 }),
+  ]),
+  optionalAuth,
+  searchEverything
+);
+router.get(
+  "/suggest",
+  validate([query("q").optional().isString().isLength({ max: 100 })]),
+  optionalAuth,
+  suggestSearch
+);
+router.delete("/recent", auth, clearRecentSearches);
 router.get("/users", searchUsers);
 
 export default router;
@@ -0,0 +1,21 @@
+// backend/src/routes/series.routes.js
+import express from "express";
+import auth from "../middleware/auth.js";
+import {
+  getSeries,
+  getSeriesProgress,
+  listSeriesProgress,
+} from "../controllers/series.controller.js";
+
+const router = express.Router();
+
+// GET /api/series/progress  (series the current user has started)
+router.get("/progress", auth, listSeriesProgress);
+
+// GET /api/series/:seriesId  (reading order)
+router.get("/:seriesId", getSeries);
+
+// GET /api/series/:seriesId/progress
+router.get("/:seriesId/progress", auth, getSeriesProgress);
+
+export default router;
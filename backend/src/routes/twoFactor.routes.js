@@ -0,0 +1,60 @@
+// backend/src/routes/twoFactor.routes.js
+import express from "express";
+import auth from "../middleware/auth.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactorHandler,
+  regenerateRecoveryCodesHandler,
+} from "../controllers/twoFactor.controller.js";
+import { body, validationResult } from "express-validator";
+
+const router = express.Router();
+
+function validate(rules) {
+  return async (req, res, next) => {
+    for (const r of rules) await r.run(req);
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({
+        errors: errors.array().map((e) => ({ field: e.path, msg: e.msg })),
+      });
+    next();
+  };
+}
+
+/* GET /api/auth/2fa -> status */
+router.get("/", auth, getTwoFactorStatus);
+
+/* POST /api/auth/2fa/setup -> provisioning URI */
+router.post("/setup", auth, setupTwoFactor);
+
+/* POST /api/auth/2fa/confirm */
+router.post(
+  "/confirm",
+  auth,
+  validate([body("code").notEmpty().withMessage("code required")]),
+  confirmTwoFactor
+);
+
+/* POST /api/auth/2fa/disable */
+router.post(
+  "/disable",
+  auth,
+  validate([
+    body("password").notEmpty().withMessage("password required"),
+    body("code").notEmpty().withMessage("code required"),
+  ]),
+  disableTwoFactorHandler
+);
+
+/* POST /api/auth/2fa/recovery-codes */
+router.post(
+  "/recovery-codes",
+  auth,
+  validate([body("code").notEmpty().withMessage("code required")]),
+  regenerateRecoveryCodesHandler
+);
+
+export default router;
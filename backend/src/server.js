@@ -11,10 +11,16 @@ import { Server as IOServer } from "socket.io";
 import { connectDB } from "./config/db.js";
 import { initSocket } from "./utils/socketService.js";
 import { setIo } from "./utils/socket.js";
+import { getActiveSession } from "./services/session.service.js";
+import { checkBan } from "./services/moderation.service.js";
 
 // Routes
 import authRoutes from "./routes/auth.routes.js";
+import twoFactorRoutes from "./routes/twoFactor.routes.js";
 import bookRoutes from "./routes/book.routes.js";
+import authorRoutes from "./routes/author.routes.js";
+import seriesRoutes from "./routes/series.routes.js";
+import genreRoutes from "./routes/genre.routes.js";
 import readingRoutes from "./routes/reading.routes.js";
 import searchRoutes from "./routes/search.routes.js";
 import meRoutes from "./routes/me.routes.js";
@@ -25,6 +31,7 @@ import smartShelfRoutes from "./routes/smartShelf.routes.js";
 import noteRoutes from "./routes/note.routes.js";
 import activityRoutes from "./routes/activity.routes.js";
 import profileRoutes from "./routes/profile.routes.js";
+import reportRoutes from "./routes/report.routes.js";
 import followRoutes from "./routes/follow.routes.js";
 import commentRoutes from "./routes/comment.routes.js";
 import likeRoutes from "./routes/like.routes.js";
@@ -39,6 +46,7 @@ import importRoutes from "./routes/import.routes.js";
 import adminRoutes from "./routes/admin.routes.js";
 import bookClubRoutes from "./routes/bookclub.routes.js";
 import bookclubDiscussionRoutes from "./routes/bookclubDiscussion.routes.js";
+import rateLimit from "./middleware/rateLimit.js";
 
 console.log("MONGO_URI present?", Boolean(process.env.MONGO_URI));
 console.log("JWT_SECRET present?", Boolean(process.env.JWT_SECRET));
@@ -56,15 +64,32 @@ app.use(
 );
 app.use(express.json());
 
+// behind a reverse proxy set TRUST_PROXY (e.g. "1") so req.ip is the client ip
+if (process.env.TRUST_PROXY) {
+  const value = process.env.TRUST_PROXY;
+  const hops = Number(value);
+  app.set(
+    "trust proxy",
+    value === "true" ? true : Number.isNaN(hops) ? value : hops
+  );
+}
+
+// coarse per-ip ceiling; tighter limits live on individual routes
+app.use("/api", rateLimit("api", { by: "ip" }));
+
 /* -------------------- HEALTH -------------------- */
 
 app.get("/", (req, res) => res.send("📚 Readers API running"));
 
 /* -------------------- ROUTES -------------------- */
 
+app.use("/api/auth/2fa", twoFactorRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/books/trending", trendingRouter);
 app.use("/api/books", bookRoutes);
+app.use("/api/authors", authorRoutes);
+app.use("/api/series", seriesRoutes);
+app.use("/api/genres", genreRoutes);
 app.use("/api/reading", readingRoutes);
 app.use("/api/search", searchRoutes);
 app.use("/api/me", meRoutes);
@@ -85,6 +110,7 @@ app.use("/api/feed", feedRouter);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/export", exportRoutes);
 app.use("/api/import", importRoutes);
+app.use("/api/reports", reportRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/bookclubs", bookClubRoutes);
 app.use("/api", bookclubDiscussionRoutes);
@@ -112,8 +138,8 @@ connectDB()
       },
     });
 
-    // 🔐 JWT AUTH FOR SOCKETS
-    io.use((socket, next) => {
+    // 🔐 JWT AUTH FOR SOCKETS (session must still be active)
+    io.use(async (socket, next) => {
       try {
         const token =
           socket.handshake?.auth?.token || socket.handshake?.query?.token;
@@ -121,9 +147,16 @@ connectDB()
 
         const payload = jwt.verify(token, process.env.JWT_SECRET);
         const userId = payload?.id || payload?.userId || payload?._id;
-        if (!userId) return next(new Error("auth error"));
+        if (!userId || !payload?.sid) return next(new Error("auth error"));
+
+        const session = await getActiveSession(payload.sid);
+        if (!session || String(session.user) !== String(userId))
+          return next(new Error("session revoked"));
+
+        const { user, banned } = await checkBan(userId);
+        if (!user || banned) return next(new Error("account banned"));
 
-        socket.user = { id: String(userId), ...payload };
+        socket.user = { id: String(userId), sessionId: payload.sid, ...payload };
         next();
       } catch (err) {
         next(new Error("auth error"));
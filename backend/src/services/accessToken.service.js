@@ -0,0 +1,121 @@
+// backend/src/services/accessToken.service.js
+// Personal access tokens (PATs) for scripting against the API.
+
+import crypto from "crypto";
+import PersonalAccessToken, {
+  PAT_PREFIX,
+  PAT_SCOPES,
+} from "../models/PersonalAccessToken.js";
+
+const MAX_TOKENS_PER_USER = 20;
+// don't write lastUsedAt on every request
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+function hashToken(raw) {
+  return crypto.createHash("sha256").update(String(raw)).digest("hex");
+}
+
+export function isPersonalAccessToken(token) {
+  return typeof token === "string" && token.startsWith(PAT_PREFIX);
+}
+
+/**
+ * invalidScopes(scopes) -> scopes that are not recognised
+ */
+export function invalidScopes(scopes = []) {
+  return scopes.filter((s) => !PAT_SCOPES.includes(s));
+}
+
+// a user's tokens that are neither revoked nor expired
+function activeTokens(userId) {
+  return {
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  };
+}
+
+/**
+ * createAccessToken(userId, { name, scopes, expiresInDays })
+ *   -> { token (raw, shown once), doc } or null when the user has too many
+ */
+export async function createAccessToken(
+  userId,
+  { name, scopes = [], expiresInDays = null }
+) {
+  // expired tokens no longer count against the limit
+  const active = await PersonalAccessToken.countDocuments(activeTokens(userId));
+  if (active >= MAX_TOKENS_PER_USER) return null;
+
+  const raw = `${PAT_PREFIX}${crypto.randomBytes(30).toString("base64url")}`;
+  const doc = await PersonalAccessToken.create({
+    user: userId,
+    name,
+    tokenHash: hashToken(raw),
+    tokenPreview: raw.slice(0, PAT_PREFIX.length + 6),
+    scopes: Array.from(new Set(scopes)),
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null,
+  });
+
+  return { token: raw, doc };
+}
+
+/**
+ * resolveAccessToken(raw, ip) -> lean token doc or null
+ * Records lastUsedAt / lastUsedIp (throttled).
+ */
+export async function resolveAccessToken(raw, ip = null) {
+  if (!isPersonalAccessToken(raw)) return null;
+
+  const doc = await PersonalAccessToken.findOne({
+    tokenHash: hashToken(raw),
+    revokedAt: null,
+  })
+    .select("user scopes expiresAt lastUsedAt")
+    .lean();
+  if (!doc) return null;
+  if (doc.expiresAt && new Date(doc.expiresAt) <= new Date()) return null;
+
+  if (
+    !doc.lastUsedAt ||
+    Date.now() - new Date(doc.lastUsedAt).getTime() > LAST_USED_THROTTLE_MS
+  ) {
+    PersonalAccessToken.updateOne(
+      { _id: doc._id },
+      { lastUsedAt: new Date(), lastUsedIp: ip }
+    ).catch((e) => console.error("token touch failed", e?.message ?? e));
+  }
+
+  return doc;
+}
+
+/**
+ * listAccessTokens(userId) -> active tokens, newest first
+ */
+export async function listAccessTokens(userId) {
+  return PersonalAccessToken.find(activeTokens(userId)).sort({
+    createdAt: -1,
+  });
+}
+
+/**
+ * revokeAccessToken(userId, tokenId) -> revoked doc or null
+ */
+export async function revokeAccessToken(userId, tokenId) {
+  return PersonalAccessToken.findOneAndUpdate(
+    { _id: tokenId, user: userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+}
+
+export default {
+  isPersonalAccessToken,
+  invalidScopes,
+  createAccessToken,
+  resolveAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+};
@@ -0,0 +1,345 @@
+// backend/src/services/accountDeletion.service.js
+// Self-service account deletion: a request starts a grace period, after
+// which purgeAccount() removes the user's data. Content other people
+// replied to is kept but attributed to an anonymized tombstone user, so
+// threads stay readable.
+
+import crypto from "crypto";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import PersonalAccessToken from "../models/PersonalAccessToken.js";
+import UserToken from "../models/UserToken.js";
+import Reading from "../models/Reading.js";
+import Shelf from "../models/Shelf.js";
+import ShelfItem from "../models/ShelfItem.js";
+import Note from "../models/Note.js";
+import Review from "../models/Review.js";
+import Book from "../models/Book.js";
+import Favorite from "../models/Favorite.js";
+import Follow from "../models/Follow.js";
+import Like from "../models/Like.js";
+import Comment from "../models/Comment.js";
+import Notification from "../models/Notification.js";
+import Activity from "../models/Activity.js";
+import UserBookInteraction from "../models/UserBookInteraction.js";
+import Recommendation from "../models/Recommendation.js";
+import BookClub from "../models/BookClub.js";
+import BookClubMember from "../models/BookClubMember.js";
+import BookClubPost from "../models/BookClubPost.js";
+import BookClubDiscussion from "../models/BookClubDiscussion.js";
+import SearchQuery from "../models/SearchQuery.js";
+import Author from "../models/Author.js";
+import AuthorFollow from "../models/AuthorFollow.js";
+import cloudinary from "../config/cloudinary.js";
+import { revokeUserSessions } from "./session.service.js";
+import { syncBookStats } from "./bookStats.service.js";
+import { removeUserVotes } from "./bookTag.service.js";
+import { disconnectUser } from "../utils/socketService.js";
+import { cloudinaryPublicId } from "../utils/cloudinaryAsset.js";
+
+export function gracePeriodDays() {
+  const days = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 14;
+}
+
+/* ---------- grace period ---------- */
+
+/**
+ * scheduleAccountDeletion(userId) -> Date the account will be purged
+ * Signs the user out everywhere and revokes their access tokens.
+ */
+export async function scheduleAccountDeletion(userId) {
+  const now = new Date();
+  const scheduledFor = new Date(
+    now.getTime() + gracePeriodDays() * 24 * 60 * 60 * 1000
+  );
+
+  await User.updateOne(
+    { _id: userId },
+    { deletionRequestedAt: now, deletionScheduledFor: scheduledFor }
+  );
+  await revokeUserSessions(userId, { reason: "account_deletion" });
+  await PersonalAccessToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: now }
+  );
+
+  return scheduledFor;
+}
+
+/**
+ * cancelAccountDeletion(userId) -> true if a pending deletion was cancelled
+ */
+export async function cancelAccountDeletion(userId) {
+  const res = await User.updateOne(
+    { _id: userId, deletionScheduledFor: { $ne: null }, deletedAt: null },
+    { deletionRequestedAt: null, deletionScheduledFor: null }
+  );
+  return res.modifiedCount > 0;
+}
+
+/* ---------- purge ---------- */
+
+const COMMENT_TARGETS = { book: Book, review: Review, note: Note };
+
+// comments: [{ targetType, targetId }] -> decrement commentsCount per target
+async function decrementCommentCounts(comments) {
+  const perTarget = new Map();
+  for (const c of comments) {
+    const key = `${c.targetType}:${c.targetId}`;
+    const entry = perTarget.get(key) || { ...c, n: 0 };
+    entry.n += 1;
+    perTarget.set(key, entry);
+  }
+
+  for (const { targetType, targetId, n } of perTarget.values()) {
+    const Model = COMMENT_TARGETS[targetType];
+    if (!Model) continue;
+    await Model.updateOne({ _id: targetId }, { $inc: { commentsCount: -n } });
+  }
+}
+
+async function purgeComments(userId) {
+  const comments = await Comment.find({ user: userId })
+    .select("_id targetType targetId deleted")
+    .lean();
+  if (!comments.length) return { removed: 0, anonymized: 0 };
+
+  // comments someone else replied to stay as "[deleted]" placeholders
+  const repliedTo = new Set(
+    (
+      await Comment.distinct("parent", {
+        parent: { $in: comments.map((c) => c._id) },
+        user: { $ne: userId },
+      })
+    ).map(String)
+  );
+  const keep = comments.filter((c) => repliedTo.has(String(c._id)));
+  const drop = comments.filter((c) => !repliedTo.has(String(c._id)));
+
+  await Comment.updateMany(
+    { _id: { $in: keep.map((c) => c._id) } },
+    { deleted: true, text: "[deleted]" }
+  );
+  await Comment.deleteMany({ _id: { $in: drop.map((c) => c._id) } });
+  await Like.deleteMany({
+    targetType: "comment",
+    targetId: { $in: drop.map((c) => c._id) },
+  });
+
+  // already soft-deleted comments were uncounted when they were deleted
+  await decrementCommentCounts(comments.filter((c) => !c.deleted));
+
+  return { removed: drop.length, anonymized: keep.length };
+}
+
+// reviews / notes: keep the ones other people commented on
+async function purgeDiscussable(Model, targetType, userId) {
+  const ids = (await Model.find({ user: userId }).select("_id").lean()).map(
+    (d) => d._id
+  );
+  if (!ids.length) return { removed: 0, anonymized: 0 };
+
+  const discussed = new Set(
+    (
+      await Comment.distinct("targetId", {
+        targetType,
+        targetId: { $in: ids },
+        user: { $ne: userId },
+      })
+    ).map(String)
+  );
+  const remove = ids.filter((id) => !discussed.has(String(id)));
+
+  await Model.deleteMany({ _id: { $in: remove } });
+  await Comment.deleteMany({ targetType, targetId: { $in: remove } });
+  await Like.deleteMany({ targetType, targetId: { $in: remove } });
+
+  return { removed: remove.length, anonymized: ids.length - remove.length };
+}
+
+async function purgeShelves(userId) {
+  const shelfIds = (await Shelf.find({ user: userId }).select("_id").lean()).map(
+    (s) => s._id
+  );
+  if (!shelfIds.length) return 0;
+
+  const itemIds = (
+    await ShelfItem.find({ shelf: { $in: shelfIds } }).select("_id").lean()
+  ).map((i) => i._id);
+  await Like.deleteMany({ targetType: "shelfItem", targetId: { $in: itemIds } });
+  await ShelfItem.deleteMany({ _id: { $in: itemIds } });
+  await Shelf.deleteMany({ _id: { $in: shelfIds } });
+  return shelfIds.length;
+}
+
+async function purgeClubMemberships(userId) {
+  const memberships = await BookClubMember.find({ user: userId })
+    .select("club")
+    .lean();
+  const affected = new Set(memberships.map((m) => String(m.club)));
+  await BookClubMember.deleteMany({ user: userId });
+
+  // hand owned clubs to the longest-standing admin (or member); drop empty ones
+  let transferred = 0;
+  let removed = 0;
+  const owned = await BookClub.find({ owner: userId }).select("_id").lean();
+  for (const club of owned) {
+    affected.add(String(club._id));
+    const successor =
+      (await BookClubMember.findOne({ club: club._id, role: "admin" }).sort({
+        createdAt: 1,
+      })) ||
+      (await BookClubMember.findOne({ club: club._id }).sort({ createdAt: 1 }));
+
+    if (successor) {
+      successor.role = "admin";
+      await successor.save();
+      await BookClub.updateOne({ _id: club._id }, { owner: successor.user });
+      transferred++;
+    } else {
+      await BookClubPost.deleteMany({ club: club._id });
+      await BookClubDiscussion.deleteMany({ club: club._id });
+      await BookClub.deleteOne({ _id: club._id });
+      affected.delete(String(club._id));
+      removed++;
+    }
+  }
+
+  for (const clubId of affected) {
+    const membersCount = await BookClubMember.countDocuments({ club: clubId });
+    await BookClub.updateOne({ _id: clubId }, { membersCount });
+  }
+
+  return { left: memberships.length, transferred, removed };
+}
+
+// author follows: drop them and uncount the user as a follower
+async function purgeAuthorFollows(userId) {
+  const authors = await AuthorFollow.distinct("author", { user: userId });
+  if (!authors.length) return 0;
+  await AuthorFollow.deleteMany({ user: userId });
+  await Author.updateMany(
+    { _id: { $in: authors } },
+    { $inc: { followersCount: -1 } }
+  );
+  return authors.length;
+}
+
+async function removeAvatar(avatarUrl) {
+  const publicId = cloudinaryPublicId(avatarUrl);
+  if (!publicId) return false;
+  try {
+    await cloudinary.uploader.destroy(publicId);
+    return true;
+  } catch (e) {
+    console.error("avatar delete failed", e?.message ?? e);
+    return false;
+  }
+}
+
+/**
+ * purgeAccount(userId) -> summary of what was removed, or null
+ * Safe to re-run: every step only touches what is still left, and the user
+ * is turned into a tombstone last.
+ */
+export async function purgeAccount(userId) {
+  const user = await User.findById(userId).select("avatarUrl deletedAt");
+  if (!user || user.deletedAt) return null;
+
+  // books whose rating / reading stats change once the user is gone
+  const [reviewed, read] = await Promise.all([
+    Review.distinct("book", { user: user._id }),
+    Reading.distinct("book", { user: user._id }),
+  ]);
+
+  const summary = {};
+  summary.comments = await purgeComments(user._id);
+  summary.reviews = await purgeDiscussable(Review, "review", user._id);
+  summary.notes = await purgeDiscussable(Note, "note", user._id);
+  summary.shelves = await purgeShelves(user._id);
+  summary.clubs = await purgeClubMemberships(user._id);
+  summary.authorFollows = await purgeAuthorFollows(user._id);
+  summary.tagVotes = await removeUserVotes(user._id);
+
+  await Promise.all([
+    Reading.deleteMany({ user: user._id }),
+    Favorite.deleteMany({ user: user._id }),
+    Like.deleteMany({ user: user._id }),
+    Follow.deleteMany({
+      $or: [{ follower: user._id }, { following: user._id }],
+    }),
+    Notification.deleteMany({
+      $or: [{ user: user._id }, { fromUser: user._id }],
+    }),
+    Activity.deleteMany({ $or: [{ user: user._id }, { actor: user._id }] }),
+    UserBookInteraction.deleteMany({ user: user._id }),
+    Recommendation.deleteMany({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+    PersonalAccessToken.deleteMany({ user: user._id }),
+    UserToken.deleteMany({ user: user._id }),
+    SearchQuery.deleteMany({ user: user._id }),
+  ]);
+  await syncBookStats([...reviewed, ...read]);
+
+  summary.avatarRemoved = await removeAvatar(user.avatarUrl);
+
+  // tombstone: kept so remaining content still has an author to populate
+  const id = String(user._id);
+  await User.updateOne(
+    { _id: user._id },
+    {
+      name: "Deleted user",
+      username: `deleted-${id}`,
+      nameTokens: [],
+      email: `deleted-${id}@deleted.invalid`,
+      passwordHash: crypto.randomBytes(32).toString("hex"),
+      avatarUrl: null,
+      bio: "",
+      emailVerified: false,
+      emailVerifiedAt: null,
+      twoFactor: { enabled: false, enabledAt: null },
+      role: "user",
+      isBanned: false,
+      bannedAt: null,
+      bannedUntil: null,
+      banReason: null,
+      bannedBy: null,
+      deletionScheduledFor: null,
+      deletedAt: new Date(),
+    }
+  );
+
+  disconnectUser(user._id);
+  return summary;
+}
+
+/**
+ * purgeDueAccounts(now) -> number of accounts purged
+ */
+export async function purgeDueAccounts(now = new Date()) {
+  const due = await User.find({
+    deletionScheduledFor: { $ne: null, $lte: now },
+    deletedAt: null,
+  })
+    .select("_id")
+    .lean();
+
+  let purged = 0;
+  for (const u of due) {
+    try {
+      if (await purgeAccount(u._id)) purged++;
+    } catch (err) {
+      console.error(`purge of user ${u._id} failed`, err?.message ?? err);
+    }
+  }
+  return purged;
+}
+
+export default {
+  gracePeriodDays,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDueAccounts,
+};
@@ -0,0 +1,94 @@
+// backend/src/services/audit.service.js
+// Writes and queries the append-only admin / moderator audit log.
+
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+import { clientIp } from "./session.service.js";
+
+/**
+ * snapshot(doc, fields) -> plain object with just `fields` (or null)
+ */
+export function snapshot(doc, fields) {
+  if (!doc) return null;
+  const src = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const out = {};
+  for (const f of fields) out[f] = src[f] === undefined ? null : src[f];
+  return out;
+}
+
+/**
+ * requestMeta(req) -> { ip, userAgent, method, path, sessionId, tokenId }
+ */
+export function requestMeta(req) {
+  return {
+    ip: clientIp(req),
+    userAgent: req.headers?.["user-agent"] || null,
+    method: req.method || null,
+    path: req.originalUrl || req.url || null,
+    sessionId: req.user?.sessionId || null,
+    tokenId: req.user?.tokenId || null,
+  };
+}
+
+/**
+ * recordAudit(req, { action, targetType, targetId, before, after, reason })
+ * Actor and request metadata come from `req`. Never throws; a failed write
+ * is logged so the (already applied) action still answers normally.
+ */
+export async function recordAudit(
+  req,
+  { action, targetType, targetId, before = null, after = null, reason = null }
+) {
+  try {
+    return await AuditLog.create({
+      actor: req.user.id,
+      actorRole: req.user.clubRole
+        ? `club:${req.user.clubRole}`
+        : req.user.role || null,
+      action,
+      targetType,
+      targetId,
+      before,
+      after,
+      reason: typeof reason === "string" && reason.trim()
+        ? reason.trim().slice(0, 1000)
+        : null,
+      request: requestMeta(req),
+    });
+  } catch (err) {
+    console.error("Audit log failed:", err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+/**
+ * buildAuditFilter(query) -> mongo filter from
+ *   { actor, action, targetType, targetId, from, to }
+ * `action` also accepts a prefix ending in "." (e.g. "review.")
+ */
+export function buildAuditFilter(query = {}) {
+  const filter = {};
+
+  if (mongoose.isValidObjectId(query.actor)) filter.actor = query.actor;
+  if (mongoose.isValidObjectId(query.targetId)) filter.targetId = query.targetId;
+  if (query.targetType) filter.targetType = String(query.targetType);
+
+  if (query.action) {
+    const action = String(query.action);
+    filter.action = action.endsWith(".")
+      ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` }
+      : action;
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && !isNaN(from)) || (to && !isNaN(to))) {
+    filter.createdAt = {};
+    if (from && !isNaN(from)) filter.createdAt.$gte = from;
+    if (to && !isNaN(to)) filter.createdAt.$lte = to;
+  }
+
+  return filter;
+}
+
+export default { snapshot, requestMeta, recordAudit, buildAuditFilter };
@@ -0,0 +1,320 @@
+// backend/src/services/author.service.js
+// Author documents behind the names in Book.authors: matching names to
+// authors, linking books to them, author pages and author follows.
+
+import mongoose from "mongoose";
+import Author from "../models/Author.js";
+import AuthorFollow from "../models/AuthorFollow.js";
+import Book from "../models/Book.js";
+import Review from "../models/Review.js";
+import Reading from "../models/Reading.js";
+import { getAuthor } from "./metadata.service.js";
+import { VISIBLE_REVIEW_FILTER } from "./bookStats.service.js";
+import { normalizeAuthor, nameTokens } from "../utils/names.js";
+import { createNotification } from "../utils/notify.js";
+
+// how many of an author's readers are sampled for "readers also read"
+const ALSO_READ_SAMPLE = 1000;
+
+/**
+ * nameKeysFor(name, aliases) -> Author.nameKeys
+ */
+export function nameKeysFor(name, aliases = []) {
+  return [...new Set([name, ...aliases].map(normalizeAuthor).filter(Boolean))];
+}
+
+/**
+ * findOrCreateAuthor({ name, externalId }) -> Author, or null without a name
+ * Matches by provider id first, then by normalized name or alias. New
+ * authors with a provider id get their bio / photo from the providers.
+ */
+export async function findOrCreateAuthor({ name, externalId = null }) {
+  const key = normalizeAuthor(name);
+  if (!key) return null;
+
+  const existing =
+    (externalId && (await Author.findOne({ externalIds: externalId }))) ||
+    (await Author.findOne({ nameKeys: key }));
+  if (existing) {
+    if (externalId && !existing.externalIds.includes(externalId)) {
+      await Author.updateOne(
+        { _id: existing._id },
+        { $addToSet: { externalIds: externalId } }
+      );
+    }
+    return existing;
+  }
+
+  const remote = externalId ? await getAuthor(externalId) : null;
+  const aliases = (remote?.aliases || []).filter(
+    (a) => normalizeAuthor(a) !== key
+  );
+
+  return Author.create({
+    name: String(name).trim(),
+    aliases,
+    nameKeys: nameKeysFor(name, aliases),
+    nameTokens: nameTokens(name, aliases),
+    bio: remote?.bio || null,
+    photo: remote?.photo || null,
+    externalIds: externalId ? [externalId] : [],
+    source: remote?.source || null,
+  });
+}
+
+/**
+ * notifyAuthorFollowers(author, book) — "new book by …" for every follower
+ */
+export async function notifyAuthorFollowers(author, book) {
+  const follows = await AuthorFollow.find({ author: author._id })
+    .select("user")
+    .lean();
+  for (const { user } of follows) {
+    await createNotification({
+      user,
+      type: "new_book",
+      targetType: "book",
+      targetId: book._id,
+      message: `New from ${author.name}: ${book.title}`,
+    });
+  }
+}
+
+/**
+ * linkBookAuthors(book, { authorKeys, notify }) -> Author[] linked now
+ * Points Book.authorIds at the authors named in book.authors (authorKeys:
+ * provider ids in the same order, when known). With notify, followers
+ * hear about the book when it is linked to its first authors, i.e. when
+ * it enters the catalog with known authors.
+ */
+export async function linkBookAuthors(
+  book,
+  { authorKeys = [], notify = false } = {}
+) {
+  const authors = [];
+  for (const [i, name] of (book.authors || []).entries()) {
+    const author = await findOrCreateAuthor({
+      name,
+      externalId: authorKeys[i] || null,
+    });
+    if (author && !authors.some((a) => a._id.equals(author._id))) {
+      authors.push(author);
+    }
+  }
+
+  const before = (book.authorIds || []).map(String);
+  const ids = authors.map((a) => a._id);
+  const added = authors.filter((a) => !before.includes(String(a._id)));
+  const removed = before.filter((id) => !ids.some((a) => String(a) === id));
+  if (!added.length && !removed.length) return [];
+
+  await Book.updateOne({ _id: book._id }, { $set: { authorIds: ids } });
+  if (added.length) {
+    await Author.updateMany(
+      { _id: { $in: added.map((a) => a._id) } },
+      { $inc: { booksCount: 1 } }
+    );
+  }
+  if (removed.length) {
+    await Author.updateMany(
+      { _id: { $in: removed } },
+      { $inc: { booksCount: -1 } }
+    );
+  }
+
+  if (notify && before.length === 0) {
+    for (const author of added) await notifyAuthorFollowers(author, book);
+  }
+  return added;
+}
+
+/* ---------- author page ---------- */
+
+/**
+ * authorStats(bookIds) -> { rating: { average, count }, readersCount, perBook }
+ * perBook: Map bookId -> { average, count }
+ */
+async function authorStats(bookIds) {
+  const [ratings, readers] = await Promise.all([
+    Review.aggregate([
+      { $match: { book: { $in: bookIds }, ...VISIBLE_REVIEW_FILTER } },
+      {
+        $group: {
+          _id: "$book",
+          sum: { $sum: "$rating" },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    Reading.aggregate([
+      { $match: { book: { $in: bookIds } } },
+      { $group: { _id: "$user" } },
+      { $count: "n" },
+    ]),
+  ]);
+
+  const perBook = new Map();
+  let sum = 0;
+  let count = 0;
+  for (const r of ratings) {
+    perBook.set(String(r._id), {
+      average: Math.round((r.sum / r.count) * 100) / 100,
+      count: r.count,
+    });
+    sum += r.sum;
+    count += r.count;
+  }
+
+  return {
+    rating: {
+      average: count ? Math.round((sum / count) * 100) / 100 : null,
+      count,
+    },
+    readersCount: readers[0]?.n || 0,
+    perBook,
+  };
+}
+
+/**
+ * alsoReadAuthors(authorId, bookIds, { limit }) -> [{ author, readers }]
+ * Other authors read by people who read this one, most shared readers first.
+ */
+export async function alsoReadAuthors(authorId, bookIds, { limit = 10 } = {}) {
+  const readers = await Reading.aggregate([
+    { $match: { book: { $in: bookIds } } },
+    { $group: { _id: "$user" } },
+    { $limit: ALSO_READ_SAMPLE },
+  ]);
+  if (!readers.length) return [];
+
+  const rows = await Reading.aggregate([
+    {
+      $match: {
+        user: { $in: readers.map((r) => r._id) },
+        book: { $nin: bookIds },
+      },
+    },
+    {
+      $lookup: {
+        from: "books",
+        localField: "book",
+        foreignField: "_id",
+        as: "b",
+      },
+    },
+    { $unwind: "$b" },
+    { $unwind: "$b.authorIds" },
+    { $match: { "b.authorIds": { $ne: authorId } } },
+    { $group: { _id: "$b.authorIds", users: { $addToSet: "$user" } } },
+    { $project: { readers: { $size: "$users" } } },
+    { $sort: { readers: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: "authors",
+        localField: "_id",
+        foreignField: "_id",
+        as: "author",
+      },
+    },
+    { $unwind: "$author" },
+  ]);
+
+  return rows.map((r) => ({
+    author: {
+      _id: r.author._id,
+      name: r.author.name,
+      photo: r.author.photo,
+      booksCount: r.author.booksCount,
+    },
+    readers: r.readers,
+  }));
+}
+
+/**
+ * authorPage(authorId, { page, limit }) -> page data, or null
+ * -> { author, rating, readersCount, books: { page, limit, total, items },
+ *      alsoRead }
+ */
+export async function authorPage(authorId, { page = 1, limit = 20 } = {}) {
+  if (!mongoose.isValidObjectId(authorId)) return null;
+  const author = await Author.findById(authorId).select("-nameKeys").lean();
+  if (!author) return null;
+
+  const allBooks = await Book.find({ authorIds: author._id })
+    .select("_id")
+    .lean();
+  const bookIds = allBooks.map((b) => b._id);
+
+  const [stats, items, alsoRead] = await Promise.all([
+    authorStats(bookIds),
+    Book.find({ authorIds: author._id })
+      .select("externalId title authors cover editionsCount createdAt")
+      .sort({ title: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    alsoReadAuthors(author._id, bookIds),
+  ]);
+
+  return {
+    author,
+    rating: stats.rating,
+    readersCount: stats.readersCount,
+    books: {
+      page,
+      limit,
+      total: bookIds.length,
+      items: items.map((b) => ({
+        ...b,
+        rating: stats.perBook.get(String(b._id)) || { average: null, count: 0 },
+      })),
+    },
+    alsoRead,
+  };
+}
+
+/* ---------- follows ---------- */
+
+/**
+ * followAuthor(userId, authorId) -> { author, created } or null (no author)
+ */
+export async function followAuthor(userId, authorId) {
+  if (!mongoose.isValidObjectId(authorId)) return null;
+  const author = await Author.findById(authorId);
+  if (!author) return null;
+
+  try {
+    await AuthorFollow.create({ user: userId, author: author._id });
+  } catch (err) {
+    if (err && err.code === 11000) return { author, created: false };
+    throw err;
+  }
+  await Author.updateOne({ _id: author._id }, { $inc: { followersCount: 1 } });
+  return { author, created: true };
+}
+
+/**
+ * unfollowAuthor(userId, authorId) -> true if a follow was removed
+ */
+export async function unfollowAuthor(userId, authorId) {
+  if (!mongoose.isValidObjectId(authorId)) return false;
+  const deleted = await AuthorFollow.findOneAndDelete({
+    user: userId,
+    author: authorId,
+  });
+  if (!deleted) return false;
+  await Author.updateOne({ _id: authorId }, { $inc: { followersCount: -1 } });
+  return true;
+}
+
+export default {
+  nameKeysFor,
+  findOrCreateAuthor,
+  linkBookAuthors,
+  notifyAuthorFollowers,
+  alsoReadAuthors,
+  authorPage,
+  followAuthor,
+  unfollowAuthor,
+};
@@ -0,0 +1,144 @@
+// backend/src/services/bookDuplicates.service.js
+// Finds Book documents that are probably the same work, so an admin can
+// merge them (bookMerge.service.js). Books are linked when they share
+//   - an external id once normalized ("OL82563W" vs "/works/OL82563W")
+//   - an ISBN (a book keyed by an ISBN vs the work owning that edition)
+//   - a normalized title + first author
+// Linked books are grouped transitively. The scan walks the whole catalog
+// with a cursor, so it is meant for the admin tool, not per-request use.
+
+import Book from "../models/Book.js";
+import Edition from "../models/Edition.js";
+import { parseIsbn } from "../utils/isbn.js";
+import { normalizeExternalId } from "./catalog.service.js";
+import { normalizeTitle, normalizeAuthor } from "../utils/names.js";
+
+/**
+ * titleAuthorKey(book) -> "title|author", or null without a title and author
+ */
+export function titleAuthorKey(book) {
+  const title = normalizeTitle(book.title);
+  const author = normalizeAuthor((book.authors || [])[0]);
+  return title && author ? `${title}|${author}` : null;
+}
+
+/**
+ * duplicateKeys(book, isbns) -> ["id:…", "isbn:…", "title:…"]
+ * isbns: ISBN-13s of the book's editions
+ */
+export function duplicateKeys(book, isbns = []) {
+  const keys = [];
+  const id = normalizeExternalId(book.externalId);
+  if (id) keys.push(`id:${id}`);
+
+  const ownIsbn = parseIsbn(book.externalId);
+  for (const isbn of new Set([ownIsbn?.isbn13, ...isbns].filter(Boolean))) {
+    keys.push(`isbn:${isbn}`);
+  }
+
+  const titleKey = titleAuthorKey(book);
+  if (titleKey) keys.push(`title:${titleKey}`);
+  return keys;
+}
+
+const REASONS = { id: "external_id", isbn: "isbn", title: "title_author" };
+
+// the canonical work id wins, then the book with more editions, then the oldest
+function preferredTarget(books) {
+  const score = (b) => [
+    /^\/works\//.test(b.externalId) ? 1 : 0,
+    b.editionsCount || 0,
+    -new Date(b.createdAt || 0).getTime(),
+  ];
+  return [...books].sort((a, b) => {
+    const sa = score(a);
+    const sb = score(b);
+    for (let i = 0; i < sa.length; i++) {
+      if (sa[i] !== sb[i]) return sb[i] - sa[i];
+    }
+    return 0;
+  })[0];
+}
+
+/**
+ * findDuplicateGroups({ limit }) -> [{ reasons, suggestedTargetId, books }]
+ * Largest groups first.
+ */
+export async function findDuplicateGroups({ limit = 50 } = {}) {
+  const isbnsByWork = new Map();
+  const editions = Edition.find({ isbn13: { $type: "string" } })
+    .select("work isbn13")
+    .lean()
+    .cursor();
+  for await (const e of editions) {
+    const key = String(e.work);
+    if (!isbnsByWork.has(key)) isbnsByWork.set(key, []);
+    isbnsByWork.get(key).push(e.isbn13);
+  }
+
+  // union-find over book ids; owners: key -> first book seen with it
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const owners = new Map();
+  const reasons = new Map(); // root -> Set of reasons
+  const books = new Map();
+
+  const cursor = Book.find()
+    .select("externalId title authors editionsCount createdAt")
+    .lean()
+    .cursor();
+  for await (const book of cursor) {
+    const id = String(book._id);
+    books.set(id, book);
+    parent.set(id, id);
+
+    for (const key of duplicateKeys(book, isbnsByWork.get(id))) {
+      const owner = owners.get(key);
+      if (!owner) {
+        owners.set(key, id);
+        continue;
+      }
+      const a = find(owner);
+      const b = find(id);
+      const merged = new Set([
+        ...(reasons.get(a) || []),
+        ...(reasons.get(b) || []),
+        REASONS[key.split(":")[0]],
+      ]);
+      if (a !== b) {
+        parent.set(b, a);
+        reasons.delete(b);
+      }
+      reasons.set(a, merged);
+    }
+  }
+
+  const groups = new Map();
+  for (const id of books.keys()) {
+    const root = find(id);
+    if (!reasons.has(root)) continue;
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(books.get(id));
+  }
+
+  return [...groups.entries()]
+    .map(([root, members]) => ({
+      reasons: [...reasons.get(root)],
+      suggestedTargetId: preferredTarget(members)._id,
+      books: members,
+    }))
+    .sort((a, b) => b.books.length - a.books.length)
+    .slice(0, limit);
+}
+
+export default {
+  titleAuthorKey,
+  duplicateKeys,
+  findDuplicateGroups,
+};
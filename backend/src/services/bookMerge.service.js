@@ -0,0 +1,305 @@
+// backend/src/services/bookMerge.service.js
+// Folds one Book into another: everything pointing at the source is moved
+// to the target and the source is deleted. Where a user can only have one
+// document per book (reading entry, review, favorite, ...) and already has
+// one on the target, only one of the two is kept.
+
+import Book from "../models/Book.js";
+import Edition from "../models/Edition.js";
+import Reading from "../models/Reading.js";
+import Note from "../models/Note.js";
+import Review from "../models/Review.js";
+import Favorite from "../models/Favorite.js";
+import ShelfItem from "../models/ShelfItem.js";
+import UserBookInteraction from "../models/UserBookInteraction.js";
+import Comment from "../models/Comment.js";
+import Like from "../models/Like.js";
+import Activity from "../models/Activity.js";
+import BookClub from "../models/BookClub.js";
+import BookClubDiscussion from "../models/BookClubDiscussion.js";
+import Recommendation from "../models/Recommendation.js";
+import Author from "../models/Author.js";
+import Series from "../models/Series.js";
+import BookTag from "../models/BookTag.js";
+import BookTagVote from "../models/BookTagVote.js";
+import BookRevision from "../models/BookRevision.js";
+import { isEditionKey, upsertEdition } from "./catalog.service.js";
+import { getEdition, getWork } from "./metadata.service.js";
+import {
+  mergeMetadata,
+  missingFields,
+  CLIENT_SOURCE,
+} from "./bookMetadata.service.js";
+import { refreshBookStats } from "./bookStats.service.js";
+import { unindexBook, syncSearchIndex } from "./searchIndex.service.js";
+import { recountBookTags } from "./bookTag.service.js";
+
+const READING_RANK = { "to-read": 0, reading: 1, finished: 2 };
+
+// the entry further along wins
+function furtherAlong(a, b) {
+  const rank = (r) => (READING_RANK[r.status] ?? 0) * 1000 + (r.progress || 0);
+  return rank(a) > rank(b);
+}
+
+// the review written (or edited) last wins
+function newer(a, b) {
+  return new Date(a.updatedAt || 0) > new Date(b.updatedAt || 0);
+}
+
+/**
+ * Move documents with a unique (owner, book) pair from source to target.
+ * ownerField: a field name, or several when the owner is compound.
+ * sourceWins(sourceDoc, targetDoc) decides conflicts (default: keep target);
+ * onDrop(loser, kept) runs for every document removed that way.
+ * -> { moved, dropped }
+ */
+async function moveUnique(
+  Model,
+  ownerField,
+  sourceId,
+  target,
+  {
+    set = {},
+    sourceWins = () => false,
+    onDrop = async () => {},
+    bookField = "book",
+    match = {},
+  } = {}
+) {
+  let moved = 0;
+  let dropped = 0;
+  const ownerFields = [].concat(ownerField);
+
+  const docs = await Model.find({ ...match, [bookField]: sourceId }).lean();
+  for (const doc of docs) {
+    const owner = {};
+    for (const f of ownerFields) owner[f] = doc[f];
+    const clash = await Model.findOne({
+      ...match,
+      [bookField]: target._id,
+      ...owner,
+    }).lean();
+
+    if (clash) {
+      const [loser, kept] = sourceWins(doc, clash) ? [clash, doc] : [doc, clash];
+      await Model.deleteOne({ _id: loser._id });
+      await onDrop(loser, kept);
+      dropped++;
+      if (loser === doc) continue;
+    }
+
+    await Model.updateOne(
+      { _id: doc._id },
+      { [bookField]: target._id, ...set }
+    );
+    moved++;
+  }
+
+  return { moved, dropped };
+}
+
+// metadata the target lacks is taken from the source, provenance included
+function fillMissing(target, source) {
+  const $set = {};
+  const have = new Set(missingFields(source));
+  for (const f of missingFields(target)) {
+    if (have.has(f)) continue;
+    $set[f] = source[f];
+    $set[`fieldSources.${f}`] = source.fieldSources?.get?.(f) || CLIENT_SOURCE;
+  }
+  if ($set.authors) $set.authorIds = source.authorIds || [];
+  return $set;
+}
+
+/**
+ * mergeBooks(sourceId, targetId, { editionId }) -> summary, or null
+ * editionId: when the source was really an edition of the target, reading
+ * entries and notes that move over are attached to it.
+ */
+export async function mergeBooks(sourceId, targetId, { editionId = null } = {}) {
+  if (String(sourceId) === String(targetId)) return null;
+
+  const [source, target] = await Promise.all([
+    Book.findById(sourceId),
+    Book.findById(targetId),
+  ]);
+  if (!source || !target) return null;
+
+  const withExternalId = { externalId: target.externalId };
+  const summary = {};
+
+  summary.readings = await moveUnique(Reading, "user", source._id, target, {
+    set: editionId ? { edition: editionId } : {},
+    sourceWins: furtherAlong,
+  });
+  summary.reviews = await moveUnique(Review, "user", source._id, target, {
+    set: withExternalId,
+    sourceWins: newer,
+    // the discussion of a dropped review moves to the one that is kept;
+    // likes are per user and review, so only the new ones move
+    onDrop: async (review, kept) => {
+      const moved = await Comment.updateMany(
+        { targetType: "review", targetId: review._id },
+        { targetId: kept._id }
+      );
+      if (moved.modifiedCount) {
+        await Review.updateOne(
+          { _id: kept._id },
+          { $inc: { commentsCount: moved.modifiedCount } }
+        );
+      }
+      await moveUnique(Like, "user", review._id, kept, {
+        bookField: "targetId",
+        match: { targetType: "review" },
+      });
+      await Like.deleteMany({ targetType: "review", targetId: review._id });
+    },
+  });
+  summary.favorites = await moveUnique(Favorite, "user", source._id, target, {
+    set: withExternalId,
+  });
+  summary.shelfItems = await moveUnique(ShelfItem, "shelf", source._id, target, {
+    set: withExternalId,
+  });
+  summary.interactions = await moveUnique(
+    UserBookInteraction,
+    "user",
+    source._id,
+    target
+  );
+  summary.likes = await moveUnique(Like, "user", source._id, target, {
+    bookField: "targetId",
+    match: { targetType: "book" },
+  });
+
+  // tags: one per book, kind and slug; votes: one per user on top of that
+  summary.tags = await moveUnique(BookTag, ["kind", "slug"], source._id, target);
+  summary.tagVotes = await moveUnique(
+    BookTagVote,
+    ["user", "kind", "slug"],
+    source._id,
+    target
+  );
+
+  const notes = await Note.updateMany(
+    { book: source._id },
+    editionId
+      ? { book: target._id, edition: editionId, ...withExternalId }
+      : { book: target._id, ...withExternalId }
+  );
+  summary.notes = notes.modifiedCount;
+
+  const comments = await Comment.updateMany(
+    { targetType: "book", targetId: source._id },
+    { targetId: target._id, ...withExternalId }
+  );
+  summary.comments = comments.modifiedCount;
+
+  // a series listing both keeps the target's entry
+  await Series.updateMany(
+    { "entries.book": { $all: [source._id, target._id] } },
+    { $pull: { entries: { book: source._id } } }
+  );
+
+  await Promise.all([
+    Series.updateMany(
+      { "entries.book": source._id },
+      { $set: { "entries.$[e].book": target._id } },
+      { arrayFilters: [{ "e.book": source._id }] }
+    ),
+    Edition.updateMany({ work: source._id }, { work: target._id }),
+    Activity.updateMany({ book: source._id }, { book: target._id }),
+    BookClub.updateMany({ currentBook: source._id }, { currentBook: target._id }),
+    BookClubDiscussion.updateMany({ book: source._id }, { book: target._id }),
+    // history and pending suggestions follow the book
+    BookRevision.updateMany({ book: source._id }, { book: target._id }),
+    Recommendation.updateMany(
+      { "books.bookId": source._id },
+      { $set: { "books.$[b].bookId": target._id } },
+      { arrayFilters: [{ "b.bookId": source._id }] }
+    ),
+  ]);
+
+  const editionsCount = await Edition.countDocuments({ work: target._id });
+  const filled = fillMissing(target, source);
+  // the source stops counting for its authors, even ones the target shares,
+  // unless the target takes its author list over
+  const droppedAuthors = filled.authorIds ? [] : source.authorIds || [];
+  if (droppedAuthors.length) {
+    await Author.updateMany(
+      { _id: { $in: droppedAuthors } },
+      { $inc: { booksCount: -1 } }
+    );
+  }
+
+  await Book.updateOne(
+    { _id: target._id },
+    {
+      $inc: { commentsCount: source.commentsCount || 0 },
+      $set: { editionsCount, ...filled },
+      // lookups of the old id keep finding the surviving book
+      $addToSet: {
+        mergedIds: { $each: [source.externalId, ...(source.mergedIds || [])] },
+      },
+    }
+  );
+  const indexed = await Book.findById(source._id).select("+searchTerms").lean();
+  await Book.deleteOne({ _id: source._id });
+  if (indexed) await unindexBook(indexed);
+  await refreshBookStats(target._id);
+  await recountBookTags(target._id);
+  await syncSearchIndex(target._id);
+
+  return summary;
+}
+
+/**
+ * foldEditionBook(book) -> "merged" | "converted" | "skipped"
+ * Migrates a legacy Book keyed by an edition id ("/books/…M"):
+ * - its work already exists -> becomes an Edition of it and is merged in
+ * - otherwise -> re-keyed in place to the work id, with an Edition added
+ */
+export async function foldEditionBook(book) {
+  if (!isEditionKey(book.externalId)) return "skipped";
+
+  const remote = await getEdition(book.externalId);
+  if (!remote || !remote.workKey) return "skipped";
+
+  const work = await Book.findOne({ externalId: remote.workKey });
+  if (work) {
+    const edition = await upsertEdition(work._id, remote.edition);
+    await mergeBooks(book._id, work._id, { editionId: edition._id });
+    return "merged";
+  }
+
+  const $set = { externalId: remote.workKey };
+  const workData = await getWork(remote.workKey);
+  if (workData) {
+    const current = await Book.findById(book._id);
+    Object.assign($set, mergeMetadata(current, workData, workData.source).$set, {
+      metadataFetchedAt: new Date(),
+      metadataCheckedAt: new Date(),
+    });
+  }
+  await Book.updateOne({ _id: book._id }, { $set });
+  const edition = await upsertEdition(book._id, remote.edition);
+
+  const withExternalId = { externalId: remote.workKey };
+  await Promise.all([
+    Reading.updateMany({ book: book._id, edition: null }, { edition: edition._id }),
+    Note.updateMany({ book: book._id, edition: null }, { edition: edition._id }),
+    Review.updateMany({ book: book._id }, withExternalId),
+    Note.updateMany({ book: book._id }, withExternalId),
+    Favorite.updateMany({ book: book._id }, withExternalId),
+    ShelfItem.updateMany({ book: book._id }, withExternalId),
+    Comment.updateMany(
+      { targetType: "book", targetId: book._id },
+      withExternalId
+    ),
+  ]);
+
+  return "converted";
+}
+
+export default { mergeBooks, foldEditionBook };
@@ -0,0 +1,303 @@
+// backend/src/services/bookMetadata.service.js
+// Keeps Book metadata fresh. Each metadata field remembers where its value
+// came from (Book.fieldSources): "client" (whatever the app sent when the
+// book was first created), a provider name, "user" (a book a user added,
+// see bookRevision.service.js) or "admin". Provider data replaces client
+// and provider values, but never admin edits. Every applied change is
+// kept as a BookRevision.
+
+import Book from "../models/Book.js";
+import BookRevision from "../models/BookRevision.js";
+import { getWork } from "./metadata.service.js";
+import { linkBookAuthors } from "./author.service.js";
+import { genresFromSubjects } from "./genre.service.js";
+import { syncSearchIndex } from "./searchIndex.service.js";
+
+export const METADATA_FIELDS = ["title", "authors", "cover", "description"];
+export const ADMIN_SOURCE = "admin";
+export const CLIENT_SOURCE = "client";
+// books users added; no provider knows them, so they are never refreshed
+export const USER_SOURCE = "user";
+
+function positiveNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// complete books are re-fetched after this many days
+export function staleAfterDays() {
+  return positiveNumber(process.env.METADATA_STALE_DAYS, 30);
+}
+
+// incomplete books (or failed fetches) are retried after this many hours
+export function retryAfterHours() {
+  return positiveNumber(process.env.METADATA_RETRY_HOURS, 24);
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return String(value).trim() === "" || value === "Untitled";
+}
+
+function sourceOf(book, field) {
+  const sources = book.fieldSources;
+  if (!sources) return null;
+  return (sources.get ? sources.get(field) : sources[field]) || null;
+}
+
+// { field: fieldSources entry or null }
+function sourcesOf(book, fields) {
+  const out = {};
+  for (const f of fields) out[f] = sourceOf(book, f);
+  return out;
+}
+
+/**
+ * pickFields(obj, fields) -> { field: value } as plain JSON values
+ */
+export function pickFields(obj, fields) {
+  const out = {};
+  for (const f of fields) {
+    const value = obj[f] === undefined ? null : obj[f];
+    out[f] = JSON.parse(JSON.stringify(value));
+  }
+  return out;
+}
+
+/**
+ * missingFields(book) -> metadata fields with no usable value
+ */
+export function missingFields(book) {
+  return METADATA_FIELDS.filter((f) => isEmpty(book[f]));
+}
+
+/**
+ * fieldSourcesFor(fields, source) -> { field: source } for the non-empty
+ * metadata fields; used when a book is first created
+ */
+export function fieldSourcesFor(fields, source) {
+  const out = {};
+  for (const f of METADATA_FIELDS) {
+    if (!isEmpty(fields[f])) out[f] = source;
+  }
+  return out;
+}
+
+/**
+ * mergeMetadata(book, remote, source) -> { $set, fields }
+ * $set: update for the Book; fields: the metadata fields that change.
+ * Admin-edited fields are left alone and empty remote values never clear
+ * an existing one. Provider subjects also refresh genres / subjects.
+ */
+export function mergeMetadata(book, remote, source) {
+  const $set = {};
+  const fields = [];
+
+  for (const f of METADATA_FIELDS) {
+    if (sourceOf(book, f) === ADMIN_SOURCE) continue;
+    const value = remote[f];
+    if (isEmpty(value)) continue;
+
+    const same =
+      JSON.stringify(value) === JSON.stringify(book[f] ?? null) &&
+      sourceOf(book, f) === source;
+    if (same) continue;
+
+    $set[f] = value;
+    $set[`fieldSources.${f}`] = source;
+    fields.push(f);
+  }
+
+  if (remote.raw) $set.raw = remote.raw;
+  const subjects = remote.raw && remote.raw.subjects;
+  if (Array.isArray(subjects) && subjects.length) {
+    Object.assign($set, genresFromSubjects(subjects));
+  }
+  return { $set, fields };
+}
+
+/**
+ * staleBooksFilter(now) -> Book filter for books due a refresh
+ */
+export function staleBooksFilter(now = new Date()) {
+  const staleBefore = new Date(now.getTime() - staleAfterDays() * 86400000);
+  const retryBefore = new Date(now.getTime() - retryAfterHours() * 3600000);
+  const notCheckedRecently = {
+    $or: [
+      { metadataCheckedAt: null },
+      { metadataCheckedAt: { $lte: retryBefore } },
+    ],
+  };
+  const incomplete = {
+    $or: [
+      { title: { $in: [null, "", "Untitled"] } },
+      { cover: null },
+      { description: null },
+      { authors: { $size: 0 } },
+    ],
+  };
+
+  return {
+    $and: [
+      notCheckedRecently,
+      {
+        $or: [
+          { metadataFetchedAt: null },
+          { metadataFetchedAt: { $lte: staleBefore } },
+          incomplete,
+        ],
+      },
+      { source: { $ne: USER_SOURCE } },
+    ],
+  };
+}
+
+/**
+ * refreshBook(bookOrId) -> { status, fields }
+ * status: "updated" | "unchanged" | "not_found" (no provider knows it)
+ *       | "missing" (no such book)
+ */
+export async function refreshBook(bookOrId) {
+  const book =
+    bookOrId && bookOrId._id ? bookOrId : await Book.findById(bookOrId);
+  if (!book) return { status: "missing", fields: [] };
+  if (book.source === USER_SOURCE) return { status: "not_found", fields: [] };
+
+  const now = new Date();
+  const remote = await getWork(book.externalId);
+  if (!remote) {
+    await Book.updateOne({ _id: book._id }, { metadataCheckedAt: now });
+    return { status: "not_found", fields: [] };
+  }
+
+  const { $set, fields } = mergeMetadata(book, remote, remote.source);
+  $set.metadataFetchedAt = now;
+  $set.metadataCheckedAt = now;
+  await Book.updateOne({ _id: book._id }, { $set });
+  if (fields.length) {
+    await BookRevision.create({
+      book: book._id,
+      kind: "refresh",
+      source: remote.source,
+      status: "approved",
+      changes: pickFields($set, fields),
+      before: pickFields(book, fields),
+      beforeSources: sourcesOf(book, fields),
+      appliedAt: now,
+    });
+  }
+  if (fields.includes("authors")) {
+    await linkBookAuthors(
+      {
+        _id: book._id,
+        title: $set.title || book.title,
+        authors: $set.authors,
+        authorIds: book.authorIds,
+      },
+      { authorKeys: remote.authorKeys, notify: true }
+    );
+  }
+  if (fields.length || $set.genres) await syncSearchIndex(book._id);
+
+  return { status: fields.length ? "updated" : "unchanged", fields };
+}
+
+/**
+ * refreshStaleBooks({ limit, now }) -> counts per status
+ * Oldest-checked first, one book at a time to be gentle on providers.
+ */
+export async function refreshStaleBooks({
+  limit = 200,
+  now = new Date(),
+} = {}) {
+  const books = await Book.find(staleBooksFilter(now))
+    .sort({ metadataCheckedAt: 1, createdAt: 1 })
+    .limit(limit);
+
+  const counts = { updated: 0, unchanged: 0, not_found: 0, failed: 0 };
+  for (const book of books) {
+    try {
+      const { status } = await refreshBook(book);
+      counts[status] = (counts[status] || 0) + 1;
+    } catch (err) {
+      counts.failed++;
+      console.error(
+        `metadata refresh of ${book._id} failed`,
+        err?.message ?? err
+      );
+    }
+  }
+  return counts;
+}
+
+/**
+ * adminEditBook(bookId, changes, { unlock, sources })
+ *   -> { book, before, beforeSources, fields } or null
+ * changes: any of METADATA_FIELDS; those fields are pinned to "admin",
+ * or to sources[field] when given (null: no source, as rollbacks restore).
+ * unlock: fields handed back to providers (kept as-is until the next refresh).
+ */
+export async function adminEditBook(
+  bookId,
+  changes,
+  { unlock = [], sources = {} } = {}
+) {
+  const book = await Book.findById(bookId);
+  if (!book) return null;
+
+  const before = {};
+  const fields = [];
+  const $set = {};
+  const $unset = {};
+
+  for (const f of METADATA_FIELDS) {
+    if (changes[f] === undefined) continue;
+    before[f] = book[f];
+    $set[f] = changes[f];
+    const source = f in sources ? sources[f] : ADMIN_SOURCE;
+    if (source) $set[`fieldSources.${f}`] = source;
+    else $unset[`fieldSources.${f}`] = 1;
+    fields.push(f);
+  }
+  for (const f of unlock) {
+    if (!METADATA_FIELDS.includes(f) || fields.includes(f)) continue;
+    if (sourceOf(book, f) !== ADMIN_SOURCE) continue;
+    $unset[`fieldSources.${f}`] = 1;
+    fields.push(f);
+  }
+  const beforeSources = sourcesOf(book, fields);
+  if (!fields.length) return { book, before, beforeSources, fields };
+
+  const update = {};
+  if (Object.keys($set).length) update.$set = $set;
+  if (Object.keys($unset).length) {
+    update.$unset = $unset;
+    // let the next refresh pick the fields no longer pinned up
+    update.$set = {
+      ...(update.$set || {}),
+      metadataFetchedAt: null,
+      metadataCheckedAt: null,
+    };
+  }
+
+  let updated = await Book.findByIdAndUpdate(book._id, update, { new: true });
+  if (changes.authors !== undefined) {
+    await linkBookAuthors(updated);
+    updated = await Book.findById(book._id);
+  }
+  await syncSearchIndex(book._id);
+  return { book: updated, before, beforeSources, fields };
+}
+
+export default {
+  METADATA_FIELDS,
+  pickFields,
+  missingFields,
+  fieldSourcesFor,
+  mergeMetadata,
+  staleBooksFilter,
+  refreshBook,
+  refreshStaleBooks,
+  adminEditBook,
+};
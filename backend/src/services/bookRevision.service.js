@@ -0,0 +1,564 @@
+// backend/src/services/bookRevision.service.js
+// User-contributed catalog data: books users add themselves (source
+// "user") and metadata edits they suggest for existing books. Suggestions
+// wait as pending BookRevisions until a moderator approves or rejects
+// them; approved changes are applied like admin edits (pinned against
+// provider refreshes). Every applied change is a revision, so a book can
+// be rolled back to how it was before any of them.
+
+import mongoose from "mongoose";
+import Book from "../models/Book.js";
+import BookRevision from "../models/BookRevision.js";
+import { createNotification } from "../utils/notify.js";
+import {
+  METADATA_FIELDS,
+  ADMIN_SOURCE,
+  USER_SOURCE,
+  pickFields,
+  adminEditBook,
+} from "./bookMetadata.service.js";
+import {
+  createUserBook,
+  resolveIsbn,
+  upsertEdition,
+} from "./catalog.service.js";
+import { titleAuthorKey } from "./bookDuplicates.service.js";
+
+export const MAX_TITLE_LENGTH = 300;
+export const MAX_AUTHORS = 20;
+export const MAX_DESCRIPTION_LENGTH = 10000;
+export const MAX_PENDING_PER_USER = 20;
+
+function httpError(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+const sameValue = (a, b) =>
+  JSON.stringify(a === undefined ? null : a) ===
+  JSON.stringify(b === undefined ? null : b);
+
+/**
+ * validateChanges(input, { requireTitle }) -> { field: value }
+ * Picks and cleans the metadata fields in input; throws a 400 error for
+ * unusable values. cover / description may be null to clear them.
+ */
+export function validateChanges(input = {}, { requireTitle = false } = {}) {
+  const changes = {};
+
+  if (input.title !== undefined || requireTitle) {
+    const title = typeof input.title === "string" ? input.title.trim() : "";
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      throw httpError(400, `title must be 1-${MAX_TITLE_LENGTH} characters`);
+    }
+    changes.title = title;
+  }
+
+  if (input.authors !== undefined) {
+    if (
+      !Array.isArray(input.authors) ||
+      !input.authors.every((a) => typeof a === "string")
+    ) {
+      throw httpError(400, "authors must be a list of names");
+    }
+    const authors = input.authors.map((a) => a.trim()).filter(Boolean);
+    if (authors.length > MAX_AUTHORS) {
+      throw httpError(400, `a book can list up to ${MAX_AUTHORS} authors`);
+    }
+    changes.authors = [...new Set(authors)];
+  }
+
+  if (input.cover !== undefined) {
+    if (input.cover !== null && !/^https?:\/\/\S+$/i.test(input.cover)) {
+      throw httpError(400, "cover must be an http(s) URL or null");
+    }
+    changes.cover = input.cover;
+  }
+
+  if (input.description !== undefined) {
+    if (
+      input.description !== null &&
+      (typeof input.description !== "string" ||
+        input.description.length > MAX_DESCRIPTION_LENGTH)
+    ) {
+      throw httpError(
+        400,
+        `description must be a string of up to ${MAX_DESCRIPTION_LENGTH} characters or null`
+      );
+    }
+    changes.description =
+      input.description === null ? null : input.description.trim() || null;
+  }
+
+  return changes;
+}
+
+// the fields of changes whose value differs from the book's
+function changedFields(book, changes) {
+  return METADATA_FIELDS.filter(
+    (f) => changes[f] !== undefined && !sameValue(changes[f], book[f])
+  );
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// a local book with the same normalized title and first author, if any
+async function findSimilarBook(changes) {
+  const key = titleAuthorKey(changes);
+  if (!key) return null;
+  const candidates = await Book.find({
+    title: new RegExp(`^\\s*${escapeRegex(changes.title)}\\s*$`, "i"),
+  })
+    .select("externalId title authors cover")
+    .limit(20)
+    .lean();
+  return candidates.find((b) => titleAuthorKey(b) === key) || null;
+}
+
+/**
+ * addUserBook(userId, input) -> { book, revision }
+ * input: { title, authors?, cover?, description?, isbn? }
+ * Throws 409 (err.book: the existing book) when the ISBN or the title and
+ * first author already belong to a book.
+ */
+export async function addUserBook(userId, input = {}) {
+  const changes = validateChanges(input, { requireTitle: true });
+
+  let isbn = null;
+  if (input.isbn) {
+    const found = await resolveIsbn(input.isbn);
+    if (found.book) {
+      throw httpError(409, "A book with this ISBN already exists", {
+        code: "BOOK_EXISTS",
+        book: found.book,
+      });
+    }
+    isbn = found.isbn;
+  }
+
+  const similar = await findSimilarBook(changes);
+  if (similar) {
+    throw httpError(409, "This book already exists", {
+      code: "BOOK_EXISTS",
+      book: similar,
+    });
+  }
+
+  const book = await createUserBook(changes);
+  if (isbn) {
+    await upsertEdition(book._id, {
+      ...isbn,
+      title: changes.title,
+      cover: changes.cover || null,
+      source: USER_SOURCE,
+    });
+  }
+
+  const revision = await BookRevision.create({
+    book: book._id,
+    user: userId,
+    kind: "create",
+    source: USER_SOURCE,
+    status: "approved",
+    changes: pickFields(changes, Object.keys(changes)),
+    before: {},
+    beforeSources: {},
+    appliedAt: new Date(),
+  });
+  return { book, revision };
+}
+
+/**
+ * suggestEdit(userId, bookId, { changes, comment }) -> pending revision
+ */
+export async function suggestEdit(userId, bookId, { changes, comment } = {}) {
+  if (!mongoose.isValidObjectId(bookId))
+    throw httpError(400, "Invalid book id");
+  const cleaned = validateChanges(changes || {});
+
+  const book = await Book.findById(bookId).lean();
+  if (!book) throw httpError(404, "Book not found");
+
+  const fields = changedFields(book, cleaned);
+  if (!fields.length) throw httpError(400, "Nothing to change");
+
+  const pending = await BookRevision.countDocuments({
+    user: userId,
+    status: "pending",
+  });
+  if (pending >= MAX_PENDING_PER_USER) {
+    throw httpError(
+      429,
+      `You can have up to ${MAX_PENDING_PER_USER} suggestions waiting for review`
+    );
+  }
+
+  return BookRevision.create({
+    book: book._id,
+    user: userId,
+    kind: "edit",
+    source: USER_SOURCE,
+    status: "pending",
+    changes: pickFields(cleaned, fields),
+    base: pickFields(book, fields),
+    comment: String(comment || "").slice(0, 1000),
+  });
+}
+
+/**
+ * recordEdit(bookId, { actorId, changes, before, beforeSources, note })
+ *   -> revision or null
+ * Keeps an admin edit (bookMetadata.adminEditBook) in the book's history.
+ */
+export async function recordEdit(
+  bookId,
+  { actorId, changes, before, beforeSources, note }
+) {
+  const fields = Object.keys(changes).filter(
+    (f) => !sameValue(changes[f], before[f])
+  );
+  if (!fields.length) return null;
+
+  const now = new Date();
+  return BookRevision.create({
+    book: bookId,
+    user: actorId,
+    kind: "edit",
+    source: ADMIN_SOURCE,
+    status: "approved",
+    changes: pickFields(changes, fields),
+    before: pickFields(before, fields),
+    beforeSources: beforeSources ? pickFields(beforeSources, fields) : null,
+    comment: note || "",
+    reviewedBy: actorId,
+    reviewedAt: now,
+    appliedAt: now,
+  });
+}
+
+/**
+ * bookHistory(bookId, { page, limit, status }) -> { page, limit, total, items }
+ * Approved revisions, newest first; status "pending" / "rejected" lists
+ * those instead.
+ */
+export async function bookHistory(
+  bookId,
+  { page = 1, limit = 20, status = "approved" } = {}
+) {
+  if (!mongoose.isValidObjectId(bookId))
+    throw httpError(400, "Invalid book id");
+  const filter = { book: bookId, status };
+  const sort =
+    status === "approved" ? { appliedAt: -1, _id: -1 } : { createdAt: -1 };
+
+  const [items, total] = await Promise.all([
+    BookRevision.find(filter)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("user", "name username avatarUrl")
+      .lean(),
+    BookRevision.countDocuments(filter),
+  ]);
+  return { page, limit, total, items };
+}
+
+/**
+ * conflictsOf(revision, book) -> fields changed on the book since the
+ * suggestion was made
+ */
+export function conflictsOf(revision, book) {
+  return Object.keys(revision.base || {}).filter(
+    (f) => !sameValue(revision.base[f], book[f])
+  );
+}
+
+/**
+ * revisionQueue({ status, page, limit }) -> { page, limit, total, items }
+ * Oldest suggestions first, each with its book and conflicting fields.
+ */
+export async function revisionQueue({
+  status = "pending",
+  page = 1,
+  limit = 20,
+} = {}) {
+  const filter = { kind: "edit", source: USER_SOURCE, status };
+  const [rows, total] = await Promise.all([
+    BookRevision.find(filter)
+      .sort({ createdAt: status === "pending" ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("user", "name username avatarUrl")
+      .populate("book", `externalId source ${METADATA_FIELDS.join(" ")}`)
+      .lean(),
+    BookRevision.countDocuments(filter),
+  ]);
+
+  const items = rows.map((r) => ({
+    ...r,
+    conflicts: r.book ? conflictsOf(r, r.book) : [],
+  }));
+  return { page, limit, total, items };
+}
+
+async function notifyProposer(revision, reviewerId, message) {
+  await createNotification({
+    user: revision.user,
+    fromUser: reviewerId,
+    type: "book_edit",
+    targetType: "book",
+    targetId: revision.book,
+    message,
+  });
+}
+
+// a pending suggestion, or a 404 / 409 error
+async function pendingRevision(revisionId) {
+  if (!mongoose.isValidObjectId(revisionId)) {
+    throw httpError(400, "Invalid revision id");
+  }
+  const revision = await BookRevision.findById(revisionId);
+  if (!revision) throw httpError(404, "Revision not found");
+  if (revision.status !== "pending") {
+    throw httpError(409, `Revision is already ${revision.status}`);
+  }
+  return revision;
+}
+
+/**
+ * approveRevision(revisionId, reviewerId, { note, force }) -> { revision, book }
+ * Refuses (409, err.conflicts) when the fields changed since the
+ * suggestion was made, unless force is set.
+ */
+export async function approveRevision(
+  revisionId,
+  reviewerId,
+  { note = null, force = false } = {}
+) {
+  const revision = await pendingRevision(revisionId);
+  const book = await Book.findById(revision.book);
+  if (!book) throw httpError(404, "Book not found");
+
+  const conflicts = conflictsOf(revision, book);
+  if (conflicts.length && !force) {
+    throw httpError(409, "The book changed since this was suggested", {
+      code: "REVISION_CONFLICT",
+      conflicts,
+    });
+  }
+
+  // claim it first so two reviewers can't both apply it
+  const now = new Date();
+  const claimed = await BookRevision.findOneAndUpdate(
+    { _id: revision._id, status: "pending" },
+    {
+      status: "approved",
+      reviewedBy: reviewerId,
+      reviewedAt: now,
+      reviewNote: note,
+    },
+    { new: true }
+  );
+  if (!claimed) throw httpError(409, "Revision was already reviewed");
+
+  let result;
+  try {
+    result = await adminEditBook(book._id, revision.changes);
+  } catch (err) {
+    await BookRevision.updateOne(
+      { _id: revision._id },
+      {
+        status: "pending",
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewNote: null,
+      }
+    );
+    throw err;
+  }
+
+  const applied = Object.keys(revision.changes);
+  claimed.before = pickFields(result.before, applied);
+  claimed.beforeSources = pickFields(result.beforeSources, applied);
+  claimed.appliedAt = now;
+  await claimed.save();
+
+  await notifyProposer(
+    claimed,
+    reviewerId,
+    `Your suggested edit to "${result.book.title}" was approved`
+  );
+  return { revision: claimed, book: result.book };
+}
+
+/**
+ * rejectRevision(revisionId, reviewerId, { note }) -> revision
+ */
+export async function rejectRevision(
+  revisionId,
+  reviewerId,
+  { note = null } = {}
+) {
+  const revision = await pendingRevision(revisionId);
+  const rejected = await BookRevision.findOneAndUpdate(
+    { _id: revision._id, status: "pending" },
+    {
+      status: "rejected",
+      reviewedBy: reviewerId,
+      reviewedAt: new Date(),
+      reviewNote: note,
+    },
+    { new: true }
+  );
+  if (!rejected) throw httpError(409, "Revision was already reviewed");
+
+  const book = await Book.findById(revision.book).select("title").lean();
+  await notifyProposer(
+    rejected,
+    reviewerId,
+    `Your suggested edit to "${book ? book.title : "a book"}" was not accepted` +
+      (note ? `: ${note}` : "")
+  );
+  return rejected;
+}
+
+/**
+ * restoreValues(revisions) -> { field: value } undoing all of them
+ * revisions: applied revisions, oldest first; each field gets the value
+ * it had before the first of them that touched it.
+ */
+export function restoreValues(revisions) {
+  const restore = {};
+  for (const r of revisions) {
+    for (const f of Object.keys(r.before || {})) {
+      if (METADATA_FIELDS.includes(f) && !(f in restore)) {
+        restore[f] = r.before[f];
+      }
+    }
+  }
+  return restore;
+}
+
+// legacy revisions (no beforeSources): the source they gave the fields
+// they changed; admin edits, approved suggestions and rollbacks pinned
+// them to "admin"
+function sourceSetBy(revision) {
+  if (!revision) return null;
+  return revision.kind === "refresh" || revision.kind === "create"
+    ? revision.source
+    : ADMIN_SOURCE;
+}
+
+/**
+ * restoreSources(revisions, earlier) -> { field: fieldSources entry or null }
+ * The sources to restore with restoreValues(revisions). Revisions without
+ * beforeSources fall back to the last of earlier (applied revisions before
+ * them, newest first) that changed the field.
+ */
+export function restoreSources(revisions, earlier = []) {
+  const sources = {};
+  for (const r of revisions) {
+    for (const f of Object.keys(r.before || {})) {
+      if (!METADATA_FIELDS.includes(f) || f in sources) continue;
+      sources[f] = r.beforeSources
+        ? (r.beforeSources[f] ?? null)
+        : sourceSetBy(earlier.find((e) => f in (e.changes || {})));
+    }
+  }
+  return sources;
+}
+
+/**
+ * rollbackBook(bookId, revisionId, actorId, { note }) -> { revision, book }
+ * Puts the book's metadata back to how it was before revisionId was
+ * applied, each field with the source it had then (so provider refreshes
+ * pick up again where they could); the rollback itself becomes a new
+ * revision.
+ */
+export async function rollbackBook(
+  bookId,
+  revisionId,
+  actorId,
+  { note = null } = {}
+) {
+  if (
+    !mongoose.isValidObjectId(bookId) ||
+    !mongoose.isValidObjectId(revisionId)
+  ) {
+    throw httpError(400, "Invalid id");
+  }
+  const target = await BookRevision.findOne({
+    _id: revisionId,
+    book: bookId,
+    status: "approved",
+  }).lean();
+  if (!target) throw httpError(404, "Revision not found");
+  if (target.kind === "create") {
+    throw httpError(400, "A book's creation cannot be rolled back");
+  }
+
+  const book = await Book.findById(bookId).lean();
+  if (!book) throw httpError(404, "Book not found");
+
+  const revisions = await BookRevision.find({
+    book: bookId,
+    status: "approved",
+    $or: [{ _id: target._id }, { appliedAt: { $gt: target.appliedAt } }],
+  })
+    .sort({ appliedAt: 1, _id: 1 })
+    .lean();
+  const restore = restoreValues(revisions);
+  const earlier = revisions.some((r) => !r.beforeSources)
+    ? await BookRevision.find({
+        book: bookId,
+        status: "approved",
+        appliedAt: { $lt: target.appliedAt },
+      })
+        .sort({ appliedAt: -1, _id: -1 })
+        .lean()
+    : [];
+  const sources = restoreSources(revisions, earlier);
+  // title can't be empty; books created without one are "Untitled"
+  if ("title" in restore && !restore.title) restore.title = "Untitled";
+
+  const fields = changedFields(book, restore);
+  if (!fields.length) throw httpError(400, "Nothing to roll back");
+
+  const result = await adminEditBook(bookId, pickFields(restore, fields), {
+    sources: pickFields(sources, fields),
+  });
+  const now = new Date();
+  const revision = await BookRevision.create({
+    book: bookId,
+    user: actorId,
+    kind: "rollback",
+    source: ADMIN_SOURCE,
+    status: "approved",
+    changes: pickFields(restore, fields),
+    before: pickFields(result.before, fields),
+    beforeSources: pickFields(result.beforeSources, fields),
+    comment: note || "",
+    reviewedBy: actorId,
+    reviewedAt: now,
+    rollbackOf: target._id,
+    appliedAt: now,
+  });
+  return { revision, book: result.book };
+}
+
+export default {
+  validateChanges,
+  addUserBook,
+  suggestEdit,
+  recordEdit,
+  bookHistory,
+  conflictsOf,
+  revisionQueue,
+  approveRevision,
+  rejectRevision,
+  restoreValues,
+  restoreSources,
+  rollbackBook,
+};
@@ -0,0 +1,668 @@
+// backend/src/services/bookSearch.service.js
+// Ranked book search over the local index (searchIndex.service.js), merged
+// with metadata provider results. Query words match indexed terms exactly,
+// as a prefix ("tolk" -> "tolkien") or with a typo or two ("tolkein");
+// matches are weighed by how rare the term is and which field it is in.
+// Provider results are ranked with the same scorer, so both lists merge
+// into one ordering; pages are slices of that ordering, so they don't
+// shift between requests. Filters, other sort orders and facet counts
+// apply to the local catalog only.
+
+import Book from "../models/Book.js";
+import SearchTerm from "../models/SearchTerm.js";
+import Reading from "../models/Reading.js";
+import Shelf from "../models/Shelf.js";
+import ShelfItem from "../models/ShelfItem.js";
+import { searchMetadata } from "./metadata.service.js";
+import {
+  SEARCH_FIELDS,
+  STOPWORDS,
+  tokenize,
+  searchFieldsFor,
+} from "./searchIndex.service.js";
+import { foldText } from "../utils/names.js";
+import { normalizeExternalId } from "./catalog.service.js";
+import { titleAuthorKey } from "./bookDuplicates.service.js";
+import { genreInfo } from "./genre.service.js";
+import { cacheGet, cacheSet } from "./cacheWrapper.js";
+
+export const FIELD_BOOSTS = {
+  title: 3,
+  authors: 2.5,
+  series: 2,
+  subjects: 1.2,
+  description: 0.5,
+};
+export const MATCH_WEIGHTS = { exact: 1, prefix: 0.8, typo1: 0.6, typo2: 0.4 };
+
+const MAX_QUERY_TOKENS = 8;
+const PREFIX_EXPANSIONS = 20;
+const TYPO_CANDIDATES = 2000;
+// ranked results per query, taken from the candidate tiers below
+export const MAX_RESULTS = 300;
+// candidates are gathered by where the query words are, most relevant
+// first: all in the title, all in title / authors / series, anywhere;
+// only within a tier do the most-rated books go first
+const CANDIDATE_TIERS = [["title"], ["title", "authors", "series"], null];
+// provider results merged in when the local catalog has fewer matches
+export const PROVIDER_WINDOW = 40;
+// provider answers are cached per query (cacheWrapper.js)
+const PROVIDER_CACHE_TTL = 10 * 60;
+
+export const SORTS = ["relevance", "rating", "popularity", "newest"];
+const SORT_SPECS = {
+  rating: { avgRating: -1, ratingsCount: -1, _id: 1 },
+  popularity: { ratingsCount: -1, _id: 1 },
+  newest: { firstPublishYear: -1, ratingsCount: -1, _id: 1 },
+};
+
+const LOCAL_FIELDS =
+  "externalId title authors cover source genres moods avgRating ratingsCount " +
+  "firstPublishYear languages pageCount mergedIds +searchFields";
+
+/**
+ * editDistance(a, b, max) -> edits (insert, delete, substitute, swap of
+ * neighbours) to turn a into b; max + 1 once it exceeds max
+ */
+export function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prev2 &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      row.push(d);
+      best = Math.min(best, d);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return Math.min(prev[b.length], max + 1);
+}
+
+/**
+ * queryTokens("The Name of the Wind") -> ["name", "wind"]
+ * Stopwords are dropped unless the query is nothing else ("It").
+ */
+export function queryTokens(q) {
+  const all = [...new Set(tokenize(q, { stopwords: true }))];
+  const words = all.filter((t) => !STOPWORDS.has(t));
+  return (words.length ? words : all).slice(0, MAX_QUERY_TOKENS);
+}
+
+/**
+ * expandToken(token) -> Map term -> match weight
+ * The token itself, indexed terms it is a prefix of, and (from 4 letters)
+ * terms within one typo, or two from 8 letters.
+ */
+export async function expandToken(token) {
+  const out = new Map([[token, MATCH_WEIGHTS.exact]]);
+  const add = (term, weight) => {
+    if ((out.get(term) || 0) < weight) out.set(term, weight);
+  };
+
+  if (token.length >= 2) {
+    const prefixed = await SearchTerm.find({
+      term: { $gt: token, $lt: `${token}\uffff` },
+    })
+      .sort({ df: -1 })
+      .limit(PREFIX_EXPANSIONS)
+      .select("term")
+      .lean();
+    prefixed.forEach((t) => add(t.term, MATCH_WEIGHTS.prefix));
+  }
+
+  if (token.length >= 4) {
+    const max = token.length >= 8 ? 2 : 1;
+    const similar = await SearchTerm.find({
+      len: { $gte: token.length - max, $lte: token.length + max },
+      term: { $gte: token[0], $lt: `${token[0]}\uffff` },
+    })
+      .limit(TYPO_CANDIDATES)
+      .select("term")
+      .lean();
+    for (const { term } of similar) {
+      const d = editDistance(token, term, max);
+      if (d === 1) add(term, MATCH_WEIGHTS.typo1);
+      else if (d === 2) add(term, MATCH_WEIGHTS.typo2);
+    }
+  }
+  return out;
+}
+
+/**
+ * termIdf(terms) -> Map term -> inverse document frequency (BM25 form)
+ * Terms no local book has get the highest weight.
+ */
+export async function termIdf(terms) {
+  const [total, rows] = await Promise.all([
+    Book.estimatedDocumentCount(),
+    SearchTerm.find({ term: { $in: terms } })
+      .select("term df")
+      .lean(),
+  ]);
+  const df = new Map(rows.map((r) => [r.term, r.df]));
+  const n = Math.max(total, 1);
+  return new Map(
+    terms.map((t) => {
+      const d = Math.min(df.get(t) || 0, n);
+      return [t, Math.log(1 + (n - d + 0.5) / (d + 0.5))];
+    })
+  );
+}
+
+/**
+ * scoreFields(fields, expansions, idf) -> { score, matched }
+ * fields: searchFieldsFor() output; expansions: one Map per query token.
+ * Each token counts once, with its best match over all fields.
+ */
+export function scoreFields(fields, expansions, idf) {
+  let score = 0;
+  let matched = 0;
+  for (const expansion of expansions) {
+    let best = 0;
+    for (const f of SEARCH_FIELDS) {
+      for (const term of fields[f] || []) {
+        const weight = expansion.get(term);
+        if (!weight) continue;
+        best = Math.max(best, weight * FIELD_BOOSTS[f] * (idf.get(term) || 1));
+      }
+    }
+    if (best > 0) matched++;
+    score += best;
+  }
+  return { score, matched };
+}
+
+/**
+ * titleBonus(title, q) -> extra score for whole-title matches
+ */
+export function titleBonus(title, q) {
+  const t = foldText(title);
+  const query = foldText(q);
+  if (!t || !query) return 0;
+  if (t === query) return 10;
+  if (t.startsWith(`${query} `)) return 4;
+  return 0;
+}
+
+// score, then local before provider, most-rated, id: equal scores always
+// come out in one order
+function compareRanked(a, b) {
+  return (
+    b.score - a.score ||
+    (a.source === "local" ? 0 : 1) - (b.source === "local" ? 0 : 1) ||
+    (b.ratingsCount || 0) - (a.ratingsCount || 0) ||
+    String(a.externalId).localeCompare(String(b.externalId))
+  );
+}
+
+/**
+ * localView(book, score) -> search result shape of a local book
+ */
+export function localView(book, score) {
+  return {
+    externalId: book.externalId,
+    title: book.title,
+    authors: book.authors,
+    cover: book.cover,
+    genres: book.genres,
+    moods: book.moods,
+    avgRating: book.avgRating || 0,
+    ratingsCount: book.ratingsCount || 0,
+    firstPublishYear: book.firstPublishYear || null,
+    languages: book.languages || [],
+    pageCount: book.pageCount || null,
+    source: "local",
+    score: Math.round(score * 1000) / 1000,
+  };
+}
+
+// prior: popularity (local) or the provider's own order (remote), a small
+// nudge between otherwise equal matches
+function scoreDoc(fields, title, q, expansions, idf, prior) {
+  const { score, matched } = scoreFields(fields, expansions, idf);
+  if (!matched) return null;
+  // every query word matching beats a higher score on fewer words
+  const coverage = matched / expansions.length;
+  return score * coverage + titleBonus(title, q) + prior;
+}
+
+// Book condition: each list's terms in one of the fields
+function termsInFields(termLists, fields) {
+  const conditions = termLists.map((terms) => ({
+    $or: fields.map((f) => ({ [`searchFields.${f}`]: { $in: terms } })),
+  }));
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+// up to MAX_RESULTS books matching, tier by tier (CANDIDATE_TIERS)
+async function candidateBooks(filter, match, termLists) {
+  const books = [];
+  const seen = new Set();
+  for (const fields of CANDIDATE_TIERS) {
+    if (books.length >= MAX_RESULTS) break;
+    const found = await Book.find(
+      allOf([
+        filter,
+        match,
+        fields ? termsInFields(termLists, fields) : {},
+        seen.size ? { _id: { $nin: [...seen] } } : {},
+      ])
+    )
+      .sort({ ratingsCount: -1, _id: 1 })
+      .limit(MAX_RESULTS - books.length)
+      .select(LOCAL_FIELDS)
+      .lean();
+    for (const book of found) {
+      if (seen.has(String(book._id))) continue;
+      seen.add(String(book._id));
+      books.push(book);
+    }
+  }
+  return books;
+}
+
+/**
+ * rankLocal(q, { filter }) -> { items, total, expansions, idf, match }
+ * All query words must match; when no book has them all, books matching
+ * any of them are ranked instead. match: the Book condition that was used;
+ * total: how many books it matches (items holds at most MAX_RESULTS).
+ */
+export async function rankLocal(q, { filter = {} } = {}) {
+  const tokens = queryTokens(q);
+  if (!tokens.length) {
+    return { items: [], total: 0, expansions: [], idf: new Map(), match: null };
+  }
+
+  const expansions = await Promise.all(tokens.map(expandToken));
+  const termLists = expansions.map((e) => [...e.keys()]);
+  const idf = await termIdf([...new Set(termLists.flat())]);
+
+  let match = {
+    $and: termLists.map((terms) => ({ searchTerms: { $in: terms } })),
+  };
+  let books = await candidateBooks(filter, match, termLists);
+  if (!books.length && tokens.length > 1) {
+    match = { searchTerms: { $in: termLists.flat() } };
+    books = await candidateBooks(filter, match, [termLists.flat()]);
+  }
+  const items = [];
+  for (const book of books) {
+    const popularity = 0.15 * Math.log10(1 + (book.ratingsCount || 0));
+    const score = scoreDoc(
+      book.searchFields || searchFieldsFor(book),
+      book.title,
+      q,
+      expansions,
+      idf,
+      popularity
+    );
+    if (score !== null) items.push({ book, item: localView(book, score) });
+  }
+  const total =
+    books.length < MAX_RESULTS
+      ? items.length
+      : await Book.countDocuments(allOf([filter, match]));
+  return { items, total, expansions, idf, match };
+}
+
+/**
+ * providerSearch(q, { limit }) -> provider docs
+ * Cached for PROVIDER_CACHE_TTL seconds by folded query; failures are
+ * logged, return [] and are not cached.
+ */
+export async function providerSearch(q, { limit = PROVIDER_WINDOW } = {}) {
+  const key = `search:provider:${limit}:${foldText(q)}`;
+  const cached = await cacheGet(key);
+  if (cached) return cached;
+  try {
+    const docs = await searchMetadata(q, { limit, offset: 0 });
+    await cacheSet(key, docs, PROVIDER_CACHE_TTL);
+    return docs;
+  } catch (err) {
+    console.error("provider search failed:", err?.message ?? err);
+    return [];
+  }
+}
+
+/**
+ * newProviderDocs(docs, books) -> the provider docs that are neither one
+ * of the local books (by id, merged id or title + author) nor a repeat
+ */
+export function newProviderDocs(docs, books) {
+  const known = new Set();
+  for (const book of books) {
+    known.add(`id:${book.externalId}`);
+    (book.mergedIds || []).forEach((id) => known.add(`id:${id}`));
+    const key = titleAuthorKey(book);
+    if (key) known.add(`title:${key}`);
+  }
+  return docs.filter((d) => {
+    const key = titleAuthorKey(d);
+    const id = `id:${normalizeExternalId(d.externalId)}`;
+    if (known.has(id) || (key && known.has(`title:${key}`))) return false;
+    known.add(id);
+    if (key) known.add(`title:${key}`);
+    return true;
+  });
+}
+
+/**
+ * rankProviderDocs(docs, q, expansions, idf) -> provider docs with scores
+ */
+export function rankProviderDocs(docs, q, expansions, idf) {
+  const out = [];
+  docs.forEach((d, rank) => {
+    const score = scoreDoc(
+      searchFieldsFor(d),
+      d.title,
+      q,
+      expansions,
+      idf,
+      0.5 / (1 + rank)
+    );
+    if (score !== null) {
+      out.push({ ...d, score: Math.round(score * 1000) / 1000 });
+    }
+  });
+  return out;
+}
+
+/**
+ * allOf(conditions) -> one Book condition; empty ones are left out
+ */
+export function allOf(conditions) {
+  const parts = conditions.filter((c) => c && Object.keys(c).length);
+  if (parts.length <= 1) return parts[0] || {};
+  return { $and: parts };
+}
+
+// ranked local items in a non-relevance order; ties keep relevance order
+function sortLocal(items, sort) {
+  const keys = Object.entries(SORT_SPECS[sort]).filter(([k]) => k !== "_id");
+  return items.sort((a, b) => {
+    for (const [k, dir] of keys) {
+      const x = a[k] ?? -Infinity;
+      const y = b[k] ?? -Infinity;
+      if (x !== y) return (x < y ? -1 : 1) * dir;
+    }
+    return compareRanked(a, b);
+  });
+}
+
+/* ---------- facets ---------- */
+
+const PAGE_BOUNDARIES = [0, 150, 300, 500, 800, 100000];
+const RATING_STEPS = [4, 3, 2, 1];
+
+// the most common values of an array field
+const valueCounts = (field, limit) => [
+  { $unwind: `$${field}` },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: limit },
+];
+
+/**
+ * FACETS: name -> pipeline counting the values of one filter
+ * The names match the search filters, so a facet leaves out its own.
+ */
+export const FACETS = {
+  author: valueCounts("authors", 10),
+  genre: valueCounts("genres", 15),
+  subject: valueCounts("subjects", 15),
+  language: valueCounts("languages", 10),
+  year: [
+    { $match: { firstPublishYear: { $gt: 0 } } },
+    {
+      $group: {
+        _id: {
+          $multiply: [{ $floor: { $divide: ["$firstPublishYear", 10] } }, 10],
+        },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: -1 } },
+  ],
+  pages: [
+    { $match: { pageCount: { $gt: 0, $lt: 100000 } } },
+    {
+      $bucket: {
+        groupBy: "$pageCount",
+        boundaries: PAGE_BOUNDARIES,
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+  rating: [
+    {
+      $group: {
+        _id: null,
+        ...Object.fromEntries(
+          RATING_STEPS.map((min) => [
+            `r${min}`,
+            { $sum: { $cond: [{ $gte: ["$avgRating", min] }, 1, 0] } },
+          ])
+        ),
+      },
+    },
+  ],
+};
+
+function emptyFacets() {
+  return Object.fromEntries(Object.keys(FACETS).map((name) => [name, []]));
+}
+
+/**
+ * facetView(name, rows) -> client shape of one facet's counts
+ *   author / genre / subject / language: [{ value, count }] (genres with name)
+ *   year: [{ from, to, count }]; pages: [{ min, max, count }]
+ *   rating: [{ min, count }] (average rating at least min)
+ */
+export function facetView(name, rows) {
+  switch (name) {
+    case "year":
+      return rows.map((r) => ({ from: r._id, to: r._id + 9, count: r.count }));
+    case "pages":
+      return rows.map((r) => {
+        const i = PAGE_BOUNDARIES.indexOf(r._id);
+        const max = PAGE_BOUNDARIES[i + 1];
+        return {
+          min: r._id,
+          max: i === PAGE_BOUNDARIES.length - 2 ? null : max - 1,
+          count: r.count,
+        };
+      });
+    case "rating":
+      return RATING_STEPS.map((min) => ({
+        min,
+        count: rows[0]?.[`r${min}`] || 0,
+      })).filter((r) => r.count > 0);
+    case "genre":
+      return rows.map((r) => ({
+        value: r._id,
+        name: genreInfo(r._id)?.name || r._id,
+        count: r.count,
+      }));
+    default:
+      return rows.map((r) => ({ value: r._id, count: r.count }));
+  }
+}
+
+/**
+ * facetCounts(match, filters) -> { author: [...], genre: [...], ... }
+ * match: the books searched (query, fixed conditions); filters as in
+ * searchCatalog. Each facet counts with every filter but its own, so the
+ * other values of a chosen filter stay visible.
+ */
+export async function facetCounts(match, filters = {}) {
+  const others = (name) =>
+    allOf(
+      Object.entries(filters)
+        .filter(([key]) => key !== name)
+        .map(([, condition]) => condition)
+    );
+
+  const [row] = await Book.aggregate([
+    { $match: match },
+    {
+      $facet: Object.fromEntries(
+        Object.entries(FACETS).map(([name, pipeline]) => [
+          name,
+          [{ $match: others(name) }, ...pipeline],
+        ])
+      ),
+    },
+  ]);
+  return Object.fromEntries(
+    Object.keys(FACETS).map((name) => [
+      name,
+      facetView(name, (row && row[name]) || []),
+    ])
+  );
+}
+
+/**
+ * notInLibrary(userId) -> Book condition leaving out the user's books
+ * (any reading status, or on one of their shelves)
+ */
+export async function notInLibrary(userId) {
+  const shelves = await Shelf.find({ user: userId }).select("_id").lean();
+  const [reading, shelved] = await Promise.all([
+    Reading.distinct("book", { user: userId }),
+    shelves.length
+      ? ShelfItem.distinct("book", {
+          shelf: { $in: shelves.map((s) => s._id) },
+        })
+      : [],
+  ]);
+  const ids = [...reading, ...shelved];
+  return ids.length ? { _id: { $nin: ids } } : {};
+}
+
+/**
+ * searchCatalog(q, { filter, filters, sort, page, limit, remote, facets })
+ *   -> { items, total, page, limit, hasMore, sort, facets? }
+ * filter: Book conditions that always apply; filters: facet name (see
+ * FACETS) or other key -> Book condition. Without q, matching books are
+ * listed most-rated first. remote: merge provider results when sorting by
+ * relevance, nothing is filtered and the local catalog has fewer than
+ * PROVIDER_WINDOW matches. facets: also count the values of each facet.
+ * With q, total counts every match but only the best MAX_RESULTS can be
+ * paged through.
+ */
+export async function searchCatalog(
+  q,
+  {
+    filter = {},
+    filters = {},
+    sort = "relevance",
+    page = 1,
+    limit = 20,
+    remote = true,
+    facets = false,
+  } = {}
+) {
+  const skip = (page - 1) * limit;
+  const where = allOf([filter, ...Object.values(filters)]);
+  const filtered = Object.keys(where).length > 0;
+  if (!SORTS.includes(sort)) sort = "relevance";
+
+  if (!foldText(q)) {
+    if (sort === "relevance") sort = "popularity";
+    const [books, total, counts] = await Promise.all([
+      Book.find(where)
+        .sort(SORT_SPECS[sort])
+        .skip(skip)
+        .limit(limit)
+        .select(LOCAL_FIELDS)
+        .lean(),
+      Book.countDocuments(where),
+      facets ? facetCounts(filter, filters) : null,
+    ]);
+    return {
+      items: books.map((b) => localView(b, 0)),
+      total,
+      page,
+      limit,
+      hasMore: skip + books.length < total,
+      sort,
+      ...(facets ? { facets: counts } : {}),
+    };
+  }
+
+  const {
+    items: local,
+    total: localTotal,
+    expansions,
+    idf,
+    match,
+  } = await rankLocal(q, { filter: where });
+  const ranked = local.map((l) => l.item);
+
+  if (
+    remote &&
+    sort === "relevance" &&
+    !filtered &&
+    local.length < PROVIDER_WINDOW
+  ) {
+    const docs = await providerSearch(q, { limit: PROVIDER_WINDOW });
+    const fresh = newProviderDocs(
+      docs,
+      local.map((l) => l.book)
+    );
+    ranked.push(...rankProviderDocs(fresh, q, expansions, idf));
+  }
+
+  if (sort === "relevance") ranked.sort(compareRanked);
+  else sortLocal(ranked, sort);
+
+  // matches past the best MAX_RESULTS are counted but not ranked
+  const out = {
+    items: ranked.slice(skip, skip + limit),
+    total: ranked.length + Math.max(0, localTotal - local.length),
+    page,
+    limit,
+    hasMore: skip + limit < ranked.length,
+    sort,
+  };
+  if (facets) {
+    out.facets = match
+      ? await facetCounts(allOf([filter, match]), filters)
+      : emptyFacets();
+  }
+  return out;
+}
+
+export default {
+  editDistance,
+  queryTokens,
+  expandToken,
+  termIdf,
+  scoreFields,
+  titleBonus,
+  localView,
+  rankLocal,
+  providerSearch,
+  newProviderDocs,
+  rankProviderDocs,
+  allOf,
+  facetView,
+  facetCounts,
+  notInLibrary,
+  searchCatalog,
+};
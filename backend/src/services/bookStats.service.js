@@ -0,0 +1,260 @@
+// backend/src/services/bookStats.service.js
+// Rating and reading stats denormalized onto Book (avgRating,
+// ratingsCount, ratingHistogram, reviewsCount, readingCounts), and the
+// book-detail aggregate built on them. Stats are recomputed from the
+// reviews / readings of a book, so a refresh is always safe to repeat;
+// callers refresh after every change (see syncBookStats).
+
+import mongoose from "mongoose";
+import Book from "../models/Book.js";
+import Review from "../models/Review.js";
+import Reading from "../models/Reading.js";
+import Shelf from "../models/Shelf.js";
+import ShelfItem from "../models/ShelfItem.js";
+import Note from "../models/Note.js";
+
+// hidden reviews (banned authors, moderator deletes) don't count
+export const VISIBLE_REVIEW_FILTER = {
+  suspended: { $ne: true },
+  isDeleted: { $ne: true },
+};
+
+export const TOP_REVIEWS = 3;
+
+const READING_KEYS = {
+  "to-read": "toRead",
+  reading: "reading",
+  finished: "finished",
+};
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+/**
+ * statsFrom(ratingRows, readingRows) -> Book stats fields
+ * ratingRows: [{ _id: rating, count, withText }]
+ * readingRows: [{ _id: status, count }]
+ * Half-star ratings go to the nearest star in the histogram.
+ */
+export function statsFrom(ratingRows = [], readingRows = []) {
+  const ratingHistogram = [0, 0, 0, 0, 0];
+  let ratingsCount = 0;
+  let sum = 0;
+  let reviewsCount = 0;
+
+  for (const r of ratingRows) {
+    const rating = Number(r._id);
+    if (!Number.isFinite(rating)) continue;
+    const star = Math.min(5, Math.max(1, Math.round(rating)));
+    ratingHistogram[star - 1] += r.count;
+    ratingsCount += r.count;
+    sum += rating * r.count;
+    reviewsCount += r.withText || 0;
+  }
+
+  const readingCounts = { toRead: 0, reading: 0, finished: 0 };
+  for (const r of readingRows) {
+    if (READING_KEYS[r._id]) readingCounts[READING_KEYS[r._id]] += r.count;
+  }
+
+  return {
+    avgRating: ratingsCount ? round(sum / ratingsCount) : 0,
+    ratingsCount,
+    ratingHistogram,
+    reviewsCount,
+    readingCounts,
+  };
+}
+
+/**
+ * computeBookStats(bookId) -> stats (see statsFrom)
+ */
+export async function computeBookStats(bookId) {
+  const book = new mongoose.Types.ObjectId(String(bookId));
+  const [ratingRows, readingRows] = await Promise.all([
+    Review.aggregate([
+      { $match: { book, ...VISIBLE_REVIEW_FILTER } },
+      {
+        $group: {
+          _id: "$rating",
+          count: { $sum: 1 },
+          withText: {
+            $sum: {
+              $cond: [
+                {
+                  $gt: [
+                    {
+                      $strLenCP: {
+                        $trim: { input: { $ifNull: ["$text", ""] } },
+                      },
+                    },
+                    0,
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]),
+    Reading.aggregate([
+      { $match: { book } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+  ]);
+  return statsFrom(ratingRows, readingRows);
+}
+
+/**
+ * refreshBookStats(bookId) -> stats, stored on the Book
+ */
+export async function refreshBookStats(bookId) {
+  const stats = await computeBookStats(bookId);
+  await Book.updateOne(
+    { _id: bookId },
+    { $set: { ...stats, statsUpdatedAt: new Date() } }
+  );
+  return stats;
+}
+
+/**
+ * syncBookStats(bookIds) — best-effort refresh after reviews / readings
+ * change; failures are logged, never thrown to the caller.
+ */
+export async function syncBookStats(bookIds) {
+  const ids = new Set([].concat(bookIds || []).filter(Boolean).map(String));
+  for (const id of ids) {
+    try {
+      await refreshBookStats(id);
+    } catch (err) {
+      console.error("Failed to refresh book stats", id, err);
+    }
+  }
+}
+
+/**
+ * statsView(book) -> client shape of the denormalized stats
+ */
+export function statsView(book) {
+  const histogram = book.ratingHistogram || [];
+  return {
+    avgRating: book.avgRating || 0,
+    ratingsCount: book.ratingsCount || 0,
+    ratingHistogram: Object.fromEntries(
+      [1, 2, 3, 4, 5].map((star) => [star, histogram[star - 1] || 0])
+    ),
+    reviewsCount: book.reviewsCount || 0,
+    readingCounts: {
+      toRead: book.readingCounts?.toRead || 0,
+      reading: book.readingCounts?.reading || 0,
+      finished: book.readingCounts?.finished || 0,
+    },
+    commentsCount: book.commentsCount || 0,
+  };
+}
+
+/**
+ * topReviews(bookId, limit) -> visible reviews with text, most liked first
+ */
+export async function topReviews(bookId, limit = TOP_REVIEWS) {
+  const book = new mongoose.Types.ObjectId(String(bookId));
+  const rows = await Review.aggregate([
+    { $match: { book, text: { $nin: ["", null] }, ...VISIBLE_REVIEW_FILTER } },
+    {
+      $lookup: {
+        from: "likes",
+        let: { id: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$targetType", "review"] },
+                  { $eq: ["$targetId", "$$id"] },
+                ],
+              },
+            },
+          },
+          { $count: "n" },
+        ],
+        as: "likes",
+      },
+    },
+    {
+      $addFields: {
+        likesCount: { $ifNull: [{ $arrayElemAt: ["$likes.n", 0] }, 0] },
+      },
+    },
+    { $project: { likes: 0 } },
+    { $sort: { likesCount: -1, commentsCount: -1, createdAt: -1 } },
+    { $limit: limit },
+  ]);
+  return Review.populate(rows, {
+    path: "user",
+    select: "name username avatarUrl",
+  });
+}
+
+/**
+ * viewerState(bookId, userId) -> the caller's reading, review, shelves
+ * and notes for the book
+ */
+export async function viewerState(bookId, userId) {
+  const shelves = await Shelf.find({ user: userId }).select("_id name").lean();
+  const [reading, review, items, notes] = await Promise.all([
+    Reading.findOne({ user: userId, book: bookId })
+      .populate("edition", "-raw")
+      .lean(),
+    Review.findOne({ user: userId, book: bookId }).lean(),
+    shelves.length
+      ? ShelfItem.find({
+          book: bookId,
+          shelf: { $in: shelves.map((s) => s._id) },
+        })
+          .select("shelf")
+          .lean()
+      : [],
+    Note.find({ user: userId, book: bookId, isDeleted: { $ne: true } })
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  const onShelf = new Set(items.map((i) => String(i.shelf)));
+  return {
+    reading,
+    review,
+    shelves: shelves
+      .filter((s) => onShelf.has(String(s._id)))
+      .map((s) => ({ _id: s._id, name: s.name })),
+    notes,
+  };
+}
+
+/**
+ * bookDetail(book, userId) -> { stats, topReviews, me }
+ * Stats fall back to a fresh computation for books not refreshed yet.
+ */
+export async function bookDetail(book, userId = null) {
+  let source = book;
+  if (!book.statsUpdatedAt) {
+    source = { ...book, ...(await refreshBookStats(book._id)) };
+  }
+
+  const [reviews, me] = await Promise.all([
+    topReviews(book._id),
+    userId ? viewerState(book._id, userId) : null,
+  ]);
+  return { stats: statsView(source), topReviews: reviews, me };
+}
+
+export default {
+  statsFrom,
+  computeBookStats,
+  refreshBookStats,
+  syncBookStats,
+  statsView,
+  topReviews,
+  viewerState,
+  bookDetail,
+};
@@ -0,0 +1,259 @@
+// backend/src/services/bookTag.service.js
+// Community tags ("found family", "unreliable narrator") and moods (from
+// config/genres.js MOODS) that users vote onto books. Vote counts live on
+// BookTag; the top entries are copied onto the Book for responses and
+// search filters.
+
+import mongoose from "mongoose";
+import Book from "../models/Book.js";
+import BookTag from "../models/BookTag.js";
+import BookTagVote from "../models/BookTagVote.js";
+import { MOODS } from "../config/genres.js";
+import { genreInfo } from "./genre.service.js";
+import { foldText } from "../utils/names.js";
+
+export const MAX_TAG_LENGTH = 40;
+export const MAX_TAGS_PER_USER = 10; // per book
+const TOP_ON_BOOK = 10;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * tagSlug("Found Family!") -> "found-family"; letters of any script are
+ * kept ("Магический реализм" -> "магическии-реализм")
+ */
+export function tagSlug(label) {
+  return foldText(label).replace(/ /g, "-");
+}
+
+/**
+ * parseTag(kind, label) -> { kind, slug, label }
+ * Throws a 400 error for unknown kinds / moods or unusable tags.
+ */
+export function parseTag(kind, label) {
+  if (kind === "mood") {
+    const slug = tagSlug(label);
+    if (!MOODS.includes(slug)) {
+      throw httpError(400, `mood must be one of: ${MOODS.join(", ")}`);
+    }
+    return { kind, slug, label: slug };
+  }
+  if (kind !== "tag") throw httpError(400, 'kind must be "tag" or "mood"');
+
+  const clean = String(label || "")
+    .trim()
+    .replace(/\s+/g, " ");
+  const slug = tagSlug(clean);
+  if (slug.length < 2 || clean.length > MAX_TAG_LENGTH) {
+    throw httpError(400, `tags must be 2-${MAX_TAG_LENGTH} characters`);
+  }
+  return { kind, slug, label: clean.toLowerCase() };
+}
+
+/**
+ * refreshBookTags(bookId) — copies the top tags and moods onto the Book
+ */
+export async function refreshBookTags(bookId) {
+  const top = (kind) =>
+    BookTag.find({ book: bookId, kind, votesCount: { $gt: 0 } })
+      .sort({ votesCount: -1, slug: 1 })
+      .limit(TOP_ON_BOOK)
+      .lean();
+  const [tags, moods] = await Promise.all([top("tag"), top("mood")]);
+
+  await Book.updateOne(
+    { _id: bookId },
+    {
+      $set: {
+        communityTags: tags.map((t) => ({
+          slug: t.slug,
+          label: t.label,
+          votes: t.votesCount,
+        })),
+        moods: moods.map((m) => ({ slug: m.slug, votes: m.votesCount })),
+      },
+    }
+  );
+}
+
+/**
+ * voteTag(userId, bookId, { kind, label }) -> { tag, created }
+ * created is false when the user had already voted for it.
+ */
+export async function voteTag(userId, bookId, { kind, label }) {
+  if (!mongoose.isValidObjectId(bookId))
+    throw httpError(400, "Invalid book id");
+  const parsed = parseTag(kind, label);
+
+  const book = await Book.exists({ _id: bookId });
+  if (!book) throw httpError(404, "Book not found");
+
+  if (parsed.kind === "tag") {
+    const mine = await BookTagVote.countDocuments({
+      user: userId,
+      book: bookId,
+      kind: "tag",
+    });
+    if (mine >= MAX_TAGS_PER_USER) {
+      throw httpError(
+        400,
+        `You can add up to ${MAX_TAGS_PER_USER} tags per book`
+      );
+    }
+  }
+
+  const key = { book: bookId, kind: parsed.kind, slug: parsed.slug };
+  try {
+    await BookTagVote.create({ user: userId, ...key });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      return { tag: await BookTag.findOne(key).lean(), created: false };
+    }
+    throw err;
+  }
+
+  const tag = await BookTag.findOneAndUpdate(
+    key,
+    { $inc: { votesCount: 1 }, $setOnInsert: { label: parsed.label } },
+    { upsert: true, new: true }
+  ).lean();
+  await refreshBookTags(bookId);
+  return { tag, created: true };
+}
+
+/**
+ * unvoteTag(userId, bookId, kind, slug) -> true if a vote was removed
+ */
+export async function unvoteTag(userId, bookId, kind, slug) {
+  if (!mongoose.isValidObjectId(bookId)) return false;
+  const key = { book: bookId, kind, slug };
+
+  const vote = await BookTagVote.findOneAndDelete({ user: userId, ...key });
+  if (!vote) return false;
+
+  await BookTag.updateOne(key, { $inc: { votesCount: -1 } });
+  await BookTag.deleteOne({ ...key, votesCount: { $lte: 0 } });
+  await refreshBookTags(bookId);
+  return true;
+}
+
+/**
+ * removeTag(bookId, kind, slug) -> removed BookTag or null (moderation)
+ */
+export async function removeTag(bookId, kind, slug) {
+  if (!mongoose.isValidObjectId(bookId)) return null;
+  const key = { book: bookId, kind, slug };
+
+  const tag = await BookTag.findOneAndDelete(key).lean();
+  if (!tag) return null;
+  await BookTagVote.deleteMany(key);
+  await refreshBookTags(bookId);
+  return tag;
+}
+
+/**
+ * removeUserVotes(userId) -> number of votes removed (account purge)
+ */
+export async function removeUserVotes(userId) {
+  const votes = await BookTagVote.find({ user: userId })
+    .select("book kind slug")
+    .lean();
+  if (!votes.length) return 0;
+
+  await BookTagVote.deleteMany({ user: userId });
+  for (const { book, kind, slug } of votes) {
+    const key = { book, kind, slug };
+    await BookTag.updateOne(key, { $inc: { votesCount: -1 } });
+    await BookTag.deleteOne({ ...key, votesCount: { $lte: 0 } });
+  }
+  for (const bookId of new Set(votes.map((v) => String(v.book)))) {
+    await refreshBookTags(bookId);
+  }
+  return votes.length;
+}
+
+/**
+ * recountBookTags(bookId) — recounts a book's tags from their votes (after
+ * votes were moved onto it), drops tags nobody voted for, then refreshes
+ */
+export async function recountBookTags(bookId) {
+  const counts = await BookTagVote.aggregate([
+    { $match: { book: new mongoose.Types.ObjectId(String(bookId)) } },
+    {
+      $group: { _id: { kind: "$kind", slug: "$slug" }, votes: { $sum: 1 } },
+    },
+  ]);
+  const votes = new Map(
+    counts.map((c) => [`${c._id.kind}:${c._id.slug}`, c.votes])
+  );
+
+  const tags = await BookTag.find({ book: bookId })
+    .select("kind slug votesCount")
+    .lean();
+  for (const t of tags) {
+    const n = votes.get(`${t.kind}:${t.slug}`) || 0;
+    if (!n) await BookTag.deleteOne({ _id: t._id });
+    else if (n !== t.votesCount) {
+      await BookTag.updateOne({ _id: t._id }, { votesCount: n });
+    }
+  }
+  await refreshBookTags(bookId);
+}
+
+/**
+ * bookTags(bookId, userId) -> { genres, tags, moods } or null
+ * tags / moods: [{ slug, label, votes, voted }] (voted: by userId)
+ */
+export async function bookTags(bookId, userId = null) {
+  if (!mongoose.isValidObjectId(bookId)) return null;
+  const book = await Book.findById(bookId).select("genres").lean();
+  if (!book) return null;
+
+  const [tags, votes] = await Promise.all([
+    BookTag.find({ book: bookId, votesCount: { $gt: 0 } })
+      .sort({ votesCount: -1, slug: 1 })
+      .lean(),
+    userId
+      ? BookTagVote.find({ user: userId, book: bookId })
+          .select("kind slug")
+          .lean()
+      : [],
+  ]);
+  const mine = new Set(votes.map((v) => `${v.kind}:${v.slug}`));
+
+  const view = (t) => ({
+    slug: t.slug,
+    label: t.label,
+    votes: t.votesCount,
+    voted: mine.has(`${t.kind}:${t.slug}`),
+  });
+
+  return {
+    genres: (book.genres || [])
+      .map(genreInfo)
+      .filter(Boolean)
+      .map((g) => ({
+        slug: g.slug,
+        name: g.name,
+        path: g.path.map((p) => p.slug),
+      })),
+    tags: tags.filter((t) => t.kind === "tag").map(view),
+    moods: tags.filter((t) => t.kind === "mood").map(view),
+  };
+}
+
+export default {
+  tagSlug,
+  parseTag,
+  refreshBookTags,
+  voteTag,
+  unvoteTag,
+  removeTag,
+  removeUserVotes,
+  recountBookTags,
+  bookTags,
+};
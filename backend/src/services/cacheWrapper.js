@@ -5,6 +5,45 @@ let redis = null;
 const localCache = new Map();
 const useRedis = Boolean(process.env.REDIS_URL);
 
+// local entries are otherwise only dropped when read after expiring; keys
+// that are never read again (rate limit windows) would pile up
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_LOCAL_ENTRIES = 100000;
+let lastSweep = Date.now();
+
+/**
+ * sweepLocalCache(now) -> entries removed
+ * Drops expired entries, then the oldest ones while over MAX_LOCAL_ENTRIES.
+ */
+export function sweepLocalCache(now = Date.now()) {
+  lastSweep = now;
+  let removed = 0;
+  for (const [key, entry] of localCache) {
+    if (entry.expiresAt && now > entry.expiresAt) {
+      localCache.delete(key);
+      removed++;
+    }
+  }
+  // Map iterates in insertion order: oldest first
+  for (const key of localCache.keys()) {
+    if (localCache.size <= MAX_LOCAL_ENTRIES) break;
+    localCache.delete(key);
+    removed++;
+  }
+  return removed;
+}
+
+function localSet(key, entry) {
+  localCache.set(key, entry);
+  const now = Date.now();
+  if (
+    now - lastSweep > SWEEP_INTERVAL_MS ||
+    localCache.size > MAX_LOCAL_ENTRIES
+  ) {
+    sweepLocalCache(now);
+  }
+}
+
 if (useRedis) {
   redis = new Redis(process.env.REDIS_URL);
   redis.on("error", (e) => {
@@ -57,7 +96,7 @@ export async function cacheSet(key, value, ttlSeconds = 300) {
     }
   }
   const expiresAt = ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
-  localCache.set(key, { value, expiresAt });
+  localSet(key, { value, expiresAt });
 }
 
 /**
@@ -76,4 +115,32 @@ export async function cacheDel(key) {
   localCache.delete(key);
 }
 
-export default { cacheGet, cacheSet, cacheDel };
+/**
+ * cacheIncr(key, ttlSeconds) -> counter value after incrementing
+ * The ttl is set when the counter is created and not extended afterwards.
+ */
+export async function cacheIncr(key, ttlSeconds = 300) {
+  if (!key) return 0;
+  if (useRedis && redis) {
+    try {
+      const n = await redis.incr(key);
+      if (n === 1 && ttlSeconds && ttlSeconds > 0) {
+        await redis.expire(key, Math.ceil(ttlSeconds));
+      }
+      return n;
+    } catch (e) {
+      console.error("cacheIncr redis failed", e && e.message ? e.message : e);
+      // fallback to local
+    }
+  }
+  const entry = localCache.get(key);
+  if (entry && (!entry.expiresAt || Date.now() <= entry.expiresAt)) {
+    entry.value = (Number(entry.value) || 0) + 1;
+    return entry.value;
+  }
+  const expiresAt = ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+  localSet(key, { value: 1, expiresAt });
+  return 1;
+}
+
+export default { cacheGet, cacheSet, cacheDel, cacheIncr, sweepLocalCache };
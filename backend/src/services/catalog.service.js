@@ -0,0 +1,261 @@
+// backend/src/services/catalog.service.js
+// Resolves external ids to Book (work) + Edition documents, creating them
+// on first sight. OpenLibrary edition ids ("/books/…M") are mapped to their
+// work so every edition of a novel shares one Book. Remote data comes from
+// the metadata providers (services/metadata.service.js).
+
+import mongoose from "mongoose";
+import Book from "../models/Book.js";
+import Edition, { EDITION_FORMATS } from "../models/Edition.js";
+import { parseIsbn, cleanIsbn } from "../utils/isbn.js";
+import { getWork, getEdition, getByIsbn } from "./metadata.service.js";
+import {
+  fieldSourcesFor,
+  CLIENT_SOURCE,
+  USER_SOURCE,
+} from "./bookMetadata.service.js";
+import { linkBookAuthors } from "./author.service.js";
+import { genresFromSubjects } from "./genre.service.js";
+import { syncSearchIndex } from "./searchIndex.service.js";
+
+/**
+ * Normalize externalId formats:
+ * "/works/OL82563W", "works/OL82563W", "OL82563W" -> "/works/OL82563W"
+ * "/books/OL123M", "books/OL123M", "OL123M"        -> "/books/OL123M"
+ * anything else is returned trimmed
+ */
+export function normalizeExternalId(externalId) {
+  if (!externalId) return null;
+  externalId = String(externalId).trim();
+  if (!externalId) return null;
+
+  if (externalId.startsWith("/")) return externalId;
+  if (/^OL.*W$/.test(externalId)) return `/works/${externalId}`;
+  if (/^OL.*M$/.test(externalId)) return `/books/${externalId}`;
+  if (externalId.startsWith("works/") || externalId.startsWith("books/")) {
+    return `/${externalId}`;
+  }
+  return externalId;
+}
+
+export function isEditionKey(externalId) {
+  return /^\/books\//.test(String(externalId || ""));
+}
+
+/* ---------- local catalog ---------- */
+
+const BOOK_FIELDS = [
+  "title",
+  "authors",
+  "cover",
+  "source",
+  "raw",
+  "description",
+];
+
+// origin: provider name when fields came from getWork, USER_SOURCE for
+// books users added, else CLIENT_SOURCE
+async function createBook(externalId, fields = {}, origin = CLIENT_SOURCE) {
+  const doc = { externalId };
+  for (const f of BOOK_FIELDS) {
+    if (fields[f] !== undefined && fields[f] !== null) doc[f] = fields[f];
+  }
+  if (!doc.title) doc.title = "Untitled";
+  if (doc.raw && Array.isArray(doc.raw.subjects)) {
+    Object.assign(doc, genresFromSubjects(doc.raw.subjects));
+  }
+
+  doc.fieldSources = fieldSourcesFor(doc, origin);
+  const fromProvider = origin !== CLIENT_SOURCE && origin !== USER_SOURCE;
+  if (fromProvider) {
+    doc.metadataFetchedAt = new Date();
+    doc.metadataCheckedAt = doc.metadataFetchedAt;
+  }
+
+  let book;
+  try {
+    book = await Book.create(doc);
+  } catch (err) {
+    // created concurrently
+    if (err && err.code === 11000) return Book.findOne({ externalId });
+    throw err;
+  }
+
+  // a new book: link its authors (best-effort). Followers only hear about
+  // provider data; titles and authors sent by clients are anyone's to set
+  try {
+    await linkBookAuthors(book, {
+      authorKeys: fields.authorKeys,
+      notify: fromProvider,
+    });
+  } catch (err) {
+    console.error(
+      `linking authors of ${externalId} failed:`,
+      err?.message ?? err
+    );
+  }
+  await syncSearchIndex(book._id);
+  return book;
+}
+
+// also finds books that were merged into another one under that id
+function bookByKey(key) {
+  return Book.findOne({ $or: [{ externalId: key }, { mergedIds: key }] });
+}
+
+async function findOrCreateWork(workKey, fallback) {
+  const existing = await bookByKey(workKey);
+  if (existing) return existing;
+  const remote = await getWork(workKey);
+  return remote
+    ? createBook(workKey, remote, remote.source)
+    : createBook(workKey, fallback);
+}
+
+/**
+ * createUserBook(fields) -> Book
+ * A book no provider knows, added by a user; keyed "user:<id>".
+ */
+export async function createUserBook(fields) {
+  const key = `user:${new mongoose.Types.ObjectId()}`;
+  return createBook(key, { ...fields, source: USER_SOURCE }, USER_SOURCE);
+}
+
+/**
+ * upsertEdition(bookId, fields) -> Edition
+ * Matches an existing edition by externalId or ISBN-13.
+ */
+export async function upsertEdition(bookId, fields) {
+  const or = [];
+  if (fields.externalId) or.push({ externalId: fields.externalId });
+  if (fields.isbn13) or.push({ isbn13: fields.isbn13 });
+
+  const existing = or.length ? await Edition.findOne({ $or: or }) : null;
+  if (existing) return existing;
+
+  const format = EDITION_FORMATS.includes(fields.format) ? fields.format : null;
+  try {
+    const edition = await Edition.create({ ...fields, format, work: bookId });
+    await Book.updateOne({ _id: bookId }, { $inc: { editionsCount: 1 } });
+    // languages, page count and year come from the editions
+    await syncSearchIndex(bookId);
+    return edition;
+  } catch (err) {
+    if (err && err.code === 11000) return Edition.findOne({ $or: or });
+    throw err;
+  }
+}
+
+/**
+ * findBook(externalId) -> { book, edition } or null (never creates)
+ * Edition ids resolve to their work; edition is null for work ids. Ids of
+ * books merged away resolve to the book they were merged into.
+ */
+export async function findBook(externalId) {
+  const key = normalizeExternalId(externalId);
+  if (!key) return null;
+
+  if (isEditionKey(key)) {
+    const edition = await Edition.findOne({ externalId: key });
+    if (edition) {
+      const book = await Book.findById(edition.work);
+      if (book) return { book, edition };
+    }
+  }
+
+  const book = await bookByKey(key);
+  return book ? { book, edition: null } : null;
+}
+
+// remote: { workKey, edition } from getEdition / getByIsbn
+async function storeRemoteEdition(remote, payload = {}) {
+  const book = await findOrCreateWork(remote.workKey, {
+    ...payload,
+    title: payload.title || remote.edition.title,
+    cover: payload.cover || remote.edition.cover,
+  });
+  const edition = await upsertEdition(book._id, remote.edition);
+  return { book, edition };
+}
+
+/**
+ * resolveBook(payload, { requireRemote }) -> { book, edition } or null
+ * payload: { externalId, title?, authors?, cover?, source?, raw?, description? }
+ *
+ * Looks the id up locally first. Unknown edition ids are looked up with
+ * the metadata providers to find their work. When nothing remote is available the
+ * payload is used as-is, unless requireRemote is set (then null).
+ */
+export async function resolveBook(payload, { requireRemote = false } = {}) {
+  const key = normalizeExternalId(payload.externalId);
+  if (!key) return null;
+
+  const existing = await findBook(key);
+  if (existing) return existing;
+
+  if (isEditionKey(key)) {
+    const remote = await getEdition(key);
+    if (remote && remote.workKey) return storeRemoteEdition(remote, payload);
+    if (requireRemote) return null;
+    // no provider knows it: keep the edition id as its own book for now;
+    // scripts/migrate-editions.js folds it into its work later
+  } else if (requireRemote) {
+    const remote = await getWork(key);
+    if (!remote) return null;
+    return { book: await createBook(key, remote, remote.source), edition: null };
+  }
+
+  return { book: await createBook(key, payload), edition: null };
+}
+
+/**
+ * resolveIsbn(value) -> { isbn: { isbn10, isbn13 }, book, edition, source }
+ * source is "local" or "remote"; book/edition are null when nobody knows
+ * the ISBN. Throws a 400 error for malformed ISBNs or bad checksums.
+ */
+export async function resolveIsbn(value) {
+  const isbn = parseIsbn(value);
+  if (!isbn) {
+    const err = new Error(`"${cleanIsbn(value)}" is not a valid ISBN-10 or ISBN-13`);
+    err.status = 400;
+    err.code = "INVALID_ISBN";
+    throw err;
+  }
+
+  const local = await Edition.findOne({ isbn13: isbn.isbn13 });
+  if (local) {
+    const book = await Book.findById(local.work);
+    if (book) return { isbn, book, edition: local, source: "local" };
+  }
+
+  const remote = await getByIsbn(isbn.isbn13);
+  if (!remote || !remote.workKey) {
+    return { isbn, book: null, edition: null, source: null };
+  }
+
+  // the record may list the ISBN in the other form only
+  remote.edition.isbn10 = remote.edition.isbn10 || isbn.isbn10;
+  remote.edition.isbn13 = remote.edition.isbn13 || isbn.isbn13;
+
+  const { book, edition } = await storeRemoteEdition(remote);
+  return { isbn, book, edition, source: "remote" };
+}
+
+/**
+ * editionForBook(bookId, editionId) -> Edition of that work, or null
+ */
+export async function editionForBook(bookId, editionId) {
+  if (!mongoose.isValidObjectId(editionId)) return null;
+  return Edition.findOne({ _id: editionId, work: bookId });
+}
+
+export default {
+  normalizeExternalId,
+  isEditionKey,
+  createUserBook,
+  upsertEdition,
+  findBook,
+  resolveBook,
+  resolveIsbn,
+  editionForBook,
+};
@@ -0,0 +1,152 @@
+// backend/src/services/genre.service.js
+// Maps free-form provider subjects ("Fiction, fantasy, epic", "Fantasy
+// fiction") onto the genre taxonomy in config/genres.js. A book stores
+// the matched genres together with their ancestors, so filtering by
+// "fantasy" also finds epic fantasy.
+
+import Book from "../models/Book.js";
+import { GENRES } from "../config/genres.js";
+import { normalizeText } from "../utils/names.js";
+
+const MAX_SUBJECTS = 50;
+
+const GENRE_BY_SLUG = new Map(GENRES.map((g) => [g.slug, g]));
+
+/**
+ * subjectCandidates("Fiction, fantasy, epic") ->
+ *   ["fiction fantasy epic", "epic fantasy fiction", "epic fantasy", ...]
+ * Most specific readings first, then the same without a trailing
+ * "fiction" / "stories", then the single comma-separated parts.
+ */
+export function subjectCandidates(subject) {
+  const parts = String(subject || "")
+    .split(/,|--/)
+    .map(normalizeText)
+    .filter((p) => p && p !== "general" && p !== "etc");
+  if (!parts.length) return [];
+
+  const out = [parts.join(" "), [...parts].reverse().join(" ")];
+  if (parts.length > 1) out.push(parts.slice(1).reverse().join(" "));
+  const stripped = out.map((c) => c.replace(/ (fiction|stories|novels)$/, ""));
+  // then the single parts, the broad first one ("fiction") last
+  const single = parts.length > 1 ? [...parts.slice(1), parts[0]] : [];
+  return [...new Set([...out, ...stripped, ...single])].filter(Boolean);
+}
+
+// normalized slug / name / synonym -> slug
+const LOOKUP = new Map();
+for (const g of GENRES) {
+  for (const term of [g.slug.replace(/-/g, " "), g.name, ...g.synonyms]) {
+    const key = subjectCandidates(term)[0];
+    if (key && !LOOKUP.has(key)) LOOKUP.set(key, g.slug);
+  }
+}
+
+/**
+ * resolveGenre("Sci-Fi") -> "science-fiction"; null when unknown
+ */
+export function resolveGenre(value) {
+  for (const c of subjectCandidates(value)) {
+    if (LOOKUP.has(c)) return LOOKUP.get(c);
+  }
+  return null;
+}
+
+/**
+ * genrePath("epic-fantasy") -> ["fiction", "fantasy", "epic-fantasy"]
+ */
+export function genrePath(slug) {
+  const path = [];
+  let g = GENRE_BY_SLUG.get(slug);
+  while (g && !path.includes(g.slug)) {
+    path.unshift(g.slug);
+    g = GENRE_BY_SLUG.get(g.parent);
+  }
+  return path;
+}
+
+/**
+ * genresFromSubjects(subjects) -> { genres, subjects }
+ * genres: matched slugs plus ancestors; subjects: the normalized subjects
+ */
+export function genresFromSubjects(subjects = []) {
+  const genres = new Set();
+  const normalized = new Set();
+
+  for (const s of subjects) {
+    const n = normalizeText(s);
+    if (!n) continue;
+    if (normalized.size < MAX_SUBJECTS) normalized.add(n);
+    const slug = resolveGenre(s);
+    if (slug) genrePath(slug).forEach((p) => genres.add(p));
+  }
+
+  return { genres: [...genres], subjects: [...normalized] };
+}
+
+/**
+ * genreTree() -> [{ slug, name, children: [...] }]
+ */
+export function genreTree() {
+  const nodes = new Map(
+    GENRES.map((g) => [g.slug, { slug: g.slug, name: g.name, children: [] }])
+  );
+  const roots = [];
+  for (const g of GENRES) {
+    const parent = g.parent && nodes.get(g.parent);
+    (parent ? parent.children : roots).push(nodes.get(g.slug));
+  }
+  return roots;
+}
+
+/**
+ * genreInfo(slug) -> { slug, name, path: [{ slug, name }], children } or null
+ */
+export function genreInfo(slug) {
+  const g = GENRE_BY_SLUG.get(slug);
+  if (!g) return null;
+  return {
+    slug: g.slug,
+    name: g.name,
+    synonyms: g.synonyms,
+    path: genrePath(slug).map((s) => ({
+      slug: s,
+      name: GENRE_BY_SLUG.get(s).name,
+    })),
+    children: GENRES.filter((c) => c.parent === slug).map((c) => ({
+      slug: c.slug,
+      name: c.name,
+    })),
+  };
+}
+
+/**
+ * genreAffinity(bookIds) -> Map slug -> weight
+ * How strongly a set of books (e.g. a user's reading) leans to each genre;
+ * more specific genres weigh more than their ancestors.
+ */
+export async function genreAffinity(bookIds) {
+  const affinity = new Map();
+  if (!bookIds.length) return affinity;
+
+  const books = await Book.find({ _id: { $in: bookIds } })
+    .select("genres")
+    .lean();
+  for (const b of books) {
+    for (const slug of b.genres || []) {
+      const depth = genrePath(slug).length;
+      affinity.set(slug, (affinity.get(slug) || 0) + depth);
+    }
+  }
+  return affinity;
+}
+
+export default {
+  subjectCandidates,
+  resolveGenre,
+  genrePath,
+  genresFromSubjects,
+  genreTree,
+  genreInfo,
+  genreAffinity,
+};
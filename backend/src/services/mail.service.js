@@ -0,0 +1,157 @@
+// backend/src/services/mail.service.js
+// Pluggable mail transport.
+//
+// MAIL_TRANSPORT:
+//  - "memory"  -> keeps messages in an in-process outbox (default under tests)
+//  - "file"    -> writes one JSON file per message to MAIL_OUTBOX_DIR (default in dev)
+//  - "console" -> logs messages to stdout
+//  - "smtp"    -> sends through nodemailer (SMTP_URL), loaded lazily (default in production)
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// read on use: .env is loaded after the modules are imported
+const mailFrom = () =>
+  process.env.MAIL_FROM || "Readers App <no-reply@readers.app>";
+
+function defaultTransportName() {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === "test") return "memory";
+  if (process.env.NODE_ENV === "production") return "smtp";
+  return "file";
+}
+
+/* ---------- transports ---------- */
+
+const outbox = [];
+
+const memoryTransport = {
+  name: "memory",
+  async send(message) {
+    outbox.push(message);
+    return { id: message.id };
+  },
+};
+
+const fileTransport = {
+  name: "file",
+  async send(message) {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join("tmp", "outbox");
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(
+      dir,
+      `${message.createdAt.toISOString().replace(/[:.]/g, "-")}-${message.id}.json`
+    );
+    await fs.writeFile(file, JSON.stringify(message, null, 2), "utf8");
+    return { id: message.id, file };
+  },
+};
+
+const consoleTransport = {
+  name: "console",
+  async send(message) {
+    console.log(
+      `[mail] to=${message.to} subject="${message.subject}"\n${message.text}`
+    );
+    return { id: message.id };
+  },
+};
+
+let _smtp = null;
+const smtpTransport = {
+  name: "smtp",
+  async send(message) {
+    if (!_smtp) {
+      if (!process.env.SMTP_URL) throw new Error("SMTP_URL not configured");
+      const mod = await import("nodemailer");
+      const nodemailer = mod?.default ?? mod;
+      _smtp = nodemailer.createTransport(process.env.SMTP_URL);
+    }
+    const info = await _smtp.sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html || undefined,
+    });
+    return { id: info?.messageId || message.id };
+  },
+};
+
+const transports = {
+  memory: memoryTransport,
+  file: fileTransport,
+  console: consoleTransport,
+  smtp: smtpTransport,
+};
+
+let activeTransport = null;
+
+function getTransport() {
+  if (activeTransport) return activeTransport;
+  const name = defaultTransportName();
+  activeTransport = transports[name];
+  if (!activeTransport) {
+    console.warn(`Unknown MAIL_TRANSPORT "${name}", falling back to console`);
+    activeTransport = consoleTransport;
+  }
+  return activeTransport;
+}
+
+/**
+ * setMailTransport(nameOrTransport)
+ * Accepts a built-in name or any object with async send(message).
+ */
+export function setMailTransport(nameOrTransport) {
+  if (typeof nameOrTransport === "string") {
+    if (!transports[nameOrTransport])
+      throw new Error(`Unknown mail transport: ${nameOrTransport}`);
+    activeTransport = transports[nameOrTransport];
+  } else if (nameOrTransport && typeof nameOrTransport.send === "function") {
+    activeTransport = nameOrTransport;
+  } else {
+    activeTransport = null;
+  }
+}
+
+/* ---------- API ---------- */
+
+/**
+ * sendMail({ to, subject, text, html }) -> { id, ... } or null
+ * Never throws: mail failures are logged so they cannot break a request.
+ */
+export async function sendMail({ to, subject, text, html = null }) {
+  if (!to || !subject) {
+    console.warn("sendMail: missing to/subject");
+    return null;
+  }
+
+  const message = {
+    id: crypto.randomUUID(),
+    from: mailFrom(),
+    to,
+    subject,
+    text: text || "",
+    html,
+    createdAt: new Date(),
+  };
+
+  try {
+    return await getTransport().send(message);
+  } catch (err) {
+    console.error("sendMail failed:", err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+/* in-memory outbox helpers (memory transport only) */
+export function getOutbox() {
+  return outbox.slice();
+}
+
+export function clearOutbox() {
+  outbox.length = 0;
+}
+
+export default { sendMail, setMailTransport, getOutbox, clearOutbox };
@@ -0,0 +1,188 @@
+// backend/src/services/metadata.service.js
+// Book metadata lookups through an ordered chain of providers.
+//
+// A provider is an object with a `name` and any of:
+//   getWork(workKey)        -> { externalId, title, authors, authorKeys, cover, description, source, raw } | null
+//   getEdition(editionKey)  -> { workKey, edition } | null   (edition = Edition fields)
+//   getByIsbn(isbn13)       -> { workKey, edition } | null
+//   getAuthor(authorKey)    -> { externalId, name, aliases, bio, photo, source } | null
+//   search(q, { limit, offset }) -> [{ externalId, title, authors, year, cover, source }]
+// Returning null / [] means "not found here" and the next provider is
+// asked; throwing (or timing out) also falls through and counts against
+// that provider's circuit breaker.
+//
+// Config via env:
+//   METADATA_PROVIDERS=openlibrary,local     order of providers (openlibrary | local | fake)
+//   METADATA_TIMEOUT_MS=8000                 default per-call timeout
+//   METADATA_<NAME>_TIMEOUT_MS               per-provider timeout
+//   METADATA_BREAKER_THRESHOLD=5             consecutive failures before opening
+//   METADATA_BREAKER_COOLDOWN_MS=30000       how long an open circuit skips a provider
+//   METADATA_LOCAL_CATALOG=/path/catalog.json  file for the "local" provider
+//   OPENLIBRARY_URL                          override the OpenLibrary base url
+
+import { createOpenLibraryProvider } from "./metadata/openLibrary.provider.js";
+import { createLocalCatalogProvider } from "./metadata/catalog.provider.js";
+import { createFakeProvider } from "./metadata/fake.provider.js";
+import { createCircuitBreaker } from "./metadata/circuitBreaker.js";
+
+const PROVIDER_FACTORIES = {
+  openlibrary: ({ timeoutMs }) =>
+    createOpenLibraryProvider({
+      baseUrl: process.env.OPENLIBRARY_URL || undefined,
+      timeoutMs,
+    }),
+  local: () =>
+    createLocalCatalogProvider({ file: process.env.METADATA_LOCAL_CATALOG }),
+  fake: () => createFakeProvider(),
+};
+
+function positiveNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * providerConfig(env) -> [{ name, timeoutMs }] in lookup order
+ * Unknown names are ignored; an empty list falls back to openlibrary.
+ */
+export function providerConfig(env = process.env) {
+  const defaultTimeout = positiveNumber(env.METADATA_TIMEOUT_MS, 8000);
+  const names = String(env.METADATA_PROVIDERS || "openlibrary")
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter((n) => PROVIDER_FACTORIES[n]);
+
+  const unique = [...new Set(names.length ? names : ["openlibrary"])];
+  return unique.map((name) => ({
+    name,
+    timeoutMs: positiveNumber(
+      env[`METADATA_${name.toUpperCase()}_TIMEOUT_MS`],
+      defaultTimeout
+    ),
+  }));
+}
+
+function breakerOptions() {
+  return {
+    threshold: positiveNumber(process.env.METADATA_BREAKER_THRESHOLD, 5),
+    cooldownMs: positiveNumber(process.env.METADATA_BREAKER_COOLDOWN_MS, 30000),
+  };
+}
+
+let chain = null; // [{ provider, timeoutMs, breaker }]
+
+function getChain() {
+  if (!chain) {
+    chain = providerConfig().map(({ name, timeoutMs }) => ({
+      provider: PROVIDER_FACTORIES[name]({ timeoutMs }),
+      timeoutMs,
+      breaker: createCircuitBreaker(breakerOptions()),
+    }));
+  }
+  return chain;
+}
+
+/**
+ * setMetadataProviders(providers, { timeoutMs, breaker }) — replaces the
+ * chain (tests, scripts). resetMetadataProviders() goes back to env config.
+ */
+export function setMetadataProviders(
+  providers,
+  { timeoutMs = 8000, breaker = breakerOptions() } = {}
+) {
+  chain = providers.map((provider) => ({
+    provider,
+    timeoutMs,
+    breaker: createCircuitBreaker(breaker),
+  }));
+}
+
+export function resetMetadataProviders() {
+  chain = null;
+}
+
+/**
+ * metadataProviderStatus() -> [{ name, state, timeoutMs }]
+ */
+export function metadataProviderStatus() {
+  return getChain().map(({ provider, breaker, timeoutMs }) => ({
+    name: provider.name,
+    state: breaker.state(),
+    timeoutMs,
+  }));
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function firstResult(method, args, found) {
+  for (const { provider, timeoutMs, breaker } of getChain()) {
+    if (typeof provider[method] !== "function") continue;
+    if (!breaker.canRequest()) continue;
+
+    const label = `${provider.name}.${method}`;
+    try {
+      const result = await withTimeout(
+        Promise.resolve().then(() => provider[method](...args)),
+        timeoutMs,
+        label
+      );
+      breaker.success();
+      if (found(result)) return result;
+    } catch (err) {
+      breaker.failure();
+      console.warn(`[metadata] ${label} failed:`, err?.message ?? err);
+    }
+  }
+  return null;
+}
+
+const isPresent = (r) => r !== null && r !== undefined;
+
+/* ---------- lookups ---------- */
+
+export function getWork(workKey) {
+  return firstResult("getWork", [workKey], isPresent);
+}
+
+export function getEdition(editionKey) {
+  return firstResult("getEdition", [editionKey], isPresent);
+}
+
+export function getByIsbn(isbn13) {
+  return firstResult("getByIsbn", [isbn13], isPresent);
+}
+
+export function getAuthor(authorKey) {
+  return firstResult("getAuthor", [authorKey], isPresent);
+}
+
+/**
+ * searchMetadata(q, { limit, offset }) -> results of the first provider
+ * that has any ([] when none do)
+ */
+export async function searchMetadata(q, { limit = 20, offset = 0 } = {}) {
+  const results = await firstResult(
+    "search",
+    [q, { limit, offset }],
+    (r) => Array.isArray(r) && r.length > 0
+  );
+  return results || [];
+}
+
+export default {
+  providerConfig,
+  setMetadataProviders,
+  resetMetadataProviders,
+  metadataProviderStatus,
+  getWork,
+  getEdition,
+  getByIsbn,
+  getAuthor,
+  searchMetadata,
+};
@@ -0,0 +1,167 @@
+// backend/src/services/metadata/catalog.provider.js
+// Metadata provider over a static catalog, e.g. a JSON export of a
+// library's holdings. File format (METADATA_LOCAL_CATALOG):
+// {
+//   "works":    [{ "externalId", "title", "authors", "authorKeys", "cover",
+//                  "description", "subjects", "year" }],
+//   "editions": [{ "externalId", "work" (work externalId), "isbn10",
+//                  "isbn13", "title", "format", "publisher", "publishedDate",
+//                  "pageCount", "language", "cover" }],
+//   "authors":  [{ "externalId", "name", "aliases", "bio", "photo" }]
+// }
+
+import { readFile } from "fs/promises";
+import { parseIsbn } from "../../utils/isbn.js";
+
+function tokens(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * createCatalogProvider({ works, editions }, { name }) -> provider
+ */
+export function createCatalogProvider(
+  { works = [], editions = [], authors = [] } = {},
+  { name = "local" } = {}
+) {
+  const worksById = new Map();
+  const editionsById = new Map();
+  const editionsByIsbn = new Map();
+  const authorsById = new Map(
+    authors.filter((a) => a.externalId).map((a) => [a.externalId, a])
+  );
+
+  for (const w of works) {
+    if (!w.externalId) continue;
+    worksById.set(w.externalId, {
+      work: w,
+      words: new Set(tokens(`${w.title} ${(w.authors || []).join(" ")}`)),
+    });
+  }
+  for (const e of editions) {
+    const isbn = parseIsbn(e.isbn13) || parseIsbn(e.isbn10);
+    const entry = { ...e, isbn10: isbn?.isbn10 || null, isbn13: isbn?.isbn13 || null };
+    if (e.externalId) editionsById.set(e.externalId, entry);
+    if (entry.isbn13) editionsByIsbn.set(entry.isbn13, entry);
+  }
+
+  function toEdition(e) {
+    return {
+      workKey: e.work || null,
+      edition: {
+        externalId: e.externalId || null,
+        isbn10: e.isbn10,
+        isbn13: e.isbn13,
+        title: e.title || null,
+        format: e.format || null,
+        publisher: e.publisher || null,
+        publishedDate: e.publishedDate || null,
+        pageCount: e.pageCount || null,
+        language: e.language || null,
+        cover: e.cover || null,
+        source: name,
+        raw: { [name]: e },
+      },
+    };
+  }
+
+  return {
+    name,
+
+    async getWork(workKey) {
+      const hit = worksById.get(workKey);
+      if (!hit) return null;
+      const w = hit.work;
+      return {
+        externalId: w.externalId,
+        title: w.title || null,
+        authors: w.authors || [],
+        authorKeys: w.authorKeys || [],
+        cover: w.cover || null,
+        source: name,
+        raw: { [name]: w, subjects: w.subjects || [] },
+        description: w.description || null,
+      };
+    },
+
+    async getAuthor(authorKey) {
+      const a = authorsById.get(authorKey);
+      if (!a) return null;
+      return {
+        externalId: a.externalId,
+        name: a.name,
+        aliases: a.aliases || [],
+        bio: a.bio || null,
+        photo: a.photo || null,
+        source: name,
+      };
+    },
+
+    async getEdition(editionKey) {
+      const e = editionsById.get(editionKey);
+      return e ? toEdition(e) : null;
+    },
+
+    async getByIsbn(isbn13) {
+      const e = editionsByIsbn.get(isbn13);
+      return e ? toEdition(e) : null;
+    },
+
+    // every query word must appear in the title or an author name
+    async search(q, { limit = 20, offset = 0 } = {}) {
+      const wanted = tokens(q);
+      if (!wanted.length) return [];
+
+      const matches = [];
+      for (const { work, words } of worksById.values()) {
+        if (wanted.every((t) => words.has(t))) matches.push(work);
+      }
+      return matches.slice(offset, offset + limit).map((w) => ({
+        externalId: w.externalId,
+        title: w.title,
+        authors: w.authors || [],
+        year: w.year,
+        cover: w.cover || null,
+        source: name,
+      }));
+    },
+  };
+}
+
+/**
+ * createLocalCatalogProvider({ file }) -> provider reading a JSON catalog
+ * The file is read on first use; a missing or broken file makes every call
+ * fail (and so trips the circuit breaker) rather than crashing startup.
+ */
+export function createLocalCatalogProvider({ file, name = "local" } = {}) {
+  let loading = null;
+
+  function catalog() {
+    if (!loading) {
+      loading = (async () => {
+        if (!file) throw new Error("METADATA_LOCAL_CATALOG is not set");
+        const data = JSON.parse(await readFile(file, "utf8"));
+        return createCatalogProvider(data, { name });
+      })();
+      // allow a retry after the file is fixed
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  return {
+    name,
+    getWork: async (...args) => (await catalog()).getWork(...args),
+    getEdition: async (...args) => (await catalog()).getEdition(...args),
+    getByIsbn: async (...args) => (await catalog()).getByIsbn(...args),
+    getAuthor: async (...args) => (await catalog()).getAuthor(...args),
+    search: async (...args) => (await catalog()).search(...args),
+  };
+}
+
+export default createLocalCatalogProvider;
@@ -0,0 +1,46 @@
+// backend/src/services/metadata/circuitBreaker.js
+// Minimal circuit breaker: after `threshold` consecutive failures the
+// circuit opens and calls are skipped for `cooldownMs`; then one trial
+// call is let through (half-open) and its outcome closes or re-opens it.
+
+export function createCircuitBreaker({
+  threshold = 5,
+  cooldownMs = 30000,
+  now = () => Date.now(),
+} = {}) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  function state() {
+    if (openedAt === null) return "closed";
+    return now() - openedAt >= cooldownMs ? "half-open" : "open";
+  }
+
+  return {
+    state,
+
+    /** canRequest() -> false while open (or while a half-open trial runs) */
+    canRequest() {
+      const s = state();
+      if (s === "closed") return true;
+      if (s === "open" || trialInFlight) return false;
+      trialInFlight = true;
+      return true;
+    },
+
+    success() {
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    failure() {
+      failures += 1;
+      trialInFlight = false;
+      if (openedAt !== null || failures >= threshold) openedAt = now();
+    },
+  };
+}
+
+export default createCircuitBreaker;
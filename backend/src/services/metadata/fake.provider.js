@@ -0,0 +1,49 @@
+// backend/src/services/metadata/fake.provider.js
+// In-memory provider for tests and offline development. Records every call
+// and can be told to fail or to respond slowly.
+
+import { createCatalogProvider } from "./catalog.provider.js";
+
+/**
+ * createFakeProvider({ works, editions, authors, name }) -> provider
+ * extra fields:
+ *   calls        [{ method, args }]
+ *   failWith     Error to throw from every call (null = succeed)
+ *   delayMs      artificial latency per call
+ */
+export function createFakeProvider({
+  works = [],
+  editions = [],
+  authors = [],
+  name = "fake",
+} = {}) {
+  const catalog = createCatalogProvider({ works, editions, authors }, { name });
+
+  const provider = {
+    name,
+    calls: [],
+    failWith: null,
+    delayMs: 0,
+  };
+
+  for (const method of [
+    "getWork",
+    "getEdition",
+    "getByIsbn",
+    "getAuthor",
+    "search",
+  ]) {
+    provider[method] = async (...args) => {
+      provider.calls.push({ method, args });
+      if (provider.delayMs) {
+        await new Promise((resolve) => setTimeout(resolve, provider.delayMs));
+      }
+      if (provider.failWith) throw provider.failWith;
+      return catalog[method](...args);
+    };
+  }
+
+  return provider;
+}
+
+export default createFakeProvider;
@@ -0,0 +1,161 @@
+// backend/src/services/metadata/openLibrary.provider.js
+// Metadata provider backed by the openlibrary.org JSON API.
+
+import axios from "axios";
+import { parseIsbn } from "../../utils/isbn.js";
+
+const DEFAULT_BASE_URL = "https://openlibrary.org";
+
+function coverUrl(coverId) {
+  return coverId ? `https://covers.openlibrary.org/b/id/${coverId}-L.jpg` : null;
+}
+
+function descriptionOf(data) {
+  return (
+    (typeof data.description === "string" && data.description) ||
+    (data.description && data.description.value) ||
+    null
+  );
+}
+
+const FORMAT_PATTERNS = [
+  ["audiobook", /audio|cd|cassette/i],
+  ["ebook", /e-?book|electronic|kindle|epub/i],
+  ["hardcover", /hard\s*(cover|back)|library binding/i],
+  ["paperback", /paper\s*(back|cover)|mass market|softcover/i],
+];
+
+/**
+ * editionFormat("Mass Market Paperback") -> "paperback"
+ */
+export function editionFormat(physicalFormat) {
+  if (!physicalFormat) return null;
+  for (const [format, re] of FORMAT_PATTERNS) {
+    if (re.test(physicalFormat)) return format;
+  }
+  return "other";
+}
+
+/**
+ * editionFromOpenLibrary(data, key) -> { workKey, edition } (Edition fields)
+ */
+export function editionFromOpenLibrary(data, key) {
+  const isbn =
+    parseIsbn((data.isbn_13 || [])[0]) || parseIsbn((data.isbn_10 || [])[0]);
+  const language = (data.languages || [])[0]?.key?.split("/").pop() || null;
+  const pageCount = Number(data.number_of_pages);
+
+  return {
+    workKey: (data.works || [])[0]?.key || null,
+    edition: {
+      externalId: key,
+      isbn10: isbn?.isbn10 || null,
+      isbn13: isbn?.isbn13 || null,
+      title: data.full_title || data.title || null,
+      format: editionFormat(data.physical_format),
+      publisher: (data.publishers || [])[0] || null,
+      publishedDate: data.publish_date || null,
+      pageCount: Number.isFinite(pageCount) && pageCount > 0 ? pageCount : null,
+      language,
+      cover: coverUrl((data.covers || [])[0]),
+      source: "openlibrary",
+      raw: { openlibrary: data },
+    },
+  };
+}
+
+/**
+ * createOpenLibraryProvider({ baseUrl, timeoutMs }) -> provider
+ */
+export function createOpenLibraryProvider({
+  baseUrl = DEFAULT_BASE_URL,
+  timeoutMs = 8000,
+} = {}) {
+  // -> parsed JSON, or null for a 404; other failures throw
+  async function getJson(path, params) {
+    try {
+      const r = await axios.get(`${baseUrl}${path}`, {
+        params,
+        timeout: timeoutMs,
+      });
+      return r.data;
+    } catch (err) {
+      if (err.response && err.response.status === 404) return null;
+      throw err;
+    }
+  }
+
+  return {
+    name: "openlibrary",
+
+    async getWork(workKey) {
+      const data = await getJson(`${workKey}.json`);
+      if (!data) return null;
+
+      // authors are usually references; fetch the names (best-effort)
+      const refs = await Promise.all(
+        (data.authors || []).map(async (a) => {
+          const key = (a.author ? a.author.key : a.key) || null;
+          if (a.name) return { name: a.name, key };
+          if (!key) return null;
+          const author = await getJson(`${key}.json`).catch(() => null);
+          return author && author.name ? { name: author.name, key } : null;
+        })
+      );
+      const found = refs.filter(Boolean);
+
+      return {
+        externalId: workKey,
+        title: data.title || null,
+        authors: found.map((r) => r.name),
+        authorKeys: found.map((r) => r.key),
+        cover: coverUrl((data.covers || [])[0]),
+        source: "openlibrary",
+        raw: { openlibrary: data, subjects: data.subjects || [] },
+        description: descriptionOf(data),
+      };
+    },
+
+    async getAuthor(authorKey) {
+      const data = await getJson(`${authorKey}.json`);
+      if (!data || !data.name) return null;
+      const photoId = (data.photos || []).find((id) => id > 0);
+      return {
+        externalId: authorKey,
+        name: data.name,
+        aliases: data.alternate_names || [],
+        bio: descriptionOf({ description: data.bio }),
+        photo: photoId
+          ? `https://covers.openlibrary.org/a/id/${photoId}-L.jpg`
+          : null,
+        source: "openlibrary",
+      };
+    },
+
+    async getEdition(editionKey) {
+      const data = await getJson(`${editionKey}.json`);
+      return data ? editionFromOpenLibrary(data, editionKey) : null;
+    },
+
+    // OpenLibrary redirects /isbn/<isbn> to the edition record
+    async getByIsbn(isbn13) {
+      const data = await getJson(`/isbn/${isbn13}.json`);
+      if (!data || !data.key) return null;
+      return editionFromOpenLibrary(data, data.key);
+    },
+
+    async search(q, { limit = 20, offset = 0 } = {}) {
+      const data = await getJson("/search.json", { q, limit, offset });
+      return (data?.docs || []).map((d) => ({
+        externalId: d.key,
+        title: d.title,
+        authors: d.author_name || [],
+        year: d.first_publish_year,
+        cover: coverUrl(d.cover_i),
+        source: "openlibrary",
+      }));
+    },
+  };
+}
+
+export default createOpenLibraryProvider;
@@ -0,0 +1,268 @@
+// backend/src/services/moderation.service.js
+// Account bans (permanent or temporary), suspension of a banned
+// user's public content, and moderator removal of single items.
+
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Review from "../models/Review.js";
+import Comment from "../models/Comment.js";
+import Note from "../models/Note.js";
+import Book from "../models/Book.js";
+import BookClubDiscussion from "../models/BookClubDiscussion.js";
+import { disconnectUser } from "../utils/socketService.js";
+import { snapshot } from "./audit.service.js";
+import { syncBookStats } from "./bookStats.service.js";
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * parseDuration(value) -> milliseconds or null (null = permanent)
+ * Accepts a number of hours or a string like "30m", "12h", "7d", "2w".
+ */
+export function parseDuration(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value > 0 ? value * DURATION_UNITS.h : NaN;
+  }
+  const m = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([mhdw])?$/i);
+  if (!m) return NaN;
+  const amount = Number(m[1]);
+  const unit = (m[2] || "h").toLowerCase();
+  if (!(amount > 0)) return NaN;
+  return amount * DURATION_UNITS[unit];
+}
+
+/**
+ * isBanActive(user) -> boolean
+ * `user` needs isBanned and bannedUntil.
+ */
+export function isBanActive(user, now = new Date()) {
+  if (!user || !user.isBanned) return false;
+  if (!user.bannedUntil) return true;
+  return new Date(user.bannedUntil) > now;
+}
+
+/**
+ * banInfo(user) -> client-safe ban details
+ */
+export function banInfo(user) {
+  return {
+    reason: user.banReason || null,
+    bannedAt: user.bannedAt || null,
+    bannedUntil: user.bannedUntil || null,
+    permanent: !user.bannedUntil,
+  };
+}
+
+async function setContentSuspended(userId, suspended) {
+  await Promise.all([
+    Review.updateMany({ user: userId }, { suspended }),
+    Comment.updateMany({ user: userId }, { suspended }),
+    Note.updateMany({ user: userId }, { suspended }),
+  ]);
+  // suspended reviews stop counting toward book ratings
+  await syncBookStats(await Review.distinct("book", { user: userId }));
+}
+
+/**
+ * banUser(userId, { durationMs, reason, actorId }) -> updated user or null
+ */
+export async function banUser(
+  userId,
+  { durationMs = null, reason = null, actorId = null } = {}
+) {
+  const now = new Date();
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      isBanned: true,
+      bannedAt: now,
+      bannedUntil: durationMs ? new Date(now.getTime() + durationMs) : null,
+      banReason: reason || null,
+      bannedBy: actorId || null,
+    },
+    { new: true }
+  ).select("username isBanned bannedAt bannedUntil banReason bannedBy");
+  if (!user) return null;
+
+  await setContentSuspended(user._id, true);
+  disconnectUser(user._id);
+  return user;
+}
+
+/**
+ * unbanUser(userId) -> updated user or null
+ */
+export async function unbanUser(userId) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      isBanned: false,
+      bannedUntil: null,
+      banReason: null,
+      bannedBy: null,
+      bannedAt: null,
+    },
+    { new: true }
+  ).select("username isBanned bannedAt bannedUntil banReason bannedBy");
+  if (!user) return null;
+
+  await setContentSuspended(user._id, false);
+  return user;
+}
+
+/**
+ * checkBan(userId) -> { user, banned }
+ * Lifts a temporary ban on the fly once it has expired.
+ */
+export async function checkBan(userId) {
+  const user = await User.findById(userId)
+    .select("isBanned bannedAt bannedUntil banReason")
+    .lean();
+  if (!user) return { user: null, banned: false };
+
+  if (user.isBanned && !isBanActive(user)) {
+    await unbanUser(user._id);
+    return { user: { ...user, isBanned: false }, banned: false };
+  }
+  return { user, banned: isBanActive(user) };
+}
+
+/**
+ * liftExpiredBans() -> number of users unbanned
+ * Used by scripts/lift-expired-bans.js so content comes back even if the
+ * user never signs in again.
+ */
+export async function liftExpiredBans() {
+  const expired = await User.find({
+    isBanned: true,
+    bannedUntil: { $ne: null, $lte: new Date() },
+  })
+    .select("_id")
+    .lean();
+  for (const u of expired) await unbanUser(u._id);
+  return expired.length;
+}
+
+/* ---------- content removal (soft delete) ---------- */
+
+const COMMENT_COUNT_TARGETS = { book: Book, review: Review, note: Note };
+
+async function adjustCommentsCount(comment, delta) {
+  const TargetModel = COMMENT_COUNT_TARGETS[comment.targetType];
+  if (!TargetModel) return;
+  try {
+    await TargetModel.findByIdAndUpdate(comment.targetId, {
+      $inc: { commentsCount: delta },
+    });
+  } catch (err) {
+    console.error("Failed to adjust commentsCount", err);
+  }
+}
+
+// per content type: which docs count as visible / removed-by-moderator
+const isDeletedFlag = {
+  fields: ["isDeleted"],
+  visible: { isDeleted: { $ne: true } },
+  removed: { isDeleted: true },
+  removeUpdate: () => ({ isDeleted: true }),
+  restoreUpdate: () => ({ isDeleted: false }),
+};
+
+const REMOVABLE_CONTENT = {
+  review: {
+    Model: Review,
+    ...isDeletedFlag,
+    onChange: (doc) => syncBookStats(doc.book),
+  },
+  note: { Model: Note, ...isDeletedFlag },
+  discussion: { Model: BookClubDiscussion, ...isDeletedFlag },
+  comment: {
+    Model: Comment,
+    fields: ["deleted", "removedAt", "removedBy"],
+    visible: { deleted: false },
+    // comments the author deleted themselves cannot be restored
+    removed: { deleted: true, removedAt: { $ne: null } },
+    removeUpdate: (actorId) => ({
+      deleted: true,
+      removedAt: new Date(),
+      removedBy: actorId || null,
+    }),
+    restoreUpdate: () => ({ deleted: false, removedAt: null, removedBy: null }),
+    onChange: (doc, delta) => adjustCommentsCount(doc, delta),
+  },
+};
+
+export const REMOVABLE_TYPES = Object.keys(REMOVABLE_CONTENT);
+
+async function setContentRemoved(targetType, targetId, remove, actorId) {
+  const spec = REMOVABLE_CONTENT[targetType];
+  if (!spec || !mongoose.isValidObjectId(targetId)) return null;
+
+  const before = await spec.Model.findById(targetId).lean();
+  if (!before) return null;
+
+  const from = remove ? spec.visible : spec.removed;
+  const doc = await spec.Model.findOneAndUpdate(
+    { _id: targetId, ...from },
+    remove ? spec.removeUpdate(actorId) : spec.restoreUpdate(),
+    { new: true }
+  );
+
+  if (!doc) {
+    // nothing to do if it is already in the requested state; anything else
+    // (a comment its author deleted) can't be moderated
+    const current = await spec.Model.findOne({
+      _id: targetId,
+      ...(remove ? spec.removed : spec.visible),
+    });
+    if (!current) return null;
+    const state = snapshot(current, spec.fields);
+    return { doc: current, before: state, after: state, changed: false };
+  }
+
+  if (spec.onChange) await spec.onChange(doc, remove ? -1 : 1);
+  return {
+    doc,
+    before: snapshot(before, spec.fields),
+    after: snapshot(doc, spec.fields),
+    changed: true,
+  };
+}
+
+/**
+ * removeContent(targetType, targetId, actorId)
+ *   -> { doc, before, after, changed } or null when the target doesn't exist
+ * targetType: "review" | "comment" | "note" | "discussion"
+ */
+export async function removeContent(targetType, targetId, actorId = null) {
+  return setContentRemoved(targetType, targetId, true, actorId);
+}
+
+/**
+ * restoreContent(targetType, targetId)
+ *   -> { doc, before, after, changed } or null when the target doesn't exist
+ *      or can't be restored (a comment its author deleted)
+ */
+export async function restoreContent(targetType, targetId) {
+  return setContentRemoved(targetType, targetId, false, null);
+}
+
+export default {
+  parseDuration,
+  isBanActive,
+  banInfo,
+  banUser,
+  unbanUser,
+  checkBan,
+  liftExpiredBans,
+  removeContent,
+  restoreContent,
+};
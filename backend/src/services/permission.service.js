@@ -0,0 +1,91 @@
+// backend/src/services/permission.service.js
+// Resolves what a user may do from their site role and, for club-scoped
+// permissions, their role in that club.
+
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import BookClub from "../models/BookClub.js";
+import BookClubMember from "../models/BookClubMember.js";
+import {
+  SITE_ROLES,
+  SITE_ROLE_PERMISSIONS,
+  siteRoleHas,
+  clubRoleHas,
+} from "../config/permissions.js";
+
+/**
+ * getSiteRole(userId) -> "user" | "moderator" | "admin" | null (no such user)
+ */
+export async function getSiteRole(userId) {
+  const user = await User.findById(userId).select("role").lean();
+  if (!user) return null;
+  return user.role || "user";
+}
+
+/**
+ * getClubRole(userId, clubId) -> "owner" | membership role | null
+ */
+export async function getClubRole(userId, clubId) {
+  if (!mongoose.isValidObjectId(clubId)) return null;
+
+  const club = await BookClub.findById(clubId).select("owner").lean();
+  if (!club) return null;
+  if (String(club.owner) === String(userId)) return "owner";
+
+  const member = await BookClubMember.findOne({ club: clubId, user: userId })
+    .select("role")
+    .lean();
+  return member ? member.role : null;
+}
+
+/**
+ * can(userId, permission, { clubId }) -> { allowed, siteRole, clubRole }
+ * Site roles are checked first; club roles only count for "club:*"
+ * permissions and only when a clubId is given.
+ */
+export async function can(userId, permission, { clubId = null } = {}) {
+  const siteRole = await getSiteRole(userId);
+  if (!siteRole) return { allowed: false, siteRole: null, clubRole: null };
+  if (siteRoleHas(siteRole, permission)) {
+    return { allowed: true, siteRole, clubRole: null };
+  }
+
+  if (clubId && permission.startsWith("club:")) {
+    const clubRole = await getClubRole(userId, clubId);
+    return { allowed: clubRoleHas(clubRole, permission), siteRole, clubRole };
+  }
+
+  return { allowed: false, siteRole, clubRole: null };
+}
+
+/**
+ * permissionsForRole(role) -> explicit permission list for a site role
+ */
+export function permissionsForRole(role) {
+  return SITE_ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * setSiteRole(userId, role) -> { user, previousRole } or null
+ */
+export async function setSiteRole(userId, role) {
+  if (!SITE_ROLES.includes(role)) throw new Error(`Unknown role "${role}"`);
+
+  const before = await User.findById(userId).select("role").lean();
+  if (!before) return null;
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { role },
+    { new: true }
+  ).select("username name role");
+  return { user, previousRole: before.role || "user" };
+}
+
+export default {
+  getSiteRole,
+  getClubRole,
+  can,
+  permissionsForRole,
+  setSiteRole,
+};
@@ -0,0 +1,144 @@
+// backend/src/services/rateLimit.service.js
+// Sliding-window rate limiting and login lockout on top of cacheWrapper
+// (Redis when REDIS_URL is set, in-process memory otherwise).
+
+import { cacheGet, cacheSet, cacheDel, cacheIncr } from "./cacheWrapper.js";
+
+/* ---------- sliding window ---------- */
+
+/**
+ * slidingWindowEstimate({ current, previous, elapsedMs, windowMs }) -> number
+ * Sliding-window counter: the previous fixed window is weighted by how much
+ * of it still overlaps the sliding window ending now.
+ */
+export function slidingWindowEstimate({ current, previous, elapsedMs, windowMs }) {
+  const weight = Math.max(0, 1 - elapsedMs / windowMs);
+  return previous * weight + current;
+}
+
+/**
+ * retryAfterMs({ current, previous, elapsedMs, windowMs, limit }) -> ms until
+ * the estimate drops back to the limit (assuming no further hits)
+ */
+export function retryAfterMs({ current, previous, elapsedMs, windowMs, limit }) {
+  const untilWindowEnd = windowMs - elapsedMs;
+
+  if (current > limit) {
+    // next window: this window becomes "previous" and decays linearly
+    return untilWindowEnd + windowMs * (1 - limit / current);
+  }
+  if (previous <= 0) return 0;
+
+  // previous * (1 - (elapsed + t) / W) + current <= limit
+  const t = windowMs * (1 - (limit - current) / previous) - elapsedMs;
+  return Math.max(0, Math.min(t, untilWindowEnd));
+}
+
+/**
+ * hit(key, { limit, windowMs, now }) ->
+ *   { allowed, limit, remaining, retryAfterSeconds }
+ * Counts one request against `key`. Fails open if the cache is unavailable.
+ */
+export async function hit(key, { limit, windowMs, now = Date.now() }) {
+  const windowIndex = Math.floor(now / windowMs);
+  const elapsedMs = now - windowIndex * windowMs;
+  const ttlSeconds = Math.ceil((2 * windowMs) / 1000);
+
+  let current;
+  let previous;
+  try {
+    current = await cacheIncr(`rl:${key}:${windowIndex}`, ttlSeconds);
+    previous = Number(await cacheGet(`rl:${key}:${windowIndex - 1}`)) || 0;
+  } catch (e) {
+    console.error("rate limit check failed", e?.message ?? e);
+    return { allowed: true, limit, remaining: limit, retryAfterSeconds: 0 };
+  }
+
+  const estimate = slidingWindowEstimate({ current, previous, elapsedMs, windowMs });
+  const allowed = estimate <= limit;
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - estimate)),
+    retryAfterSeconds: allowed
+      ? 0
+      : Math.max(
+          1,
+          Math.ceil(
+            retryAfterMs({ current, previous, elapsedMs, windowMs, limit }) / 1000
+          )
+        ),
+  };
+}
+
+/* ---------- login lockout ---------- */
+
+function lockoutConfig() {
+  return {
+    threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+    baseSeconds: Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60,
+    maxSeconds: Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60,
+    // the failure count resets this long after the first failure
+    memorySeconds: 24 * 60 * 60,
+  };
+}
+
+/**
+ * lockoutSeconds(failures, config) -> lock duration after `failures`
+ * consecutive failures (0 below the threshold, doubling above it)
+ */
+export function lockoutSeconds(failures, config = lockoutConfig()) {
+  if (failures < config.threshold) return 0;
+  const doublings = Math.min(failures - config.threshold, 30);
+  return Math.min(config.maxSeconds, config.baseSeconds * 2 ** doublings);
+}
+
+/**
+ * getLoginLock(accountKey) -> seconds remaining on the lock, or 0
+ */
+export async function getLoginLock(accountKey) {
+  const lockedUntil = await cacheGet(`login:lock:${accountKey}`);
+  if (!lockedUntil) return 0;
+  const remaining = Math.ceil((Number(lockedUntil) - Date.now()) / 1000);
+  return remaining > 0 ? remaining : 0;
+}
+
+/**
+ * registerLoginFailure(accountKey) -> { failures, lockedForSeconds }
+ */
+export async function registerLoginFailure(accountKey) {
+  const config = lockoutConfig();
+  const failures = await cacheIncr(
+    `login:fail:${accountKey}`,
+    config.memorySeconds
+  );
+
+  const lockedForSeconds = lockoutSeconds(failures, config);
+  if (lockedForSeconds > 0) {
+    await cacheSet(
+      `login:lock:${accountKey}`,
+      Date.now() + lockedForSeconds * 1000,
+      lockedForSeconds
+    );
+  }
+  return { failures, lockedForSeconds };
+}
+
+/**
+ * clearLoginFailures(accountKey) -> called after a successful login
+ */
+export async function clearLoginFailures(accountKey) {
+  await cacheDel(`login:fail:${accountKey}`);
+  await cacheDel(`login:lock:${accountKey}`);
+}
+
+export default {
+  slidingWindowEstimate,
+  retryAfterMs,
+  hit,
+  lockoutSeconds,
+  getLoginLock,
+  registerLoginFailure,
+  clearLoginFailures,
+};
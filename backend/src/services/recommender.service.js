@@ -7,6 +7,7 @@ import Review from "../models/Review.js";
 import Reading from "../models/Reading.js";
 import Shelf from "../models/Shelf.js";
 import ShelfItem from "../models/ShelfItem.js";
+import { genreAffinity, genreInfo } from "./genre.service.js";
 
 const DEFAULT_LIMIT = 50;
 const RECENT_WINDOW_DAYS = 180;
@@ -132,10 +133,31 @@ async function collectCandidateBooks(similarUserIds, excludeBookIds) {
   }));
 }
 
-function scoreCandidate(c) {
+/* -------------------------
+   GENRE MATCH
+------------------------- */
+// 0..1: how much of the book's genres the user tends to read
+function genreMatch(book, affinity) {
+  const genres = book.genres || [];
+  if (!genres.length || !affinity.size) return 0;
+  const max = Math.max(...affinity.values());
+  const sum = genres.reduce((acc, g) => acc + (affinity.get(g) || 0) / max, 0);
+  return sum / genres.length;
+}
+
+// the user's most-read genre among the book's genres
+function topSharedGenre(book, affinity) {
+  let best = null;
+  for (const g of book.genres || []) {
+    if ((affinity.get(g) || 0) > (affinity.get(best) || 0)) best = g;
+  }
+  return best ? genreInfo(best) : null;
+}
+
+function scoreCandidate(c, genre = 0) {
   const freq = Math.min(1, c.count / 10);
   const rating = Math.min(1, (c.avgRating || 0) / 5);
-  return 0.7 * freq + 0.3 * rating;
+  return 0.6 * freq + 0.25 * rating + 0.15 * genre;
 }
 
 /* -------------------------
@@ -161,22 +183,40 @@ async function getPersonalizedPicks(userId, limit = DEFAULT_LIMIT) {
     }));
   }
 
-  const similarUsers = await getSimilarUsers(
-    interactedBookIds.slice(0, 20),
-    userId
-  );
+  const [similarUsers, affinity] = await Promise.all([
+    getSimilarUsers(interactedBookIds.slice(0, 20), userId),
+    genreAffinity(interactedBookIds),
+  ]);
 
   if (!similarUsers.length) {
-    const fallback = await Book.find({ _id: { $nin: interactedBookIds } })
-      .limit(limit)
+    // books in the genres the user reads most, best match first
+    const topGenres = [...affinity.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([slug]) => slug);
+    const query = { _id: { $nin: interactedBookIds } };
+    if (topGenres.length) query.genres = { $in: topGenres };
+
+    const fallback = await Book.find(query)
+      .limit(topGenres.length ? limit * 3 : limit)
       .lean();
 
-    return fallback.map((b) => ({
-      book: b,
-      score: (b.avgRating || 0) / 5,
-      reason: "Recommended because you enjoyed similar books",
-      createdAt: b.updatedAt || b.createdAt,
-    }));
+    return fallback
+      .map((b) => {
+        const shared = topSharedGenre(b, affinity);
+        return {
+          book: b,
+          score: topGenres.length
+            ? genreMatch(b, affinity)
+            : (b.avgRating || 0) / 5,
+          reason: shared
+            ? `Because you read ${shared.name}`
+            : "Recommended because you enjoyed similar books",
+          createdAt: b.updatedAt || b.createdAt,
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
   }
 
   const candidates = await collectCandidateBooks(
@@ -197,7 +237,7 @@ async function getPersonalizedPicks(userId, limit = DEFAULT_LIMIT) {
 
       return {
         book,
-        score: scoreCandidate(c),
+        score: scoreCandidate(c, genreMatch(book, affinity)),
         reason: "Readers with similar taste also liked this",
         createdAt: book.updatedAt || book.createdAt,
       };
@@ -0,0 +1,233 @@
+// backend/src/services/report.service.js
+// User reports against content / profiles and the moderation queue.
+
+import mongoose from "mongoose";
+import Report from "../models/Report.js";
+import Review from "../models/Review.js";
+import Comment from "../models/Comment.js";
+import Note from "../models/Note.js";
+import BookClubDiscussion from "../models/BookClubDiscussion.js";
+import User from "../models/User.js";
+import { createNotification } from "../utils/notify.js";
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const PREVIEW_LENGTH = 200;
+
+function clip(text) {
+  const s = String(text || "");
+  return s.length > PREVIEW_LENGTH ? `${s.slice(0, PREVIEW_LENGTH)}…` : s;
+}
+
+// how to load each target type and summarise it for moderators
+const TARGETS = {
+  review: {
+    load: (id) =>
+      Review.findById(id).select("user text rating isDeleted").lean(),
+    owner: (d) => d.user,
+    preview: (d) => ({
+      text: clip(d.text),
+      rating: d.rating,
+      removed: !!d.isDeleted,
+    }),
+  },
+  comment: {
+    load: (id) => Comment.findById(id).select("user text deleted").lean(),
+    owner: (d) => d.user,
+    preview: (d) => ({ text: clip(d.text), removed: !!d.deleted }),
+  },
+  note: {
+    load: (id) =>
+      Note.findById(id).select("user title content isDeleted").lean(),
+    owner: (d) => d.user,
+    preview: (d) => ({
+      title: d.title,
+      text: clip(d.content),
+      removed: !!d.isDeleted,
+    }),
+  },
+  discussion: {
+    load: (id) =>
+      BookClubDiscussion.findById(id)
+        .select("author club title body isDeleted")
+        .lean(),
+    owner: (d) => d.author,
+    preview: (d) => ({
+      club: d.club,
+      title: d.title,
+      text: clip(d.body),
+      removed: !!d.isDeleted,
+    }),
+  },
+  user: {
+    load: (id) =>
+      User.findOne({ _id: id, deletedAt: null })
+        .select("username name bio isBanned")
+        .lean(),
+    owner: (d) => d._id,
+    preview: (d) => ({
+      username: d.username,
+      name: d.name,
+      bio: clip(d.bio),
+      banned: !!d.isBanned,
+    }),
+  },
+};
+
+/**
+ * loadReportTarget(targetType, targetId) -> { owner, preview } or null
+ */
+export async function loadReportTarget(targetType, targetId) {
+  const spec = TARGETS[targetType];
+  if (!spec || !mongoose.isValidObjectId(targetId)) return null;
+  const doc = await spec.load(targetId);
+  if (!doc) return null;
+  return { owner: spec.owner(doc), preview: spec.preview(doc) };
+}
+
+/**
+ * fileReport(reporterId, { targetType, targetId, reason, details })
+ *   -> { report, duplicate }
+ * A reporter has at most one open report per target; repeats return it.
+ */
+export async function fileReport(
+  reporterId,
+  { targetType, targetId, reason, details = "" }
+) {
+  const target = await loadReportTarget(targetType, targetId);
+  if (!target) throw httpError(404, "Reported item not found");
+  if (String(target.owner) === String(reporterId)) {
+    throw httpError(400, "You cannot report your own content");
+  }
+
+  const key = { reporter: reporterId, targetType, targetId, status: "open" };
+  const existing = await Report.findOne(key);
+  if (existing) return { report: existing, duplicate: true };
+
+  try {
+    const report = await Report.create({
+      ...key,
+      targetOwner: target.owner || null,
+      reason,
+      details: String(details || "").slice(0, 1000),
+    });
+    return { report, duplicate: false };
+  } catch (err) {
+    // lost a race against an identical report
+    if (err && err.code === 11000) {
+      return { report: await Report.findOne(key), duplicate: true };
+    }
+    throw err;
+  }
+}
+
+/**
+ * reportQueue({ status, targetType, page, limit })
+ *   -> { total, items: [{ targetType, targetId, count, reasons, ... }] }
+ * Reports grouped per target, most reported first.
+ */
+export async function reportQueue({
+  status = "open",
+  targetType = null,
+  page = 1,
+  limit = 20,
+}) {
+  const match = { status };
+  if (targetType) match.targetType = targetType;
+
+  const [result] = await Report.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { targetType: "$targetType", targetId: "$targetId" },
+        count: { $sum: 1 },
+        reasons: { $push: "$reason" },
+        targetOwner: { $first: "$targetOwner" },
+        firstReportedAt: { $min: "$createdAt" },
+        lastReportedAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { count: -1, lastReportedAt: -1 } },
+    {
+      $facet: {
+        items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: "n" }],
+      },
+    },
+  ]);
+
+  const items = await Promise.all(
+    (result?.items || []).map(async (g) => {
+      const reasons = {};
+      for (const r of g.reasons) reasons[r] = (reasons[r] || 0) + 1;
+      const target = await loadReportTarget(g._id.targetType, g._id.targetId);
+      return {
+        targetType: g._id.targetType,
+        targetId: g._id.targetId,
+        targetOwner: g.targetOwner,
+        count: g.count,
+        reasons,
+        firstReportedAt: g.firstReportedAt,
+        lastReportedAt: g.lastReportedAt,
+        preview: target ? target.preview : null,
+      };
+    })
+  );
+
+  return { total: result?.total?.[0]?.n || 0, items };
+}
+
+/**
+ * closeReports(targetType, targetId, { status, resolution, actorId })
+ *   -> the reports that were open (now closed)
+ */
+export async function closeReports(
+  targetType,
+  targetId,
+  { status, resolution = null, actorId }
+) {
+  const open = await Report.find({ targetType, targetId, status: "open" })
+    .select("_id reporter")
+    .lean();
+  if (!open.length) return [];
+
+  await Report.updateMany(
+    { _id: { $in: open.map((r) => r._id) } },
+    { status, resolution, resolvedBy: actorId, resolvedAt: new Date() }
+  );
+  return open;
+}
+
+/**
+ * notifyReporters(reports, { status, targetType, targetId })
+ * Tells each reporter their report was handled (no moderator identity).
+ */
+export async function notifyReporters(reports, { status, targetType, targetId }) {
+  const message =
+    status === "resolved"
+      ? `We reviewed the ${targetType} you reported and took action. Thanks for letting us know.`
+      : `We reviewed the ${targetType} you reported and found it within our guidelines.`;
+
+  const reporters = new Set(reports.map((r) => String(r.reporter)));
+  for (const reporter of reporters) {
+    await createNotification({
+      user: reporter,
+      type: "report",
+      targetType,
+      targetId,
+      message,
+    });
+  }
+}
+
+export default {
+  loadReportTarget,
+  fileReport,
+  reportQueue,
+  closeReports,
+  notifyReporters,
+};
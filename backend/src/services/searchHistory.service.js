@@ -0,0 +1,125 @@
+// backend/src/services/searchHistory.service.js
+// Book searches of signed-in users (SearchQuery): each user's recent
+// queries, and queries popular across users for suggestions. A query only
+// counts as popular once several people searched it, so one person's
+// searches never show up for anyone else.
+
+import SearchQuery from "../models/SearchQuery.js";
+import { cacheGet, cacheSet } from "./cacheWrapper.js";
+import { foldText } from "../utils/names.js";
+
+const MAX_QUERY_LENGTH = 100;
+// queries kept per user; older ones are dropped
+export const MAX_HISTORY = 50;
+
+export const POPULAR_DAYS = 30;
+export const POPULAR_MIN_USERS = 3;
+const POPULAR_SIZE = 200;
+const POPULAR_CACHE_KEY = "search:popular";
+const POPULAR_TTL = 10 * 60;
+
+/**
+ * recordSearch(userId, q) -> SearchQuery, or null for an empty query
+ * Best-effort: failures are logged, never thrown to the caller.
+ */
+export async function recordSearch(userId, q) {
+  const text = String(q || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .slice(0, MAX_QUERY_LENGTH);
+  const query = foldText(text);
+  if (!userId || !query) return null;
+
+  try {
+    const doc = await SearchQuery.findOneAndUpdate(
+      { user: userId, query },
+      { $set: { text, lastSearchedAt: new Date() }, $inc: { count: 1 } },
+      { upsert: true, new: true }
+    );
+
+    const [oldest] = await SearchQuery.find({ user: userId })
+      .sort({ lastSearchedAt: -1 })
+      .skip(MAX_HISTORY)
+      .limit(1)
+      .select("lastSearchedAt")
+      .lean();
+    if (oldest) {
+      await SearchQuery.deleteMany({
+        user: userId,
+        lastSearchedAt: { $lte: oldest.lastSearchedAt },
+      });
+    }
+    return doc;
+  } catch (err) {
+    console.error("Failed to record search", err?.message ?? err);
+    return null;
+  }
+}
+
+/**
+ * recentQueries(userId, { prefix, limit }) -> [{ text, query, lastSearchedAt }]
+ * prefix: only queries starting with it (folded)
+ */
+export async function recentQueries(userId, { prefix = "", limit = 5 } = {}) {
+  const start = foldText(prefix);
+  const filter = { user: userId };
+  if (start) filter.query = { $gte: start, $lt: `${start}\uffff` };
+  return SearchQuery.find(filter)
+    .sort({ lastSearchedAt: -1 })
+    .limit(limit)
+    .select("text query lastSearchedAt")
+    .lean();
+}
+
+/**
+ * clearSearchHistory(userId) -> number of queries removed
+ */
+export async function clearSearchHistory(userId) {
+  const { deletedCount } = await SearchQuery.deleteMany({ user: userId });
+  return deletedCount || 0;
+}
+
+/**
+ * computePopularQueries({ now }) -> [{ query, text, users }], most searched
+ * by distinct users over the last POPULAR_DAYS first
+ */
+export async function computePopularQueries({ now = new Date() } = {}) {
+  const since = new Date(now.getTime() - POPULAR_DAYS * 24 * 3600 * 1000);
+  const rows = await SearchQuery.aggregate([
+    { $match: { lastSearchedAt: { $gte: since } } },
+    { $sort: { lastSearchedAt: -1 } },
+    {
+      $group: {
+        _id: "$query",
+        text: { $first: "$text" },
+        users: { $sum: 1 },
+      },
+    },
+    { $match: { users: { $gte: POPULAR_MIN_USERS } } },
+    { $sort: { users: -1, _id: 1 } },
+    { $limit: POPULAR_SIZE },
+  ]);
+  return rows.map((r) => ({ query: r._id, text: r.text, users: r.users }));
+}
+
+/**
+ * popularQueries({ prefix, limit }) -> [{ query, text, users }]
+ * Served from a cached list, refreshed every POPULAR_TTL seconds.
+ */
+export async function popularQueries({ prefix = "", limit = 5 } = {}) {
+  let all = await cacheGet(POPULAR_CACHE_KEY);
+  if (!all) {
+    all = await computePopularQueries();
+    await cacheSet(POPULAR_CACHE_KEY, all, POPULAR_TTL);
+  }
+  const start = foldText(prefix);
+  return all.filter((p) => p.query.startsWith(start)).slice(0, limit);
+}
+
+export default {
+  recordSearch,
+  recentQueries,
+  clearSearchHistory,
+  computePopularQueries,
+  popularQueries,
+};
@@ -0,0 +1,245 @@
+// backend/src/services/searchIndex.service.js
+// Local book search index. Each Book keeps the folded terms of its title,
+// authors, series, subjects / genres and description (Book.searchFields,
+// Book.searchTerms); SearchTerm counts the books per term. Indexing also
+// derives the filter fields (first publish year, languages, page count)
+// from the work and its editions. Ranking lives in bookSearch.service.js.
+// Callers reindex a book after its metadata, editions or series change
+// (see syncSearchIndex); scripts/reindex-books.js rebuilds everything.
+
+import Book from "../models/Book.js";
+import Series from "../models/Series.js";
+import Edition from "../models/Edition.js";
+import SearchTerm from "../models/SearchTerm.js";
+import { genreInfo } from "./genre.service.js";
+import { foldText } from "../utils/names.js";
+
+export const SEARCH_FIELDS = [
+  "title",
+  "authors",
+  "series",
+  "subjects",
+  "description",
+];
+const MAX_TOKEN_LENGTH = 40;
+const MAX_DESCRIPTION_TERMS = 300;
+
+// dropped everywhere but titles ("It", "The The")
+export const STOPWORDS = new Set(
+  (
+    "a an and are as at be by de del der die el en et for from has he her his " +
+    "how i in is it its la le les of on or that the their this to was were " +
+    "what with you"
+  ).split(" ")
+);
+
+/**
+ * tokenize(value, { stopwords }) -> terms, in order (repeats kept)
+ * stopwords: keep them (titles, all-stopword queries)
+ */
+export function tokenize(value, { stopwords = false } = {}) {
+  const tokens = foldText(value)
+    .split(" ")
+    .filter((t) => t && t.length <= MAX_TOKEN_LENGTH);
+  return stopwords ? tokens : tokens.filter((t) => !STOPWORDS.has(t));
+}
+
+const unique = (tokens) => [...new Set(tokens)];
+
+/**
+ * searchFieldsFor(book, seriesNames) -> { title: [...], authors: [...], ... }
+ * Unique terms per field; genres count as subjects by their names.
+ */
+export function searchFieldsFor(book, seriesNames = []) {
+  const genreNames = (book.genres || [])
+    .map((slug) => genreInfo(slug)?.name)
+    .filter(Boolean);
+
+  return {
+    title: unique(tokenize(book.title, { stopwords: true })),
+    authors: unique(tokenize((book.authors || []).join(" "))),
+    series: unique(tokenize(seriesNames.join(" "))),
+    subjects: unique(
+      tokenize([...(book.subjects || []), ...genreNames].join(" "))
+    ),
+    description: unique(tokenize(book.description)).slice(
+      0,
+      MAX_DESCRIPTION_TERMS
+    ),
+  };
+}
+
+const YEAR_PATTERN = /(?<!\d)(1\d{3}|20\d{2})(?!\d)/;
+
+/**
+ * yearOf("March 4, 1954") -> 1954, or null
+ */
+export function yearOf(value) {
+  if (Number.isInteger(value)) return value > 0 ? value : null;
+  const m = YEAR_PATTERN.exec(String(value || ""));
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * filterFieldsFor(book, editions) -> { firstPublishYear, languages, pageCount }
+ * Year: the work's first publish date, else the earliest edition.
+ * Page count: the median over editions that have one.
+ */
+export function filterFieldsFor(book, editions = []) {
+  const raw = book.raw || {};
+  const years = editions.map((e) => yearOf(e.publishedDate)).filter(Boolean);
+  const firstPublishYear =
+    yearOf(raw.openlibrary?.first_publish_date) ||
+    yearOf(raw.year) ||
+    (years.length ? Math.min(...years) : null);
+
+  const languages = [
+    ...new Set(
+      editions
+        .map((e) => e.language && e.language.toLowerCase())
+        .filter(Boolean)
+    ),
+  ].sort();
+
+  const pages = editions
+    .map((e) => e.pageCount)
+    .filter((n) => n > 0)
+    .sort((a, b) => a - b);
+  const pageCount = pages.length
+    ? pages[Math.floor((pages.length - 1) / 2)]
+    : null;
+
+  return { firstPublishYear, languages, pageCount };
+}
+
+/**
+ * termsOf(fields) -> every term of searchFieldsFor(), once
+ */
+export function termsOf(fields) {
+  return unique(SEARCH_FIELDS.flatMap((f) => fields[f] || []));
+}
+
+// df += delta for each term; terms no book uses any more are dropped
+async function adjustTermCounts(terms, delta) {
+  if (!terms.length) return;
+  await SearchTerm.bulkWrite(
+    terms.map((term) => ({
+      updateOne: {
+        filter: { term },
+        update: { $inc: { df: delta }, $setOnInsert: { len: term.length } },
+        upsert: delta > 0,
+      },
+    })),
+    { ordered: false }
+  );
+  if (delta < 0) {
+    await SearchTerm.deleteMany({ term: { $in: terms }, df: { $lte: 0 } });
+  }
+}
+
+/**
+ * indexBook(bookId) -> terms, or null when the book doesn't exist
+ */
+export async function indexBook(bookId) {
+  const book = await Book.findById(bookId)
+    .select("title authors description subjects genres raw +searchTerms")
+    .lean();
+  if (!book) return null;
+
+  const [series, editions] = await Promise.all([
+    Series.find({ "entries.book": book._id }).select("name").lean(),
+    Edition.find({ work: book._id })
+      .select("publishedDate language pageCount")
+      .lean(),
+  ]);
+  const fields = searchFieldsFor(
+    book,
+    series.map((s) => s.name)
+  );
+  const terms = termsOf(fields);
+
+  const old = new Set(book.searchTerms || []);
+  const now = new Set(terms);
+  await Book.updateOne(
+    { _id: book._id },
+    {
+      $set: {
+        ...filterFieldsFor(book, editions),
+        searchFields: fields,
+        searchTerms: terms,
+        searchIndexedAt: new Date(),
+      },
+    }
+  );
+  await adjustTermCounts(
+    terms.filter((t) => !old.has(t)),
+    1
+  );
+  await adjustTermCounts(
+    [...old].filter((t) => !now.has(t)),
+    -1
+  );
+  return terms;
+}
+
+/**
+ * unindexBook(book) — drops the terms of a book that is being deleted
+ * book: needs searchTerms (select "+searchTerms")
+ */
+export async function unindexBook(book) {
+  await adjustTermCounts(book.searchTerms || [], -1);
+}
+
+/**
+ * syncSearchIndex(bookIds) — best-effort reindex after metadata or series
+ * changes; failures are logged, never thrown to the caller.
+ */
+export async function syncSearchIndex(bookIds) {
+  const ids = new Set(
+    []
+      .concat(bookIds || [])
+      .filter(Boolean)
+      .map(String)
+  );
+  for (const id of ids) {
+    try {
+      await indexBook(id);
+    } catch (err) {
+      console.error("Failed to index book for search", id, err);
+    }
+  }
+}
+
+/**
+ * rebuildTermCounts() -> number of terms
+ * Recounts SearchTerm from the books (repairs drift from concurrent edits).
+ */
+export async function rebuildTermCounts() {
+  const counts = await Book.aggregate([
+    { $unwind: "$searchTerms" },
+    { $group: { _id: "$searchTerms", df: { $sum: 1 } } },
+  ]).allowDiskUse(true);
+
+  await SearchTerm.deleteMany({});
+  for (let i = 0; i < counts.length; i += 1000) {
+    await SearchTerm.insertMany(
+      counts
+        .slice(i, i + 1000)
+        .map((c) => ({ term: c._id, len: c._id.length, df: c.df })),
+      { ordered: false }
+    );
+  }
+  return counts.length;
+}
+
+export default {
+  tokenize,
+  searchFieldsFor,
+  yearOf,
+  filterFieldsFor,
+  termsOf,
+  indexBook,
+  unindexBook,
+  syncSearchIndex,
+  rebuildTermCounts,
+};
@@ -0,0 +1,245 @@
+// backend/src/services/searchSuggest.service.js
+// Search-as-you-type suggestions (GET /api/search/suggest). Books come
+// from the prefix index of the local search (SearchTerm), topped up with
+// provider results when the catalog has few; authors, series, clubs and
+// users match the start of words in their name, looked up in their
+// indexed name words (nameTokens, utils/names.js). The shared part is
+// cached briefly per query; the caller's recent searches and popular
+// queries (searchHistory.service.js) are added per request.
+
+import Book from "../models/Book.js";
+import Author from "../models/Author.js";
+import Series from "../models/Series.js";
+import BookClub, { PUBLIC_CLUB_FILTER } from "../models/BookClub.js";
+import User from "../models/User.js";
+import SearchTerm from "../models/SearchTerm.js";
+import { cacheGet, cacheSet } from "./cacheWrapper.js";
+import { tokenize, STOPWORDS } from "./searchIndex.service.js";
+import { providerSearch, newProviderDocs } from "./bookSearch.service.js";
+import { recentQueries, popularQueries } from "./searchHistory.service.js";
+import { foldText, nameTokens } from "../utils/names.js";
+
+export const SUGGEST_LIMITS = {
+  queries: 5,
+  books: 5,
+  authors: 3,
+  series: 3,
+  clubs: 3,
+  users: 3,
+};
+const BOOK_CANDIDATES = 20;
+const PREFIX_EXPANSIONS = 30;
+// provider lookups only from this many letters, and only waited on this long
+const PROVIDER_MIN_LENGTH = 3;
+export const PROVIDER_WAIT_MS = 800;
+const SUGGEST_CACHE_TTL = 60;
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * namePrefix(q) -> condition on nameTokens: each word of q starts a word
+ * of the name (anchored, so the index is used); null when q has no words
+ */
+export function namePrefix(q) {
+  const conditions = nameTokens(q).map((w) => ({
+    nameTokens: new RegExp(`^${escapeRegex(w)}`),
+  }));
+  if (!conditions.length) return null;
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+/**
+ * bookTermsQuery(q) -> Book condition, or null when q has no words
+ * Finished words must be indexed terms; the word being typed (the last,
+ * unless q ends in a space) matches any term it is a prefix of.
+ */
+export async function bookTermsQuery(q) {
+  const words = tokenize(q, { stopwords: true });
+  if (!words.length) return null;
+  const typing = /\S$/.test(q) ? words.pop() : null;
+
+  const conditions = words
+    .filter((w) => !STOPWORDS.has(w))
+    .map((w) => ({ searchTerms: w }));
+  if (typing) {
+    const prefixed = await SearchTerm.find({
+      term: { $gte: typing, $lt: `${typing}\uffff` },
+    })
+      .sort({ df: -1 })
+      .limit(PREFIX_EXPANSIONS)
+      .select("term")
+      .lean();
+    conditions.push({
+      searchTerms: { $in: [typing, ...prefixed.map((t) => t.term)] },
+    });
+  }
+  if (!conditions.length) {
+    // only stopwords, all finished ("the ")
+    conditions.push({ searchTerms: { $in: words } });
+  }
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+const bookView = (b) => ({
+  externalId: b.externalId,
+  title: b.title,
+  authors: b.authors || [],
+  cover: b.cover || null,
+  source: b._id ? "local" : b.source,
+});
+
+/**
+ * localBooks(q) -> books matching q, titles starting with q first, then
+ * the most rated
+ */
+async function localBooks(q) {
+  const match = await bookTermsQuery(q);
+  if (!match) return [];
+  const books = await Book.find(match)
+    .sort({ ratingsCount: -1, _id: 1 })
+    .limit(BOOK_CANDIDATES)
+    .select("externalId title authors cover mergedIds ratingsCount")
+    .lean();
+
+  const start = foldText(q);
+  const startsTitle = (b) => (foldText(b.title).startsWith(start) ? 0 : 1);
+  return books.sort(
+    (a, b) =>
+      startsTitle(a) - startsTitle(b) ||
+      (b.ratingsCount || 0) - (a.ratingsCount || 0)
+  );
+}
+
+// provider docs, or null when they don't come within PROVIDER_WAIT_MS;
+// the lookup carries on and fills the provider cache for the next keystroke
+async function providerBooks(q) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), PROVIDER_WAIT_MS);
+  });
+  try {
+    return await Promise.race([
+      providerSearch(q, { limit: SUGGEST_LIMITS.books * 2 }),
+      timeout,
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * suggestBooks(q) -> { books, complete }
+ * complete: false when provider results were still pending
+ */
+export async function suggestBooks(q) {
+  const limit = SUGGEST_LIMITS.books;
+  const local = await localBooks(q);
+  const books = local.slice(0, limit).map(bookView);
+  if (books.length >= limit || foldText(q).length < PROVIDER_MIN_LENGTH) {
+    return { books, complete: true };
+  }
+
+  const docs = await providerBooks(q);
+  if (!docs) return { books, complete: false };
+  newProviderDocs(docs, local)
+    .slice(0, limit - books.length)
+    .forEach((d) => books.push(bookView(d)));
+  return { books, complete: true };
+}
+
+/**
+ * suggestEntities(q) -> { authors, series, clubs, users }
+ * Public clubs only; deleted and banned accounts are left out.
+ */
+export async function suggestEntities(q) {
+  const name = namePrefix(q);
+  if (!name) return { authors: [], series: [], clubs: [], users: [] };
+  const [authors, series, clubs, users] = await Promise.all([
+    Author.find(name)
+      .sort({ followersCount: -1, booksCount: -1, _id: 1 })
+      .limit(SUGGEST_LIMITS.authors)
+      .select("name photo booksCount")
+      .lean(),
+    Series.find(name)
+      .sort({ name: 1 })
+      .limit(SUGGEST_LIMITS.series)
+      .select("name")
+      .lean(),
+    BookClub.find({ ...name, ...PUBLIC_CLUB_FILTER })
+      .sort({ membersCount: -1, _id: 1 })
+      .limit(SUGGEST_LIMITS.clubs)
+      .select("name membersCount")
+      .lean(),
+    User.find({
+      ...name,
+      deletedAt: null,
+      isBanned: { $ne: true },
+    })
+      .sort({ username: 1 })
+      .limit(SUGGEST_LIMITS.users)
+      .select("username name avatarUrl")
+      .lean(),
+  ]);
+  return { authors, series, clubs, users };
+}
+
+/**
+ * suggestQueries(q, userId) -> [{ text, kind: "recent" | "popular" }]
+ * The caller's own searches first, then popular ones not already listed.
+ */
+export async function suggestQueries(q, userId = null) {
+  const limit = SUGGEST_LIMITS.queries;
+  const [recent, popular] = await Promise.all([
+    userId ? recentQueries(userId, { prefix: q, limit }) : [],
+    popularQueries({ prefix: q, limit }),
+  ]);
+
+  const seen = new Set();
+  const out = [];
+  for (const [kind, rows] of [
+    ["recent", recent],
+    ["popular", popular],
+  ]) {
+    for (const r of rows) {
+      if (out.length >= limit || seen.has(r.query)) continue;
+      seen.add(r.query);
+      out.push({ text: r.text, kind });
+    }
+  }
+  return out;
+}
+
+/**
+ * suggest(q, { userId }) -> { q, queries, books, authors, series, clubs, users }
+ * Without q only query suggestions (recent, popular) come back.
+ */
+export async function suggest(q, { userId = null } = {}) {
+  const text = String(q || "").slice(0, 100);
+  const key = foldText(text);
+
+  let shared = { books: [], authors: [], series: [], clubs: [], users: [] };
+  if (key) {
+    const cacheKey = `search:suggest:${key}${/\s$/.test(text) ? " " : ""}`;
+    shared = await cacheGet(cacheKey);
+    if (!shared) {
+      const [{ books, complete }, entities] = await Promise.all([
+        suggestBooks(text),
+        suggestEntities(text),
+      ]);
+      shared = { books, ...entities };
+      if (complete) await cacheSet(cacheKey, shared, SUGGEST_CACHE_TTL);
+    }
+  }
+
+  const queries = await suggestQueries(key, userId);
+  return { q: text, queries, ...shared };
+}
+
+export default {
+  namePrefix,
+  bookTermsQuery,
+  suggestBooks,
+  suggestEntities,
+  suggestQueries,
+  suggest,
+};
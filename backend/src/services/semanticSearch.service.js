@@ -0,0 +1,215 @@
+// backend/src/services/semanticSearch.service.js
+// Natural-language book search ("cozy mystery set in a small village"):
+// the query is embedded (utils/embeddings.js) and books are ranked by
+// cosine similarity of their stored embeddings, optionally blended with
+// keyword relevance from the local index (bookSearch.service.js). Only
+// books embedded with the same model as the query are compared, at most
+// MAX_SEMANTIC_CANDIDATES of them (most-rated first) plus the keyword
+// matches; scripts/embed-books.js (re)embeds books whose metadata changed.
+
+import Book from "../models/Book.js";
+import {
+  embedText,
+  embeddingProvider,
+  cosineSimilarity,
+  HASH_MODEL,
+} from "../utils/embeddings.js";
+import { cacheGet, cacheSet } from "./cacheWrapper.js";
+import { genreInfo } from "./genre.service.js";
+import { foldText } from "../utils/names.js";
+import { rankLocal, localView, allOf } from "./bookSearch.service.js";
+
+// ranked results per query
+export const MAX_SEMANTIC_RESULTS = 200;
+// embedded books compared per query
+export const MAX_SEMANTIC_CANDIDATES = 5000;
+const MAX_TEXT_LENGTH = 2000;
+const QUERY_CACHE_TTL = 24 * 3600;
+
+const RESULT_FIELDS =
+  "externalId title authors cover source genres moods avgRating ratingsCount " +
+  "firstPublishYear languages pageCount";
+
+/**
+ * bookEmbeddingText(book) -> the text a book is embedded from: title,
+ * authors, genres and subjects, description
+ */
+export function bookEmbeddingText(book) {
+  const genres = (book.genres || [])
+    .map((slug) => genreInfo(slug)?.name)
+    .filter(Boolean);
+  const topics = [...new Set([...genres, ...(book.subjects || [])])].slice(
+    0,
+    20
+  );
+  return [
+    book.title,
+    (book.authors || []).length ? `by ${book.authors.join(", ")}` : "",
+    topics.join(", "),
+    book.description,
+  ]
+    .filter(Boolean)
+    .join(". ")
+    .slice(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * embedBook(bookId) -> model used, or null when the book doesn't exist
+ * Throws rather than storing a hash fallback when the provider is down.
+ */
+export async function embedBook(bookId) {
+  const book = await Book.findById(bookId)
+    .select("title authors genres subjects description")
+    .lean();
+  if (!book) return null;
+
+  const provider = embeddingProvider();
+  const { vector, model } = await embedText(bookEmbeddingText(book), {
+    provider,
+  });
+  if (model === HASH_MODEL && provider !== "hash") {
+    throw new Error(`embedding provider "${provider}" unavailable`);
+  }
+  await Book.updateOne(
+    { _id: book._id },
+    {
+      $set: {
+        embedding: vector,
+        embeddingModel: model,
+        embeddedAt: new Date(),
+      },
+    }
+  );
+  return model;
+}
+
+/**
+ * staleEmbeddingsFilter(model) -> Book filter for books to (re)embed:
+ * never embedded, embedded with another model, or reindexed since
+ */
+export function staleEmbeddingsFilter(model) {
+  return {
+    $or: [
+      { embeddedAt: null },
+      { embeddingModel: { $ne: model } },
+      { $expr: { $gt: ["$searchIndexedAt", "$embeddedAt"] } },
+    ],
+  };
+}
+
+/**
+ * queryEmbedding(q) -> { vector, model }, cached per provider and query
+ * A hash fallback (provider unavailable) is not cached.
+ */
+export async function queryEmbedding(q) {
+  const provider = embeddingProvider();
+  const key = `search:embedding:${provider}:${foldText(q)}`;
+  const cached = await cacheGet(key);
+  if (cached) return cached;
+  const embedded = await embedText(q, { provider });
+  if (provider === "hash" || embedded.model !== HASH_MODEL) {
+    await cacheSet(key, embedded, QUERY_CACHE_TTL);
+  }
+  return embedded;
+}
+
+/**
+ * blendScores(similarity, keyword, blend) -> combined score
+ * keyword: relevance scaled to 0..1; blend: its weight (0 = semantic only)
+ */
+export function blendScores(similarity, keyword, blend) {
+  return (1 - blend) * similarity + blend * keyword;
+}
+
+/**
+ * semanticSearch(q, { filter, page, limit, blend })
+ *   -> { items, total, page, limit, hasMore, model, blend }
+ * filter: extra Book conditions. blend (0..1): weight of keyword
+ * relevance; books the keyword search finds join the candidates.
+ */
+export async function semanticSearch(
+  q,
+  { filter = {}, page = 1, limit = 20, blend = 0 } = {}
+) {
+  const skip = (page - 1) * limit;
+  const weight = Math.min(1, Math.max(0, Number(blend) || 0));
+  const { vector, model } = await queryEmbedding(q);
+
+  // keyword relevance, scaled by the best match
+  const keyword = new Map();
+  if (weight > 0) {
+    const { items } = await rankLocal(q, { filter });
+    const best = Math.max(0, ...items.map((i) => i.item.score));
+    for (const { book, item } of items) {
+      keyword.set(String(book._id), best > 0 ? item.score / best : 0);
+    }
+  }
+
+  // books embedded with the query's model: the most-rated, and the
+  // keyword matches wherever they rank
+  const similarity = new Map();
+  const embedded = (where) =>
+    Book.find(allOf([filter, { embeddingModel: model }, where]))
+      .select("_id embedding")
+      .lean();
+  const cursor = embedded({})
+    .sort({ ratingsCount: -1, _id: 1 })
+    .limit(MAX_SEMANTIC_CANDIDATES)
+    .cursor();
+  for await (const b of cursor) {
+    similarity.set(String(b._id), cosineSimilarity(vector, b.embedding));
+  }
+  const unscored = [...keyword.keys()].filter((id) => !similarity.has(id));
+  if (unscored.length) {
+    for (const b of await embedded({ _id: { $in: unscored } })) {
+      similarity.set(String(b._id), cosineSimilarity(vector, b.embedding));
+    }
+  }
+
+  const ids = new Set([...similarity.keys(), ...keyword.keys()]);
+  const ranked = [...ids]
+    .map((id) => {
+      const sim = similarity.get(id) || 0;
+      const kw = keyword.get(id) || 0;
+      return {
+        id,
+        similarity: sim,
+        keyword: kw,
+        score: blendScores(sim, kw, weight),
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+    .slice(0, MAX_SEMANTIC_RESULTS);
+
+  const slice = ranked.slice(skip, skip + limit);
+  const books = await Book.find({ _id: { $in: slice.map((r) => r.id) } })
+    .select(RESULT_FIELDS)
+    .lean();
+  const byId = new Map(books.map((b) => [String(b._id), b]));
+
+  const round = (n) => Math.round(n * 1000) / 1000;
+  return {
+    items: slice
+      .filter((r) => byId.has(r.id))
+      .map((r) => ({
+        ...localView(byId.get(r.id), r.score),
+        similarity: round(r.similarity),
+        keywordScore: round(r.keyword),
+      })),
+    total: ranked.length,
+    page,
+    limit,
+    hasMore: skip + limit < ranked.length,
+    model,
+    blend: weight,
+  };
+}
+
+export default {
+  bookEmbeddingText,
+  embedBook,
+  staleEmbeddingsFilter,
+  queryEmbedding,
+  blendScores,
+  semanticSearch,
+};
@@ -0,0 +1,359 @@
+// backend/src/services/series.service.js
+// Series, their reading order and each user's progress through them.
+// Progress is derived from Reading: nothing per-series is stored per user.
+
+import mongoose from "mongoose";
+import Series from "../models/Series.js";
+import Book from "../models/Book.js";
+import Reading from "../models/Reading.js";
+import { syncSearchIndex } from "./searchIndex.service.js";
+import { nameTokens } from "../utils/names.js";
+
+const BOOK_SUMMARY = "externalId title authors cover";
+const STARTED = ["reading", "finished"];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* ---------- positions ---------- */
+
+// whole numbers are main entries; 2.5 is a novella between 2 and 3
+export function isMainPosition(position) {
+  return Number.isInteger(position);
+}
+
+export function mainCount(entries) {
+  return entries.filter((e) => isMainPosition(e.position)).length;
+}
+
+/**
+ * positionLabel(3, 7) -> "Book 3 of 7"; positionLabel(2.5, 7) -> "Book 2.5"
+ */
+export function positionLabel(position, total) {
+  return isMainPosition(position) && total
+    ? `Book ${position} of ${total}`
+    : `Book ${position}`;
+}
+
+/**
+ * normalizeEntries([{ book, position }]) -> entries sorted by position
+ * Throws a 400 error for bad ids or positions, or a book / position used twice.
+ */
+export function normalizeEntries(entries) {
+  if (!Array.isArray(entries)) throw httpError(400, "entries must be a list");
+
+  const books = new Set();
+  const positions = new Set();
+  const out = entries.map((e) => {
+    const book = e && (e.book || e.bookId);
+    const position = Number(e && e.position);
+    if (!mongoose.isValidObjectId(book)) {
+      throw httpError(400, "Each entry needs a valid book id");
+    }
+    if (!Number.isFinite(position) || position < 0) {
+      throw httpError(400, "Each entry needs a position >= 0");
+    }
+    if (books.has(String(book))) {
+      throw httpError(400, "A book can only appear once in a series");
+    }
+    if (positions.has(position)) {
+      throw httpError(400, `Position ${position} is used twice`);
+    }
+    books.add(String(book));
+    positions.add(position);
+    return { book: new mongoose.Types.ObjectId(String(book)), position };
+  });
+
+  return out.sort((a, b) => a.position - b.position);
+}
+
+/* ---------- admin ---------- */
+
+const EDITABLE = ["name", "description", "author", "externalIds"];
+
+function checkFields(data) {
+  if (data.author && !mongoose.isValidObjectId(data.author)) {
+    throw httpError(400, "Invalid author id");
+  }
+  if (
+    data.externalIds !== undefined &&
+    (!Array.isArray(data.externalIds) ||
+      !data.externalIds.every((id) => typeof id === "string"))
+  ) {
+    throw httpError(400, "externalIds must be a list of strings");
+  }
+}
+
+async function assertBooksExist(entries) {
+  const ids = entries.map((e) => e.book);
+  const found = await Book.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) throw httpError(400, "Unknown book in entries");
+}
+
+/**
+ * createSeries({ name, description, author, externalIds, entries }) -> Series
+ */
+export async function createSeries(data) {
+  if (!data.name || !String(data.name).trim()) {
+    throw httpError(400, "name is required");
+  }
+  checkFields(data);
+  const entries = normalizeEntries(data.entries || []);
+  await assertBooksExist(entries);
+
+  const doc = { entries };
+  for (const f of EDITABLE) if (data[f] !== undefined) doc[f] = data[f];
+  doc.nameTokens = nameTokens(doc.name);
+  const series = await Series.create(doc);
+  // the series name is searchable on its books
+  await syncSearchIndex(entries.map((e) => e.book));
+  return series;
+}
+
+/**
+ * updateSeries(seriesId, changes) -> { series, before } or null
+ * entries, when given, replace the whole reading order.
+ */
+export async function updateSeries(seriesId, changes) {
+  if (!mongoose.isValidObjectId(seriesId)) return null;
+  const series = await Series.findById(seriesId);
+  if (!series) return null;
+
+  checkFields(changes);
+  const before = series.toObject();
+  for (const f of EDITABLE) {
+    if (changes[f] !== undefined) series[f] = changes[f];
+  }
+  if (changes.entries !== undefined) {
+    const entries = normalizeEntries(changes.entries);
+    await assertBooksExist(entries);
+    series.entries = entries;
+  }
+  if (!series.name || !series.name.trim()) {
+    throw httpError(400, "name is required");
+  }
+  series.nameTokens = nameTokens(series.name);
+
+  await series.save();
+  await syncSearchIndex(
+    [...before.entries, ...series.entries].map((e) => e.book)
+  );
+  return { series, before };
+}
+
+/* ---------- public views ---------- */
+
+/**
+ * seriesForBook(bookId) -> [{ _id, name, position, label, total,
+ *   previous, next }] (previous / next: neighbouring { book, position })
+ */
+export async function seriesForBook(bookId) {
+  const all = await Series.find({ "entries.book": bookId })
+    .select("name entries")
+    .lean();
+
+  return all.map((s) => {
+    const i = s.entries.findIndex((e) => String(e.book) === String(bookId));
+    const entry = s.entries[i];
+    const total = mainCount(s.entries);
+    return {
+      _id: s._id,
+      name: s.name,
+      position: entry.position,
+      label: positionLabel(entry.position, total),
+      total,
+      previous: s.entries[i - 1] || null,
+      next: s.entries[i + 1] || null,
+    };
+  });
+}
+
+// entries with their books populated and labelled
+async function withBooks(series) {
+  const books = await Book.find({
+    _id: { $in: series.entries.map((e) => e.book) },
+  })
+    .select(BOOK_SUMMARY)
+    .lean();
+  const byId = new Map(books.map((b) => [String(b._id), b]));
+  const total = mainCount(series.entries);
+
+  return series.entries
+    .filter((e) => byId.has(String(e.book)))
+    .map((e) => ({
+      position: e.position,
+      label: positionLabel(e.position, total),
+      main: isMainPosition(e.position),
+      book: byId.get(String(e.book)),
+    }));
+}
+
+/**
+ * seriesDetail(seriesId) -> { _id, name, description, author, total, entries }
+ */
+export async function seriesDetail(seriesId) {
+  if (!mongoose.isValidObjectId(seriesId)) return null;
+  const series = await Series.findById(seriesId)
+    .populate("author", "name photo")
+    .lean();
+  if (!series) return null;
+
+  return {
+    _id: series._id,
+    name: series.name,
+    description: series.description,
+    author: series.author,
+    total: mainCount(series.entries),
+    entries: await withBooks(series),
+  };
+}
+
+/* ---------- progress ---------- */
+
+/**
+ * progressFor(entries, readingsByBook) -> { finished, reading, started,
+ *   total, entries: [{ position, book, status }], next }
+ * next: the first entry after the furthest one started that the user has
+ * neither finished nor started; failing that, the first such entry at all.
+ * null for series the user has not started (or has finished).
+ */
+export function progressFor(entries, readingsByBook) {
+  const withStatus = entries.map((e) => {
+    const r = readingsByBook.get(String(e.book));
+    return {
+      position: e.position,
+      book: e.book,
+      status: r ? r.status : null,
+      progress: r ? r.progress : 0,
+    };
+  });
+
+  const begun = withStatus.filter((e) => STARTED.includes(e.status));
+  const unread = (e) => !STARTED.includes(e.status);
+  let next = null;
+  if (begun.length) {
+    const furthest = Math.max(...begun.map((e) => e.position));
+    next =
+      withStatus.find((e) => e.position > furthest && unread(e)) ||
+      withStatus.find(unread) ||
+      null;
+  }
+
+  return {
+    finished: withStatus.filter((e) => e.status === "finished").length,
+    reading: withStatus.filter((e) => e.status === "reading").length,
+    started: begun.length > 0,
+    total: withStatus.length,
+    entries: withStatus,
+    next,
+  };
+}
+
+async function readingsFor(userId, bookIds) {
+  const readings = await Reading.find({ user: userId, book: { $in: bookIds } })
+    .select("book status progress updatedAt")
+    .lean();
+  return new Map(readings.map((r) => [String(r.book), r]));
+}
+
+/**
+ * seriesProgress(userId, seriesId) -> detail plus the user's progress, or null
+ */
+export async function seriesProgress(userId, seriesId) {
+  const detail = await seriesDetail(seriesId);
+  if (!detail) return null;
+
+  const readings = await readingsFor(
+    userId,
+    detail.entries.map((e) => e.book._id)
+  );
+  const progress = progressFor(
+    detail.entries.map((e) => ({ book: e.book._id, position: e.position })),
+    readings
+  );
+
+  return {
+    ...detail,
+    finished: progress.finished,
+    reading: progress.reading,
+    entries: detail.entries.map((e, i) => ({
+      ...e,
+      status: progress.entries[i].status,
+      progress: progress.entries[i].progress,
+    })),
+    next: progress.next
+      ? detail.entries.find((e) => e.position === progress.next.position)
+      : null,
+  };
+}
+
+/**
+ * startedSeries(userId) -> [{ series, finished, reading, total, next,
+ *   lastReadAt }] for every series with an entry the user is reading or
+ * has finished, most recently read first. next.book is populated.
+ */
+export async function startedSeries(userId) {
+  const started = await Reading.find({ user: userId, status: { $in: STARTED } })
+    .select("book")
+    .lean();
+  if (!started.length) return [];
+
+  const series = await Series.find({
+    "entries.book": { $in: started.map((r) => r.book) },
+  })
+    .select("name entries")
+    .lean();
+  if (!series.length) return [];
+
+  const allBooks = series.flatMap((s) => s.entries.map((e) => e.book));
+  const readings = await readingsFor(userId, allBooks);
+
+  const rows = series.map((s) => {
+    const progress = progressFor(s.entries, readings);
+    const lastReadAt = s.entries.reduce((latest, e) => {
+      const r = readings.get(String(e.book));
+      return r && (!latest || r.updatedAt > latest) ? r.updatedAt : latest;
+    }, null);
+    const total = mainCount(s.entries);
+    return {
+      series: { _id: s._id, name: s.name, total },
+      finished: progress.finished,
+      reading: progress.reading,
+      total: progress.total,
+      next: progress.next
+        ? {
+            position: progress.next.position,
+            label: positionLabel(progress.next.position, total),
+            book: progress.next.book,
+          }
+        : null,
+      lastReadAt,
+    };
+  });
+
+  const nextIds = rows.filter((r) => r.next).map((r) => r.next.book);
+  const books = await Book.find({ _id: { $in: nextIds } })
+    .select(BOOK_SUMMARY)
+    .lean();
+  const byId = new Map(books.map((b) => [String(b._id), b]));
+  for (const row of rows) {
+    if (row.next) row.next.book = byId.get(String(row.next.book)) || null;
+  }
+
+  return rows.sort((a, b) => (b.lastReadAt || 0) - (a.lastReadAt || 0));
+}
+
+export default {
+  positionLabel,
+  normalizeEntries,
+  createSeries,
+  updateSeries,
+  seriesForBook,
+  seriesDetail,
+  progressFor,
+  seriesProgress,
+  startedSeries,
+};
@@ -0,0 +1,264 @@
+// backend/src/services/session.service.js
+// Server-side sessions: short-lived access JWTs + rotating refresh tokens.
+//
+// Access token payload: { userId, sid }
+// Refresh token format: "<sessionId>.<secret>" (only sha256(secret) is stored)
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import { disconnectSession } from "../utils/socketService.js";
+
+// env is read on use: .env is loaded after the modules are imported
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+const refreshTokenTtlDays = () =>
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10) || 30;
+// don't write lastSeenAt on every request
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function newSecret() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+}
+
+function parseRefreshToken(token) {
+  if (!token || typeof token !== "string") return null;
+  const [sessionId, secret] = token.split(".");
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId))
+    return null;
+  return { sessionId, secret };
+}
+
+/**
+ * describeDevice(userAgent) -> short human label, e.g. "Chrome on Windows"
+ */
+export function describeDevice(userAgent = "") {
+  const ua = String(userAgent || "");
+  if (!ua) return "Unknown device";
+
+  let browser = null;
+  if (/Edg\//.test(ua)) browser = "Edge";
+  else if (/OPR\/|Opera/.test(ua)) browser = "Opera";
+  else if (/Firefox\//.test(ua)) browser = "Firefox";
+  else if (/Chrome\//.test(ua)) browser = "Chrome";
+  else if (/Safari\//.test(ua)) browser = "Safari";
+  else if (/okhttp|axios|curl|node-fetch|PostmanRuntime/i.test(ua))
+    browser = ua.split("/")[0];
+
+  let os = null;
+  if (/Windows/.test(ua)) os = "Windows";
+  else if (/Android/.test(ua)) os = "Android";
+  else if (/iPhone|iPad|iOS/.test(ua)) os = "iOS";
+  else if (/Mac OS X|Macintosh/.test(ua)) os = "macOS";
+  else if (/Linux/.test(ua)) os = "Linux";
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || ua.slice(0, 60);
+}
+
+/**
+ * clientIp(req) -> caller ip; req.ip honours the "trust proxy" setting
+ * (TRUST_PROXY), so a client can't pick its own via X-Forwarded-For
+ */
+export function clientIp(req) {
+  return req?.ip || req?.socket?.remoteAddress || null;
+}
+
+function requireSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw httpError(500, "Server misconfigured: missing JWT secret");
+  return secret;
+}
+
+export function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { userId: String(userId), sid: String(sessionId) },
+    requireSecret(),
+    { expiresIn: accessTokenTtl() }
+  );
+}
+
+/**
+ * verifyAccessToken(token) -> payload or null
+ * Only checks signature/expiry; use getActiveSession for revocation.
+ */
+export function verifyAccessToken(token) {
+  try {
+    return jwt.verify(token, requireSecret());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * createSession(userId, req, { mfaVerified }) -> { accessToken, refreshToken, session }
+ */
+export async function createSession(
+  userId,
+  req = null,
+  { mfaVerified = false } = {}
+) {
+  requireSecret();
+  const userAgent = String(req?.headers?.["user-agent"] || "").slice(0, 500);
+  const secret = newSecret();
+
+  const session = await Session.create({
+    user: userId,
+    refreshTokenHash: hashSecret(secret),
+    userAgent,
+    device: req?.body?.deviceName || describeDevice(userAgent),
+    ip: clientIp(req),
+    mfaVerified: Boolean(mfaVerified),
+    lastSeenAt: new Date(),
+    expiresAt: refreshExpiry(),
+  });
+
+  return {
+    accessToken: signAccessToken(userId, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    session,
+  };
+}
+
+/**
+ * rotateSession(refreshToken, req) -> { accessToken, refreshToken, session }
+ * Presenting an already-rotated refresh token revokes the whole session
+ * (the token was most likely stolen). The swap only succeeds while the
+ * presented token is still the current one, so two requests racing with
+ * the same token can't both get a new one.
+ */
+export async function rotateSession(refreshToken, req = null) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw httpError(401, "Invalid refresh token");
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive())
+    throw httpError(401, "Session expired or revoked");
+
+  const presented = hashSecret(parsed.secret);
+  const secret = newSecret();
+  const $set = {
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: refreshExpiry(),
+    lastSeenAt: new Date(),
+  };
+  const ip = clientIp(req);
+  if (ip) $set.ip = ip;
+  const rotated =
+    session.refreshTokenHash === presented &&
+    (await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presented, revokedAt: null },
+      { $set },
+      { new: true }
+    ));
+  if (!rotated) {
+    await revokeSession(session._id, "refresh_token_reuse");
+    throw httpError(401, "Refresh token reuse detected, session revoked");
+  }
+
+  return {
+    accessToken: signAccessToken(rotated.user, rotated._id),
+    refreshToken: `${rotated._id}.${secret}`,
+    session: rotated,
+  };
+}
+
+/**
+ * getActiveSession(sessionId, { touch }) -> lean session or null
+ */
+export async function getActiveSession(sessionId, { touch = true } = {}) {
+  if (!sessionId || !mongoose.isValidObjectId(String(sessionId))) return null;
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("user lastSeenAt mfaVerified")
+    .lean();
+  if (!session) return null;
+
+  if (
+    touch &&
+    Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_THROTTLE_MS
+  ) {
+    Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() }).catch(
+      (e) => console.error("session touch failed", e?.message ?? e)
+    );
+  }
+
+  return session;
+}
+
+/**
+ * revokeSession(sessionId, reason) -> revoked session or null
+ * Also drops any live socket opened with that session.
+ */
+export async function revokeSession(sessionId, reason = "logout") {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+  disconnectSession(sessionId);
+  return session;
+}
+
+/**
+ * revokeUserSessions(userId, { except, reason }) -> number revoked
+ */
+export async function revokeUserSessions(
+  userId,
+  { except = null, reason = "logout_all" } = {}
+) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const sessions = await Session.find(filter).select("_id").lean();
+  if (!sessions.length) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map((s) => s._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  for (const s of sessions) disconnectSession(s._id);
+  return sessions.length;
+}
+
+/**
+ * listUserSessions(userId) -> active sessions, most recently used first
+ */
+export async function listUserSessions(userId) {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+}
+
+export default {
+  createSession,
+  rotateSession,
+  getActiveSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  signAccessToken,
+  verifyAccessToken,
+  describeDevice,
+  clientIp,
+};
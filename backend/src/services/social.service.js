@@ -3,6 +3,7 @@ import User from "../models/User.js";
 import Review from "../models/Review.js";
 import Reading from "../models/Reading.js";
 import Book from "../models/Book.js";
+import { VISIBLE_REVIEW_FILTER } from "./bookStats.service.js";
 
 /**
  * Returns recent activities from users that `userId` follows.
@@ -24,6 +25,7 @@ export default {
     const reviews = await Review.find({
       userId: { $in: follows },
       createdAt: { $gte: since },
+      ...VISIBLE_REVIEW_FILTER,
     })
       .sort({ createdAt: -1 })
       .limit(limit)
@@ -0,0 +1,215 @@
+// backend/src/services/twoFactor.service.js
+// Optional TOTP second factor: enrollment, recovery codes and the
+// short-lived challenge token used by the two-step login.
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import {
+  generateSecret,
+  verifyTOTP,
+  provisioningUri,
+} from "../utils/totp.js";
+
+// env is read on use: .env is loaded after the modules are imported
+const issuer = () => process.env.TOTP_ISSUER || "Readers App";
+const challengeTtl = () => process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+/* ---------- secret encryption (AES-256-GCM) ---------- */
+
+function encryptionKey() {
+  const material = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) throw new Error("TOTP_ENCRYPTION_KEY or JWT_SECRET required");
+  return crypto.createHash("sha256").update(String(material)).digest();
+}
+
+function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const enc = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, enc].map((b) => b.toString("base64url")).join(".");
+}
+
+function decryptSecret(stored) {
+  if (!stored) return null;
+  const [iv, tag, enc] = stored.split(".").map((p) => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+/* ---------- recovery codes ---------- */
+
+function hashRecoveryCode(code) {
+  return crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ""))
+    .digest("hex");
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/* ---------- enrollment ---------- */
+
+/**
+ * beginEnrollment(userId) -> { secret, otpauthUrl } or null if already enabled
+ */
+export async function beginEnrollment(userId) {
+  const user = await User.findById(userId).select(`email twoFactor.enabled`);
+  if (!user) return null;
+  if (user.twoFactor?.enabled) return null;
+
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { "twoFactor.pendingSecret": encryptSecret(secret) }
+  );
+
+  return { secret, otpauthUrl: provisioningUri(secret, user.email, issuer()) };
+}
+
+/**
+ * confirmEnrollment(userId, code) -> recovery codes (plain, shown once) or null
+ */
+export async function confirmEnrollment(userId, code) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user || !user.twoFactor?.pendingSecret) return null;
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTOTP(secret, code);
+  if (step === null) return null;
+
+  const codes = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+
+  return codes;
+}
+
+/**
+ * disableTwoFactor(userId)
+ */
+export async function disableTwoFactor(userId) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      "twoFactor.enabled": false,
+      "twoFactor.enabledAt": null,
+      "twoFactor.secret": null,
+      "twoFactor.pendingSecret": null,
+      "twoFactor.recoveryCodes": [],
+      "twoFactor.lastUsedStep": null,
+    }
+  );
+}
+
+/* ---------- verification ---------- */
+
+/**
+ * verifyCode(userId, code) -> { ok, method: "totp" | "recovery", remainingRecoveryCodes }
+ * Accepts a current TOTP code (each time step only once) or an unused
+ * recovery code, which is consumed.
+ */
+export async function verifyCode(userId, code) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user || !user.twoFactor?.enabled || !user.twoFactor.secret)
+    return { ok: false };
+
+  const raw = String(code || "").trim();
+
+  if (/^\d{6}$/.test(raw.replace(/\s+/g, ""))) {
+    const step = verifyTOTP(decryptSecret(user.twoFactor.secret), raw);
+    if (step === null) return { ok: false };
+    if (
+      user.twoFactor.lastUsedStep !== null &&
+      user.twoFactor.lastUsedStep !== undefined &&
+      step <= user.twoFactor.lastUsedStep
+    ) {
+      return { ok: false, reason: "code_already_used" };
+    }
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return {
+      ok: true,
+      method: "totp",
+      remainingRecoveryCodes: user.twoFactor.recoveryCodes.length,
+    };
+  }
+
+  const hashed = hashRecoveryCode(raw);
+  const idx = user.twoFactor.recoveryCodes.indexOf(hashed);
+  if (idx === -1) return { ok: false };
+
+  user.twoFactor.recoveryCodes.splice(idx, 1);
+  await user.save();
+  return {
+    ok: true,
+    method: "recovery",
+    remainingRecoveryCodes: user.twoFactor.recoveryCodes.length,
+  };
+}
+
+/**
+ * regenerateRecoveryCodes(userId) -> new plain codes
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { "twoFactor.recoveryCodes": codes.map(hashRecoveryCode) }
+  );
+  return codes;
+}
+
+/* ---------- login challenge ---------- */
+
+/**
+ * createChallengeToken(userId) -> short-lived JWT proving the password step passed
+ */
+export function createChallengeToken(userId) {
+  return jwt.sign(
+    { userId: String(userId), purpose: "2fa_challenge" },
+    process.env.JWT_SECRET,
+    { expiresIn: challengeTtl() }
+  );
+}
+
+/**
+ * verifyChallengeToken(token) -> userId or null
+ */
+export function verifyChallengeToken(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload?.purpose !== "2fa_challenge" || !payload.userId) return null;
+    return payload.userId;
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  verifyCode,
+  regenerateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken,
+};
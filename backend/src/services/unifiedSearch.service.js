@@ -0,0 +1,337 @@
+// backend/src/services/unifiedSearch.service.js
+// One search box over everything (GET /api/search/all): books from the
+// local index (bookSearch.service.js), plus users, clubs, club
+// discussions, reviews and the caller's own notes matched word by word
+// in their text. Each type comes back as its own paged group, each item
+// with a snippet of the matching text and the ranges to highlight.
+// Only what the caller could open is searched: public clubs, discussions
+// of public clubs or clubs they belong to, visible reviews, and no one
+// else's notes.
+
+import User from "../models/User.js";
+import BookClub, { PUBLIC_CLUB_FILTER } from "../models/BookClub.js";
+import BookClubMember from "../models/BookClubMember.js";
+import BookClubDiscussion from "../models/BookClubDiscussion.js";
+import Review from "../models/Review.js";
+import Note from "../models/Note.js";
+import { STOPWORDS } from "./searchIndex.service.js";
+import { foldText } from "../utils/names.js";
+import { searchCatalog } from "./bookSearch.service.js";
+import { VISIBLE_REVIEW_FILTER } from "./bookStats.service.js";
+
+export const SEARCH_TYPES = [
+  "books",
+  "users",
+  "clubs",
+  "discussions",
+  "reviews",
+  "notes",
+];
+// types that need a signed-in caller
+export const PRIVATE_TYPES = ["notes"];
+
+const MAX_WORDS = 6;
+const SNIPPET_RADIUS = 60;
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * queryWords(q) -> distinct words to match, stopwords dropped unless
+ * there is nothing else
+ */
+export function queryWords(q) {
+  const words = [
+    ...new Set(
+      String(q || "")
+        .trim()
+        .split(/\s+/)
+        .map((w) => w.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""))
+        .filter(Boolean)
+        .map((w) => w.toLowerCase())
+    ),
+  ];
+  const kept = words.filter((w) => !STOPWORDS.has(foldText(w)));
+  return (kept.length ? kept : words).slice(0, MAX_WORDS);
+}
+
+/**
+ * textMatch(fields, words) -> condition: every word appears in one of
+ * the fields (case-insensitive)
+ */
+export function textMatch(fields, words) {
+  const conditions = words.map((w) => {
+    const re = new RegExp(escapeRegex(w), "i");
+    return fields.length === 1
+      ? { [fields[0]]: re }
+      : { $or: fields.map((f) => ({ [f]: re })) };
+  });
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+/**
+ * snippet(text, words, { radius }) -> { text, highlights: [[start, end]] }
+ * or null when no word occurs in text. The excerpt is centred on the
+ * first match; highlights are offsets into the excerpt.
+ */
+export function snippet(text, words, { radius = SNIPPET_RADIUS } = {}) {
+  const source = String(text || "").replace(/\s+/g, " ");
+  if (!source || !words.length) return null;
+  const pattern = new RegExp(words.map(escapeRegex).join("|"), "gi");
+  const first = source.search(pattern);
+  if (first < 0) return null;
+
+  let start = Math.max(0, first - radius);
+  let end = Math.min(source.length, first + radius * 2);
+  // don't cut words in half
+  if (start > 0) {
+    const space = source.indexOf(" ", start);
+    if (space >= 0 && space < first) start = space + 1;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(" ", end);
+    if (space > first) end = space;
+  }
+  const prefix = start > 0 ? "… " : "";
+  const excerpt = `${prefix}${source.slice(start, end)}${
+    end < source.length ? " …" : ""
+  }`;
+
+  const highlights = [];
+  for (const m of excerpt.matchAll(pattern)) {
+    const range = [m.index, m.index + m[0].length];
+    const last = highlights[highlights.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else highlights.push(range);
+  }
+  return { text: excerpt, highlights };
+}
+
+// snippet from the first field that matches, as { field, text, highlights }
+function snippetFor(doc, fields, words) {
+  for (const field of fields) {
+    const s = snippet(doc[field], words);
+    if (s) return { field, ...s };
+  }
+  return null;
+}
+
+/**
+ * visibleClubsFilter(userId) -> condition on a `club` field: public
+ * clubs, and private ones the caller is a member of
+ */
+export async function visibleClubsFilter(userId) {
+  const [privateIds, memberOf] = await Promise.all([
+    BookClub.distinct("_id", { isPublic: false }),
+    userId ? BookClubMember.distinct("club", { user: userId }) : [],
+  ]);
+  const joined = new Set(memberOf.map(String));
+  const hidden = privateIds.filter((id) => !joined.has(String(id)));
+  return hidden.length ? { club: { $nin: hidden } } : {};
+}
+
+// one paged group: { items, total, page, limit, hasMore }
+async function pagedGroup(
+  Model,
+  where,
+  { sort, select, populate = [], page, limit, view }
+) {
+  const skip = (page - 1) * limit;
+  let query = Model.find(where).sort(sort).skip(skip).limit(limit);
+  for (const p of populate) query = query.populate(...p);
+  const [docs, total] = await Promise.all([
+    query.select(select).lean(),
+    Model.countDocuments(where),
+  ]);
+  return {
+    items: docs.map(view),
+    total,
+    page,
+    limit,
+    hasMore: skip + docs.length < total,
+  };
+}
+
+const BOOK_FIELDS = "title externalId cover";
+const USER_FIELDS = "username name avatarUrl";
+
+/* group searches: (words, { userId, page, limit, q }) -> group */
+const GROUPS = {
+  async books(words, { q, page, limit }) {
+    const { items, total, hasMore } = await searchCatalog(q, {
+      page,
+      limit,
+      remote: false,
+    });
+    return {
+      items: items.map((b) => ({
+        ...b,
+        snippet: snippetFor(
+          { title: b.title, authors: (b.authors || []).join(", ") },
+          ["title", "authors"],
+          words
+        ),
+      })),
+      total,
+      page,
+      limit,
+      hasMore,
+    };
+  },
+
+  users(words, opts) {
+    const fields = ["username", "name", "bio"];
+    return pagedGroup(
+      User,
+      { ...textMatch(fields, words), deletedAt: null, isBanned: { $ne: true } },
+      {
+        ...opts,
+        sort: { username: 1 },
+        select: `${USER_FIELDS} bio`,
+        view: (u) => ({
+          _id: u._id,
+          username: u.username,
+          name: u.name,
+          avatarUrl: u.avatarUrl || null,
+          snippet: snippetFor(u, fields, words),
+        }),
+      }
+    );
+  },
+
+  clubs(words, opts) {
+    const fields = ["name", "description"];
+    return pagedGroup(
+      BookClub,
+      { ...textMatch(fields, words), ...PUBLIC_CLUB_FILTER },
+      {
+        ...opts,
+        sort: { membersCount: -1, _id: 1 },
+        select: "name description membersCount",
+        view: (c) => ({
+          _id: c._id,
+          name: c.name,
+          membersCount: c.membersCount || 0,
+          snippet: snippetFor(c, fields, words),
+        }),
+      }
+    );
+  },
+
+  async discussions(words, opts) {
+    const fields = ["title", "body"];
+    const visible = await visibleClubsFilter(opts.userId);
+    return pagedGroup(
+      BookClubDiscussion,
+      { ...textMatch(fields, words), ...visible, isDeleted: { $ne: true } },
+      {
+        ...opts,
+        sort: { createdAt: -1, _id: 1 },
+        select: "club author title body book createdAt",
+        populate: [
+          ["club", "name"],
+          ["author", USER_FIELDS],
+        ],
+        view: (d) => ({
+          _id: d._id,
+          title: d.title,
+          club: d.club,
+          author: d.author,
+          book: d.book || null,
+          createdAt: d.createdAt,
+          snippet: snippetFor(d, fields, words),
+        }),
+      }
+    );
+  },
+
+  reviews(words, opts) {
+    return pagedGroup(
+      Review,
+      {
+        ...textMatch(["text"], words),
+        ...VISIBLE_REVIEW_FILTER,
+      },
+      {
+        ...opts,
+        sort: { createdAt: -1, _id: 1 },
+        select: "user book rating text createdAt",
+        populate: [
+          ["user", USER_FIELDS],
+          ["book", BOOK_FIELDS],
+        ],
+        view: (r) => ({
+          _id: r._id,
+          rating: r.rating,
+          user: r.user,
+          book: r.book,
+          createdAt: r.createdAt,
+          snippet: snippetFor(r, ["text"], words),
+        }),
+      }
+    );
+  },
+
+  notes(words, opts) {
+    const fields = ["title", "content", "highlight"];
+    return pagedGroup(
+      Note,
+      {
+        ...textMatch(fields, words),
+        user: opts.userId,
+        isDeleted: { $ne: true },
+      },
+      {
+        ...opts,
+        sort: { updatedAt: -1, _id: 1 },
+        select: "book title content highlight pageNumber updatedAt",
+        populate: [["book", BOOK_FIELDS]],
+        view: (n) => ({
+          _id: n._id,
+          title: n.title,
+          book: n.book,
+          pageNumber: n.pageNumber ?? null,
+          updatedAt: n.updatedAt,
+          snippet: snippetFor(n, fields, words),
+        }),
+      }
+    );
+  },
+};
+
+/**
+ * searchAll(q, { userId, types, page, limit }) -> { q, groups }
+ * groups: type -> { items, total, page, limit, hasMore }, in SEARCH_TYPES
+ * order. page and limit apply to every requested type; ask for one type
+ * to page through it. Notes are left out for signed-out callers.
+ */
+export async function searchAll(
+  q,
+  { userId = null, types = SEARCH_TYPES, page = 1, limit = 5 } = {}
+) {
+  const words = queryWords(q);
+  const wanted = SEARCH_TYPES.filter(
+    (t) => types.includes(t) && (userId || !PRIVATE_TYPES.includes(t))
+  );
+  const empty = { items: [], total: 0, page, limit, hasMore: false };
+
+  const results = await Promise.all(
+    wanted.map((type) =>
+      words.length
+        ? GROUPS[type](words, { q, userId, page, limit })
+        : Promise.resolve(empty)
+    )
+  );
+  const groups = {};
+  wanted.forEach((type, i) => {
+    groups[type] = results[i];
+  });
+  return { q, groups };
+}
+
+export default {
+  queryWords,
+  textMatch,
+  snippet,
+  visibleClubsFilter,
+  searchAll,
+};
@@ -0,0 +1,55 @@
+// backend/src/services/userToken.service.js
+import crypto from "crypto";
+import UserToken from "../models/UserToken.js";
+
+export const TOKEN_TTL_MS = {
+  email_verification: 24 * 60 * 60 * 1000, // 24h
+  password_reset: 60 * 60 * 1000, // 1h
+};
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * issueToken(userId, type) -> raw token string
+ * Any still-unused token of the same type is invalidated first, so only the
+ * most recent email works.
+ */
+export async function issueToken(userId, type) {
+  if (!TOKEN_TTL_MS[type]) throw new Error(`Unknown token type: ${type}`);
+
+  await UserToken.updateMany(
+    { user: userId, type, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const raw = crypto.randomBytes(32).toString("base64url");
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(raw),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]),
+  });
+  return raw;
+}
+
+/**
+ * consumeToken(rawToken, type) -> token doc or null
+ * Atomically marks the token used so it cannot be replayed.
+ */
+export async function consumeToken(rawToken, type) {
+  if (!rawToken || typeof rawToken !== "string") return null;
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(rawToken),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+}
+
+export default { issueToken, consumeToken, TOKEN_TTL_MS };
@@ -0,0 +1,38 @@
+// backend/src/utils/cloudinaryAsset.js
+
+/**
+ * cloudinaryPublicId(url) -> public_id of a Cloudinary delivery URL, or null
+ * e.g. https://res.cloudinary.com/demo/image/upload/v1712/readers_app/avatars/abc.jpg
+ *   -> "readers_app/avatars/abc"
+ */
+export function cloudinaryPublicId(url) {
+  if (!url || typeof url !== "string") return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!parsed.hostname.endsWith("cloudinary.com")) return null;
+
+  const marker = "/upload/";
+  const idx = parsed.pathname.indexOf(marker);
+  if (idx === -1) return null;
+
+  let segments = parsed.pathname
+    .slice(idx + marker.length)
+    .split("/")
+    .filter(Boolean);
+
+  // anything up to the version segment (v1712...) is transformations
+  const version = segments.findIndex((seg) => /^v\d+$/.test(seg));
+  if (version !== -1) segments = segments.slice(version + 1);
+  if (!segments.length) return null;
+
+  const last = segments.length - 1;
+  segments[last] = segments[last].replace(/\.[a-z0-9]+$/i, "");
+  return decodeURIComponent(segments.join("/"));
+}
+
+export default { cloudinaryPublicId };
@@ -0,0 +1,31 @@
+// backend/src/utils/csv.js
+
+// cells starting with these are treated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * csvCell(value) -> escaped CSV field
+ * Objects are JSON-encoded, dates ISO formatted, ObjectIds as hex strings.
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let s;
+  if (value instanceof Date) s = value.toISOString();
+  else if (typeof value.toHexString === "function") s = String(value);
+  else if (typeof value === "object") s = JSON.stringify(value);
+  else s = String(value);
+
+  if (FORMULA_PREFIX.test(s)) s = `'${s}`;
+  if (/[",\n\r]/.test(s)) s = `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+/**
+ * csvRow(values) -> one CSV line terminated by \r\n
+ */
+export function csvRow(values = []) {
+  return values.map(csvCell).join(",") + "\r\n";
+}
+
+export default { csvCell, csvRow };
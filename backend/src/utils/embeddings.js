@@ -1,6 +1,20 @@
 /* backend/src/utils/embeddings.js
-   Minimal safe embeddings helper for tests and local development.
-   Exports: getEmbeddingForText, normalizeVector, findSimilarByEmbedding, cosineSimilarity
+   Text embeddings for recommendations and semantic search.
+   Exports: embedText, embeddingProvider, getEmbeddingForText, normalizeVector,
+            findSimilarByEmbedding, cosineSimilarity
+
+   Config via env:
+     EMBEDDINGS_PROVIDER=openai|local|hash   default: openai when OPENAI_API_KEY
+                                             is set, else hash
+     EMBEDDINGS_LOCAL_MODEL                  model for "local" (Xenova/all-MiniLM-L6-v2)
+     EMBEDDINGS_MODEL_PATH                   directory with the local model files;
+                                             when set nothing is downloaded (offline)
+   "local" runs the model in-process with @huggingface/transformers, which is
+   not a dependency; install it separately where the local model is used:
+     npm install --no-save @huggingface/transformers
+   (again after each npm install / npm ci, which remove unlisted packages).
+   Vectors of different models can't be compared: embedText reports the model
+   it used, stored as Book.embeddingModel.
 */
 
 import Book from "../models/Book.js";
@@ -29,6 +43,7 @@ export function cosineSimilarity(a, b) {
 }
 
 /* deterministic fallback embedding */
+export const HASH_MODEL = "hash-v1";
 function fallbackEmbeddingFromText(text = "") {
   const L = 64;
   const v = new Array(L).fill(0);
@@ -57,30 +72,92 @@ async function getOpenAIClient() {
   }
 }
 
-/* getEmbeddingForText(text, { useOpenAI = true }) */
-export async function getEmbeddingForText(text, { useOpenAI = true } = {}) {
-  if (useOpenAI) {
-    const client = await getOpenAIClient();
-    if (client) {
+const OPENAI_MODEL = "text-embedding-3-small";
+const DEFAULT_LOCAL_MODEL = "Xenova/all-MiniLM-L6-v2";
+const PROVIDERS = ["openai", "local", "hash"];
+
+/* embeddingProvider(env) -> "openai" | "local" | "hash" */
+export function embeddingProvider(env = process.env) {
+  const name = String(env.EMBEDDINGS_PROVIDER || "").trim().toLowerCase();
+  if (PROVIDERS.includes(name)) return name;
+  return env.OPENAI_API_KEY ? "openai" : "hash";
+}
+
+function localModelName() {
+  return process.env.EMBEDDINGS_LOCAL_MODEL || DEFAULT_LOCAL_MODEL;
+}
+
+/* local model loader; loaded once, null when the package or model is missing */
+let _localExtractor = null;
+function getLocalExtractor() {
+  if (!_localExtractor) {
+    _localExtractor = (async () => {
       try {
-        const resp = await client.embeddings.create({
-          model: "text-embedding-3-small",
-          input: text,
-        });
-        const emb = resp?.data?.[0]?.embedding;
-        if (Array.isArray(emb)) return normalizeVector(emb);
+        // installed separately, see the header
+        const mod = await import("@huggingface/transformers");
+        if (process.env.EMBEDDINGS_MODEL_PATH) {
+          mod.env.localModelPath = process.env.EMBEDDINGS_MODEL_PATH;
+          mod.env.allowRemoteModels = false;
+        }
+        return await mod.pipeline("feature-extraction", localModelName());
       } catch (e) {
-        console.warn("OpenAI embedding failed:", e?.message ?? e);
+        console.warn("Local embedding model load failed:", e?.message ?? e);
+        return null;
       }
-    }
+    })();
+  }
+  return _localExtractor;
+}
+
+async function openAIEmbedding(text) {
+  const client = await getOpenAIClient();
+  if (!client) return null;
+  try {
+    const resp = await client.embeddings.create({ model: OPENAI_MODEL, input: text });
+    const emb = resp?.data?.[0]?.embedding;
+    if (Array.isArray(emb)) return { vector: normalizeVector(emb), model: `openai:${OPENAI_MODEL}` };
+  } catch (e) {
+    console.warn("OpenAI embedding failed:", e?.message ?? e);
   }
-  return fallbackEmbeddingFromText(String(text || ""));
+  return null;
+}
+
+async function localEmbedding(text) {
+  const extractor = await getLocalExtractor();
+  if (!extractor) return null;
+  try {
+    const output = await extractor(text, { pooling: "mean", normalize: true });
+    return { vector: Array.from(output.data), model: `local:${localModelName()}` };
+  } catch (e) {
+    console.warn("Local embedding failed:", e?.message ?? e);
+    return null;
+  }
+}
+
+/* embedText(text, { provider }) -> { vector, model }
+   Falls back to the hash embedding when the provider is unavailable. */
+export async function embedText(text, { provider = embeddingProvider() } = {}) {
+  const input = String(text || "");
+  let out = null;
+  if (provider === "openai") out = await openAIEmbedding(input);
+  if (provider === "local") out = await localEmbedding(input);
+  return out || { vector: fallbackEmbeddingFromText(input), model: HASH_MODEL };
+}
+
+/* getEmbeddingForText(text, { useOpenAI = true }) -> vector
+   useOpenAI: false forces the hash embedding. */
+export async function getEmbeddingForText(text, { useOpenAI = true } = {}) {
+  const { vector } = await embedText(text, useOpenAI ? {} : { provider: "hash" });
+  return vector;
 }
 
-/* findSimilarByEmbedding(vec, { topK = 20 }) */
-export async function findSimilarByEmbedding(vec, { topK = 20 } = {}) {
+/* findSimilarByEmbedding(vec, { topK = 20, model })
+   Only books embedded with model (embedText's report for vec) are compared;
+   without it, books whose embedding has vec's length. */
+export async function findSimilarByEmbedding(vec, { topK = 20, model = null } = {}) {
   if (!Array.isArray(vec) || vec.length === 0) return [];
-  const docs = await Book.find({ embedding: { $exists: true, $ne: [] } }).select("_id embedding").lean().limit(2000);
+  const filter = model ? { embeddingModel: model } : { embedding: { $size: vec.length } };
+  const docs = await Book.find(filter).select("_id embedding").lean().limit(2000);
   const out = [];
   for (const d of docs) {
     if (!d.embedding || !Array.isArray(d.embedding)) continue;
@@ -91,4 +168,4 @@ export async function findSimilarByEmbedding(vec, { topK = 20 } = {}) {
   return out.slice(0, Math.max(0, topK));
 }
 
-export default { getEmbeddingForText, normalizeVector, findSimilarByEmbedding, cosineSimilarity };
\ No newline at end of file
+export default { embedText, embeddingProvider, getEmbeddingForText, normalizeVector, findSimilarByEmbedding, cosineSimilarity };
\ No newline at end of file
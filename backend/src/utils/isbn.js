@@ -0,0 +1,77 @@
+// backend/src/utils/isbn.js
+// ISBN-10 / ISBN-13 helpers. Stored values are digits only (plus a trailing
+// "X" for ISBN-10), without hyphens or spaces.
+
+/**
+ * cleanIsbn(value) -> "9780140449136" | "014044913X" | ""
+ */
+export function cleanIsbn(value) {
+  return String(value ?? "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+}
+
+export function isValidIsbn10(value) {
+  const s = cleanIsbn(value);
+  if (!/^\d{9}[\dX]$/.test(s)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = s[i] === "X" ? 10 : Number(s[i]);
+    sum += digit * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+function isbn13CheckDigit(first12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(first12[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+export function isValidIsbn13(value) {
+  const s = cleanIsbn(value);
+  if (!/^97[89]\d{10}$/.test(s)) return false;
+  return isbn13CheckDigit(s.slice(0, 12)) === s[12];
+}
+
+/**
+ * isbn10To13("0140449132") -> "9780140449136", or null when invalid
+ */
+export function isbn10To13(value) {
+  const s = cleanIsbn(value);
+  if (!isValidIsbn10(s)) return null;
+  const first12 = `978${s.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+}
+
+/**
+ * isbn13To10("9780140449136") -> "0140449132"
+ * null when invalid or in the 979 range (which has no ISBN-10 form)
+ */
+export function isbn13To10(value) {
+  const s = cleanIsbn(value);
+  if (!isValidIsbn13(s) || !s.startsWith("978")) return null;
+
+  const first9 = s.slice(3, 12);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += Number(first9[i]) * (10 - i);
+  const check = (11 - (sum % 11)) % 11;
+  return first9 + (check === 10 ? "X" : String(check));
+}
+
+/**
+ * parseIsbn(value) -> { isbn10, isbn13 } (isbn10 may be null), or null
+ */
+export function parseIsbn(value) {
+  const s = cleanIsbn(value);
+  if (s.length === 10 && isValidIsbn10(s)) {
+    return { isbn10: s, isbn13: isbn10To13(s) };
+  }
+  if (s.length === 13 && isValidIsbn13(s)) {
+    return { isbn10: isbn13To10(s), isbn13: s };
+  }
+  return null;
+}
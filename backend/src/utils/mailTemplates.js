@@ -0,0 +1,49 @@
+// backend/src/utils/mailTemplates.js
+// Plain-text + minimal HTML bodies for account emails.
+
+function appUrl(pathname, token) {
+  const base = (
+    process.env.APP_URL ||
+    process.env.CORS_ORIGIN ||
+    "http://localhost:5173"
+  ).replace(/\/+$/, "");
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+export function verificationEmail(user, token) {
+  const link = appUrl("/verify-email", token);
+  const name = user.name || user.username;
+  return {
+    to: user.email,
+    subject: "Confirm your email address",
+    text:
+      `Hi ${name},\n\n` +
+      `Please confirm your email address by opening the link below:\n${link}\n\n` +
+      `The link expires in 24 hours. If you did not sign up, ignore this email.`,
+    html:
+      `<p>Hi ${name},</p>` +
+      `<p>Please confirm your email address:</p>` +
+      `<p><a href="${link}">Verify my email</a></p>` +
+      `<p>The link expires in 24 hours. If you did not sign up, ignore this email.</p>`,
+  };
+}
+
+export function passwordResetEmail(user, token) {
+  const link = appUrl("/reset-password", token);
+  const name = user.name || user.username;
+  return {
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${name},\n\n` +
+      `Someone asked to reset the password for your account. Open the link below to choose a new one:\n${link}\n\n` +
+      `The link expires in 1 hour and can only be used once. If it wasn't you, ignore this email.`,
+    html:
+      `<p>Hi ${name},</p>` +
+      `<p>Someone asked to reset the password for your account.</p>` +
+      `<p><a href="${link}">Choose a new password</a></p>` +
+      `<p>The link expires in 1 hour and can only be used once. If it wasn't you, ignore this email.</p>`,
+  };
+}
+
+export default { verificationEmail, passwordResetEmail };
@@ -0,0 +1,56 @@
+// backend/src/utils/names.js
+// Normalized forms of titles and person names, used to match records that
+// were typed differently ("J.R.R. Tolkien" vs "Tolkien, J. R. R.").
+
+const LEADING_ARTICLE = /^(the|a|an)\s+/;
+
+// "The Hobbit; or, There & Back Again" -> "the hobbit or there and back again"
+// Letters of any script are kept ("Лев Толстой" -> "лев толстои").
+export function normalizeText(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// "Gabriel García Márquez's" -> "gabriel garcia marquezs": the form search
+// terms and queries are compared in. Unlike normalizeText, apostrophes join
+// words.
+export function foldText(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['\u2019]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+export function normalizeTitle(title) {
+  const t = normalizeText(title).replace(LEADING_ARTICLE, "");
+  return t === "untitled" ? "" : t;
+}
+
+// "Tolkien, J.R.R." and "J. R. R. Tolkien" -> "j r r tolkien"
+export function normalizeAuthor(author) {
+  return normalizeText(author).split(" ").filter(Boolean).sort().join(" ");
+}
+
+// "J.R.R. Tolkien", ["Tolkien"] -> ["j", "r", "tolkien"]: the distinct
+// words of names, stored for anchored prefix lookups (searchSuggest.service.js)
+export function nameTokens(...values) {
+  const words = values.flat().flatMap((v) => normalizeText(v).split(" "));
+  return [...new Set(words.filter(Boolean))];
+}
+
+export default {
+  normalizeText,
+  foldText,
+  normalizeTitle,
+  normalizeAuthor,
+  nameTokens,
+};
@@ -6,7 +6,7 @@ import { emitToUser } from "./socketService.js";
 /**
  * createNotification({
  *   user,
- *   fromUser,
+ *   fromUser,   // omit for system notifications
  *   type,
  *   targetType,
  *   targetId,
@@ -22,13 +22,13 @@ export async function createNotification({
   message = null,
 }) {
   try {
-    if (!user || !fromUser || !type) {
-      console.warn("createNotification: missing user/fromUser/type");
+    if (!user || !type) {
+      console.warn("createNotification: missing user/type");
       return null;
     }
 
     // Avoid notifying the actor about their own action
-    if (String(user) === String(fromUser)) return null;
+    if (fromUser && String(user) === String(fromUser)) return null;
 
     if (!message) {
       message = `${String(fromUser)} performed ${type}`;
@@ -36,7 +36,7 @@ export async function createNotification({
 
     const payload = {
       user,
-      fromUser,
+      fromUser: fromUser || null,
       type,
       targetType: targetType || "none",
       message,
@@ -54,7 +54,7 @@ export async function createNotification({
     emitToUser(String(user), "notification", {
       id: doc._id,
       type: doc.type,
-      fromUser: String(fromUser),
+      fromUser: fromUser ? String(fromUser) : null,
       targetType: doc.targetType,
       targetId: doc.targetId || null,
       message: doc.message,
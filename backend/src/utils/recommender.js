@@ -7,7 +7,7 @@ import ReadingList from "../models/Reading.js";
 import User from "../models/User.js";
 
 import {
-  getEmbeddingForText,
+  embedText,
   findSimilarByEmbedding,
   normalizeVector,
   cosineSimilarity,
@@ -48,23 +48,26 @@ export async function contentBasedSimilar(bookId, { limit = 12 } = {}) {
   if (!book) return [];
 
   let vec = null;
+  let model = null;
   if (
     book.embedding &&
     book.embedding.length &&
     typeof book.embedding[0] === "number"
   ) {
     vec = book.embedding;
+    model = book.embeddingModel || null;
   } else {
     const text = `${book.title || ""} ${book.subtitle || ""} ${
       book.description || ""
     }`.slice(0, 2000);
-    vec = await getEmbeddingForText(text);
+    ({ vector: vec, model } = await embedText(text));
   }
   if (!vec) return [];
 
   // findSimilarByEmbedding should return [{ bookId, score }]
   const neighbors = await findSimilarByEmbedding(vec, {
     topK: Math.max(limit * 4, 50),
+    model,
   });
   if (!neighbors || neighbors.length === 0) return [];
 
@@ -38,6 +38,16 @@ export function initSocket(io) {
       userSockets.set(uid, set);
       socket.userId = uid;
       log("socket connected and joined room for user", uid, socket.id);
+
+      // per-session room so a revoked session can be disconnected
+      const sid = socket.user?.sessionId;
+      if (sid) {
+        try {
+          socket.join(`session:${String(sid)}`);
+        } catch (e) {
+          log("socket.join session failed", e && e.message ? e.message : e);
+        }
+      }
     } else {
       log("socket connected without user (unauthenticated):", socket.id);
     }
@@ -95,6 +105,38 @@ export function emitToUsers(userIds = [], event, payload) {
   }
 }
 
+/**
+ * disconnectSession(sessionId)
+ * Force-disconnects every socket authenticated with the given session.
+ */
+export function disconnectSession(sessionId) {
+  if (!ioInstance || !sessionId) return false;
+  try {
+    const room = `session:${String(sessionId)}`;
+    ioInstance.to(room).emit("session:revoked", { sessionId: String(sessionId) });
+    ioInstance.in(room).disconnectSockets(true);
+    return true;
+  } catch (e) {
+    console.error("disconnectSession failed", e && e.message ? e.message : e);
+    return false;
+  }
+}
+
+/**
+ * disconnectUser(userId)
+ * Force-disconnects every socket of a user (e.g. after a ban).
+ */
+export function disconnectUser(userId) {
+  if (!ioInstance || !userId) return false;
+  try {
+    ioInstance.in(`user:${String(userId)}`).disconnectSockets(true);
+    return true;
+  } catch (e) {
+    console.error("disconnectUser failed", e && e.message ? e.message : e);
+    return false;
+  }
+}
+
 export function getConnectedUserIds() {
   return Array.from(userSockets.keys());
 }
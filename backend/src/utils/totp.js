@@ -0,0 +1,126 @@
+// backend/src/utils/totp.js
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s step) + RFC 4648 base32, no deps.
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = String(str || "")
+    .toUpperCase()
+    .replace(/=+$/, "")
+    .replace(/\s+/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/* 20 random bytes -> 32 base32 chars */
+export function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+function hotp(key, counter, digits = TOTP_DIGITS) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", key).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const bin =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(bin % 10 ** digits).padStart(digits, "0");
+}
+
+export function timeStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * generateTOTP(base32Secret, timeMs?, digits?) -> "123456"
+ */
+export function generateTOTP(secret, timeMs = Date.now(), digits = TOTP_DIGITS) {
+  return hotp(base32Decode(secret), timeStep(timeMs), digits);
+}
+
+/**
+ * verifyTOTP(base32Secret, code, { window, timeMs }) -> matched step or null
+ * `window` allows for clock drift (number of steps either side).
+ */
+export function verifyTOTP(
+  secret,
+  code,
+  { window = 1, timeMs = Date.now() } = {}
+) {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const current = timeStep(timeMs);
+  for (let i = -window; i <= window; i++) {
+    const step = current + i;
+    if (step < 0) continue;
+    const expected = hotp(key, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * provisioningUri(secret, accountName, issuer) -> otpauth:// URI for QR codes
+ */
+export function provisioningUri(secret, accountName, issuer = "Readers App") {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  provisioningUri,
+  timeStep,
+};
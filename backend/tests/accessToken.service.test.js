@@ -0,0 +1,52 @@
+// backend/tests/accessToken.service.test.js
+import { jest } from "@jest/globals";
+import { id } from "./helpers/mocks.js";
+
+const { default: PersonalAccessToken } =
+  await import("../src/models/PersonalAccessToken.js");
+const { createAccessToken, listAccessTokens } =
+  await import("../src/services/accessToken.service.js");
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("createAccessToken", () => {
+  test("only unexpired, unrevoked tokens count against the limit", async () => {
+    const count = jest
+      .spyOn(PersonalAccessToken, "countDocuments")
+      .mockResolvedValue(3);
+    jest
+      .spyOn(PersonalAccessToken, "create")
+      .mockImplementation(async (doc) => doc);
+
+    const out = await createAccessToken(id(), { name: "ci" });
+
+    expect(out.token.startsWith("rpat_")).toBe(true);
+    const [filter] = count.mock.calls[0];
+    expect(filter.revokedAt).toBe(null);
+    expect(filter.$or[0]).toEqual({ expiresAt: null });
+    expect(filter.$or[1].expiresAt.$gt).toBeInstanceOf(Date);
+  });
+
+  test("refuses a new token at the limit", async () => {
+    jest.spyOn(PersonalAccessToken, "countDocuments").mockResolvedValue(20);
+    const create = jest.spyOn(PersonalAccessToken, "create");
+
+    expect(await createAccessToken(id(), { name: "ci" })).toBe(null);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe("listAccessTokens", () => {
+  test("leaves out expired tokens", async () => {
+    const sort = jest.fn().mockResolvedValue([]);
+    const find = jest
+      .spyOn(PersonalAccessToken, "find")
+      .mockReturnValue({ sort });
+
+    expect(await listAccessTokens(id())).toEqual([]);
+    const [filter] = find.mock.calls[0];
+    expect(filter.revokedAt).toBe(null);
+    expect(filter.$or[0]).toEqual({ expiresAt: null });
+    expect(filter.$or[1].expiresAt.$gt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,48 @@
+// backend/tests/audit.test.js
+import mongoose from "mongoose";
+import { csvCell, csvRow } from "../src/utils/csv.js";
+import { buildAuditFilter, snapshot } from "../src/services/audit.service.js";
+
+describe("csv helpers", () => {
+  test("quotes fields with separators and doubles quotes", () => {
+    expect(csvCell('say "hi", ok')).toBe('"say ""hi"", ok"');
+    expect(csvCell(null)).toBe("");
+    expect(csvCell({ a: 1 })).toBe('"{""a"":1}"');
+    const oid = new mongoose.Types.ObjectId();
+    expect(csvCell(oid)).toBe(oid.toHexString());
+    expect(csvRow(["a", 1, new Date("2025-01-01T00:00:00Z")])).toBe(
+      "a,1,2025-01-01T00:00:00.000Z\r\n"
+    );
+  });
+
+  test("neutralises spreadsheet formulas", () => {
+    expect(csvCell("=HYPERLINK(1)")).toBe("'=HYPERLINK(1)");
+    expect(csvCell("-5")).toBe("'-5");
+  });
+});
+
+describe("audit helpers", () => {
+  test("buildAuditFilter maps query params", () => {
+    const id = "64b7f0c2a1b2c3d4e5f60718";
+    const f = buildAuditFilter({
+      actor: id,
+      action: "review.",
+      targetType: "review",
+      from: "2025-01-01",
+      to: "not a date",
+    });
+    expect(f.actor).toBe(id);
+    expect(f.targetType).toBe("review");
+    expect(f.action).toEqual({ $regex: "^review\\." });
+    expect(f.createdAt.$gte).toEqual(new Date("2025-01-01"));
+    expect(f.createdAt.$lte).toBeUndefined();
+    expect(buildAuditFilter({ actor: "nope", action: "user.ban" })).toEqual({
+      action: "user.ban",
+    });
+  });
+
+  test("snapshot keeps only the listed fields", () => {
+    expect(snapshot({ a: 1, b: 2 }, ["a", "c"])).toEqual({ a: 1, c: null });
+    expect(snapshot(null, ["a"])).toBeNull();
+  });
+});
@@ -0,0 +1,156 @@
+// backend/tests/auth.middleware.test.js
+import { jest } from "@jest/globals";
+
+let auth;
+let authWithScope;
+let optionalAuth;
+let AccessTokenService;
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+function reqWith(token) {
+  return { headers: { authorization: `Bearer ${token}` }, ip: "127.0.0.1" };
+}
+
+beforeEach(async () => {
+  jest.resetModules();
+
+  await jest.unstable_mockModule("../src/services/accessToken.service.js", () => ({
+    isPersonalAccessToken: (t) => String(t).startsWith("rpat_"),
+    resolveAccessToken: jest.fn(),
+  }));
+
+  // Mock moderation so no database is touched
+  await jest.unstable_mockModule("../src/services/moderation.service.js", () => ({
+    checkBan: jest.fn(async () => ({ user: { _id: "u1" }, banned: false })),
+    banInfo: jest.fn(() => null),
+  }));
+
+  const mod = await import("../src/middleware/auth.js");
+  auth = mod.default;
+  authWithScope = mod.authWithScope;
+  optionalAuth = mod.optionalAuth;
+  AccessTokenService = await import("../src/services/accessToken.service.js");
+});
+
+describe("auth middleware with personal access tokens", () => {
+  test("plain auth rejects personal access tokens", async () => {
+    const res = mockRes();
+    const next = jest.fn();
+
+    await auth(reqWith("rpat_abc"), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(AccessTokenService.resolveAccessToken).not.toHaveBeenCalled();
+  });
+
+  test("authWithScope accepts a token carrying the scope", async () => {
+    AccessTokenService.resolveAccessToken.mockResolvedValue({
+      _id: "t1",
+      user: "u1",
+      scopes: ["reading:read"],
+    });
+    const req = reqWith("rpat_abc");
+    const res = mockRes();
+    const next = jest.fn();
+
+    await authWithScope("reading:read")(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({
+      id: "u1",
+      tokenId: "t1",
+      scopes: ["reading:read"],
+      mfa: false,
+    });
+  });
+
+  test("authWithScope rejects a token without the scope", async () => {
+    AccessTokenService.resolveAccessToken.mockResolvedValue({
+      _id: "t1",
+      user: "u1",
+      scopes: ["reading:read"],
+    });
+    const res = mockRes();
+    const next = jest.fn();
+
+    await authWithScope("reading:write")(reqWith("rpat_abc"), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].code).toBe("INSUFFICIENT_SCOPE");
+  });
+
+  test("unknown or revoked tokens get 401", async () => {
+    AccessTokenService.resolveAccessToken.mockResolvedValue(null);
+    const res = mockRes();
+
+    await authWithScope("export")(reqWith("rpat_gone"), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe("optionalAuth", () => {
+  test("lets requests without credentials through anonymously", async () => {
+    const req = { headers: {}, ip: "127.0.0.1" };
+    const res = mockRes();
+    const next = jest.fn();
+
+    await optionalAuth(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBeUndefined();
+  });
+
+  test("still rejects credentials that are sent but not allowed", async () => {
+    const res = mockRes();
+    const next = jest.fn();
+
+    await optionalAuth(reqWith("rpat_abc"), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe("requireVerified", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  async function run(stored) {
+    const { default: User } = await import("../src/models/User.js");
+    const { default: requireVerified } =
+      await import("../src/middleware/requireVerified.js");
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: () => ({ lean: async () => stored }),
+    });
+    const res = mockRes();
+    const next = jest.fn();
+    await requireVerified({ user: { id: "u1" } }, res, next);
+    return { res, next };
+  }
+
+  test("accounts without the flag (pre-verification) pass", async () => {
+    const { next } = await run({ _id: "u1" });
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("unverified accounts are blocked", async () => {
+    const { res, next } = await run({ _id: "u1", emailVerified: false });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test("loading a legacy account doesn't set the flag", async () => {
+    const { default: User } = await import("../src/models/User.js");
+    const user = User.hydrate({ _id: "507f1f77bcf86cd799439011", name: "A" });
+    expect(user.emailVerified).toBeUndefined();
+    expect(user.isModified("emailVerified")).toBe(false);
+  });
+});
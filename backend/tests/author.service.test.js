@@ -0,0 +1,155 @@
+// backend/tests/author.service.test.js
+import { jest } from "@jest/globals";
+import { id, chain } from "./helpers/mocks.js";
+import Author from "../src/models/Author.js";
+import AuthorFollow from "../src/models/AuthorFollow.js";
+import Book from "../src/models/Book.js";
+import Review from "../src/models/Review.js";
+import Reading from "../src/models/Reading.js";
+import Notification from "../src/models/Notification.js";
+import {
+  findOrCreateAuthor,
+  linkBookAuthors,
+  authorPage,
+} from "../src/services/author.service.js";
+import {
+  setMetadataProviders,
+  resetMetadataProviders,
+} from "../src/services/metadata.service.js";
+import { createFakeProvider } from "../src/services/metadata/fake.provider.js";
+
+beforeEach(() => {
+  setMetadataProviders([
+    createFakeProvider({
+      authors: [
+        {
+          externalId: "/authors/OL26320A",
+          name: "J.R.R. Tolkien",
+          aliases: ["John Ronald Reuel Tolkien", "Tolkien, J. R. R."],
+          bio: "Philologist.",
+        },
+      ],
+    }),
+  ]);
+  jest
+    .spyOn(Author, "create")
+    .mockImplementation(async (doc) => ({ _id: id(), ...doc }));
+  jest.spyOn(Author, "updateOne").mockResolvedValue({});
+  jest.spyOn(Author, "updateMany").mockResolvedValue({});
+  jest.spyOn(Book, "updateOne").mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  resetMetadataProviders();
+});
+
+describe("findOrCreateAuthor", () => {
+  test("new authors take bio and aliases from the providers", async () => {
+    jest.spyOn(Author, "findOne").mockResolvedValue(null);
+
+    const author = await findOrCreateAuthor({
+      name: "J.R.R. Tolkien",
+      externalId: "/authors/OL26320A",
+    });
+
+    // the alias that only differs in punctuation is not kept
+    expect(author).toMatchObject({
+      name: "J.R.R. Tolkien",
+      aliases: ["John Ronald Reuel Tolkien"],
+      nameKeys: ["j r r tolkien", "john reuel ronald tolkien"],
+      bio: "Philologist.",
+      externalIds: ["/authors/OL26320A"],
+      source: "fake",
+    });
+  });
+
+  test("matches an existing author by name and records the provider id", async () => {
+    const existing = { _id: id(), name: "Ursula K. Le Guin", externalIds: [] };
+    const findOne = jest
+      .spyOn(Author, "findOne")
+      .mockImplementation(async (q) => (q.nameKeys ? existing : null));
+
+    const author = await findOrCreateAuthor({
+      name: "Le Guin, Ursula K.",
+      externalId: "/authors/OL31353A",
+    });
+
+    expect(author).toBe(existing);
+    expect(findOne).toHaveBeenLastCalledWith({ nameKeys: "guin k le ursula" });
+    expect(Author.updateOne).toHaveBeenCalledWith(
+      { _id: existing._id },
+      { $addToSet: { externalIds: "/authors/OL31353A" } }
+    );
+    expect(Author.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("linkBookAuthors", () => {
+  const homer = { _id: id(), name: "Homer", externalIds: [] };
+
+  beforeEach(() => {
+    jest.spyOn(Author, "findOne").mockResolvedValue(homer);
+    jest.spyOn(AuthorFollow, "find").mockReturnValue({
+      select: () => ({ lean: async () => [{ user: id() }, { user: id() }] }),
+    });
+    jest
+      .spyOn(Notification, "create")
+      .mockImplementation(async (doc) => ({ _id: id(), ...doc }));
+    jest.spyOn(Notification, "countDocuments").mockResolvedValue(1);
+  });
+
+  test("notifies followers when a new book gets its authors", async () => {
+    const book = { _id: id(), title: "The Odyssey", authors: ["Homer"] };
+
+    const added = await linkBookAuthors(book, { notify: true });
+
+    expect(added).toEqual([homer]);
+    expect(Book.updateOne).toHaveBeenCalledWith(
+      { _id: book._id },
+      { $set: { authorIds: [homer._id] } }
+    );
+    expect(Notification.create).toHaveBeenCalledTimes(2);
+    expect(Notification.create.mock.calls[0][0]).toMatchObject({
+      type: "new_book",
+      targetType: "book",
+      message: "New from Homer: The Odyssey",
+    });
+  });
+
+  test("does nothing for books that are already linked", async () => {
+    const book = {
+      _id: id(),
+      title: "The Iliad",
+      authors: ["Homer"],
+      authorIds: [homer._id],
+    };
+
+    expect(await linkBookAuthors(book, { notify: true })).toEqual([]);
+    expect(Book.updateOne).not.toHaveBeenCalled();
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("authorPage", () => {
+  test("ratings leave out suspended and deleted reviews", async () => {
+    const author = { _id: id(), name: "Homer" };
+    const book = { _id: id(), title: "The Iliad" };
+    jest.spyOn(Author, "findById").mockReturnValue({
+      select: () => ({ lean: async () => author }),
+    });
+    jest.spyOn(Book, "find").mockReturnValue(chain([book]));
+    const ratings = jest
+      .spyOn(Review, "aggregate")
+      .mockResolvedValue([{ _id: book._id, sum: 9, count: 2 }]);
+    jest.spyOn(Reading, "aggregate").mockResolvedValue([]);
+
+    const page = await authorPage(String(author._id));
+
+    expect(page.rating).toEqual({ average: 4.5, count: 2 });
+    expect(ratings.mock.calls[0][0][0].$match).toMatchObject({
+      suspended: { $ne: true },
+      isDeleted: { $ne: true },
+    });
+  });
+});
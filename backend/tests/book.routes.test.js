@@ -0,0 +1,160 @@
+// backend/tests/book.routes.test.js
+// Exercises the book routes against the fake metadata provider: no network,
+// and model calls are stubbed so no database is needed either.
+import { jest } from "@jest/globals";
+import express from "express";
+import mongoose from "mongoose";
+import request from "supertest";
+import Book from "../src/models/Book.js";
+import Edition from "../src/models/Edition.js";
+import Review from "../src/models/Review.js";
+import Series from "../src/models/Series.js";
+import BookTag from "../src/models/BookTag.js";
+import BookTagVote from "../src/models/BookTagVote.js";
+import Author from "../src/models/Author.js";
+import AuthorFollow from "../src/models/AuthorFollow.js";
+import bookRoutes from "../src/routes/book.routes.js";
+import {
+  setMetadataProviders,
+  resetMetadataProviders,
+} from "../src/services/metadata.service.js";
+import { createFakeProvider } from "../src/services/metadata/fake.provider.js";
+
+const app = express();
+app.use(express.json());
+app.use("/api/books", bookRoutes);
+
+let provider;
+
+beforeEach(() => {
+  provider = createFakeProvider({
+    works: [
+      { externalId: "/works/OL61982W", title: "The Odyssey", authors: ["Homer"] },
+    ],
+    editions: [
+      {
+        externalId: "/books/OL7353617M",
+        work: "/works/OL61982W",
+        isbn13: "9780140449136",
+        publisher: "Penguin Classics",
+      },
+    ],
+  });
+  setMetadataProviders([provider]);
+
+  jest.spyOn(Edition, "findOne").mockResolvedValue(null);
+  jest.spyOn(Book, "findOne").mockResolvedValue(null);
+  jest.spyOn(Book, "updateOne").mockResolvedValue({});
+  jest
+    .spyOn(Book, "create")
+    .mockImplementation(async (doc) => ({ _id: "b1", ...doc }));
+  jest
+    .spyOn(Edition, "create")
+    .mockImplementation(async (doc) => ({ _id: "e1", ...doc }));
+  jest.spyOn(Author, "findOne").mockResolvedValue(null);
+  jest.spyOn(Author, "updateMany").mockResolvedValue({});
+  jest
+    .spyOn(Author, "create")
+    .mockImplementation(async (doc) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...doc,
+    }));
+  jest.spyOn(AuthorFollow, "find").mockReturnValue({
+    select: () => ({ lean: async () => [] }),
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  resetMetadataProviders();
+});
+
+describe("GET /api/books/isbn/:isbn", () => {
+  test("resolves an ISBN-10 through the provider and stores work + edition", async () => {
+    const res = await request(app).get("/api/books/isbn/0-14-044913-2");
+
+    expect(res.status).toBe(200);
+    expect(res.body.source).toBe("remote");
+    expect(res.body.isbn).toEqual({
+      isbn10: "0140449132",
+      isbn13: "9780140449136",
+    });
+    expect(res.body.book).toMatchObject({
+      externalId: "/works/OL61982W",
+      title: "The Odyssey",
+    });
+    expect(res.body.edition).toMatchObject({
+      work: "b1",
+      publisher: "Penguin Classics",
+    });
+    expect(provider.calls[0]).toEqual({
+      method: "getByIsbn",
+      args: ["9780140449136"],
+    });
+    // the new work is linked to its author
+    expect(Author.create).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "Homer", nameKeys: ["homer"] })
+    );
+  });
+
+  test("rejects a bad checksum", async () => {
+    const res = await request(app).get("/api/books/isbn/9780140449137");
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INVALID_ISBN");
+    expect(provider.calls).toHaveLength(0);
+  });
+
+  test("404s when no provider knows the ISBN", async () => {
+    const res = await request(app).get("/api/books/isbn/9780306406157");
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("BOOK_NOT_FOUND");
+  });
+});
+
+describe("GET /api/books/:externalId/detail", () => {
+  test("answers signed-out callers without their own state", async () => {
+    const book = Book.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      externalId: "/works/OL61982W",
+      title: "The Odyssey",
+      statsUpdatedAt: new Date(),
+    });
+    Book.findOne.mockResolvedValue(book);
+    jest.spyOn(Series, "find").mockReturnValue({
+      select: () => ({ lean: async () => [] }),
+    });
+    jest.spyOn(Review, "aggregate").mockResolvedValue([]);
+
+    const res = await request(app).get("/api/books/OL61982W/detail");
+
+    expect(res.status).toBe(200);
+    expect(res.body.book.title).toBe("The Odyssey");
+    expect(res.body.me).toBe(null);
+  });
+});
+
+describe("GET /api/books/:bookId/tags", () => {
+  test("lists tags for signed-out callers, none marked as voted", async () => {
+    jest.spyOn(Book, "findById").mockReturnValue({
+      select: () => ({ lean: async () => ({ genres: [] }) }),
+    });
+    jest.spyOn(BookTag, "find").mockReturnValue({
+      sort: () => ({
+        lean: async () => [
+          { kind: "tag", slug: "epic", label: "epic", votesCount: 2 },
+        ],
+      }),
+    });
+    const votes = jest.spyOn(BookTagVote, "find");
+
+    const res = await request(app).get(
+      `/api/books/${new mongoose.Types.ObjectId()}/tags`
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.tags).toEqual([
+      { slug: "epic", label: "epic", votes: 2, voted: false },
+    ]);
+    expect(votes).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+// backend/tests/bookDuplicates.test.js
+import { jest } from "@jest/globals";
+import { id } from "./helpers/mocks.js";
+import Book from "../src/models/Book.js";
+import Edition from "../src/models/Edition.js";
+import {
+  titleAuthorKey,
+  duplicateKeys,
+  findDuplicateGroups,
+} from "../src/services/bookDuplicates.service.js";
+import { normalizeTitle, normalizeAuthor } from "../src/utils/names.js";
+
+// Model.find().select().lean().cursor() over a fixed list
+function stubFind(Model, docs) {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    cursor: async function* () {
+      yield* docs;
+    },
+  };
+  return jest.spyOn(Model, "find").mockReturnValue(chain);
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("duplicate keys", () => {
+  test("normalizes titles and author names", () => {
+    expect(normalizeTitle("The Hobbit; or, There & Back Again")).toBe(
+      "hobbit or there and back again"
+    );
+    expect(normalizeTitle("Untitled")).toBe("");
+    expect(normalizeAuthor("Tolkien, J.R.R.")).toBe(
+      normalizeAuthor("J. R. R. Tolkien")
+    );
+    expect(normalizeAuthor("Gabriel García Márquez")).toBe(
+      "gabriel garcia marquez"
+    );
+  });
+
+  test("needs both a title and an author for the title key", () => {
+    expect(titleAuthorKey({ title: "Dune", authors: [] })).toBeNull();
+    expect(titleAuthorKey({ title: "Dune", authors: ["Frank Herbert"] })).toBe(
+      "dune|frank herbert"
+    );
+  });
+
+  test("keeps names and titles in any script", () => {
+    expect(normalizeAuthor("Толстой, Лев")).toBe("лев толстои");
+    expect(titleAuthorKey({ title: "三体", authors: ["刘慈欣"] })).toBe(
+      "三体|刘慈欣"
+    );
+  });
+
+  test("collects id, isbn and title keys", () => {
+    expect(
+      duplicateKeys({ externalId: "9780441013593", title: "Untitled" })
+    ).toEqual(["id:9780441013593", "isbn:9780441013593"]);
+    expect(
+      duplicateKeys(
+        { externalId: "OL893415W", title: "Dune", authors: ["Frank Herbert"] },
+        ["9780441013593"]
+      )
+    ).toEqual([
+      "id:/works/OL893415W",
+      "isbn:9780441013593",
+      "title:dune|frank herbert",
+    ]);
+  });
+});
+
+describe("findDuplicateGroups", () => {
+  test("groups books transitively and suggests the canonical work", async () => {
+    const work = {
+      _id: id(),
+      externalId: "/works/OL893415W",
+      title: "Dune",
+      authors: ["Frank Herbert"],
+      editionsCount: 2,
+      createdAt: new Date("2024-03-01"),
+    };
+    const bareId = {
+      _id: id(),
+      externalId: "OL893415W",
+      title: "Untitled",
+      authors: [],
+      createdAt: new Date("2024-01-01"),
+    };
+    const byIsbn = {
+      _id: id(),
+      externalId: "9780441013593",
+      title: "Untitled",
+      authors: [],
+      createdAt: new Date("2024-02-01"),
+    };
+    const retitled = {
+      _id: id(),
+      externalId: "/works/OL999W",
+      title: "DUNE",
+      authors: ["Herbert, Frank"],
+      createdAt: new Date("2023-12-01"),
+    };
+    const unrelated = {
+      _id: id(),
+      externalId: "/works/OL1W",
+      title: "Emma",
+      authors: ["Jane Austen"],
+    };
+
+    stubFind(Edition, [{ work: work._id, isbn13: "9780441013593" }]);
+    stubFind(Book, [work, bareId, byIsbn, retitled, unrelated]);
+
+    const groups = await findDuplicateGroups();
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].books.map((b) => b.externalId).sort()).toEqual(
+      [work, bareId, byIsbn, retitled].map((b) => b.externalId).sort()
+    );
+    expect(groups[0].reasons.sort()).toEqual([
+      "external_id",
+      "isbn",
+      "title_author",
+    ]);
+    expect(groups[0].suggestedTargetId).toBe(work._id);
+  });
+});
@@ -0,0 +1,264 @@
+// backend/tests/bookMerge.service.test.js
+import { jest } from "@jest/globals";
+import { id } from "./helpers/mocks.js";
+
+// stats, tag and search index refreshes are checked by call only
+const refreshBookStats = jest.fn();
+const recountBookTags = jest.fn();
+const unindexBook = jest.fn();
+const syncSearchIndex = jest.fn();
+const bookStats = await import("../src/services/bookStats.service.js");
+const bookTag = await import("../src/services/bookTag.service.js");
+const searchIndex = await import("../src/services/searchIndex.service.js");
+await jest.unstable_mockModule("../src/services/bookStats.service.js", () => ({
+  ...bookStats,
+  refreshBookStats,
+}));
+await jest.unstable_mockModule("../src/services/bookTag.service.js", () => ({
+  ...bookTag,
+  recountBookTags,
+}));
+await jest.unstable_mockModule(
+  "../src/services/searchIndex.service.js",
+  () => ({
+    ...searchIndex,
+    unindexBook,
+    syncSearchIndex,
+  })
+);
+
+const models = {};
+for (const name of [
+  "Book",
+  "Edition",
+  "Reading",
+  "Note",
+  "Review",
+  "Favorite",
+  "ShelfItem",
+  "UserBookInteraction",
+  "Comment",
+  "Like",
+  "Activity",
+  "BookClub",
+  "BookClubDiscussion",
+  "Recommendation",
+  "Author",
+  "Series",
+  "BookTag",
+  "BookTagVote",
+  "BookRevision",
+]) {
+  models[name] = (await import(`../src/models/${name}.js`)).default;
+}
+const { mergeBooks } = await import("../src/services/bookMerge.service.js");
+
+const same = (a, b) => String(a) === String(b);
+
+// just enough of a query matcher for what mergeBooks asks
+function matches(doc, filter) {
+  return Object.entries(filter).every(([k, v]) =>
+    v && typeof v === "object" && "$in" in v
+      ? v.$in.some((x) => same(x, doc[k]))
+      : same(doc[k], v)
+  );
+}
+
+function apply(doc, update) {
+  for (const [k, v] of Object.entries(update)) {
+    if (k === "$inc") {
+      for (const [f, n] of Object.entries(v)) doc[f] = (doc[f] || 0) + n;
+    } else if (k === "$set") Object.assign(doc, v);
+    else doc[k] = v;
+  }
+}
+
+// an in-memory collection behind the model's query methods
+function collection(Model, docs = []) {
+  const query = (result) => ({ lean: async () => result() });
+  jest
+    .spyOn(Model, "find")
+    .mockImplementation((f) => query(() => docs.filter((d) => matches(d, f))));
+  jest
+    .spyOn(Model, "findOne")
+    .mockImplementation((f) =>
+      query(() => docs.find((d) => matches(d, f)) || null)
+    );
+  jest.spyOn(Model, "deleteOne").mockImplementation(async (f) => {
+    const i = docs.findIndex((d) => matches(d, f));
+    if (i >= 0) docs.splice(i, 1);
+  });
+  jest.spyOn(Model, "deleteMany").mockImplementation(async (f) => {
+    for (const d of docs.filter((d) => matches(d, f))) {
+      docs.splice(docs.indexOf(d), 1);
+    }
+  });
+  jest.spyOn(Model, "updateOne").mockImplementation(async (f, u) => {
+    const doc = docs.find((d) => matches(d, f));
+    if (doc) apply(doc, u);
+  });
+  jest.spyOn(Model, "updateMany").mockImplementation(async (f, u) => {
+    const hit = docs.filter((d) => matches(d, f));
+    for (const d of hit) apply(d, u);
+    return { modifiedCount: hit.length };
+  });
+  jest.spyOn(Model, "countDocuments").mockResolvedValue(0);
+  return docs;
+}
+
+function stubBooks(source, target) {
+  const books = { [source._id]: source, [target._id]: target };
+  jest.spyOn(models.Book, "findById").mockImplementation((bookId) => {
+    const book = books[bookId];
+    return {
+      then: (ok, fail) => Promise.resolve(book).then(ok, fail),
+      select: () => ({ lean: async () => book?.toObject() }),
+    };
+  });
+  const update = jest.spyOn(models.Book, "updateOne").mockResolvedValue({});
+  jest.spyOn(models.Book, "deleteOne").mockResolvedValue({});
+  return update;
+}
+
+function setup({ source = {}, target = {} } = {}) {
+  const { Book, ...rest } = models;
+  const db = {};
+  for (const [name, Model] of Object.entries(rest)) {
+    db[name] = collection(Model);
+  }
+  const books = {
+    source: new Book({ externalId: "/works/OL2W", title: "Dune", ...source }),
+    target: new Book({ externalId: "/works/OL1W", title: "Dune", ...target }),
+  };
+  const bookUpdate = stubBooks(books.source, books.target);
+  return { db, ...books, bookUpdate };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe("mergeBooks", () => {
+  test("the newer review wins and takes the discussion along", async () => {
+    const { db, source, target } = setup();
+    const [user, fan, both] = [id(), id(), id()];
+    const older = {
+      _id: id(),
+      user,
+      book: target._id,
+      updatedAt: new Date("2024-01-01"),
+      commentsCount: 0,
+    };
+    const newer = {
+      _id: id(),
+      user,
+      book: source._id,
+      updatedAt: new Date("2024-06-01"),
+      commentsCount: 1,
+    };
+    db.Review.push(older, newer);
+    db.Comment.push({ _id: id(), targetType: "review", targetId: older._id });
+    db.Like.push(
+      { _id: id(), targetType: "review", targetId: older._id, user: fan },
+      { _id: id(), targetType: "review", targetId: older._id, user: both },
+      { _id: id(), targetType: "review", targetId: newer._id, user: both }
+    );
+
+    const summary = await mergeBooks(source._id, target._id);
+
+    expect(summary.reviews).toEqual({ moved: 1, dropped: 1 });
+    expect(db.Review).toEqual([
+      expect.objectContaining({
+        _id: newer._id,
+        book: target._id,
+        externalId: target.externalId,
+        commentsCount: 2,
+      }),
+    ]);
+    expect(db.Comment[0].targetId).toBe(newer._id);
+    // one like per user: the double one goes, the other moves
+    expect(db.Like.map((l) => [String(l.user), l.targetId])).toEqual(
+      expect.arrayContaining([
+        [String(fan), newer._id],
+        [String(both), newer._id],
+      ])
+    );
+    expect(db.Like).toHaveLength(2);
+  });
+
+  test("the reading entry further along wins", async () => {
+    const { db, source, target } = setup();
+    const [ahead, behind] = [id(), id()];
+    db.Reading.push(
+      { _id: id(), user: ahead, book: target._id, status: "reading" },
+      { _id: id(), user: ahead, book: source._id, status: "finished" },
+      { _id: id(), user: behind, book: target._id, status: "finished" },
+      { _id: id(), user: behind, book: source._id, status: "to-read" }
+    );
+    const editionId = id();
+
+    const summary = await mergeBooks(source._id, target._id, { editionId });
+
+    expect(summary.readings).toEqual({ moved: 1, dropped: 2 });
+    expect(
+      db.Reading.map((r) => [String(r.user), r.status, String(r.book)])
+    ).toEqual([
+      [String(ahead), "finished", String(target._id)],
+      [String(behind), "finished", String(target._id)],
+    ]);
+    expect(db.Reading[0].edition).toBe(editionId);
+    expect(db.Reading[1].edition).toBeUndefined();
+  });
+
+  test("tags and votes move over once and are recounted", async () => {
+    const { db, source, target } = setup();
+    const [user, other] = [id(), id()];
+    db.BookTag.push(
+      { _id: id(), book: target._id, kind: "tag", slug: "space" },
+      { _id: id(), book: source._id, kind: "tag", slug: "space" },
+      { _id: id(), book: source._id, kind: "mood", slug: "dark" }
+    );
+    db.BookTagVote.push(
+      { _id: id(), user, book: target._id, kind: "tag", slug: "space" },
+      { _id: id(), user, book: source._id, kind: "tag", slug: "space" },
+      { _id: id(), user: other, book: source._id, kind: "tag", slug: "space" }
+    );
+
+    const summary = await mergeBooks(source._id, target._id);
+
+    expect(summary.tags).toEqual({ moved: 1, dropped: 1 });
+    expect(summary.tagVotes).toEqual({ moved: 1, dropped: 1 });
+    expect(db.BookTag.every((t) => same(t.book, target._id))).toBe(true);
+    expect(db.BookTagVote.every((v) => same(v.book, target._id))).toBe(true);
+    expect(recountBookTags).toHaveBeenCalledWith(target._id);
+    expect(refreshBookStats).toHaveBeenCalledWith(target._id);
+  });
+
+  test("the source stops counting for all of its authors", async () => {
+    const [shared, own] = [id(), id()];
+    const { db, source, target } = setup({
+      source: { authors: ["A", "B"], authorIds: [shared, own] },
+      target: { authors: ["A"], authorIds: [shared] },
+    });
+    db.Author.push({ _id: shared, booksCount: 2 }, { _id: own, booksCount: 1 });
+
+    await mergeBooks(source._id, target._id);
+
+    expect(db.Author.map((a) => a.booksCount)).toEqual([1, 0]);
+  });
+
+  test("authors carried over to the target keep their count", async () => {
+    const author = id();
+    const { db, source, target, bookUpdate } = setup({
+      source: { authors: ["A"], authorIds: [author] },
+    });
+    db.Author.push({ _id: author, booksCount: 1 });
+
+    await mergeBooks(source._id, target._id);
+
+    expect(db.Author[0].booksCount).toBe(1);
+    const { $set } = bookUpdate.mock.calls[0][1];
+    expect($set.authorIds.map(String)).toEqual([String(author)]);
+  });
+});
@@ -0,0 +1,74 @@
+// backend/tests/bookMetadata.test.js
+import {
+  mergeMetadata,
+  fieldSourcesFor,
+  missingFields,
+  staleBooksFilter,
+} from "../src/services/bookMetadata.service.js";
+
+const remote = {
+  title: "The Odyssey",
+  authors: ["Homer"],
+  cover: "https://covers.example/odyssey.jpg",
+  description: null,
+  raw: { openlibrary: {} },
+};
+
+describe("book metadata merge", () => {
+  test("provider data replaces client data but never admin edits", () => {
+    const book = {
+      title: "odyssey",
+      authors: [],
+      cover: "https://admin.example/cover.jpg",
+      description: "Curated blurb",
+      fieldSources: new Map([
+        ["title", "client"],
+        ["cover", "admin"],
+        ["description", "client"],
+      ]),
+    };
+
+    const { $set, fields } = mergeMetadata(book, remote, "openlibrary");
+
+    expect(fields).toEqual(["title", "authors"]);
+    expect($set).toMatchObject({
+      title: "The Odyssey",
+      authors: ["Homer"],
+      "fieldSources.title": "openlibrary",
+      "fieldSources.authors": "openlibrary",
+    });
+    // admin cover kept, empty remote description does not clear the blurb
+    expect($set.cover).toBeUndefined();
+    expect($set.description).toBeUndefined();
+  });
+
+  test("unchanged values from the same provider are not rewritten", () => {
+    const book = {
+      ...remote,
+      fieldSources: {
+        title: "openlibrary",
+        authors: "openlibrary",
+        cover: "openlibrary",
+      },
+    };
+    expect(mergeMetadata(book, remote, "openlibrary").fields).toEqual([]);
+  });
+
+  test("tracks provenance and missing fields for new books", () => {
+    expect(
+      fieldSourcesFor({ title: "Dune", authors: [], cover: null }, "client")
+    ).toEqual({ title: "client" });
+    expect(missingFields({ title: "Untitled", authors: ["Homer"] })).toEqual([
+      "title",
+      "cover",
+      "description",
+    ]);
+  });
+
+  test("stale filter skips books checked recently", () => {
+    const now = new Date("2025-06-01T00:00:00Z");
+    const filter = staleBooksFilter(now);
+    const recheck = filter.$and[0].$or[1].metadataCheckedAt.$lte;
+    expect(recheck).toEqual(new Date("2025-05-31T00:00:00Z"));
+  });
+});
@@ -0,0 +1,221 @@
+// backend/tests/bookRevision.service.test.js
+import { jest } from "@jest/globals";
+import { id } from "./helpers/mocks.js";
+import Book from "../src/models/Book.js";
+import BookRevision from "../src/models/BookRevision.js";
+import {
+  validateChanges,
+  suggestEdit,
+  approveRevision,
+  conflictsOf,
+  restoreValues,
+  restoreSources,
+  rollbackBook,
+  MAX_PENDING_PER_USER,
+} from "../src/services/bookRevision.service.js";
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("validateChanges", () => {
+  test("keeps metadata fields only, cleaned", () => {
+    expect(
+      validateChanges({
+        title: "  Piranesi ",
+        authors: ["Susanna Clarke", " ", "Susanna Clarke"],
+        description: null,
+        source: "openlibrary",
+      })
+    ).toEqual({
+      title: "Piranesi",
+      authors: ["Susanna Clarke"],
+      description: null,
+    });
+  });
+
+  test("rejects unusable values with 400", () => {
+    expect(() => validateChanges({}, { requireTitle: true })).toThrow(/title/);
+    expect(() => validateChanges({ authors: "Clarke" })).toThrow(/authors/);
+    expect(() => validateChanges({ cover: "javascript:alert(1)" })).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+  });
+});
+
+describe("history helpers", () => {
+  test("conflicts are fields changed since the suggestion", () => {
+    const revision = { base: { title: "Old", cover: null } };
+    expect(conflictsOf(revision, { title: "Old", cover: null })).toEqual([]);
+    expect(conflictsOf(revision, { title: "Newer", cover: null })).toEqual([
+      "title",
+    ]);
+  });
+
+  test("rollback restores each field to its value before the first change", () => {
+    expect(
+      restoreValues([
+        { before: { title: "A" } },
+        { before: { title: "B", cover: "c1" } },
+        { before: { raw: {} } },
+      ])
+    ).toEqual({ title: "A", cover: "c1" });
+  });
+
+  test("rollback restores each field's source, inferred for older revisions", () => {
+    const revisions = [
+      { before: { title: "A" }, beforeSources: { title: null } },
+      { kind: "edit", before: { cover: "c1", description: "d" } },
+    ];
+    const earlier = [
+      { kind: "refresh", source: "openlibrary", changes: { cover: "c1" } },
+      { kind: "edit", source: "user", changes: { description: "d" } },
+    ];
+    expect(restoreSources(revisions, earlier)).toEqual({
+      title: null,
+      cover: "openlibrary",
+      description: "admin",
+    });
+    expect(restoreSources([{ before: { cover: null } }])).toEqual({
+      cover: null,
+    });
+  });
+});
+
+describe("suggestEdit", () => {
+  const book = { _id: id(), title: "Piranesi", authors: ["S. Clarke"] };
+
+  function stubBook() {
+    jest
+      .spyOn(Book, "findById")
+      .mockReturnValue({ lean: async () => ({ ...book }) });
+  }
+
+  test("stores only the fields that change, with their current values", async () => {
+    stubBook();
+    jest.spyOn(BookRevision, "countDocuments").mockResolvedValue(0);
+    const create = jest
+      .spyOn(BookRevision, "create")
+      .mockImplementation(async (doc) => doc);
+
+    const revision = await suggestEdit(id(), String(book._id), {
+      changes: { title: "Piranesi", authors: ["Susanna Clarke"] },
+    });
+
+    expect(create).toHaveBeenCalled();
+    expect(revision.status).toBe("pending");
+    expect(revision.changes).toEqual({ authors: ["Susanna Clarke"] });
+    expect(revision.base).toEqual({ authors: ["S. Clarke"] });
+  });
+
+  test("refuses no-op suggestions and too many pending ones", async () => {
+    stubBook();
+    jest
+      .spyOn(BookRevision, "countDocuments")
+      .mockResolvedValue(MAX_PENDING_PER_USER);
+
+    await expect(
+      suggestEdit(id(), String(book._id), { changes: { title: "Piranesi" } })
+    ).rejects.toMatchObject({ status: 400 });
+    await expect(
+      suggestEdit(id(), String(book._id), { changes: { title: "Other" } })
+    ).rejects.toMatchObject({ status: 429 });
+  });
+});
+
+describe("approveRevision", () => {
+  test("reports conflicts instead of overwriting newer data", async () => {
+    const revision = {
+      _id: id(),
+      book: id(),
+      status: "pending",
+      changes: { title: "Suggested" },
+      base: { title: "Original" },
+    };
+    jest.spyOn(BookRevision, "findById").mockResolvedValue(revision);
+    jest.spyOn(Book, "findById").mockResolvedValue({ title: "Edited since" });
+    const claim = jest.spyOn(BookRevision, "findOneAndUpdate");
+
+    await expect(approveRevision(revision._id, id())).rejects.toMatchObject({
+      status: 409,
+      conflicts: ["title"],
+    });
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  test("already reviewed suggestions cannot be approved", async () => {
+    jest
+      .spyOn(BookRevision, "findById")
+      .mockResolvedValue({ _id: id(), status: "rejected" });
+
+    await expect(approveRevision(String(id()), id())).rejects.toMatchObject({
+      status: 409,
+    });
+  });
+});
+
+describe("rollbackBook", () => {
+  const chain = (docs) => ({ sort: () => ({ lean: async () => docs }) });
+
+  test("puts back each field's value together with its source", async () => {
+    const book = {
+      _id: id(),
+      title: "Edited",
+      cover: "c2",
+      fieldSources: { title: "admin", cover: "admin" },
+    };
+    // rollbackBook reads the book lean; adminEditBook awaits the document;
+    // the search index finds nothing to index
+    jest.spyOn(Book, "findById").mockImplementation(() =>
+      Object.assign(Promise.resolve(book), {
+        lean: async () => book,
+        select: () => ({ lean: async () => null }),
+      })
+    );
+    const update = jest
+      .spyOn(Book, "findByIdAndUpdate")
+      .mockResolvedValue({ ...book, title: "Original" });
+    const target = {
+      _id: id(),
+      kind: "refresh",
+      source: "googlebooks",
+      appliedAt: new Date(1000),
+      before: { title: "Original" },
+      beforeSources: { title: "openlibrary" },
+    };
+    jest
+      .spyOn(BookRevision, "findOne")
+      .mockReturnValue({ lean: async () => target });
+    jest.spyOn(BookRevision, "find").mockReturnValue(
+      chain([
+        target,
+        {
+          kind: "edit",
+          appliedAt: new Date(2000),
+          before: { cover: null },
+          beforeSources: { cover: null },
+        },
+      ])
+    );
+    const create = jest
+      .spyOn(BookRevision, "create")
+      .mockImplementation(async (doc) => doc);
+
+    const { revision } = await rollbackBook(
+      String(book._id),
+      String(target._id),
+      id()
+    );
+
+    expect(update.mock.calls[0][1]).toEqual({
+      $set: {
+        title: "Original",
+        "fieldSources.title": "openlibrary",
+        cover: null,
+        metadataFetchedAt: null,
+        metadataCheckedAt: null,
+      },
+      $unset: { "fieldSources.cover": 1 },
+    });
+    expect(create).toHaveBeenCalled();
+    expect(revision.beforeSources).toEqual({ title: "admin", cover: "admin" });
+  });
+});
@@ -0,0 +1,452 @@
+// backend/tests/bookSearch.service.test.js
+import { jest } from "@jest/globals";
+import { id, chain } from "./helpers/mocks.js";
+
+// provider search is stubbed; the rest of the module stays real
+const metadata = await import("../src/services/metadata.service.js");
+const searchMetadata = jest.fn();
+await jest.unstable_mockModule("../src/services/metadata.service.js", () => ({
+  ...metadata,
+  searchMetadata,
+}));
+
+const { default: Book } = await import("../src/models/Book.js");
+const { default: SearchTerm } = await import("../src/models/SearchTerm.js");
+const { tokenize, searchFieldsFor, yearOf, filterFieldsFor } =
+  await import("../src/services/searchIndex.service.js");
+const { foldText } = await import("../src/utils/names.js");
+const {
+  editDistance,
+  queryTokens,
+  expandToken,
+  scoreFields,
+  titleBonus,
+  providerSearch,
+  rankProviderDocs,
+  allOf,
+  facetView,
+  facetCounts,
+  searchCatalog,
+  MAX_RESULTS,
+} = await import("../src/services/bookSearch.service.js");
+
+function localBook(fields) {
+  const book = {
+    _id: id(),
+    externalId: `/works/${fields.title}`,
+    authors: [],
+    ratingsCount: 0,
+    ...fields,
+  };
+  book.searchFields = searchFieldsFor(book);
+  return book;
+}
+
+// index terms known to SearchTerm, each in one book
+function stubTerms(terms) {
+  jest.spyOn(SearchTerm, "find").mockImplementation((query) => {
+    let rows = [];
+    if (query.term && query.term.$in) {
+      rows = terms.filter((t) => query.term.$in.includes(t));
+    } else if (query.term && query.term.$gt !== undefined) {
+      rows = terms.filter((t) => t > query.term.$gt && t < query.term.$lt);
+    } else if (query.len) {
+      rows = terms.filter(
+        (t) =>
+          t.length >= query.len.$gte &&
+          t.length <= query.len.$lte &&
+          t >= query.term.$gte &&
+          t < query.term.$lt
+      );
+    }
+    return chain(rows.map((term) => ({ term, df: 1 })));
+  });
+}
+
+beforeEach(() => searchMetadata.mockReset());
+afterEach(() => jest.restoreAllMocks());
+
+describe("text folding", () => {
+  test("drops diacritics, case and punctuation", () => {
+    expect(foldText("Gabriel García Márquez's")).toBe(
+      "gabriel garcia marquezs"
+    );
+    expect(foldText("Pride & Prejudice")).toBe("pride and prejudice");
+    expect(tokenize("Cien años de soledad")).toEqual([
+      "cien",
+      "anos",
+      "soledad",
+    ]);
+  });
+
+  test("titles keep their stopwords", () => {
+    const fields = searchFieldsFor({ title: "It", authors: ["Stephen King"] });
+    expect(fields.title).toEqual(["it"]);
+    expect(fields.authors).toEqual(["stephen", "king"]);
+  });
+
+  test("query tokens drop stopwords unless nothing else is left", () => {
+    expect(queryTokens("The Name of the Wind")).toEqual(["name", "wind"]);
+    expect(queryTokens("It")).toEqual(["it"]);
+  });
+});
+
+describe("filter fields", () => {
+  test("reads years from free-form dates", () => {
+    expect(yearOf("March 4, 1954")).toBe(1954);
+    expect(yearOf("c2003")).toBe(2003);
+    expect(yearOf("unknown")).toBe(null);
+    expect(yearOf(1965)).toBe(1965);
+  });
+
+  test("prefers the work's first publish date, else the oldest edition", () => {
+    const editions = [
+      { publishedDate: "1999", language: "ENG", pageCount: 412 },
+      { publishedDate: "1965", language: "fre", pageCount: 380 },
+      { publishedDate: null, language: "eng", pageCount: 0 },
+      { publishedDate: "2001", language: null, pageCount: 500 },
+    ];
+    expect(filterFieldsFor({}, editions)).toEqual({
+      firstPublishYear: 1965,
+      languages: ["eng", "fre"],
+      pageCount: 412,
+    });
+    expect(
+      filterFieldsFor(
+        { raw: { openlibrary: { first_publish_date: "1954" } } },
+        editions
+      ).firstPublishYear
+    ).toBe(1954);
+    expect(filterFieldsFor({}, [])).toEqual({
+      firstPublishYear: null,
+      languages: [],
+      pageCount: null,
+    });
+  });
+});
+
+describe("editDistance", () => {
+  test("counts edits, with a swap of neighbours as one", () => {
+    expect(editDistance("tolkien", "tolkien")).toBe(0);
+    expect(editDistance("tolkein", "tolkien")).toBe(1);
+    expect(editDistance("tolken", "tolkien")).toBe(1);
+    expect(editDistance("tlokein", "tolkien")).toBe(2);
+  });
+
+  test("stops past the limit", () => {
+    expect(editDistance("dune", "foundation", 2)).toBe(3);
+    expect(editDistance("abcd", "wxyz", 1)).toBe(2);
+  });
+});
+
+describe("expandToken", () => {
+  test("adds prefix and typo matches with lower weights", async () => {
+    stubTerms(["tolkien", "tolkiens", "token", "tolstoy"]);
+
+    const prefix = await expandToken("tolk");
+    expect(prefix.get("tolk")).toBe(1);
+    expect(prefix.get("tolkien")).toBe(0.8);
+    expect(prefix.has("tolstoy")).toBe(false);
+
+    const typo = await expandToken("tolkein");
+    expect(typo.get("tolkien")).toBe(0.6);
+    expect(typo.get("tolkiens")).toBe(0.4);
+    expect(typo.has("token")).toBe(false);
+  });
+});
+
+describe("scoring", () => {
+  const idf = new Map();
+  const only = (term) => [new Map([[term, 1]])];
+
+  test("title matches outrank description matches", () => {
+    const inTitle = searchFieldsFor({ title: "Dragon Rider" });
+    const inText = searchFieldsFor({ title: "Rider", description: "a dragon" });
+    expect(scoreFields(inTitle, only("dragon"), idf).score).toBeGreaterThan(
+      scoreFields(inText, only("dragon"), idf).score
+    );
+  });
+
+  test("each query word counts once", () => {
+    const fields = searchFieldsFor({
+      title: "Dune",
+      subjects: ["Dune (Imaginary place)"],
+    });
+    expect(scoreFields(fields, only("dune"), idf)).toEqual({
+      score: 3,
+      matched: 1,
+    });
+  });
+
+  test("whole-title matches get a bonus", () => {
+    expect(titleBonus("The Hobbit", "the hobbit")).toBe(10);
+    expect(
+      titleBonus("The Hobbit, or There and Back Again", "The Hobbit")
+    ).toBe(4);
+    expect(titleBonus("The Hobbit", "hob")).toBe(0);
+  });
+
+  test("provider docs keep only matches", () => {
+    const docs = [
+      { externalId: "/works/a", title: "Unrelated" },
+      { externalId: "/works/b", title: "Dune Messiah" },
+    ];
+    const ranked = rankProviderDocs(docs, "dune", only("dune"), idf);
+    expect(ranked.map((d) => d.externalId)).toEqual(["/works/b"]);
+    expect(ranked[0].score).toBeGreaterThan(0);
+  });
+});
+
+describe("searchCatalog", () => {
+  beforeEach(() => {
+    jest.spyOn(Book, "estimatedDocumentCount").mockResolvedValue(100);
+  });
+
+  test("ranks exact titles above descriptions, typos included", async () => {
+    stubTerms(["hobbit", "tolkien", "adventure"]);
+    const mentions = localBook({
+      title: "A Guide to Middle-earth",
+      description: "Everything about the hobbit",
+      ratingsCount: 500,
+    });
+    const exact = localBook({
+      title: "The Hobbit",
+      authors: ["J.R.R. Tolkien"],
+    });
+    jest.spyOn(Book, "find").mockReturnValue(chain([mentions, exact]));
+
+    const result = await searchCatalog("the hobit", { remote: false });
+
+    expect(result.items.map((i) => i.title)).toEqual([
+      "The Hobbit",
+      "A Guide to Middle-earth",
+    ]);
+    expect(result.items[0].source).toBe("local");
+    expect(result.total).toBe(2);
+    expect(searchMetadata).not.toHaveBeenCalled();
+  });
+
+  test("merges provider results, skipping books already in the catalog", async () => {
+    stubTerms(["dune", "herbert"]);
+    const local = localBook({
+      title: "Dune",
+      authors: ["Frank Herbert"],
+      externalId: "/works/OL1W",
+      mergedIds: ["/works/OLOLDW"],
+    });
+    jest.spyOn(Book, "find").mockReturnValue(chain([local]));
+    searchMetadata.mockResolvedValue([
+      { externalId: "/works/OLOLDW", title: "Dune (old id)", authors: [] },
+      { externalId: "/works/OL9W", title: "Dune", authors: ["Frank Herbert"] },
+      { externalId: "/works/OL2W", title: "Dune Messiah", authors: [] },
+      { externalId: "/works/OL3W", title: "Something else", authors: [] },
+    ]);
+
+    const result = await searchCatalog("dune", { page: 1, limit: 10 });
+
+    expect(searchMetadata).toHaveBeenCalledWith("dune", {
+      limit: 40,
+      offset: 0,
+    });
+    expect(result.items.map((i) => i.externalId)).toEqual([
+      "/works/OL1W",
+      "/works/OL2W",
+    ]);
+    expect(result.total).toBe(2);
+  });
+
+  test("pages are slices of one ordering", async () => {
+    stubTerms(["saga"]);
+    const books = [1, 2, 3, 4, 5].map((n) =>
+      localBook({ title: `Saga ${n}`, ratingsCount: n })
+    );
+    jest.spyOn(Book, "find").mockReturnValue(chain(books));
+
+    const first = await searchCatalog("saga", {
+      page: 1,
+      limit: 2,
+      remote: false,
+    });
+    const second = await searchCatalog("saga", {
+      page: 2,
+      limit: 2,
+      remote: false,
+    });
+
+    const seen = [...first.items, ...second.items].map((i) => i.title);
+    expect(new Set(seen).size).toBe(4);
+    expect(first.hasMore).toBe(true);
+    expect(second.total).toBe(5);
+  });
+
+  test("title matches are candidates before more-rated mentions", async () => {
+    stubTerms(["saga"]);
+    const titled = localBook({ title: "Saga" });
+    const mentions = Array.from({ length: MAX_RESULTS }, (_, n) =>
+      localBook({
+        title: `Book ${n}`,
+        description: "a saga",
+        ratingsCount: 1000,
+      })
+    );
+    const find = jest.spyOn(Book, "find").mockImplementation((query) => {
+      const tier = JSON.stringify(query);
+      if (tier.includes("searchFields.title") && !tier.includes("authors")) {
+        return chain([titled]);
+      }
+      return chain(tier.includes("searchFields") ? [] : mentions);
+    });
+    jest.spyOn(Book, "countDocuments").mockResolvedValue(5000);
+
+    const result = await searchCatalog("saga", { limit: 5, remote: false });
+
+    expect(find).toHaveBeenCalledTimes(3);
+    expect(result.items[0].title).toBe("Saga");
+    expect(result.total).toBe(5000);
+    expect(result.hasMore).toBe(true);
+  });
+
+  test("without q lists filtered books most-rated first", async () => {
+    const find = jest
+      .spyOn(Book, "find")
+      .mockReturnValue(chain([localBook({ title: "Dune", genres: ["sf"] })]));
+    jest.spyOn(Book, "countDocuments").mockResolvedValue(1);
+
+    const result = await searchCatalog("", {
+      filter: { genres: "science-fiction" },
+    });
+
+    expect(find).toHaveBeenCalledWith({ genres: "science-fiction" });
+    expect(result.items[0].title).toBe("Dune");
+    expect(result.hasMore).toBe(false);
+  });
+});
+
+describe("filters and sorting", () => {
+  beforeEach(() => {
+    jest.spyOn(Book, "estimatedDocumentCount").mockResolvedValue(100);
+  });
+
+  test("allOf leaves out empty conditions", () => {
+    expect(allOf([{}, null])).toEqual({});
+    expect(allOf([{ a: 1 }, {}])).toEqual({ a: 1 });
+    expect(allOf([{ a: 1 }, { b: 2 }])).toEqual({ $and: [{ a: 1 }, { b: 2 }] });
+  });
+
+  test("filtered searches stay local and can sort by rating", async () => {
+    stubTerms(["saga"]);
+    const books = [
+      localBook({ title: "Saga", avgRating: 3.1, ratingsCount: 90 }),
+      localBook({ title: "Saga Two", avgRating: 4.6, ratingsCount: 10 }),
+      localBook({ title: "Saga Three", avgRating: 4.6, ratingsCount: 40 }),
+    ];
+    const find = jest.spyOn(Book, "find").mockReturnValue(chain(books));
+
+    const result = await searchCatalog("saga", {
+      filters: { language: { languages: "eng" } },
+      sort: "rating",
+    });
+
+    expect(searchMetadata).not.toHaveBeenCalled();
+    expect(find.mock.calls[0][0].$and[0]).toEqual({ languages: "eng" });
+    expect(result.sort).toBe("rating");
+    expect(result.items.map((i) => i.title)).toEqual([
+      "Saga Three",
+      "Saga Two",
+      "Saga",
+    ]);
+  });
+
+  test("browsing without q sorts by the chosen order", async () => {
+    let sortSpec;
+    const c = chain([]);
+    c.sort = (spec) => {
+      sortSpec = spec;
+      return c;
+    };
+    jest.spyOn(Book, "find").mockReturnValue(c);
+    jest.spyOn(Book, "countDocuments").mockResolvedValue(0);
+
+    const result = await searchCatalog(null, {
+      filters: { year: { firstPublishYear: { $gte: 2000 } } },
+      sort: "newest",
+    });
+    expect(sortSpec).toEqual({
+      firstPublishYear: -1,
+      ratingsCount: -1,
+      _id: 1,
+    });
+
+    const browse = await searchCatalog(null, { filter: { genres: "x" } });
+    expect(browse.sort).toBe("popularity");
+    expect(result.sort).toBe("newest");
+  });
+});
+
+describe("facets", () => {
+  test("each facet counts with every filter but its own", async () => {
+    const aggregate = jest.spyOn(Book, "aggregate").mockResolvedValue([{}]);
+    const filters = {
+      genre: { genres: "fantasy" },
+      language: { languages: "eng" },
+    };
+
+    const facets = await facetCounts({ searchTerms: "dune" }, filters);
+
+    const [match, { $facet }] = aggregate.mock.calls[0][0];
+    expect(match).toEqual({ $match: { searchTerms: "dune" } });
+    expect($facet.genre[0]).toEqual({ $match: { languages: "eng" } });
+    expect($facet.language[0]).toEqual({ $match: { genres: "fantasy" } });
+    expect($facet.author[0]).toEqual({
+      $match: { $and: [{ genres: "fantasy" }, { languages: "eng" }] },
+    });
+    expect(facets.author).toEqual([]);
+    expect(Object.keys(facets)).toEqual([
+      "author",
+      "genre",
+      "subject",
+      "language",
+      "year",
+      "pages",
+      "rating",
+    ]);
+  });
+
+  test("shapes ranges for the sidebar", () => {
+    expect(facetView("year", [{ _id: 1990, count: 3 }])).toEqual([
+      { from: 1990, to: 1999, count: 3 },
+    ]);
+    expect(
+      facetView("pages", [
+        { _id: 150, count: 2 },
+        { _id: 800, count: 1 },
+      ])
+    ).toEqual([
+      { min: 150, max: 299, count: 2 },
+      { min: 800, max: null, count: 1 },
+    ]);
+    expect(facetView("rating", [{ r4: 2, r3: 5, r2: 5, r1: 0 }])).toEqual([
+      { min: 4, count: 2 },
+      { min: 3, count: 5 },
+      { min: 2, count: 5 },
+    ]);
+    expect(facetView("language", [{ _id: "eng", count: 7 }])).toEqual([
+      { value: "eng", count: 7 },
+    ]);
+  });
+});
+
+describe("providerSearch", () => {
+  test("caches answers per query, but not failures", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    searchMetadata.mockRejectedValueOnce(new Error("timeout"));
+    expect(await providerSearch("Le Petit Prince", { limit: 5 })).toEqual([]);
+
+    searchMetadata.mockResolvedValue([{ externalId: "/works/OL5W" }]);
+    await providerSearch("Le Petit Prince", { limit: 5 });
+    const again = await providerSearch("le petit  prince", { limit: 5 });
+
+    expect(again).toEqual([{ externalId: "/works/OL5W" }]);
+    expect(searchMetadata).toHaveBeenCalledTimes(2);
+  });
+});
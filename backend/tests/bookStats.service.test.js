@@ -0,0 +1,103 @@
+// backend/tests/bookStats.service.test.js
+import { jest } from "@jest/globals";
+import { id } from "./helpers/mocks.js";
+import Book from "../src/models/Book.js";
+import Review from "../src/models/Review.js";
+import Reading from "../src/models/Reading.js";
+import {
+  statsFrom,
+  statsView,
+  refreshBookStats,
+  syncBookStats,
+} from "../src/services/bookStats.service.js";
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("statsFrom", () => {
+  test("averages ratings and fills the histogram", () => {
+    const stats = statsFrom(
+      [
+        { _id: 5, count: 3, withText: 2 },
+        { _id: 4, count: 1, withText: 0 },
+        { _id: 3.5, count: 1, withText: 1 },
+        { _id: 1, count: 1, withText: 0 },
+      ],
+      [
+        { _id: "to-read", count: 4 },
+        { _id: "reading", count: 2 },
+        { _id: "finished", count: 7 },
+      ]
+    );
+
+    expect(stats.ratingsCount).toBe(6);
+    expect(stats.avgRating).toBe(3.92); // 23.5 / 6
+    expect(stats.ratingHistogram).toEqual([1, 0, 0, 2, 3]);
+    expect(stats.reviewsCount).toBe(3);
+    expect(stats.readingCounts).toEqual({ toRead: 4, reading: 2, finished: 7 });
+  });
+
+  test("a book without reviews or readers has zero stats", () => {
+    expect(statsFrom()).toEqual({
+      avgRating: 0,
+      ratingsCount: 0,
+      ratingHistogram: [0, 0, 0, 0, 0],
+      reviewsCount: 0,
+      readingCounts: { toRead: 0, reading: 0, finished: 0 },
+    });
+  });
+
+  test("statsView keys the histogram by star", () => {
+    const view = statsView({
+      avgRating: 4.5,
+      ratingsCount: 2,
+      ratingHistogram: [0, 0, 0, 1, 1],
+    });
+    expect(view.ratingHistogram).toEqual({ 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 });
+    expect(view.readingCounts).toEqual({ toRead: 0, reading: 0, finished: 0 });
+  });
+});
+
+describe("refreshing stats", () => {
+  test("stores the recomputed stats on the book", async () => {
+    const bookId = id();
+    jest
+      .spyOn(Review, "aggregate")
+      .mockResolvedValue([{ _id: 4, count: 2, withText: 1 }]);
+    jest
+      .spyOn(Reading, "aggregate")
+      .mockResolvedValue([{ _id: "finished", count: 2 }]);
+    const update = jest.spyOn(Book, "updateOne").mockResolvedValue({});
+
+    const stats = await refreshBookStats(bookId);
+
+    expect(stats.avgRating).toBe(4);
+    expect(update).toHaveBeenCalledWith(
+      { _id: bookId },
+      {
+        $set: expect.objectContaining({
+          avgRating: 4,
+          ratingsCount: 2,
+          readingCounts: { toRead: 0, reading: 0, finished: 2 },
+          statsUpdatedAt: expect.any(Date),
+        }),
+      }
+    );
+  });
+
+  test("syncBookStats refreshes each book once and never throws", async () => {
+    const [a, b] = [id(), id()];
+    jest.spyOn(Review, "aggregate").mockResolvedValue([]);
+    jest.spyOn(Reading, "aggregate").mockResolvedValue([]);
+    const update = jest
+      .spyOn(Book, "updateOne")
+      .mockRejectedValueOnce(new Error("db down"))
+      .mockResolvedValue({});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(
+      syncBookStats([a, b, String(a), null])
+    ).resolves.toBeUndefined();
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,173 @@
+// backend/tests/bookTag.service.test.js
+import { jest } from "@jest/globals";
+import { id } from "./helpers/mocks.js";
+import Book from "../src/models/Book.js";
+import BookTag from "../src/models/BookTag.js";
+import BookTagVote from "../src/models/BookTagVote.js";
+import {
+  tagSlug,
+  parseTag,
+  voteTag,
+  removeUserVotes,
+  recountBookTags,
+  MAX_TAGS_PER_USER,
+} from "../src/services/bookTag.service.js";
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("parseTag", () => {
+  test("slugs free-form tags", () => {
+    expect(tagSlug("Found Family!")).toBe("found-family");
+    expect(tagSlug("Магический реализм")).toBe("магическии-реализм");
+    expect(tagSlug("武侠")).toBe("武侠");
+    expect(parseTag("tag", "  Found   Family ")).toEqual({
+      kind: "tag",
+      slug: "found-family",
+      label: "found family",
+    });
+  });
+
+  test("moods must come from the mood list", () => {
+    expect(parseTag("mood", "Hopeful").slug).toBe("hopeful");
+    expect(() => parseTag("mood", "grumpy")).toThrow(/mood must be one of/);
+  });
+
+  test("rejects unknown kinds and unusable tags with 400", () => {
+    expect(() => parseTag("shelf", "x")).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+    expect(() => parseTag("tag", "!")).toThrow(/characters/);
+    expect(() => parseTag("tag", "x".repeat(41))).toThrow(/characters/);
+  });
+});
+
+describe("voteTag", () => {
+  function stubTagWrites() {
+    const lean = (doc) => ({ lean: async () => doc });
+    jest.spyOn(Book, "exists").mockResolvedValue({ _id: id() });
+    jest.spyOn(Book, "updateOne").mockResolvedValue({});
+    jest
+      .spyOn(BookTag, "findOneAndUpdate")
+      .mockReturnValue(lean({ slug: "found-family", votesCount: 1 }));
+    jest.spyOn(BookTag, "find").mockReturnValue({
+      sort: () => ({ limit: () => lean([]) }),
+    });
+    jest.spyOn(BookTag, "findOne").mockReturnValue(lean({ votesCount: 3 }));
+  }
+
+  test("counts a new vote once and copies the top tags onto the book", async () => {
+    stubTagWrites();
+    jest.spyOn(BookTagVote, "countDocuments").mockResolvedValue(0);
+    jest.spyOn(BookTagVote, "create").mockResolvedValue({});
+
+    const out = await voteTag(id(), String(id()), {
+      kind: "tag",
+      label: "Found family",
+    });
+
+    expect(out.created).toBe(true);
+    expect(BookTag.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: "tag", slug: "found-family" }),
+      expect.objectContaining({ $inc: { votesCount: 1 } }),
+      expect.anything()
+    );
+    expect(Book.updateOne).toHaveBeenCalled();
+  });
+
+  test("a repeated vote does not count again", async () => {
+    stubTagWrites();
+    jest.spyOn(BookTagVote, "countDocuments").mockResolvedValue(1);
+    jest
+      .spyOn(BookTagVote, "create")
+      .mockRejectedValue(Object.assign(new Error("dup"), { code: 11000 }));
+
+    const out = await voteTag(id(), String(id()), {
+      kind: "tag",
+      label: "found family",
+    });
+
+    expect(out).toEqual({ tag: { votesCount: 3 }, created: false });
+    expect(BookTag.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test("caps the tags one user adds to a book", async () => {
+    stubTagWrites();
+    jest
+      .spyOn(BookTagVote, "countDocuments")
+      .mockResolvedValue(MAX_TAGS_PER_USER);
+
+    await expect(
+      voteTag(id(), String(id()), { kind: "tag", label: "one more" })
+    ).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe("removeUserVotes", () => {
+  test("uncounts every vote and refreshes each book once", async () => {
+    const [b1, b2] = [id(), id()];
+    jest.spyOn(BookTagVote, "find").mockReturnValue({
+      select: () => ({
+        lean: async () => [
+          { book: b1, kind: "tag", slug: "found-family" },
+          { book: b1, kind: "mood", slug: "hopeful" },
+          { book: b2, kind: "tag", slug: "heist" },
+        ],
+      }),
+    });
+    const drop = jest
+      .spyOn(BookTagVote, "deleteMany")
+      .mockResolvedValue({ deletedCount: 3 });
+    const dec = jest.spyOn(BookTag, "updateOne").mockResolvedValue({});
+    const empty = jest.spyOn(BookTag, "deleteOne").mockResolvedValue({});
+    jest.spyOn(BookTag, "find").mockReturnValue({
+      sort: () => ({ limit: () => ({ lean: async () => [] }) }),
+    });
+    const refresh = jest.spyOn(Book, "updateOne").mockResolvedValue({});
+    const user = id();
+
+    expect(await removeUserVotes(user)).toBe(3);
+
+    expect(drop).toHaveBeenCalledWith({ user });
+    expect(dec).toHaveBeenCalledWith(
+      { book: b1, kind: "mood", slug: "hopeful" },
+      { $inc: { votesCount: -1 } }
+    );
+    expect(empty).toHaveBeenCalledTimes(3);
+    expect(refresh.mock.calls.map((c) => String(c[0]._id))).toEqual([
+      String(b1),
+      String(b2),
+    ]);
+  });
+});
+
+describe("recountBookTags", () => {
+  test("counts votes moved onto a book and drops unvoted tags", async () => {
+    const book = id();
+    const [kept, stale] = [id(), id()];
+    jest
+      .spyOn(BookTagVote, "aggregate")
+      .mockResolvedValue([{ _id: { kind: "tag", slug: "heist" }, votes: 3 }]);
+    jest
+      .spyOn(BookTag, "find")
+      .mockReturnValueOnce({
+        select: () => ({
+          lean: async () => [
+            { _id: kept, kind: "tag", slug: "heist", votesCount: 2 },
+            { _id: stale, kind: "mood", slug: "tense", votesCount: 1 },
+          ],
+        }),
+      })
+      .mockReturnValue({
+        sort: () => ({ limit: () => ({ lean: async () => [] }) }),
+      });
+    const update = jest.spyOn(BookTag, "updateOne").mockResolvedValue({});
+    const drop = jest.spyOn(BookTag, "deleteOne").mockResolvedValue({});
+    jest.spyOn(Book, "updateOne").mockResolvedValue({});
+
+    await recountBookTags(book);
+
+    expect(update).toHaveBeenCalledWith({ _id: kept }, { votesCount: 3 });
+    expect(drop).toHaveBeenCalledWith({ _id: stale });
+    expect(Book.updateOne).toHaveBeenCalled();
+  });
+});
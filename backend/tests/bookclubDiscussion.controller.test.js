@@ -0,0 +1,56 @@
+// backend/tests/bookclubDiscussion.controller.test.js
+import { jest } from "@jest/globals";
+import { id } from "./helpers/mocks.js";
+
+const { default: User } = await import("../src/models/User.js");
+const { default: BookClub } = await import("../src/models/BookClub.js");
+const { default: BookClubMember } =
+  await import("../src/models/BookClubMember.js");
+const { default: BookClubDiscussion } =
+  await import("../src/models/BookClubDiscussion.js");
+const { createDiscussion } =
+  await import("../src/controllers/bookclubDiscussion.controller.js");
+
+const lean = (doc) => ({ select: () => ({ lean: async () => doc }) });
+
+afterEach(() => jest.restoreAllMocks());
+
+function post(userId, clubId) {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+  };
+  const req = {
+    user: { id: userId },
+    params: { clubId: String(clubId) },
+    body: { title: "Chapter 1", body: "Thoughts?" },
+  };
+  return createDiscussion(req, res, (err) => {
+    throw err;
+  }).then(() => res);
+}
+
+describe("createDiscussion", () => {
+  test("needs the club:discussions:create permission", async () => {
+    const [member, outsider, owner] = [id(), id(), id()];
+    const club = { _id: id(), owner };
+    jest.spyOn(User, "findById").mockReturnValue(lean({ role: "user" }));
+    jest.spyOn(BookClub, "findById").mockImplementation(() => {
+      const q = lean(club);
+      q.then = (ok, fail) => Promise.resolve(club).then(ok, fail);
+      return q;
+    });
+    jest
+      .spyOn(BookClubMember, "findOne")
+      .mockImplementation(({ user }) =>
+        lean(String(user) === String(member) ? { role: "member" } : null)
+      );
+    const create = jest
+      .spyOn(BookClubDiscussion, "create")
+      .mockImplementation(async (doc) => doc);
+
+    expect((await post(member, club._id)).status).toHaveBeenCalledWith(201);
+    expect((await post(outsider, club._id)).status).toHaveBeenCalledWith(403);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
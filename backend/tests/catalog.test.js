@@ -0,0 +1,147 @@
+// backend/tests/catalog.test.js
+import { jest } from "@jest/globals";
+import Book from "../src/models/Book.js";
+import Edition from "../src/models/Edition.js";
+import Author from "../src/models/Author.js";
+import AuthorFollow from "../src/models/AuthorFollow.js";
+import {
+  normalizeExternalId,
+  isEditionKey,
+  resolveIsbn,
+  resolveBook,
+} from "../src/services/catalog.service.js";
+import {
+  editionFormat,
+  editionFromOpenLibrary,
+} from "../src/services/metadata/openLibrary.provider.js";
+import {
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  isbn13To10,
+  parseIsbn,
+} from "../src/utils/isbn.js";
+
+describe("isbn helpers", () => {
+  test("validates checksums", () => {
+    expect(isValidIsbn10("0-14-044913-2")).toBe(true);
+    expect(isValidIsbn10("080442957X")).toBe(true);
+    expect(isValidIsbn10("0140449133")).toBe(false);
+    expect(isValidIsbn13("978-0-14-044913-6")).toBe(true);
+    expect(isValidIsbn13("9780140449137")).toBe(false);
+  });
+
+  test("converts between ISBN-10 and ISBN-13", () => {
+    expect(isbn10To13("0140449132")).toBe("9780140449136");
+    expect(isbn13To10("9780140449136")).toBe("0140449132");
+    expect(isbn13To10("9798886451740")).toBeNull();
+    expect(parseIsbn("080442957x")).toEqual({
+      isbn10: "080442957X",
+      isbn13: "9780804429573",
+    });
+    expect(parseIsbn("12345")).toBeNull();
+  });
+});
+
+describe("catalog ids", () => {
+  test("normalizes work and edition ids", () => {
+    expect(normalizeExternalId("OL82563W")).toBe("/works/OL82563W");
+    expect(normalizeExternalId("books/OL7353617M")).toBe("/books/OL7353617M");
+    expect(normalizeExternalId("  ")).toBeNull();
+    expect(isEditionKey("/books/OL7353617M")).toBe(true);
+    expect(isEditionKey("/works/OL82563W")).toBe(false);
+  });
+
+  test("maps an OpenLibrary edition onto Edition fields", () => {
+    const { workKey, edition } = editionFromOpenLibrary(
+      {
+        title: "The Odyssey",
+        works: [{ key: "/works/OL61982W" }],
+        isbn_10: ["0140449132"],
+        publishers: ["Penguin Classics"],
+        physical_format: "Mass Market Paperback",
+        number_of_pages: 541,
+        languages: [{ key: "/languages/eng" }],
+        publish_date: "2003",
+      },
+      "/books/OL7353617M"
+    );
+
+    expect(workKey).toBe("/works/OL61982W");
+    expect(edition).toMatchObject({
+      externalId: "/books/OL7353617M",
+      isbn10: "0140449132",
+      isbn13: "9780140449136",
+      format: "paperback",
+      publisher: "Penguin Classics",
+      pageCount: 541,
+      language: "eng",
+    });
+    expect(editionFormat("Audio CD")).toBe("audiobook");
+    expect(editionFormat("Board book")).toBe("other");
+  });
+});
+
+describe("resolveIsbn", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test("rejects bad checksums without any lookup", async () => {
+    const find = jest.spyOn(Edition, "findOne");
+    await expect(resolveIsbn("978-0-14-044913-7")).rejects.toMatchObject({
+      status: 400,
+      code: "INVALID_ISBN",
+    });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test("finds a local edition by either ISBN form", async () => {
+    const edition = { _id: "e1", work: "b1", isbn13: "9780140449136" };
+    const find = jest.spyOn(Edition, "findOne").mockResolvedValue(edition);
+    jest.spyOn(Book, "findById").mockResolvedValue({ _id: "b1" });
+
+    const result = await resolveIsbn("0-14-044913-2");
+
+    expect(find).toHaveBeenCalledWith({ isbn13: "9780140449136" });
+    expect(result).toMatchObject({
+      isbn: { isbn10: "0140449132", isbn13: "9780140449136" },
+      book: { _id: "b1" },
+      edition,
+      source: "local",
+    });
+  });
+});
+
+describe("resolveBook", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test("books from client payloads don't notify author followers", async () => {
+    const author = { _id: "a1", name: "Famous Author", externalIds: [] };
+    jest.spyOn(Book, "findOne").mockResolvedValue(null);
+    jest.spyOn(Book, "create").mockImplementation(async (doc) => ({
+      _id: "b1",
+      ...doc,
+    }));
+    jest.spyOn(Book, "updateOne").mockResolvedValue({});
+    jest.spyOn(Author, "findOne").mockResolvedValue(author);
+    jest.spyOn(Author, "updateMany").mockResolvedValue({});
+    const follows = jest.spyOn(AuthorFollow, "find");
+    // search indexing is best-effort
+    jest.spyOn(Book, "findById").mockImplementation(() => {
+      throw new Error("no db");
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const { book } = await resolveBook({
+      externalId: "/works/OL1W",
+      title: "Buy followers now",
+      authors: ["Famous Author"],
+    });
+
+    expect(book.title).toBe("Buy followers now");
+    expect(Book.updateOne).toHaveBeenCalledWith(
+      { _id: "b1" },
+      { $set: { authorIds: ["a1"] } }
+    );
+    expect(follows).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,26 @@
+// backend/tests/cloudinaryAsset.test.js
+import { cloudinaryPublicId } from "../src/utils/cloudinaryAsset.js";
+
+describe("cloudinaryPublicId", () => {
+  test("extracts the public id after the version segment", () => {
+    expect(
+      cloudinaryPublicId(
+        "https://res.cloudinary.com/demo/image/upload/v1712345678/readers_app/avatars/abc123.jpg"
+      )
+    ).toBe("readers_app/avatars/abc123");
+  });
+
+  test("skips transformations", () => {
+    expect(
+      cloudinaryPublicId(
+        "https://res.cloudinary.com/demo/image/upload/w_100,h_100,c_fill/v1/readers_app/avatars/x.png"
+      )
+    ).toBe("readers_app/avatars/x");
+  });
+
+  test("ignores urls that are not Cloudinary uploads", () => {
+    expect(cloudinaryPublicId(null)).toBeNull();
+    expect(cloudinaryPublicId("not a url")).toBeNull();
+    expect(cloudinaryPublicId("https://example.com/upload/v1/a.jpg")).toBeNull();
+  });
+});
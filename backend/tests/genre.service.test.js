@@ -0,0 +1,73 @@
+// backend/tests/genre.service.test.js
+import { jest } from "@jest/globals";
+import Book from "../src/models/Book.js";
+import {
+  resolveGenre,
+  genrePath,
+  genresFromSubjects,
+  genreTree,
+  genreAffinity,
+} from "../src/services/genre.service.js";
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("resolveGenre", () => {
+  test("matches slugs, names and synonyms regardless of case", () => {
+    expect(resolveGenre("Sci-Fi")).toBe("science-fiction");
+    expect(resolveGenre("science fiction")).toBe("science-fiction");
+    expect(resolveGenre("Detective and mystery stories")).toBe("mystery");
+    expect(resolveGenre("epic-fantasy")).toBe("epic-fantasy");
+  });
+
+  test("reads comma-separated provider subjects most specific first", () => {
+    expect(resolveGenre("Fiction, fantasy, epic")).toBe("epic-fantasy");
+    expect(resolveGenre("Fiction, romance, general")).toBe("romance");
+    expect(resolveGenre("Fantasy fiction")).toBe("fantasy");
+  });
+
+  test("unknown subjects resolve to null", () => {
+    expect(resolveGenre("Dragons")).toBeNull();
+    expect(resolveGenre("")).toBeNull();
+  });
+});
+
+describe("genresFromSubjects", () => {
+  test("adds ancestors and normalizes the subjects", () => {
+    const out = genresFromSubjects([
+      "Fiction, fantasy, epic",
+      "Dragons",
+      "DRAGONS!",
+    ]);
+    expect(out.genres).toEqual(["fiction", "fantasy", "epic-fantasy"]);
+    expect(out.subjects).toEqual(["fiction fantasy epic", "dragons"]);
+    expect(genrePath("cozy-mystery")).toEqual([
+      "fiction",
+      "mystery",
+      "cozy-mystery",
+    ]);
+  });
+
+  test("genre tree nests children under their parents", () => {
+    const fiction = genreTree().find((g) => g.slug === "fiction");
+    const fantasy = fiction.children.find((g) => g.slug === "fantasy");
+    expect(fantasy.children.map((g) => g.slug)).toContain("epic-fantasy");
+  });
+});
+
+describe("genreAffinity", () => {
+  test("weighs specific genres above their ancestors", async () => {
+    jest.spyOn(Book, "find").mockReturnValue({
+      select: () => ({
+        lean: async () => [
+          { genres: ["fiction", "fantasy", "epic-fantasy"] },
+          { genres: ["fiction", "fantasy"] },
+        ],
+      }),
+    });
+
+    const affinity = await genreAffinity(["a", "b"]);
+    expect(affinity.get("fiction")).toBe(2);
+    expect(affinity.get("fantasy")).toBe(4);
+    expect(affinity.get("epic-fantasy")).toBe(3);
+  });
+});
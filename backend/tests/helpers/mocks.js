@@ -0,0 +1,28 @@
+// backend/tests/helpers/mocks.js
+// Shared stand-ins for model tests that stub queries instead of using a
+// database.
+import mongoose from "mongoose";
+
+export const id = () => new mongoose.Types.ObjectId();
+
+/**
+ * chain(docs) -> a query mock resolving to docs
+ * Query builders return the chain itself; it can be awaited, exec()'d or
+ * iterated with cursor(), before or after lean().
+ */
+export function chain(docs) {
+  const c = {
+    sort: () => c,
+    skip: () => c,
+    limit: () => c,
+    select: () => c,
+    populate: () => c,
+    lean: () => c,
+    exec: async () => docs,
+    cursor: async function* () {
+      yield* docs;
+    },
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject),
+  };
+  return c;
+}
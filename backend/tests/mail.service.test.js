@@ -0,0 +1,51 @@
+// backend/tests/mail.service.test.js
+import { jest } from "@jest/globals";
+import {
+  sendMail,
+  setMailTransport,
+  getOutbox,
+  clearOutbox,
+} from "../src/services/mail.service.js";
+
+beforeEach(() => {
+  setMailTransport("memory");
+  clearOutbox();
+});
+
+describe("mail service", () => {
+  test("memory transport collects messages in the outbox", async () => {
+    const res = await sendMail({
+      to: "reader@example.com",
+      subject: "Hello",
+      text: "body",
+    });
+
+    expect(res && res.id).toBeTruthy();
+    const out = getOutbox();
+    expect(out).toHaveLength(1);
+    expect(out[0].to).toBe("reader@example.com");
+    expect(out[0].subject).toBe("Hello");
+  });
+
+  test("transport failures are swallowed", async () => {
+    setMailTransport({
+      async send() {
+        throw new Error("smtp down");
+      },
+    });
+    const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const res = await sendMail({ to: "a@b.c", subject: "x", text: "y" });
+
+    expect(res).toBeNull();
+    spy.mockRestore();
+  });
+
+  test("missing recipient is ignored", async () => {
+    const spy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const res = await sendMail({ subject: "x" });
+    expect(res).toBeNull();
+    expect(getOutbox()).toHaveLength(0);
+    spy.mockRestore();
+  });
+});
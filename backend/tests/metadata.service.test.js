@@ -0,0 +1,131 @@
+// backend/tests/metadata.service.test.js
+import { jest } from "@jest/globals";
+import {
+  providerConfig,
+  setMetadataProviders,
+  resetMetadataProviders,
+  metadataProviderStatus,
+  getByIsbn,
+  getWork,
+  searchMetadata,
+} from "../src/services/metadata.service.js";
+import { createFakeProvider } from "../src/services/metadata/fake.provider.js";
+import { createCircuitBreaker } from "../src/services/metadata/circuitBreaker.js";
+
+const ODYSSEY = {
+  externalId: "/works/OL61982W",
+  title: "The Odyssey",
+  authors: ["Homer"],
+};
+const ODYSSEY_PENGUIN = {
+  externalId: "/books/OL7353617M",
+  work: "/works/OL61982W",
+  isbn10: "0140449132",
+  format: "paperback",
+};
+
+let warn;
+beforeEach(() => {
+  warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+afterEach(() => {
+  warn.mockRestore();
+  resetMetadataProviders();
+});
+
+describe("provider config", () => {
+  test("reads order and per-provider timeouts from env", () => {
+    expect(
+      providerConfig({
+        METADATA_PROVIDERS: "local, openlibrary,nope,local",
+        METADATA_TIMEOUT_MS: "2000",
+        METADATA_LOCAL_TIMEOUT_MS: "500",
+      })
+    ).toEqual([
+      { name: "local", timeoutMs: 500 },
+      { name: "openlibrary", timeoutMs: 2000 },
+    ]);
+    expect(providerConfig({})).toEqual([
+      { name: "openlibrary", timeoutMs: 8000 },
+    ]);
+  });
+});
+
+describe("provider chain", () => {
+  test("falls back to the next provider on a miss or an error", async () => {
+    const down = createFakeProvider({ name: "down" });
+    down.failWith = new Error("ECONNRESET");
+    const empty = createFakeProvider({ name: "empty" });
+    const local = createFakeProvider({
+      works: [ODYSSEY],
+      editions: [ODYSSEY_PENGUIN],
+    });
+    setMetadataProviders([down, empty, local]);
+
+    const hit = await getByIsbn("9780140449136");
+
+    expect(hit.workKey).toBe("/works/OL61982W");
+    expect(hit.edition).toMatchObject({
+      isbn10: "0140449132",
+      isbn13: "9780140449136",
+      source: "fake",
+    });
+    expect(empty.calls).toHaveLength(1);
+    expect(await getWork("/works/nope")).toBeNull();
+  });
+
+  test("search uses the first provider with results", async () => {
+    const local = createFakeProvider({ works: [ODYSSEY] });
+    setMetadataProviders([createFakeProvider({ name: "empty" }), local]);
+
+    const results = await searchMetadata("homer odyssey");
+    expect(results.map((r) => r.externalId)).toEqual(["/works/OL61982W"]);
+    expect(await searchMetadata("iliad")).toEqual([]);
+  });
+
+  test("slow providers time out and fall through", async () => {
+    const slow = createFakeProvider({ name: "slow", works: [ODYSSEY] });
+    slow.delayMs = 200;
+    const fast = createFakeProvider({ name: "fast", works: [ODYSSEY] });
+    setMetadataProviders([slow, fast], { timeoutMs: 20 });
+
+    const work = await getWork("/works/OL61982W");
+    expect(work.source).toBe("fast");
+  });
+
+  test("an open circuit skips the failing provider", async () => {
+    const flaky = createFakeProvider({ name: "flaky" });
+    flaky.failWith = new Error("503");
+    setMetadataProviders([flaky], {
+      breaker: { threshold: 2, cooldownMs: 60000 },
+    });
+
+    await getWork("/works/a");
+    await getWork("/works/b");
+    await getWork("/works/c");
+
+    expect(flaky.calls).toHaveLength(2);
+    expect(metadataProviderStatus()[0].state).toBe("open");
+  });
+});
+
+describe("circuit breaker", () => {
+  test("lets one trial through after the cooldown", () => {
+    let t = 0;
+    const breaker = createCircuitBreaker({
+      threshold: 1,
+      cooldownMs: 100,
+      now: () => t,
+    });
+
+    breaker.failure();
+    expect(breaker.canRequest()).toBe(false);
+
+    t = 150;
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false); // trial already running
+
+    breaker.success();
+    expect(breaker.state()).toBe("closed");
+  });
+});
@@ -0,0 +1,36 @@
+// backend/tests/moderation.service.test.js
+import {
+  parseDuration,
+  isBanActive,
+} from "../src/services/moderation.service.js";
+
+describe("moderation service helpers", () => {
+  test("parseDuration understands hours and unit suffixes", () => {
+    expect(parseDuration(undefined)).toBeNull();
+    expect(parseDuration(2)).toBe(2 * 60 * 60 * 1000);
+    expect(parseDuration("30m")).toBe(30 * 60 * 1000);
+    expect(parseDuration("7d")).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(parseDuration("12")).toBe(12 * 60 * 60 * 1000);
+    expect(parseDuration("soon")).toBeNaN();
+    expect(parseDuration(-1)).toBeNaN();
+  });
+
+  test("isBanActive respects bannedUntil", () => {
+    const now = new Date("2025-01-01T00:00:00Z");
+    expect(isBanActive(null, now)).toBe(false);
+    expect(isBanActive({ isBanned: false }, now)).toBe(false);
+    expect(isBanActive({ isBanned: true, bannedUntil: null }, now)).toBe(true);
+    expect(
+      isBanActive(
+        { isBanned: true, bannedUntil: new Date("2025-01-02T00:00:00Z") },
+        now
+      )
+    ).toBe(true);
+    expect(
+      isBanActive(
+        { isBanned: true, bannedUntil: new Date("2024-12-31T00:00:00Z") },
+        now
+      )
+    ).toBe(false);
+  });
+});
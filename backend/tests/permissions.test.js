@@ -0,0 +1,35 @@
+// backend/tests/permissions.test.js
+import {
+  grants,
+  siteRoleHas,
+  clubRoleHas,
+} from "../src/config/permissions.js";
+
+describe("permission map", () => {
+  test("wildcards", () => {
+    expect(grants(["*"], "users:ban")).toBe(true);
+    expect(grants(["club:*"], "club:members:manage")).toBe(true);
+    expect(grants(["club:*"], "users:ban")).toBe(false);
+    expect(grants([], "reviews:read")).toBe(false);
+  });
+
+  test("moderators moderate content but cannot ban or see growth", () => {
+    expect(siteRoleHas("moderator", "reviews:moderate")).toBe(true);
+    expect(siteRoleHas("moderator", "comments:moderate")).toBe(true);
+    expect(siteRoleHas("moderator", "users:ban")).toBe(false);
+    expect(siteRoleHas("moderator", "stats:growth")).toBe(false);
+    expect(siteRoleHas("admin", "stats:growth")).toBe(true);
+    expect(siteRoleHas("user", "admin:access")).toBe(false);
+    expect(siteRoleHas(undefined, "admin:access")).toBe(false);
+  });
+
+  test("club roles", () => {
+    expect(clubRoleHas("member", "club:discussions:moderate")).toBe(false);
+    expect(clubRoleHas("moderator", "club:discussions:moderate")).toBe(true);
+    expect(clubRoleHas("admin", "club:members:manage")).toBe(true);
+    expect(clubRoleHas("admin", "club:admins:manage")).toBe(false);
+    expect(clubRoleHas("owner", "club:admins:manage")).toBe(true);
+    expect(clubRoleHas("member", "club:discussions:create")).toBe(true);
+    expect(clubRoleHas(null, "club:discussions:create")).toBe(false);
+  });
+});
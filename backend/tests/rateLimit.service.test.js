@@ -0,0 +1,103 @@
+// backend/tests/rateLimit.service.test.js
+import {
+  hit,
+  slidingWindowEstimate,
+  retryAfterMs,
+  lockoutSeconds,
+  registerLoginFailure,
+  getLoginLock,
+  clearLoginFailures,
+} from "../src/services/rateLimit.service.js";
+import {
+  cacheGet,
+  cacheIncr,
+  sweepLocalCache,
+} from "../src/services/cacheWrapper.js";
+import rateLimit from "../src/middleware/rateLimit.js";
+
+const WINDOW = 60 * 1000;
+
+describe("sliding window", () => {
+  test("previous window is weighted by its remaining overlap", () => {
+    expect(
+      slidingWindowEstimate({ current: 2, previous: 10, elapsedMs: 15000, windowMs: WINDOW })
+    ).toBe(2 + 10 * 0.75);
+    expect(
+      slidingWindowEstimate({ current: 3, previous: 10, elapsedMs: WINDOW, windowMs: WINDOW })
+    ).toBe(3);
+  });
+
+  test("retry-after waits for the previous window to decay", () => {
+    // 10 * (1 - (30s + t) / 60s) + 2 <= 5  ->  t = 12s
+    expect(
+      retryAfterMs({ current: 2, previous: 10, elapsedMs: 30000, windowMs: WINDOW, limit: 5 })
+    ).toBeCloseTo(12000);
+  });
+
+  test("hit allows up to the limit then rejects with retryAfter", async () => {
+    const now = 10 * WINDOW + 1000; // start of a fresh window
+    const key = `test:${Math.random()}`;
+
+    for (let i = 0; i < 3; i++) {
+      const r = await hit(key, { limit: 3, windowMs: WINDOW, now });
+      expect(r.allowed).toBe(true);
+    }
+    const blocked = await hit(key, { limit: 3, windowMs: WINDOW, now });
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.remaining).toBe(0);
+    expect(blocked.retryAfterSeconds).toBeGreaterThan(0);
+  });
+});
+
+describe("in-memory counters", () => {
+  test("expired windows are swept even if never read again", async () => {
+    const key = `rl:test:${Math.random()}:1`;
+    await cacheIncr(key, 60);
+
+    expect(sweepLocalCache(Date.now() + 61 * 1000)).toBeGreaterThanOrEqual(1);
+    expect(await cacheGet(key)).toBe(null);
+  });
+
+  test("env overrides are read on the first request", async () => {
+    const limiter = rateLimit("reports", { by: "ip" });
+    process.env.RATE_LIMIT_REPORTS = "1/1h";
+    try {
+      const headers = {};
+      const res = {
+        set: (k, v) => {
+          headers[k] = v;
+          return res;
+        },
+      };
+      await limiter({ ip: `10.0.0.${Math.random()}` }, res, () => {});
+      expect(headers["RateLimit-Limit"]).toBe("1");
+    } finally {
+      delete process.env.RATE_LIMIT_REPORTS;
+    }
+  });
+});
+
+describe("login lockout", () => {
+  const config = { threshold: 5, baseSeconds: 60, maxSeconds: 3600 };
+
+  test("lock duration doubles above the threshold and is capped", () => {
+    expect(lockoutSeconds(4, config)).toBe(0);
+    expect(lockoutSeconds(5, config)).toBe(60);
+    expect(lockoutSeconds(6, config)).toBe(120);
+    expect(lockoutSeconds(8, config)).toBe(480);
+    expect(lockoutSeconds(50, config)).toBe(3600);
+  });
+
+  test("failures lock the account until cleared", async () => {
+    const key = `user:${Math.random()}`;
+    for (let i = 0; i < 4; i++) await registerLoginFailure(key);
+    expect(await getLoginLock(key)).toBe(0);
+
+    const { lockedForSeconds } = await registerLoginFailure(key);
+    expect(lockedForSeconds).toBe(60);
+    expect(await getLoginLock(key)).toBeGreaterThan(0);
+
+    await clearLoginFailures(key);
+    expect(await getLoginLock(key)).toBe(0);
+  });
+});
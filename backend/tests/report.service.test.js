@@ -0,0 +1,73 @@
+// backend/tests/report.service.test.js
+import { jest } from "@jest/globals";
+import Report from "../src/models/Report.js";
+import Review from "../src/models/Review.js";
+import { fileReport, reportQueue } from "../src/services/report.service.js";
+
+const REVIEW_ID = "64b7f0c2a1b2c3d4e5f60718";
+const AUTHOR_ID = "64b7f0c2a1b2c3d4e5f60719";
+const REPORTER_ID = "64b7f0c2a1b2c3d4e5f6071a";
+
+function leanQuery(value) {
+  return { select: () => ({ lean: async () => value }) };
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("report service", () => {
+  beforeEach(() => {
+    jest
+      .spyOn(Review, "findById")
+      .mockReturnValue(
+        leanQuery({ _id: REVIEW_ID, user: AUTHOR_ID, text: "meh", rating: 1 })
+      );
+  });
+
+  test("rejects reports on your own content", async () => {
+    await expect(
+      fileReport(AUTHOR_ID, {
+        targetType: "review",
+        targetId: REVIEW_ID,
+        reason: "spam",
+      })
+    ).rejects.toMatchObject({ status: 400 });
+  });
+
+  test("a repeated open report is returned as a duplicate", async () => {
+    const existing = { _id: "r1" };
+    jest.spyOn(Report, "findOne").mockResolvedValue(existing);
+    const create = jest.spyOn(Report, "create");
+
+    const result = await fileReport(REPORTER_ID, {
+      targetType: "review",
+      targetId: REVIEW_ID,
+      reason: "spam",
+    });
+
+    expect(result).toEqual({ report: existing, duplicate: true });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test("queue groups reports per target and tallies reasons", async () => {
+    jest.spyOn(Report, "aggregate").mockResolvedValue([
+      {
+        items: [
+          {
+            _id: { targetType: "review", targetId: REVIEW_ID },
+            count: 3,
+            reasons: ["spam", "harassment", "spam"],
+            targetOwner: AUTHOR_ID,
+          },
+        ],
+        total: [{ n: 1 }],
+      },
+    ]);
+
+    const { total, items } = await reportQueue({ status: "open" });
+
+    expect(total).toBe(1);
+    expect(items[0].count).toBe(3);
+    expect(items[0].reasons).toEqual({ spam: 2, harassment: 1 });
+    expect(items[0].preview).toEqual({ text: "meh", rating: 1, removed: false });
+  });
+});
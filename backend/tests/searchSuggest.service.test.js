@@ -0,0 +1,215 @@
+// backend/tests/searchSuggest.service.test.js
+import { jest } from "@jest/globals";
+import { id, chain } from "./helpers/mocks.js";
+
+// provider search is stubbed; the rest of the module stays real
+const metadata = await import("../src/services/metadata.service.js");
+const searchMetadata = jest.fn();
+await jest.unstable_mockModule("../src/services/metadata.service.js", () => ({
+  ...metadata,
+  searchMetadata,
+}));
+
+const { default: Book } = await import("../src/models/Book.js");
+const { default: SearchTerm } = await import("../src/models/SearchTerm.js");
+const { default: SearchQuery } = await import("../src/models/SearchQuery.js");
+const { default: Author } = await import("../src/models/Author.js");
+const { default: Series } = await import("../src/models/Series.js");
+const { default: BookClub } = await import("../src/models/BookClub.js");
+const { default: User } = await import("../src/models/User.js");
+const { cacheDel } = await import("../src/services/cacheWrapper.js");
+const { recordSearch, MAX_HISTORY } =
+  await import("../src/services/searchHistory.service.js");
+const {
+  namePrefix,
+  bookTermsQuery,
+  suggestBooks,
+  suggestEntities,
+  suggestQueries,
+} = await import("../src/services/searchSuggest.service.js");
+const { nameTokens } = await import("../src/utils/names.js");
+
+beforeEach(async () => {
+  searchMetadata.mockReset();
+  await cacheDel("search:popular");
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe("prefix matching", () => {
+  test("name prefixes match word starts, anchored on the name words", () => {
+    const { nameTokens: re } = namePrefix("Tolk");
+    expect(re.source).toBe("^tolk");
+    expect(nameTokens("J.R.R. Tolkien").some((t) => re.test(t))).toBe(true);
+    expect(nameTokens("Stolkov").some((t) => re.test(t))).toBe(false);
+    expect(namePrefix("a.b (")).toEqual({
+      $and: [{ nameTokens: /^a/ }, { nameTokens: /^b/ }],
+    });
+    expect(namePrefix("толс")).toEqual({ nameTokens: /^толс/ });
+    expect(namePrefix(" ?! ")).toBe(null);
+  });
+
+  test("name words are folded and kept once", () => {
+    expect(nameTokens("Лев Толстой", ["Tolstoy, Leo", "Leo"])).toEqual([
+      "лев",
+      "толстои",
+      "tolstoy",
+      "leo",
+    ]);
+  });
+
+  test("the word being typed expands to indexed terms", async () => {
+    jest
+      .spyOn(SearchTerm, "find")
+      .mockReturnValue(chain([{ term: "hobbit" }, { term: "hobbits" }]));
+
+    expect(await bookTermsQuery("The Hob")).toEqual({
+      searchTerms: { $in: ["hob", "hobbit", "hobbits"] },
+    });
+    expect(await bookTermsQuery("lord of the rings ")).toEqual({
+      $and: [{ searchTerms: "lord" }, { searchTerms: "rings" }],
+    });
+    expect(await bookTermsQuery("  ")).toBe(null);
+  });
+});
+
+describe("suggestBooks", () => {
+  test("tops local books up with provider results", async () => {
+    jest.spyOn(SearchTerm, "find").mockReturnValue(chain([]));
+    jest.spyOn(Book, "find").mockReturnValue(
+      chain([
+        {
+          _id: id(),
+          externalId: "/works/OL2W",
+          title: "A Dune Companion",
+          ratingsCount: 50,
+        },
+        {
+          _id: id(),
+          externalId: "/works/OL1W",
+          title: "Dune",
+          ratingsCount: 5,
+        },
+      ])
+    );
+    searchMetadata.mockResolvedValue([
+      { externalId: "/works/OL1W", title: "Dune", source: "openlibrary" },
+      {
+        externalId: "/works/OL3W",
+        title: "Dune Messiah",
+        source: "openlibrary",
+      },
+    ]);
+
+    const { books, complete } = await suggestBooks("dune");
+
+    expect(complete).toBe(true);
+    expect(books.map((b) => [b.title, b.source])).toEqual([
+      ["Dune", "local"],
+      ["A Dune Companion", "local"],
+      ["Dune Messiah", "openlibrary"],
+    ]);
+  });
+
+  test("short prefixes stay local", async () => {
+    jest.spyOn(SearchTerm, "find").mockReturnValue(chain([]));
+    jest.spyOn(Book, "find").mockReturnValue(chain([]));
+
+    const { books } = await suggestBooks("du");
+    expect(books).toEqual([]);
+    expect(searchMetadata).not.toHaveBeenCalled();
+  });
+});
+
+describe("suggestEntities", () => {
+  test("leaves out clubs created private", async () => {
+    for (const Model of [Author, Series, User]) {
+      jest.spyOn(Model, "find").mockReturnValue(chain([]));
+    }
+    const clubs = jest.spyOn(BookClub, "find").mockReturnValue(chain([]));
+
+    await suggestEntities("readers");
+
+    const [filter] = clubs.mock.calls[0];
+    expect(filter.isPublic).toEqual({ $ne: false });
+    expect(filter).not.toHaveProperty("isPrivate");
+  });
+});
+
+describe("query suggestions", () => {
+  test("recent searches come first, popular ones fill up", async () => {
+    jest.spyOn(SearchQuery, "find").mockReturnValue(
+      chain([
+        { query: "dune messiah", text: "Dune Messiah" },
+        { query: "dune", text: "dune" },
+      ])
+    );
+    const aggregate = jest.spyOn(SearchQuery, "aggregate").mockResolvedValue([
+      { _id: "dune", text: "Dune", users: 9 },
+      { _id: "dune chronicles", text: "dune chronicles", users: 4 },
+      { _id: "discworld", text: "Discworld", users: 3 },
+    ]);
+
+    const queries = await suggestQueries("dune", id());
+
+    expect(queries).toEqual([
+      { text: "Dune Messiah", kind: "recent" },
+      { text: "dune", kind: "recent" },
+      { text: "dune chronicles", kind: "popular" },
+    ]);
+    // popular queries need several searchers
+    const stages = aggregate.mock.calls[0][0];
+    expect(stages.find((s) => s.$match?.users)).toEqual({
+      $match: { users: { $gte: 3 } },
+    });
+  });
+
+  test("signed-out callers only get popular queries", async () => {
+    const find = jest.spyOn(SearchQuery, "find");
+    jest
+      .spyOn(SearchQuery, "aggregate")
+      .mockResolvedValue([{ _id: "dune", text: "Dune", users: 5 }]);
+
+    expect(await suggestQueries("", null)).toEqual([
+      { text: "Dune", kind: "popular" },
+    ]);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe("recordSearch", () => {
+  test("upserts by folded query and trims the history", async () => {
+    const user = id();
+    const upsert = jest
+      .spyOn(SearchQuery, "findOneAndUpdate")
+      .mockResolvedValue({ _id: id() });
+    const cutoff = new Date("2026-01-01");
+    jest
+      .spyOn(SearchQuery, "find")
+      .mockReturnValue(chain([{ lastSearchedAt: cutoff }]));
+    const prune = jest
+      .spyOn(SearchQuery, "deleteMany")
+      .mockResolvedValue({ deletedCount: 1 });
+
+    await recordSearch(user, "  Cien   Años ");
+
+    const [filter, update] = upsert.mock.calls[0];
+    expect(filter).toEqual({ user, query: "cien anos" });
+    expect(update.$set.text).toBe("Cien Años");
+    expect(update.$inc).toEqual({ count: 1 });
+    expect(prune).toHaveBeenCalledWith({
+      user,
+      lastSearchedAt: { $lte: cutoff },
+    });
+    expect(MAX_HISTORY).toBe(50);
+  });
+
+  test("ignores empty queries and never throws", async () => {
+    const upsert = jest.spyOn(SearchQuery, "findOneAndUpdate");
+    expect(await recordSearch(id(), " ?! ")).toBe(null);
+    expect(upsert).not.toHaveBeenCalled();
+
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    upsert.mockRejectedValue(new Error("down"));
+    expect(await recordSearch(id(), "dune")).toBe(null);
+  });
+});
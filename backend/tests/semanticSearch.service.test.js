@@ -0,0 +1,108 @@
+// backend/tests/semanticSearch.service.test.js
+import { jest } from "@jest/globals";
+import { id, chain } from "./helpers/mocks.js";
+
+const { default: Book } = await import("../src/models/Book.js");
+const { embedText, embeddingProvider, findSimilarByEmbedding, HASH_MODEL } =
+  await import("../src/utils/embeddings.js");
+const {
+  bookEmbeddingText,
+  blendScores,
+  staleEmbeddingsFilter,
+  semanticSearch,
+} = await import("../src/services/semanticSearch.service.js");
+
+const saved = { ...process.env };
+beforeEach(() => {
+  process.env.EMBEDDINGS_PROVIDER = "hash";
+});
+afterEach(() => {
+  process.env = { ...saved };
+  jest.restoreAllMocks();
+});
+
+describe("embedding provider", () => {
+  test("picks openai with a key, hash otherwise, unless configured", () => {
+    expect(embeddingProvider({ OPENAI_API_KEY: "sk-x" })).toBe("openai");
+    expect(embeddingProvider({})).toBe("hash");
+    expect(embeddingProvider({ EMBEDDINGS_PROVIDER: "local" })).toBe("local");
+  });
+
+  test("hash embeddings are deterministic and report their model", async () => {
+    const a = await embedText("cozy village mystery", { provider: "hash" });
+    const b = await embedText("cozy village mystery", { provider: "hash" });
+    expect(a.model).toBe(HASH_MODEL);
+    expect(a.vector).toEqual(b.vector);
+  });
+
+  test("similar books are looked up among the vector's model only", async () => {
+    const find = jest.spyOn(Book, "find").mockReturnValue(chain([]));
+
+    await findSimilarByEmbedding([0.6, 0.8], { model: HASH_MODEL });
+    await findSimilarByEmbedding([0.6, 0.8]);
+
+    expect(find.mock.calls[0][0]).toEqual({ embeddingModel: HASH_MODEL });
+    expect(find.mock.calls[1][0]).toEqual({ embedding: { $size: 2 } });
+  });
+});
+
+describe("book text", () => {
+  test("joins title, authors, genres and subjects, description", () => {
+    const text = bookEmbeddingText({
+      title: "The Murder at the Vicarage",
+      authors: ["Agatha Christie"],
+      genres: [],
+      subjects: ["Village life", "Detectives"],
+      description: "Miss Marple's first case.",
+    });
+    expect(text).toBe(
+      "The Murder at the Vicarage. by Agatha Christie. " +
+        "Village life, Detectives. Miss Marple's first case."
+    );
+    expect(bookEmbeddingText({ title: "Untitled" })).toBe("Untitled");
+  });
+
+  test("stale books: unembedded, other model, or reindexed since", () => {
+    expect(staleEmbeddingsFilter("hash-v1").$or).toEqual([
+      { embeddedAt: null },
+      { embeddingModel: { $ne: "hash-v1" } },
+      { $expr: { $gt: ["$searchIndexedAt", "$embeddedAt"] } },
+    ]);
+  });
+});
+
+describe("semanticSearch", () => {
+  test("blends similarity and keyword relevance", () => {
+    expect(blendScores(0.8, 0.2, 0)).toBe(0.8);
+    expect(blendScores(0.8, 0.2, 1)).toBe(0.2);
+    expect(blendScores(0.8, 0.2, 0.5)).toBeCloseTo(0.5);
+  });
+
+  test("ranks books of the query's model by similarity", async () => {
+    const q = "cozy mystery in a small village";
+    const { vector } = await embedText(q, { provider: "hash" });
+    const close = { _id: id(), embedding: vector };
+    const far = {
+      _id: id(),
+      embedding: (await embedText("space opera", { provider: "hash" })).vector,
+    };
+    const find = jest
+      .spyOn(Book, "find")
+      .mockReturnValueOnce(chain([far, close]))
+      .mockReturnValueOnce(
+        chain([
+          { _id: far._id, externalId: "/works/OL2W", title: "Far" },
+          { _id: close._id, externalId: "/works/OL1W", title: "Close" },
+        ])
+      );
+
+    const res = await semanticSearch(q, { limit: 10 });
+
+    expect(find.mock.calls[0][0]).toEqual({ embeddingModel: HASH_MODEL });
+    expect(res.model).toBe(HASH_MODEL);
+    expect(res.items.map((b) => b.title)).toEqual(["Close", "Far"]);
+    expect(res.items[0].similarity).toBeCloseTo(1);
+    expect(res.total).toBe(2);
+    expect(res.hasMore).toBe(false);
+  });
+});
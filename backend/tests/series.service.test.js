@@ -0,0 +1,135 @@
+// backend/tests/series.service.test.js
+import { jest } from "@jest/globals";
+import { id } from "./helpers/mocks.js";
+import Series from "../src/models/Series.js";
+import Reading from "../src/models/Reading.js";
+import Book from "../src/models/Book.js";
+import {
+  positionLabel,
+  normalizeEntries,
+  progressFor,
+  startedSeries,
+} from "../src/services/series.service.js";
+
+// Model.find().select().lean() resolving to docs(query)
+function stubFind(Model, docs) {
+  return jest.spyOn(Model, "find").mockImplementation((query) => ({
+    select: () => ({ lean: async () => docs(query) }),
+  }));
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("series positions", () => {
+  test("labels main entries with the series length, novellas without", () => {
+    expect(positionLabel(3, 7)).toBe("Book 3 of 7");
+    expect(positionLabel(2.5, 7)).toBe("Book 2.5");
+    expect(positionLabel(0, 7)).toBe("Book 0 of 7");
+  });
+
+  test("sorts entries and rejects repeated books or positions", () => {
+    const [a, b, c] = [id(), id(), id()];
+    expect(
+      normalizeEntries([
+        { bookId: String(a), position: 3 },
+        { book: b, position: "1.5" },
+        { book: c, position: 1 },
+      ]).map((e) => e.position)
+    ).toEqual([1, 1.5, 3]);
+
+    expect(() =>
+      normalizeEntries([
+        { book: a, position: 1 },
+        { book: a, position: 2 },
+      ])
+    ).toThrow(/only appear once/);
+    expect(() =>
+      normalizeEntries([
+        { book: a, position: 1 },
+        { book: b, position: 1 },
+      ])
+    ).toThrow(/used twice/);
+    expect(() => normalizeEntries([{ book: a, position: -1 }])).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+  });
+});
+
+describe("progressFor", () => {
+  const books = [id(), id(), id(), id()];
+  const entries = [
+    { book: books[0], position: 1 },
+    { book: books[1], position: 1.5 },
+    { book: books[2], position: 2 },
+    { book: books[3], position: 3 },
+  ];
+  const readings = (pairs) =>
+    new Map(pairs.map(([i, status]) => [String(books[i]), { status }]));
+
+  test("the next entry follows the furthest one started, novellas included", () => {
+    const p = progressFor(entries, readings([[0, "finished"]]));
+    expect(p.next.position).toBe(1.5);
+    expect(p.finished).toBe(1);
+
+    const skipped = progressFor(
+      entries,
+      readings([
+        [0, "finished"],
+        [2, "reading"],
+      ])
+    );
+    expect(skipped.next.position).toBe(3);
+  });
+
+  test("falls back to earlier gaps once the last entry is read", () => {
+    const p = progressFor(
+      entries,
+      readings([
+        [3, "finished"],
+        [0, "to-read"],
+      ])
+    );
+    expect(p.next.position).toBe(1);
+  });
+
+  test("no next entry for unstarted or completed series", () => {
+    expect(progressFor(entries, readings([[0, "to-read"]])).next).toBeNull();
+    expect(
+      progressFor(entries, readings([0, 1, 2, 3].map((i) => [i, "finished"])))
+        .next
+    ).toBeNull();
+  });
+});
+
+describe("startedSeries", () => {
+  test("returns the next entry of each started series with its book", async () => {
+    const user = id();
+    const [b1, b2, other] = [id(), id(), id()];
+    const series = {
+      _id: id(),
+      name: "Earthsea",
+      entries: [
+        { book: b1, position: 1 },
+        { book: b2, position: 2 },
+      ],
+    };
+
+    stubFind(Reading, (q) =>
+      q.status
+        ? [{ book: b1 }, { book: other }]
+        : [{ book: b1, status: "finished", updatedAt: new Date() }]
+    );
+    stubFind(Series, () => [series]);
+    stubFind(Book, () => [{ _id: b2, title: "The Tombs of Atuan" }]);
+
+    const [row] = await startedSeries(user);
+
+    expect(row.series).toEqual({ _id: series._id, name: "Earthsea", total: 2 });
+    expect(row.finished).toBe(1);
+    expect(row.next).toEqual({
+      position: 2,
+      label: "Book 2 of 2",
+      book: { _id: b2, title: "The Tombs of Atuan" },
+    });
+  });
+});
@@ -0,0 +1,86 @@
+// backend/tests/session.service.test.js
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+import { id } from "./helpers/mocks.js";
+
+const { default: Session } = await import("../src/models/Session.js");
+const { rotateSession, clientIp } =
+  await import("../src/services/session.service.js");
+
+const hash = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+const saved = { ...process.env };
+beforeEach(() => {
+  process.env.JWT_SECRET = "test-secret";
+});
+afterEach(() => {
+  process.env = { ...saved };
+  jest.restoreAllMocks();
+});
+
+function stubSession() {
+  const session = Session.hydrate({
+    _id: id(),
+    user: id(),
+    refreshTokenHash: hash("current"),
+    expiresAt: new Date(Date.now() + 86400000),
+    revokedAt: null,
+  });
+  jest.spyOn(Session, "findById").mockResolvedValue(session);
+  return session;
+}
+
+describe("rotateSession", () => {
+  test("swaps the token only while it is still the current one", async () => {
+    const session = stubSession();
+    const update = jest
+      .spyOn(Session, "findOneAndUpdate")
+      .mockImplementation(async (filter, change) =>
+        filter.refreshTokenHash
+          ? Session.hydrate({ ...session.toObject(), ...change.$set })
+          : null
+      );
+
+    const out = await rotateSession(`${session._id}.current`, {
+      ip: "203.0.113.7",
+    });
+
+    const [filter, { $set }] = update.mock.calls[0];
+    expect(filter).toEqual({
+      _id: session._id,
+      refreshTokenHash: hash("current"),
+      revokedAt: null,
+    });
+    expect($set.ip).toBe("203.0.113.7");
+    const [sid, secret] = out.refreshToken.split(".");
+    expect(sid).toBe(String(session._id));
+    expect($set.refreshTokenHash).toBe(hash(secret));
+  });
+
+  test("losing a race with the same token revokes the session", async () => {
+    const session = stubSession();
+    const update = jest
+      .spyOn(Session, "findOneAndUpdate")
+      .mockResolvedValue(null);
+
+    await expect(rotateSession(`${session._id}.current`)).rejects.toMatchObject(
+      { status: 401 }
+    );
+    expect(update.mock.calls[1][1]).toMatchObject({
+      revokedReason: "refresh_token_reuse",
+    });
+  });
+});
+
+describe("clientIp", () => {
+  test("uses req.ip, not a client-supplied X-Forwarded-For", () => {
+    expect(
+      clientIp({
+        ip: "198.51.100.2",
+        headers: { "x-forwarded-for": "10.0.0.1" },
+      })
+    ).toBe("198.51.100.2");
+    expect(clientIp({ socket: { remoteAddress: "::1" } })).toBe("::1");
+    expect(clientIp(null)).toBe(null);
+  });
+});
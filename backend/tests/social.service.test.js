@@ -0,0 +1,27 @@
+// backend/tests/social.service.test.js
+import { jest } from "@jest/globals";
+import { id, chain } from "./helpers/mocks.js";
+
+const { default: User } = await import("../src/models/User.js");
+const { default: Review } = await import("../src/models/Review.js");
+const { default: Reading } = await import("../src/models/Reading.js");
+const { default: SocialService } =
+  await import("../src/services/social.service.js");
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("getFollowedUsersUpdates", () => {
+  test("leaves out suspended and deleted reviews", async () => {
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: () => ({ lean: async () => ({ following: [id()] }) }),
+    });
+    const reviews = jest.spyOn(Review, "find").mockReturnValue(chain([]));
+    jest.spyOn(Reading, "find").mockReturnValue(chain([]));
+
+    expect(await SocialService.getFollowedUsersUpdates(id())).toEqual([]);
+    expect(reviews.mock.calls[0][0]).toMatchObject({
+      suspended: { $ne: true },
+      isDeleted: { $ne: true },
+    });
+  });
+});
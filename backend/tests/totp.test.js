@@ -0,0 +1,41 @@
+// backend/tests/totp.test.js
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  provisioningUri,
+} from "../src/utils/totp.js";
+
+// RFC 6238 test secret "12345678901234567890" (ASCII)
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("totp utils", () => {
+  test("base32 round-trips", () => {
+    const buf = Buffer.from("hello world");
+    expect(base32Decode(base32Encode(buf)).toString()).toBe("hello world");
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  test("matches RFC 6238 vectors (6 digits)", () => {
+    expect(generateTOTP(RFC_SECRET, 59 * 1000)).toBe("287082");
+    expect(generateTOTP(RFC_SECRET, 1111111109 * 1000)).toBe("081804");
+    expect(generateTOTP(RFC_SECRET, 1234567890 * 1000)).toBe("005924");
+  });
+
+  test("verifyTOTP accepts drift inside the window only", () => {
+    const t = 1234567890 * 1000;
+    const code = generateTOTP(RFC_SECRET, t);
+    expect(verifyTOTP(RFC_SECRET, code, { timeMs: t })).not.toBeNull();
+    expect(verifyTOTP(RFC_SECRET, code, { timeMs: t + 30 * 1000 })).not.toBeNull();
+    expect(verifyTOTP(RFC_SECRET, code, { timeMs: t + 90 * 1000 })).toBeNull();
+    expect(verifyTOTP(RFC_SECRET, "abc", { timeMs: t })).toBeNull();
+  });
+
+  test("provisioningUri is an otpauth uri", () => {
+    const uri = provisioningUri("ABC", "reader@example.com", "Readers App");
+    expect(uri.startsWith("otpauth://totp/Readers%20App%3Areader%40example.com?")).toBe(true);
+    expect(uri).toContain("secret=ABC");
+  });
+});
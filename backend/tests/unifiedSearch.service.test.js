@@ -0,0 +1,194 @@
+// backend/tests/unifiedSearch.service.test.js
+import { jest } from "@jest/globals";
+import { id, chain } from "./helpers/mocks.js";
+
+const { default: User } = await import("../src/models/User.js");
+const { default: BookClub } = await import("../src/models/BookClub.js");
+const { default: BookClubMember } =
+  await import("../src/models/BookClubMember.js");
+const { default: BookClubDiscussion } =
+  await import("../src/models/BookClubDiscussion.js");
+const { default: Review } = await import("../src/models/Review.js");
+const { default: Note } = await import("../src/models/Note.js");
+const { queryWords, textMatch, snippet, visibleClubsFilter, searchAll } =
+  await import("../src/services/unifiedSearch.service.js");
+const { createClub } =
+  await import("../src/controllers/bookclub.controller.js");
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("matching", () => {
+  test("query words drop stopwords and punctuation", () => {
+    expect(queryWords("The  Name of the Wind!")).toEqual(["name", "wind"]);
+    expect(queryWords("the of")).toEqual(["the", "of"]);
+    expect(queryWords(" ?! ")).toEqual([]);
+  });
+
+  test("every word must appear in one of the fields, escaped", () => {
+    const match = textMatch(["title", "body"], ["c++", "wind"]);
+    expect(match.$and).toHaveLength(2);
+    const [first] = match.$and[0].$or;
+    expect(first.title.test("Learning C++ fast")).toBe(true);
+    expect(first.title.test("Learning Cxx fast")).toBe(false);
+    expect(textMatch(["text"], ["wind"])).toEqual({ text: /wind/i });
+  });
+});
+
+describe("snippet", () => {
+  test("excerpts around the first match and marks every word", () => {
+    const text =
+      "A long preamble about nothing in particular that goes on and on " +
+      "before the story of the wind and the rain finally starts, far away.";
+    const s = snippet(text, ["wind", "rain"], { radius: 20 });
+
+    expect(s.text.startsWith("… ")).toBe(true);
+    expect(s.text.endsWith(" …")).toBe(true);
+    expect(s.highlights.map(([a, b]) => s.text.slice(a, b))).toEqual([
+      "wind",
+      "rain",
+    ]);
+  });
+
+  test("short texts are kept whole; no match gives null", () => {
+    const s = snippet("Wind and windows", ["wind"]);
+    expect(s).toEqual({
+      text: "Wind and windows",
+      highlights: [
+        [0, 4],
+        [9, 13],
+      ],
+    });
+    expect(snippet("Rain", ["wind"])).toBe(null);
+  });
+});
+
+describe("privacy", () => {
+  test("discussions of private clubs only for their members", async () => {
+    const open = id();
+    const closed = id();
+    jest.spyOn(BookClub, "distinct").mockResolvedValue([open, closed]);
+    jest.spyOn(BookClubMember, "distinct").mockResolvedValue([open]);
+
+    expect(await visibleClubsFilter(id())).toEqual({
+      club: { $nin: [closed] },
+    });
+  });
+
+  test("clubs created private stay out of search", async () => {
+    // create clubs through the controller; the schema decides what is kept
+    const clubs = [];
+    jest
+      .spyOn(BookClub, "create")
+      .mockImplementation(async (doc) => new BookClub(doc));
+    jest.spyOn(BookClubMember, "create").mockResolvedValue({});
+    for (const isPublic of [true, false]) {
+      const res = { status: () => res, json: ({ club }) => clubs.push(club) };
+      await createClub(
+        { user: { id: id() }, body: { name: "Readers", isPublic } },
+        res,
+        (err) => {
+          throw err;
+        }
+      );
+    }
+    // just enough of a query matcher for equality and $ne
+    const matches = (doc, filter) =>
+      Object.entries(filter).every(([k, v]) =>
+        v && typeof v === "object" && "$ne" in v
+          ? doc[k] !== v.$ne
+          : doc[k] === v
+      );
+    jest
+      .spyOn(BookClub, "distinct")
+      .mockImplementation(async (field, filter) =>
+        clubs.filter((c) => matches(c, filter)).map((c) => c[field])
+      );
+    jest.spyOn(BookClubMember, "distinct").mockResolvedValue([]);
+    const find = jest.spyOn(BookClub, "find").mockReturnValue(chain([]));
+    jest.spyOn(BookClub, "countDocuments").mockResolvedValue(0);
+
+    expect(await visibleClubsFilter(null)).toEqual({
+      club: { $nin: [clubs[1]._id] },
+    });
+    await searchAll("readers", { types: ["clubs"] });
+    const { isPublic } = find.mock.calls[0][0];
+    expect(clubs.filter((c) => matches(c, { isPublic }))).toEqual([clubs[0]]);
+  });
+
+  test("signed-out callers get no notes and no private clubs", async () => {
+    jest.spyOn(BookClub, "distinct").mockResolvedValue([]);
+    const members = jest.spyOn(BookClubMember, "distinct");
+    const notes = jest.spyOn(Note, "find");
+    const clubs = jest.spyOn(BookClub, "find").mockReturnValue(chain([]));
+    jest.spyOn(BookClub, "countDocuments").mockResolvedValue(0);
+    jest
+      .spyOn(BookClubDiscussion, "find")
+      .mockReturnValue(
+        chain([{ _id: id(), title: "Dune, part one", body: "Spice and sand" }])
+      );
+    jest.spyOn(BookClubDiscussion, "countDocuments").mockResolvedValue(1);
+
+    const { groups } = await searchAll("dune", {
+      types: ["clubs", "discussions", "notes"],
+    });
+
+    expect(Object.keys(groups)).toEqual(["clubs", "discussions"]);
+    expect(notes).not.toHaveBeenCalled();
+    expect(members).not.toHaveBeenCalled();
+    expect(clubs.mock.calls[0][0].isPublic).toEqual({ $ne: false });
+    expect(groups.discussions.items[0].snippet).toEqual({
+      field: "title",
+      text: "Dune, part one",
+      highlights: [[0, 4]],
+    });
+  });
+
+  test("notes are the caller's own; hidden reviews are left out", async () => {
+    const user = id();
+    const notes = jest.spyOn(Note, "find").mockReturnValue(
+      chain([
+        {
+          _id: id(),
+          title: "",
+          content: "The wind in chapter three",
+          pageNumber: 12,
+        },
+      ])
+    );
+    jest.spyOn(Note, "countDocuments").mockResolvedValue(7);
+    const reviews = jest.spyOn(Review, "find").mockReturnValue(chain([]));
+    jest.spyOn(Review, "countDocuments").mockResolvedValue(0);
+
+    const { groups } = await searchAll("wind", {
+      userId: user,
+      types: ["reviews", "notes"],
+      page: 2,
+      limit: 5,
+    });
+
+    expect(notes.mock.calls[0][0]).toMatchObject({ user });
+    expect(reviews.mock.calls[0][0]).toMatchObject({
+      isDeleted: { $ne: true },
+      suspended: { $ne: true },
+    });
+    expect(groups.notes).toMatchObject({
+      total: 7,
+      page: 2,
+      limit: 5,
+      hasMore: true,
+    });
+    expect(groups.notes.items[0].snippet.field).toBe("content");
+  });
+
+  test("banned and deleted users are not found", async () => {
+    const find = jest.spyOn(User, "find").mockReturnValue(chain([]));
+    jest.spyOn(User, "countDocuments").mockResolvedValue(0);
+
+    await searchAll("ann", { types: ["users"] });
+
+    expect(find.mock.calls[0][0]).toMatchObject({
+      deletedAt: null,
+      isBanned: { $ne: true },
+    });
+  });
+});
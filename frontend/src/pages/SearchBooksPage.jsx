@@ -1,5 +1,5 @@
 // src/pages/SearchBooksPage.jsx
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import api from "../services/api";
 import BookCard from "../components/BookCard";
 
@@ -9,6 +9,8 @@ export default function SearchBooksPage() {
   const [loading, setLoading] = useState(false);
   const [readingMap, setReadingMap] = useState({}); // externalId -> readingEntry or true
   const [searching, setSearching] = useState(false);
+  const [suggestions, setSuggestions] = useState(null);
+  const searchedQ = useRef(null); // no suggestions for what was just searched
 
   // load user's reading list once (on mount) to mark items
   useEffect(() => {
@@ -35,13 +37,36 @@ export default function SearchBooksPage() {
     };
   }, []);
 
-  async function doSearch(e) {
+  // suggestions while typing, debounced; stale responses are cancelled
+  useEffect(() => {
+    if (q === searchedQ.current) return;
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get("/search/suggest", {
+          params: { q },
+          signal: controller.signal,
+        });
+        setSuggestions(res.data);
+      } catch (err) {
+        if (err.name !== "CanceledError") setSuggestions(null);
+      }
+    }, 200);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [q]);
+
+  async function doSearch(e, query = q) {
     e?.preventDefault();
-    if (!q) return;
+    if (!query) return;
+    searchedQ.current = query;
+    setSuggestions(null);
     setLoading(true);
     setSearching(true);
     try {
-      const res = await api.get("/search", { params: { q } });
+      const res = await api.get("/search", { params: { q: query } });
       setResults(res.data.docs || []);
     } catch (err) {
       console.error(err);
@@ -90,6 +115,34 @@ export default function SearchBooksPage() {
     }
   }
 
+  function pickSuggestion(text) {
+    setQ(text);
+    doSearch(null, text);
+  }
+
+  const suggestionItems = suggestions
+    ? [
+        ...suggestions.queries.map((s) => ({
+          key: `q:${s.text}`,
+          label: s.text,
+          hint: s.kind === "recent" ? "Recent" : "Popular",
+          text: s.text,
+        })),
+        ...suggestions.books.map((b) => ({
+          key: `b:${b.externalId}`,
+          label: b.title,
+          hint: (b.authors || []).join(", "),
+          text: b.title,
+        })),
+        ...suggestions.authors.map((a) => ({
+          key: `a:${a._id}`,
+          label: a.name,
+          hint: "Author",
+          text: a.name,
+        })),
+      ]
+    : [];
+
   return (
     <div style={{ padding: 24 }}>
       <h2>Search books</h2>
@@ -102,6 +155,29 @@ export default function SearchBooksPage() {
         <button type="submit" disabled={loading}>
           Search
         </button>
+        {suggestionItems.length > 0 && (
+          <ul
+            style={{
+              listStyle: "none",
+              margin: "4px 0 0",
+              padding: 0,
+              background: "#111",
+              borderRadius: 6,
+              maxWidth: 420,
+            }}
+          >
+            {suggestionItems.map((item) => (
+              <li
+                key={item.key}
+                onClick={() => pickSuggestion(item.text)}
+                style={{ padding: "6px 10px", cursor: "pointer" }}
+              >
+                {item.label}{" "}
+                <span style={{ color: "#888", fontSize: 12 }}>{item.hint}</span>
+              </li>
+            ))}
+          </ul>
+        )}
       </form>
 
       {loading && <div>Loading…</div>}